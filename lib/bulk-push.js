@@ -0,0 +1,267 @@
+/**
+ * Bulk Configuration Push
+ *
+ * Sends one request, usually an iPATCH of /c, to a set of boards in parallel
+ * through DeviceManager.executeRequest() and collects the outcome of each.
+ *
+ * The payload can be a template. "{{name}}" inside a string is replaced per
+ * board; a string that is nothing but a placeholder takes the variable's
+ * value as it is, so "{{vid}}" can become the number 10. Variables come from
+ * the board (path, id, alias, serialNumber, index = position in the
+ * selection), shared variables override those and per-board variables
+ * override both.
+ *
+ * Failure policies:
+ *   continue - every board is tried (default)
+ *   stop     - the first failure cancels the requests still queued or running;
+ *              boards not started yet are skipped
+ *   rollback - as stop, then every board that may have been changed gets the
+ *              configuration it had before the push back (read just before
+ *              the push, written with one PUT)
+ */
+
+export const POLICIES = ['continue', 'stop', 'rollback'];
+
+const METHODS = ['IPATCH', 'PATCH', 'PUT', 'POST', 'DELETE'];
+
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+let batches = 0;
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Error with a CoAP-style code (128 = 4.00, 132 = 4.04)
+ */
+function bulkError(message, code = 128) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Fill in the placeholders of a template
+ * @param {*} template - Payload with "{{name}}" in strings (member names included)
+ * @param {Object} variables - Values by name
+ * @returns {*} - A new payload
+ * @throws {Error} - For a placeholder without a value
+ */
+export function renderTemplate(template, variables) {
+    const lookup = (name) => {
+        if (variables[name] === undefined || variables[name] === null) {
+            throw bulkError(`No value for {{${name}}}`);
+        }
+        return variables[name];
+    };
+
+    if (typeof template === 'string') {
+        const whole = template.match(WHOLE_PLACEHOLDER);
+        if (whole) {
+            return lookup(whole[1]);
+        }
+        return template.replace(PLACEHOLDER, (match, name) => String(lookup(name)));
+    }
+    if (Array.isArray(template)) {
+        return template.map(item => renderTemplate(item, variables));
+    }
+    if (isObject(template)) {
+        return Object.fromEntries(Object.entries(template).map(([name, value]) =>
+            [String(renderTemplate(name, variables)), renderTemplate(value, variables)]
+        ));
+    }
+    return template;
+}
+
+/**
+ * Send one (templated) request to several boards
+ * Devices that cannot be found and templates that cannot be filled in for
+ * every board fail the whole push before anything is sent.
+ * @param {DeviceManager} deviceManager
+ * @param {Object} options
+ * @param {Array<string>} options.devices - Device paths, IDs or aliases
+ * @param {string} options.method - IPATCH (default), PATCH, PUT, POST or DELETE
+ * @param {string} options.uri - Default '/c'
+ * @param {*} options.payload - Payload or template
+ * @param {Object} options.variables - Shared template variables
+ * @param {Object} options.deviceVariables - Variables per board, keyed like options.devices
+ * @param {string} options.policy - continue, stop or rollback
+ * @param {number} options.concurrency - Boards written at the same time (default: all)
+ * @param {boolean} options.dryRun - Only render the payload of each board
+ * @param {string} options.priority - Queue priority of the requests
+ * @returns {Promise<Object>} - { success, policy, method, uri, duration, summary, results };
+ *                              per board { device, path, status, success, code, error, duration, rollback }
+ */
+export async function bulkPush(deviceManager, options = {}) {
+    const {
+        devices = [],
+        uri = '/c',
+        payload = null,
+        variables = {},
+        deviceVariables = {},
+        policy = 'continue',
+        dryRun = false,
+        priority
+    } = options;
+    const method = (options.method || 'IPATCH').toUpperCase();
+    const concurrency = Math.max(1, Number(options.concurrency) || devices.length);
+
+    if (!Array.isArray(devices) || devices.length === 0) {
+        throw bulkError('No devices selected');
+    }
+    if (!METHODS.includes(method)) {
+        throw bulkError(`Unknown bulk method '${method}': use ${METHODS.join(', ')}`);
+    }
+    if (!POLICIES.includes(policy)) {
+        throw bulkError(`Unknown failure policy '${policy}': use ${POLICIES.join(', ')}`);
+    }
+
+    // Resolve and render everything first
+    const seen = new Set();
+    const targets = devices.map((ref, index) => {
+        const device = deviceManager.getDevice(ref);
+        if (!device) {
+            throw bulkError(`Device not found: ${ref}`, 132);
+        }
+        if (seen.has(device.devicePath)) {
+            throw bulkError(`${ref} is selected twice`);
+        }
+        seen.add(device.devicePath);
+
+        const info = deviceManager.describe(device);
+        const own = deviceVariables[ref] ?? deviceVariables[info.path] ?? deviceVariables[info.id] ??
+            (info.alias ? deviceVariables[info.alias] : undefined) ?? {};
+        const values = { path: info.path, id: info.id, alias: info.alias, serialNumber: info.serialNumber, index, ...variables, ...own };
+        try {
+            return { ref, path: device.devicePath, payload: renderTemplate(payload, values), before: null };
+        } catch (error) {
+            throw bulkError(`${ref}: ${error.message}`);
+        }
+    });
+
+    const started = Date.now();
+    const results = targets.map(target => ({
+        device: target.ref,
+        path: target.path,
+        status: dryRun ? 'dry-run' : 'pending',
+        success: dryRun,
+        code: null,
+        error: null,
+        duration: 0,
+        rollback: null,
+        ...(dryRun && { payload: target.payload })
+    }));
+    if (dryRun) {
+        return outcomeOf(results, { policy, method, uri, dryRun, started });
+    }
+
+    const batch = `bulk-${++batches}`;
+    const running = new Map();   // index -> requestId
+    let stopped = false;
+    let next = 0;
+
+    const stop = (failed) => {
+        stopped = true;
+        console.log(`[Bulk] ${targets[failed].path} failed, stopping ${batch} (${policy})`);
+        for (const [index, requestId] of running) {
+            try {
+                deviceManager.cancelRequest(targets[index].path, requestId);
+            } catch (error) {
+                // Device gone: its request fails by itself
+            }
+        }
+    };
+
+    const push = async (index) => {
+        const target = targets[index];
+        const result = results[index];
+        const t0 = Date.now();
+        result.status = 'running';
+
+        try {
+            if (policy === 'rollback') {
+                target.before = await deviceManager.readConfig(target.path, { priority });
+            }
+            if (stopped) {
+                result.status = 'skipped';
+                return;
+            }
+
+            const requestId = `${batch}-${index}`;
+            running.set(index, requestId);
+            const response = await deviceManager.executeRequest(target.path, method, uri, target.payload, { priority, requestId, meta: true });
+            Object.assign(result, { status: 'ok', success: true, code: response.code });
+        } catch (error) {
+            Object.assign(result, {
+                status: error.cancelled ? 'cancelled' : 'failed',
+                code: typeof error.code === 'number' ? error.code : null,
+                error: error.message
+            });
+            if (policy !== 'continue' && !stopped) {
+                stop(index);
+            }
+        } finally {
+            running.delete(index);
+            result.duration = Date.now() - t0;
+        }
+    };
+
+    const worker = async () => {
+        while (next < targets.length) {
+            const index = next++;
+            if (stopped) {
+                results[index].status = 'skipped';
+                continue;
+            }
+            await push(index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, targets.length) }, worker));
+
+    // A cancelled request may have reached the board before it was aborted
+    if (policy === 'rollback' && stopped) {
+        await Promise.all(results.map(async (result, index) => {
+            const { path, before } = targets[index];
+            if (!before || !['ok', 'cancelled'].includes(result.status)) {
+                return;
+            }
+            const t0 = Date.now();
+            let failed;
+            try {
+                [failed] = (await deviceManager.restoreConfig(path, before, { mode: 'replace', priority: 'interactive' }))
+                    .filter(r => !r.success);
+            } catch (error) {
+                // Board gone or the configuration could not be encoded: the other rollbacks go on
+                failed = { code: typeof error.code === 'number' ? error.code : null, error: error.message };
+            }
+            result.status = failed ? 'rollback-failed' : 'rolled-back';
+            result.success = false;
+            result.rollback = { success: !failed, code: failed ? failed.code : 68, error: failed ? failed.error : null, duration: Date.now() - t0 };
+        }));
+    }
+
+    const outcome = outcomeOf(results, { policy, method, uri, dryRun, started });
+    console.log(`[Bulk] ${method} ${uri} to ${targets.length} device(s) (${policy}): ${outcome.summary.ok} ok in ${outcome.duration}ms`);
+    return outcome;
+}
+
+/**
+ * Overall answer of a push, with a count of the boards per status
+ */
+function outcomeOf(results, { started, ...request }) {
+    const summary = { ok: 0 };
+    for (const result of results) {
+        summary[result.status] = (summary[result.status] || 0) + 1;
+    }
+    return {
+        success: results.every(result => result.success),
+        ...request,
+        duration: Date.now() - started,
+        summary,
+        results
+    };
+}
+
+export default bulkPush;
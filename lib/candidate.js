@@ -0,0 +1,766 @@
+/**
+ * Candidate Configuration
+ *
+ * Instead of going to the board one by one, edits to a device's configuration
+ * collect in a server-side candidate (like the NETCONF candidate datastore,
+ * RFC 6241 Section 8.3). validate() applies them to a copy of the running
+ * configuration and checks the result; commit() sends them as one iPATCH,
+ * in edit order, which the board applies all or nothing.
+ *
+ * A confirmed commit (RFC 6241 Section 8.4) keeps the configuration from
+ * before the commit and writes back the nodes it changed unless confirm() is
+ * called within the timeout, so a change that cuts the board off its network
+ * undoes itself.
+ *
+ * Edits:
+ *   { op: 'merge',   path: 'ietf-interfaces:interfaces/interface=eth0', value: { enabled: false } }
+ *   { op: 'replace', path: '.../gate-parameter-table/admin-control-list', value: { ... } }
+ *   { op: 'delete',  path: '.../bridge-vlan/vlan=10' }
+ *
+ * Candidates live in memory: they and any pending confirm are lost when the
+ * server restarts (the pre-commit configuration is also saved as a snapshot).
+ */
+
+import { EventEmitter } from 'events';
+import { LIST_KEYS, listKeys, diffConfig } from './config-diff.js';
+
+const OPERATIONS = ['merge', 'replace', 'delete'];
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function localName(name) {
+    return name.slice(name.indexOf(':') + 1);
+}
+
+/**
+ * Error with a CoAP-style code (128 = 4.00, 132 = 4.04, 140 = 4.12)
+ */
+function candidateError(message, code = 128) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Split an RFC 8040 data path into { name, keys } segments
+ */
+function parseSegments(dataPath) {
+    return String(dataPath || '').split('/').filter(Boolean).map(segment => {
+        const eq = segment.indexOf('=');
+        return eq === -1
+            ? { name: decodeURIComponent(segment), keys: null }
+            : { name: decodeURIComponent(segment.slice(0, eq)), keys: segment.slice(eq + 1).split(',').map(decodeURIComponent) };
+    });
+}
+
+/**
+ * Keys of a list, as the board and config-diff.js see them
+ */
+function keysOf(name, entries) {
+    return listKeys(name, entries) || LIST_KEYS[localName(name)] || ['name'];
+}
+
+/**
+ * Key values from a path are strings; numeric ones (vid, index) are numbers in the tree
+ */
+function keyValue(text) {
+    return /^-?\d+$/.test(text) ? Number(text) : text;
+}
+
+/**
+ * Merge a name-keyed tree into another: containers recursively, list entries
+ * by key, leaves and leaf-lists replaced
+ */
+export function mergeTree(target, source) {
+    for (const [name, value] of Object.entries(source)) {
+        const current = target[name];
+
+        if (isObject(current) && isObject(value)) {
+            mergeTree(current, value);
+        } else if (Array.isArray(current) && Array.isArray(value) && value.every(isObject) && current.every(isObject)) {
+            const keys = keysOf(name, current);
+            for (const entry of value) {
+                const existing = current.find(e => keys.every(key => String(e[key]) === String(entry[key])));
+                if (existing) {
+                    mergeTree(existing, entry);
+                } else {
+                    current.push(structuredClone(entry));
+                }
+            }
+        } else {
+            target[name] = structuredClone(value);
+        }
+    }
+    return target;
+}
+
+/**
+ * Apply one edit to a name-keyed tree in place
+ * @param {Object} tree - Name-keyed tree, e.g. from DeviceManager.readConfig()
+ * @param {Object} edit - { op, path, value }
+ * @throws {Error} - When the path does not fit the tree or a deleted node is missing
+ */
+export function applyEdit(tree, { op, path, value }) {
+    const segments = parseSegments(path);
+    if (segments.length === 0 || !segments[0].name.includes(':')) {
+        throw candidateError(`'${path}' does not start with a module-qualified node`);
+    }
+    const missing = () => candidateError(`Nothing to delete at ${path}`, 132);
+
+    let container = tree;
+    let module = null;
+
+    for (let i = 0; i < segments.length; i++) {
+        const { name, keys } = segments[i];
+        const last = i === segments.length - 1;
+
+        // Members are prefixed only where the module changes (RFC 7951 Section 4)
+        const prefix = name.includes(':') ? name.slice(0, name.indexOf(':')) : null;
+        const member = prefix && prefix === module && !(name in container) ? localName(name) : name;
+        module = prefix || module;
+
+        if (keys) {
+            let list = container[member];
+            if (list !== undefined && !Array.isArray(list)) {
+                throw candidateError(`${member} in ${path} is not a list`);
+            }
+            if (list === undefined) {
+                if (op === 'delete') {
+                    throw missing();
+                }
+                list = container[member] = [];
+            }
+
+            const keyNames = keysOf(member, list);
+            if (keyNames.length !== keys.length) {
+                throw candidateError(`${member} has ${keyNames.length} key(s) (${keyNames.join(', ')}), ${path} gives ${keys.length}`);
+            }
+            const index = list.findIndex(entry => keyNames.every((key, k) => String(entry[key]) === keys[k]));
+            const keyed = () => Object.fromEntries(keyNames.map((key, k) => [key, keyValue(keys[k])]));
+
+            if (!last) {
+                if (index === -1) {
+                    if (op === 'delete') {
+                        throw missing();
+                    }
+                    list.push(keyed());
+                }
+                container = list[index === -1 ? list.length - 1 : index];
+                continue;
+            }
+
+            if (op === 'delete') {
+                if (index === -1) {
+                    throw missing();
+                }
+                list.splice(index, 1);
+            } else if (!isObject(value)) {
+                throw candidateError(`A list entry (${path}) takes an object`);
+            } else if (index === -1) {
+                list.push({ ...keyed(), ...structuredClone(value) });
+            } else if (op === 'replace') {
+                list[index] = { ...pick(list[index], keyNames), ...structuredClone(value) };
+            } else {
+                mergeTree(list[index], value);
+            }
+            return;
+        }
+
+        if (last) {
+            if (op === 'delete') {
+                if (!(member in container)) {
+                    throw missing();
+                }
+                delete container[member];
+            } else if (op === 'merge' && isObject(container[member]) && isObject(value)) {
+                mergeTree(container[member], value);
+            } else {
+                container[member] = structuredClone(value);
+            }
+            return;
+        }
+
+        if (container[member] === undefined) {
+            if (op === 'delete') {
+                throw missing();
+            }
+            container[member] = {};
+        }
+        if (!isObject(container[member])) {
+            throw candidateError(`${member} in ${path} is not a container`);
+        }
+        container = container[member];
+    }
+}
+
+function pick(entry, keys) {
+    return Object.fromEntries(keys.map(key => [key, entry[key]]));
+}
+
+/**
+ * Node at a data path in a name-keyed tree
+ * @returns {*} - undefined when it does not exist
+ */
+function nodeAt(tree, dataPath) {
+    let node = tree;
+    for (const { name, keys } of parseSegments(dataPath)) {
+        node = isObject(node) ? node[name] : undefined;
+        if (keys) {
+            const keyNames = Array.isArray(node) ? keysOf(name, node) : [];
+            node = Array.isArray(node)
+                ? node.find(entry => keyNames.every((key, k) => String(entry[key]) === keys[k]))
+                : undefined;
+        }
+        if (node === undefined) {
+            return undefined;
+        }
+    }
+    return node;
+}
+
+/**
+ * Edits that take a configuration back from after to before, node by node:
+ * changed leaves get their old value, nodes that only exist after are deleted,
+ * nodes that only existed before are written back whole. Entries of a list
+ * without keys cannot be addressed, so such a list is replaced as a whole.
+ * @param {Object} before - Name-keyed tree to go back to
+ * @param {Object} after - Name-keyed tree on the board now
+ * @returns {Array} - { op, path, value } edits, deletes first
+ */
+export function revertEdits(before, after) {
+    const edits = new Map();   // path -> edit
+
+    for (const { path, status } of diffConfig(before, after)) {
+        if (status === 'unchanged') {
+            continue;
+        }
+        const positional = path.search(/\[\d+\](\/|$)/);
+        const target = positional === -1 ? path : path.slice(0, positional);
+
+        // Highest node that exists on one side only, else the leaf (or unkeyed list) itself
+        const segments = target.split('/');
+        let node = target;
+        for (let i = 1; i <= segments.length; i++) {
+            const prefix = segments.slice(0, i).join('/');
+            if (nodeAt(before, prefix) === undefined || nodeAt(after, prefix) === undefined) {
+                node = prefix;
+                break;
+            }
+        }
+        if (edits.has(node)) {
+            continue;
+        }
+
+        const value = nodeAt(before, node);
+        if (value === undefined) {
+            edits.set(node, { op: 'delete', path: node });
+        } else if (positional !== -1 && node === target && nodeAt(after, node) !== undefined) {
+            edits.set(node, { op: 'replace', path: node, value: structuredClone(value) });
+        } else {
+            edits.set(node, { op: 'merge', path: node, value: structuredClone(value) });
+        }
+    }
+
+    const all = [...edits.values()];
+    return [...all.filter(edit => edit.op === 'delete'), ...all.filter(edit => edit.op !== 'delete')];
+}
+
+/**
+ * Check a configuration for changes that would take a board off the network:
+ * VLAN ids, and gate control lists (IEEE 802.1Qbv) that do not fit their cycle
+ * @returns {Array} - { path, message } per problem
+ */
+export function checkConfig(tree) {
+    const problems = [];
+    walk(tree, '', (name, node, path) => {
+        const local = localName(name);
+
+        if (local === 'vlan' && Array.isArray(node)) {
+            const seen = new Set();
+            for (const entry of node) {
+                if (!isVid(entry.vid)) {
+                    problems.push({ path, message: `VLAN id ${JSON.stringify(entry.vid)} is not 1-4094` });
+                } else if (seen.has(entry.vid)) {
+                    problems.push({ path: `${path}=${entry.vid}`, message: `VLAN ${entry.vid} appears twice` });
+                }
+                seen.add(entry.vid);
+            }
+        }
+
+        if (local === 'pvid' && !isVid(node)) {
+            problems.push({ path, message: `PVID ${JSON.stringify(node)} is not 1-4094` });
+        }
+
+        if (local === 'gate-parameter-table' && isObject(node)) {
+            problems.push(...checkGateParameters(node, path));
+        }
+    });
+    return problems;
+}
+
+function isVid(value) {
+    return Number.isInteger(Number(value)) && value !== '' && Number(value) >= 1 && Number(value) <= 4094;
+}
+
+/**
+ * Visit every member of a tree with its data path
+ */
+function walk(node, path, visit) {
+    if (!isObject(node)) {
+        return;
+    }
+    for (const [name, child] of Object.entries(node)) {
+        const childPath = path ? `${path}/${name}` : name;
+        visit(name, child, childPath);
+
+        if (Array.isArray(child) && child.every(isObject)) {
+            const keys = keysOf(name, child);
+            child.forEach((entry, i) => {
+                const id = keys.every(key => key in entry)
+                    ? keys.map(key => encodeURIComponent(String(entry[key]))).join(',')
+                    : null;
+                walk(entry, id ? `${childPath}=${id}` : `${childPath}[${i}]`, visit);
+            });
+        } else {
+            walk(child, childPath, visit);
+        }
+    }
+}
+
+function checkGateParameters(table, path) {
+    const problems = [];
+    const problem = (message) => problems.push({ path, message });
+
+    const states = table['admin-gate-states'];
+    if (states !== undefined && !isOctet(states)) {
+        problem(`admin-gate-states ${JSON.stringify(states)} is not 0-255`);
+    }
+
+    const list = table['admin-control-list'];
+    const entries = Array.isArray(list?.['gate-control-entry']) ? list['gate-control-entry'] : [];
+    const length = table['admin-control-list-length'];
+    if (length !== undefined && Number(length) !== entries.length) {
+        problem(`admin-control-list-length is ${length} but the list has ${entries.length} entries`);
+    }
+    if (table['gate-enabled'] === true && entries.length === 0) {
+        problem('Gates are enabled with an empty admin-control-list: every queue would stay closed');
+    }
+
+    const indexes = new Set();
+    let total = 0;
+    for (const entry of entries) {
+        if (indexes.has(entry.index)) {
+            problem(`gate-control-entry ${entry.index} appears twice`);
+        }
+        indexes.add(entry.index);
+
+        if (!isOctet(entry['gate-states-value'])) {
+            problem(`gate-control-entry ${entry.index}: gate-states-value ${JSON.stringify(entry['gate-states-value'])} is not 0-255`);
+        }
+        const interval = Number(entry['time-interval-value']);
+        if (!Number.isInteger(interval) || interval <= 0) {
+            problem(`gate-control-entry ${entry.index}: time-interval-value must be a positive number of nanoseconds`);
+        } else {
+            total += interval;
+        }
+    }
+
+    // admin-cycle-time is a rational number of seconds
+    const cycle = table['admin-cycle-time'];
+    if (isObject(cycle) && cycle.numerator !== undefined) {
+        const numerator = Number(cycle.numerator);
+        const denominator = Number(cycle.denominator ?? 1);
+        if (!(numerator > 0) || !(denominator > 0)) {
+            problem('admin-cycle-time must be positive');
+        } else {
+            const cycleNs = numerator * 1e9 / denominator;
+            if (total > cycleNs) {
+                problem(`The gate control entries add up to ${total} ns, longer than the ${cycleNs} ns cycle`);
+            }
+        }
+    }
+    return problems;
+}
+
+function isOctet(value) {
+    return Number.isInteger(Number(value)) && value !== '' && Number(value) >= 0 && Number(value) <= 255;
+}
+
+export class CandidateStore extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {DeviceManager} options.deviceManager
+     * @param {SnapshotStore} options.snapshots - Keeps the pre-commit configuration of
+     *                                            confirmed commits (optional)
+     */
+    constructor(options = {}) {
+        super();
+        this.deviceManager = options.deviceManager;
+        this.snapshots = options.snapshots || null;
+        this.candidates = new Map();   // devicePath -> { edits, nextId, pending }
+
+        // A rollback that failed because the board was gone is retried when it is back,
+        // found by its device ID as it may come back on another tty
+        for (const event of ['device-added', 'device-connected', 'device-info-updated']) {
+            this.deviceManager.on(event, info => this.retryRollback(info));
+        }
+    }
+
+    /**
+     * Retry the failed rollbacks of a device that is connected (again)
+     * A rollback that failed under another path moves to the device's new path.
+     * @param {Object} info - DeviceManager.describe() of the device
+     */
+    retryRollback({ path, id, connected }) {
+        if (!connected || !id) {
+            return;
+        }
+        for (const [previous, state] of [...this.candidates]) {
+            if (state.pending?.state !== 'rollback-failed' || state.pending.deviceId !== id) {
+                continue;
+            }
+            if (previous !== path) {
+                const target = this.candidate(path).state;
+                if (target.pending) {
+                    continue;
+                }
+                target.pending = state.pending;
+                state.pending = null;
+                console.log(`[Candidate] Rollback of ${id} moves from ${previous} to ${path}`);
+            }
+            this.rollback(path).catch(() => {});
+        }
+    }
+
+    /**
+     * Candidate of a device, created on first use
+     * @param {string} ref - Device path, ID or alias
+     */
+    candidate(ref) {
+        const device = this.deviceManager.getDevice(ref);
+        if (!device) {
+            throw candidateError(`Device not found: ${ref}`, 132);
+        }
+        if (!this.candidates.has(device.devicePath)) {
+            this.candidates.set(device.devicePath, { edits: [], nextId: 1, pending: null, committing: false });
+        }
+        return { path: device.devicePath, state: this.candidates.get(device.devicePath) };
+    }
+
+    /**
+     * Edits and the pending confirm of a device
+     * @returns {Object} - { path, edits, confirm }; confirm is null or
+     *                     { state, deadline, remaining, snapshotId, error }
+     */
+    describe(ref) {
+        const { path, state } = this.candidate(ref);
+        return { path, edits: state.edits, confirm: this.describePending(state.pending) };
+    }
+
+    describePending(pending) {
+        if (!pending) {
+            return null;
+        }
+        return {
+            state: pending.state,
+            committedAt: pending.committedAt,
+            deadline: pending.deadline,
+            remaining: pending.state === 'pending' ? Math.max(0, pending.deadline - Date.now()) : 0,
+            snapshotId: pending.snapshotId,
+            error: pending.error
+        };
+    }
+
+    /**
+     * Add an edit at the end of the candidate
+     * The path must resolve to SIDs, or the commit could not send it.
+     * @param {Object} edit - { op, path, value }
+     * @returns {Object} - The stored edit with its id
+     */
+    addEdit(ref, { op = 'merge', path, value } = {}) {
+        const { state } = this.candidate(ref);
+
+        if (!OPERATIONS.includes(op)) {
+            throw candidateError(`Unknown edit operation '${op}': use ${OPERATIONS.join(', ')}`);
+        }
+        if (op !== 'delete' && value === undefined) {
+            throw candidateError(`A ${op} edit needs a value`);
+        }
+        this.deviceManager.parseDataPath(path);
+
+        const edit = {
+            id: state.nextId++,
+            op,
+            path: path.replace(/^\/+/, ''),
+            ...(op !== 'delete' && { value }),
+            addedAt: new Date().toISOString()
+        };
+        state.edits.push(edit);
+        return edit;
+    }
+
+    /**
+     * Drop one edit
+     * @returns {boolean} - Whether it existed
+     */
+    removeEdit(ref, id) {
+        const { state } = this.candidate(ref);
+        const index = state.edits.findIndex(edit => edit.id === Number(id));
+        if (index === -1) {
+            return false;
+        }
+        state.edits.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Drop every edit
+     * @returns {number} - How many there were
+     */
+    discard(ref) {
+        const { state } = this.candidate(ref);
+        const count = state.edits.length;
+        state.edits = [];
+        return count;
+    }
+
+    /**
+     * Apply the edits to the running configuration and check the result
+     * @returns {Promise<Object>} - { valid, errors: [{ edit, path, message }], changes, running, candidate }
+     *                              changes are the config-diff.js entries that differ
+     */
+    async validate(ref, options = {}) {
+        const { path, state } = this.candidate(ref);
+        const edits = [...state.edits];
+
+        const running = await this.deviceManager.readConfig(path, options);
+        const candidate = structuredClone(running);
+        const errors = [];
+
+        for (const edit of edits) {
+            try {
+                this.deviceManager.parseDataPath(edit.path);
+                applyEdit(candidate, edit);
+            } catch (error) {
+                errors.push({ edit: edit.id, path: edit.path, message: error.message });
+            }
+        }
+        for (const problem of checkConfig(candidate)) {
+            errors.push({ edit: null, ...problem });
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors,
+            edits,
+            changes: diffConfig(running, candidate).filter(entry => entry.status !== 'unchanged'),
+            running,
+            candidate
+        };
+    }
+
+    /**
+     * Validate and send the edits to the board as one ordered iPATCH
+     * @param {Object} options - { confirmTimeout } seconds before an unconfirmed commit
+     *                           is rolled back (none: commit for good), plus executeRequest() options
+     * @returns {Promise<Object>} - { path, edits, changes, confirm }
+     * @throws {Error} - 4.00 with error.errors when the candidate is invalid,
+     *                   4.12 while another commit runs or waits for its confirm
+     */
+    async commit(ref, options = {}) {
+        const { confirmTimeout, ...requestOptions } = options;
+        const { path, state } = this.candidate(ref);
+
+        if (state.committing) {
+            throw candidateError(`Another commit on ${path} is in progress`, 140);
+        }
+        if (state.pending) {
+            throw candidateError(`A commit on ${path} is waiting to be confirmed or rolled back`, 140);
+        }
+        if (state.edits.length === 0) {
+            throw candidateError('The candidate has no edits');
+        }
+        const timeout = confirmTimeout === undefined || confirmTimeout === null || confirmTimeout === '' ? null : Number(confirmTimeout);
+        if (timeout !== null && !(timeout > 0)) {
+            throw candidateError('confirmTimeout must be a positive number of seconds');
+        }
+
+        // Claimed before the first await, so a second commit cannot validate the same edits
+        state.committing = true;
+        try {
+            return await this.commitEdits(path, state, timeout, requestOptions);
+        } finally {
+            state.committing = false;
+        }
+    }
+
+    /**
+     * Validate and write one commit (see commit())
+     */
+    async commitEdits(path, state, timeout, requestOptions) {
+        const result = await this.validate(path, requestOptions);
+        if (!result.valid) {
+            const error = candidateError(`The candidate is not valid: ${result.errors[0].message}`);
+            error.errors = result.errors;
+            throw error;
+        }
+
+        await this.deviceManager.executeRequest(path, 'IPATCH', '/c', this.instancesOf(result.edits), requestOptions);
+
+        // Edits added while the commit was in flight stay in the candidate
+        state.edits = state.edits.filter(edit => !result.edits.includes(edit));
+        console.log(`[Candidate] Committed ${result.edits.length} edit(s) to ${path}${timeout !== null ? `, rollback in ${timeout}s unless confirmed` : ''}`);
+
+        // Only a write that went through has something to roll back
+        let pending = null;
+        if (timeout !== null) {
+            pending = {
+                state: 'pending',
+                committedAt: new Date().toISOString(),
+                deadline: Date.now() + timeout * 1000,
+                deviceId: this.deviceManager.getDevice(path)?.id || null,
+                before: result.running,
+                after: result.candidate,
+                subtrees: [...new Set(result.edits.map(edit => edit.path.split('/')[0].split('=')[0]))],
+                snapshotId: this.savePreCommit(path, result.running),
+                timer: null,
+                error: null
+            };
+            pending.timer = setTimeout(() => this.expire(path, pending), timeout * 1000);
+            pending.timer.unref?.();
+            state.pending = pending;
+        }
+
+        const committed = { path, edits: result.edits.length, changes: result.changes.length, confirm: this.describePending(pending) };
+        this.emit('committed', committed);
+        return { ...committed, changes: result.changes };
+    }
+
+    /**
+     * iPATCH instances of edits, in order; a replace is a delete then a write of the node
+     */
+    instancesOf(edits) {
+        const instances = [];
+        for (const edit of edits) {
+            const identifier = this.deviceManager.parseDataPath(edit.path);
+            if (edit.op !== 'merge') {
+                instances.push({ ...identifier, value: null });
+            }
+            if (edit.op !== 'delete') {
+                instances.push({ ...identifier, value: edit.value });
+            }
+        }
+        return instances;
+    }
+
+    /**
+     * Keep a confirmed commit in the snapshot store, named after the device
+     * @returns {string|null} - Snapshot id
+     */
+    savePreCommit(path, running) {
+        if (!this.snapshots) {
+            return null;
+        }
+        try {
+            const device = this.deviceManager.describe(this.deviceManager.getDevice(path));
+            return this.snapshots.create(running, {
+                name: `pre-commit ${device.alias || device.id || path} ${new Date().toISOString().slice(0, 19).replace('T', ' ')}`,
+                note: 'Saved by a confirmed commit',
+                device
+            }).id;
+        } catch (error) {
+            console.warn(`[Candidate] Cannot save the pre-commit snapshot of ${path}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Keep a confirmed commit; also gives up on a rollback that failed
+     * @throws {Error} - 4.12 when no commit waits for a confirm
+     */
+    confirm(ref) {
+        const { path, state } = this.candidate(ref);
+        if (!['pending', 'rollback-failed'].includes(state.pending?.state)) {
+            throw candidateError(`No commit on ${path} is waiting to be confirmed`, 140);
+        }
+
+        clearTimeout(state.pending.timer);
+        state.pending = null;
+        console.log(`[Candidate] Commit on ${path} confirmed`);
+        this.emit('confirmed', { path });
+        return { path };
+    }
+
+    /**
+     * Roll back a commit whose confirm timeout ran out
+     * When the rollback cannot even start (e.g. the device is gone), the commit
+     * is marked rollback-failed like any other failed rollback.
+     */
+    expire(path, pending) {
+        const reason = 'Not confirmed in time';
+        this.rollback(path, reason).catch(error => {
+            if (pending.state === 'pending') {
+                this.rollbackFailed(path, pending, reason, error);
+            }
+        });
+    }
+
+    rollbackFailed(path, pending, reason, error) {
+        pending.state = 'rollback-failed';
+        pending.error = error.message;
+        console.error(`[Candidate] Rollback of ${path} failed:`, error.message);
+        this.emit('rollback-failed', { path, reason, error: error.message });
+    }
+
+    /**
+     * Write the pre-commit configuration back, only the nodes the commit changed
+     * (see revertEdits()), in one iPATCH
+     * Called when the confirm timeout runs out, or early to undo a commit.
+     * A failed rollback stays pending and is retried when the device reconnects.
+     * @returns {Promise<Object>} - { path, reason, subtrees, nodes, snapshotId }
+     */
+    async rollback(ref, reason = 'Rolled back') {
+        const { path, state } = this.candidate(ref);
+        const pending = state.pending;
+        if (!pending) {
+            throw candidateError(`No commit on ${path} to roll back`, 140);
+        }
+        if (pending.state === 'rolling-back') {
+            throw candidateError(`The commit on ${path} is being rolled back`, 140);
+        }
+
+        clearTimeout(pending.timer);
+        pending.state = 'rolling-back';
+
+        let edits;
+        try {
+            edits = revertEdits(pending.before, pending.after);
+            const instances = this.instancesOf(edits);
+            if (instances.length > 0) {
+                await this.deviceManager.executeRequest(path, 'IPATCH', '/c', instances, { priority: 'interactive' });
+            }
+        } catch (error) {
+            this.rollbackFailed(path, pending, reason, error);
+            throw error;
+        }
+
+        state.pending = null;
+        console.log(`[Candidate] ${reason}: restored ${edits.length} node(s) under ${pending.subtrees.join(', ')} on ${path}`);
+        const result = { path, reason, subtrees: pending.subtrees, nodes: edits.map(edit => edit.path), snapshotId: pending.snapshotId };
+        this.emit('rolled-back', result);
+        return result;
+    }
+
+    /**
+     * Stop the confirm timers (pending commits are neither confirmed nor rolled back)
+     */
+    shutdown() {
+        for (const { pending } of this.candidates.values()) {
+            clearTimeout(pending?.timer);
+        }
+    }
+}
+
+export default CandidateStore;
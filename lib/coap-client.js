@@ -7,16 +7,44 @@
  * Reference: https://datatracker.ietf.org/doc/html/rfc9254
  */
 
-import { encode as cborEncode, decode as cborDecode } from 'cbor-x';
+import { encode as cborEncode, decode as cborDecode, Encoder, Decoder } from 'cbor-x';
+import { randomBytes } from 'crypto';
+import { EventEmitter } from 'events';
+
+// SID-keyed payloads need integer map keys on the wire and Maps when decoding
+const sidEncoder = new Encoder({ mapsAsObjects: false, useTag259ForMaps: false });
+const sidDecoder = new Decoder({ mapsAsObjects: false });
 
 export class CoAPClient {
-    constructor(protocol, serial) {
+    /**
+     * @param {MUP1Protocol} protocol - MUP1 framing
+     * @param {SerialPort} serial - Port to write frames to
+     * @param {SIDRegistry} sidRegistry - Translates SID-keyed payloads to names (optional)
+     */
+    constructor(protocol, serial, sidRegistry = null) {
         this.protocol = protocol;
         this.serial = serial;
+        this.sidRegistry = sidRegistry;
         this.messageId = Math.floor(Math.random() * 0xFFFF);
-        this.token = 0;
-        this.pendingRequests = new Map();
-        this.receiveBuffer = Buffer.alloc(0);
+        this.tokenLength = 4;  // Random token per exchange (RFC 7252 Section 5.3.1)
+        this.pendingRequests = new Map();  // token (hex) -> pending exchange
+        this.observations = new Map();     // token (hex) -> Observation (RFC 7641)
+        this.recentMessageIds = new Map(); // received MID -> { receivedAt, reply } for deduplication
+
+        // Transmission parameters (RFC 7252 Section 4.8)
+        this.ACK_TIMEOUT = 2000;
+        this.ACK_RANDOM_FACTOR = 1.5;
+        this.MAX_RETRANSMIT = 4;
+        this.EXCHANGE_LIFETIME = 247000;
+        this.DEFAULT_TIMEOUT = 30000;
+
+        // CoAP message types (RFC 7252 Section 3)
+        this.TYPES = {
+            CON: 0,
+            NON: 1,
+            ACK: 2,
+            RST: 3
+        };
 
         // CoAP method codes (RFC 7252 Section 12.1.1)
         this.METHODS = {
@@ -44,9 +72,11 @@ export class CoAPClient {
             132: '4.04 Not Found',
             133: '4.05 Method Not Allowed',
             134: '4.06 Not Acceptable',
+            137: '4.09 Conflict',
             140: '4.12 Precondition Failed',
             141: '4.13 Request Entity Too Large',
             143: '4.15 Unsupported Content-Format',
+            150: '4.22 Unprocessable Entity',
             160: '5.00 Internal Server Error',
             161: '5.01 Not Implemented',
             162: '5.02 Bad Gateway',
@@ -61,6 +91,7 @@ export class CoAPClient {
             URI_HOST: 3,
             ETAG: 4,
             IF_NONE_MATCH: 5,
+            OBSERVE: 6,
             URI_PORT: 7,
             LOCATION_PATH: 8,
             URI_PATH: 11,
@@ -70,81 +101,909 @@ export class CoAPClient {
             ACCEPT: 17,
             LOCATION_QUERY: 20,
             PROXY_URI: 35,
+            BLOCK2: 23,
+            BLOCK1: 27,
+            SIZE2: 28,
             PROXY_SCHEME: 39,
             SIZE1: 60
         };
 
-        // Content-Format for YANG Data + CBOR (RFC 9254)
+        // Option value formats (RFC 7252 Section 5.10, RFC 7959 Section 2.1)
+        // number -> [JSON key, format]
+        this.OPTION_DEFS = {
+            1: ['ifMatch', 'opaque'],
+            3: ['uriHost', 'string'],
+            4: ['etag', 'opaque'],
+            5: ['ifNoneMatch', 'empty'],
+            6: ['observe', 'uint'],
+            7: ['uriPort', 'uint'],
+            8: ['locationPath', 'string'],
+            11: ['uriPath', 'string'],
+            12: ['contentFormat', 'uint'],
+            14: ['maxAge', 'uint'],
+            15: ['uriQuery', 'string'],
+            17: ['accept', 'uint'],
+            20: ['locationQuery', 'string'],
+            23: ['block2', 'block'],
+            27: ['block1', 'block'],
+            28: ['size2', 'uint'],
+            35: ['proxyUri', 'string'],
+            39: ['proxyScheme', 'string'],
+            60: ['size1', 'uint']
+        };
+
+        // Options that may appear more than once (decoded as arrays)
+        this.REPEATABLE_OPTIONS = new Set([1, 4, 8, 11, 15, 20]);
+
+        // CoAP Content-Formats (RFC 7252 Section 12.3, RFC 9254)
+        this.CONTENT_FORMATS = {
+            0: 'text/plain; charset=utf-8',
+            40: 'application/link-format',
+            42: 'application/octet-stream',
+            50: 'application/json',
+            60: 'application/cbor',
+            260: 'application/yang-data+cbor; id=sid',
+            261: 'application/yang-identifiers+cbor',
+            262: 'application/yang-instances+cbor-seq'
+        };
+
+        // Content-Formats for CORECONF (RFC 9254)
         this.CONTENT_FORMAT_YANG_CBOR = 260;
+        this.CONTENT_FORMAT_YANG_IDENTIFIERS = 261;
+        this.CONTENT_FORMAT_YANG_INSTANCES = 262;
+
+        // Default Content-Format/Accept per method (RFC 9254 Section 4)
+        //   FETCH  - list of instance identifiers in, instances out
+        //   iPATCH - instances (null value deletes)
+        this.METHOD_FORMATS = {
+            GET: { accept: 260 },
+            FETCH: { contentFormat: 261, accept: 262 },
+            IPATCH: { contentFormat: 262 },
+            PUT: { contentFormat: 260 },
+            POST: { contentFormat: 260 },
+            PATCH: { contentFormat: 260 }
+        };
+
+        // Block-wise transfer (RFC 7959)
+        // Block size is 2^(SZX + 4) bytes: SZX 0 = 16 bytes ... SZX 6 = 1024 bytes
+        this.MAX_BLOCK_SZX = 6;
+        this.blockSzx = this.MAX_BLOCK_SZX;   // Preferred SZX for Block1 (request bodies)
+        this.block2Szx = null;                // Early Block2 negotiation (null = let the server choose)
+        this.maxBlockwiseRestarts = 3;        // Restarts allowed when the ETag changes mid-transfer
+
+        // Observe (RFC 7641 Section 3.4): notifications older than this are always accepted
+        this.OBSERVE_FRESHNESS = 128000;
     }
 
     /**
      * Send CoAP request
+     *
+     * Request bodies larger than one block are sent with Block1 and responses
+     * carrying Block2 are reassembled, so callers always see the complete payload.
+     *
      * @param {string} method - HTTP-style method name
      * @param {string} uri - Resource URI (e.g., '/c' or '/c?d=a')
      * @param {*} payload - CBOR-serializable payload (optional)
-     * @param {number} timeout - Request timeout in ms
+     * @param {Object} options - Per-request overrides
+     * @param {number} options.timeout - Time to wait for each response in ms
+     * @param {number} options.ackTimeout - Initial retransmission timeout in ms
+     * @param {number} options.maxRetransmit - Retransmissions before giving up
+     * @param {number} options.observe - Observe option value (0 = register, 1 = deregister)
+     * @param {Buffer} options.token - Token to use instead of a random one (Observe)
+     * @param {number} options.contentFormat - Override the method's default Content-Format
+     * @param {number} options.accept - Override the method's default Accept
+     * @param {AbortSignal} options.signal - Abort the request, also between block-wise exchanges
+     * @param {Array<string>} options.etags - Hex ETags of cached representations; a 2.03 Valid
+     *                                        answer means one of them is current (RFC 7252 Section 5.10.6.2)
      * @returns {Promise} - Resolves with response payload
      */
-    async request(method, uri = '/c', payload = null, timeout = 30000) {
-        // Get next message ID
-        const mid = this.messageId++;
-        if (this.messageId > 0xFFFF) this.messageId = 1;
+    async request(method, uri = '/c', payload = null, options = {}) {
+        const response = await this.requestWithMeta(method, uri, payload, options);
+        return response.payload;
+    }
+
+    /**
+     * Send CoAP request and keep the response metadata
+     * @returns {Promise<Object>} - { code, codeName, options, payload }
+     *   where options are decoded by name (see decodeOptions)
+     */
+    async requestWithMeta(method, uri = '/c', payload = null, options = {}) {
+        const ctx = this.createContext(method, uri, payload, options);
+
+        // Observe, ETags and a caller-chosen token apply to the first exchange only
+        // (the first block of a block-wise body); block-wise continuations use
+        // fresh tokens (RFC 7959 Section 2.6)
+        const first = { options: [], token: options.token };
+        if (options.observe !== undefined) {
+            first.options.push({ number: this.OPTIONS.OBSERVE, value: this.encodeUint(options.observe) });
+        }
+        for (const etag of options.etags || []) {
+            first.options.push({ number: this.OPTIONS.ETAG, value: Buffer.from(etag, 'hex') });
+        }
+
+        let response;
+        if (ctx.body && ctx.body.length > this.blockSize(this.blockSzx)) {
+            response = await this.sendBlock1(ctx, this.blockSzx, first);
+        } else {
+            response = await this.exchange(ctx, ctx.body, [...this.initialBlock2Options(ctx), ...first.options], first.token);
+
+            // Server wants smaller blocks for this body (RFC 7959 Section 2.9.3)
+            const block1 = this.getBlockOption(response, this.OPTIONS.BLOCK1);
+            if (response.code === 141 && block1 && ctx.body) {
+                console.log(`[CoAP] Server requested Block1 SZX=${block1.szx}, retrying block-wise`);
+                response = await this.sendBlock1(ctx, block1.szx, first);
+            }
+        }
 
+        response = await this.receiveBlock2(ctx, response);
+
+        if (response.codeClass !== 2) {
+            throw this.createResponseError(response);
+        }
+
+        return this.toResult(response, ctx);
+    }
+
+    /**
+     * Create request context shared by all exchanges of one request
+     */
+    createContext(method, uri, payload, options = {}) {
         const methodCode = this.METHODS[method.toUpperCase()];
         if (!methodCode) {
             throw new Error(`Unknown CoAP method: ${method}`);
         }
 
+        const formats = this.METHOD_FORMATS[method.toUpperCase()] || {};
+        const contentFormat = options.contentFormat ?? formats.contentFormat ?? null;
+
+        return {
+            method: method.toUpperCase(),
+            methodCode,
+            uri,
+            contentFormat,
+            accept: options.accept ?? formats.accept ?? null,
+            body: this.encodePayload(payload, contentFormat),
+            timeout: options.timeout ?? this.DEFAULT_TIMEOUT,
+            ackTimeout: options.ackTimeout ?? this.ACK_TIMEOUT,
+            maxRetransmit: options.maxRetransmit ?? this.MAX_RETRANSMIT,
+            signal: options.signal || null,
+            block1: null   // Last Block1 option sent, if the body went block-wise
+        };
+    }
+
+    /**
+     * Convert a parsed (and reassembled) response into the result handed to callers
+     */
+    toResult(response, ctx = null) {
+        const options = this.decodeOptions(response.options);
+        return {
+            code: response.code,
+            codeName: response.codeName,
+            options,
+            payload: this.decodePayload(response.payload, options.contentFormat ?? ctx?.accept)
+        };
+    }
+
+    /**
+     * Observe a resource (RFC 7641)
+     *
+     * The returned Observation emits 'notification' with the same shape as
+     * requestWithMeta() results, 'error' when the server ends the observation
+     * with an error code, and 'end' when it is no longer observed.
+     * If the server does not support Observe, the first response is delivered
+     * and the observation ends immediately.
+     *
+     * @param {string} method - GET or FETCH
+     * @param {string} uri - Resource URI
+     * @param {*} payload - FETCH selector (optional)
+     * @param {Object} options - Per-request overrides (see request)
+     * @returns {Promise<Observation>} - Resolves once registration is answered
+     */
+    async observe(method, uri, payload = null, options = {}) {
+        const token = this.generateToken();
+        const observation = new Observation(this, token, method.toUpperCase(), uri, payload);
+
+        // Register before sending so early notifications are not rejected
+        this.observations.set(observation.key, observation);
+
+        let result;
+        try {
+            result = await this.requestWithMeta(method, uri, payload, { ...options, observe: 0, token });
+        } catch (error) {
+            this.observations.delete(observation.key);
+            throw error;
+        }
+
+        if (result.options.observe === undefined) {
+            console.log(`[CoAP] ${uri} is not observable, delivering single response`);
+            this.observations.delete(observation.key);
+            observation.active = false;
+        } else {
+            observation.sequence = result.options.observe;
+            observation.receivedAt = Date.now();
+            console.log(`[CoAP] Observing ${method} ${uri} (Token=${observation.key})`);
+        }
+
+        // Deliver after the caller had a chance to attach listeners
+        setImmediate(() => {
+            observation.emit('notification', result);
+            if (!observation.active) {
+                observation.emit('end');
+            }
+        });
+
+        return observation;
+    }
+
+    /**
+     * Deregister an observation (RFC 7641 Section 3.6)
+     * Sends the original request with Observe=1 and the same token.
+     */
+    async cancelObservation(observation) {
+        if (!this.observations.delete(observation.key)) {
+            return;
+        }
+        observation.active = false;
+
+        try {
+            await this.requestWithMeta(observation.method, observation.uri, observation.payload, {
+                observe: 1,
+                token: observation.token
+            });
+        } catch (error) {
+            // Reactive cancellation still happens: later notifications get RST
+            console.warn(`[CoAP] Deregistration of ${observation.uri} failed:`, error.message);
+        }
+
+        console.log(`[CoAP] Observation cancelled: ${observation.uri}`);
+        observation.emit('end');
+    }
+
+    /**
+     * Handle a notification for an active observation
+     */
+    async handleNotification(observation, response) {
+        // Server ended the observation with an error, or stopped including Observe
+        if (response.codeClass !== 2) {
+            this.observations.delete(observation.key);
+            observation.active = false;
+            if (observation.listenerCount('error') > 0) {
+                observation.emit('error', this.createResponseError(response));
+            }
+            observation.emit('end');
+            return;
+        }
+
+        const sequence = this.getOptionValue(response, this.OPTIONS.OBSERVE);
+        const now = Date.now();
+
+        if (sequence !== null) {
+            const value = this.decodeUint(sequence);
+            if (!this.isNewerNotification(value, now, observation)) {
+                console.log(`[CoAP] Reordered notification dropped (Observe=${value}, last=${observation.sequence})`);
+                return;
+            }
+            observation.sequence = value;
+            observation.receivedAt = now;
+        } else {
+            this.observations.delete(observation.key);
+            observation.active = false;
+        }
+
+        try {
+            // Large notifications carry only the first block; fetch the rest with plain requests
+            const ctx = this.createContext(observation.method, observation.uri, observation.payload);
+            const complete = await this.receiveBlock2(ctx, response);
+            observation.emit('notification', this.toResult(complete, ctx));
+        } catch (error) {
+            console.warn(`[CoAP] Failed to complete notification for ${observation.uri}:`, error.message);
+        }
+
+        if (!observation.active) {
+            observation.emit('end');
+        }
+    }
+
+    /**
+     * Notification ordering (RFC 7641 Section 3.4)
+     */
+    isNewerNotification(value, now, observation) {
+        const last = observation.sequence;
+        if (last === null) {
+            return true;
+        }
+        return (last < value && value - last < 2 ** 23) ||
+               (last > value && last - value > 2 ** 23) ||
+               now > observation.receivedAt + this.OBSERVE_FRESHNESS;
+    }
+
+    /**
+     * Send a single CoAP message and wait for the matching response
+     * @param {Object} ctx - Request context (method, uri, timeout)
+     * @param {Buffer|null} body - Encoded payload for this message
+     * @param {Array} extraOptions - Additional options [{ number, value }]
+     * @param {Buffer} token - Token to use (defaults to a fresh random token)
+     * @returns {Promise<Object>} - Parsed response (payload left undecoded)
+     */
+    exchange(ctx, body, extraOptions = [], token = null) {
+        // Fail fast while the link is down instead of waiting for the timeout
+        if (!this.serial || !this.serial.isOpen) {
+            return Promise.reject(new Error(`Not connected: ${ctx.method} ${ctx.uri}`));
+        }
+        if (ctx.signal?.aborted) {
+            return Promise.reject(ctx.signal.reason);
+        }
+
+        // Get next message ID and a fresh token
+        const mid = this.nextMessageId();
+        token = token || this.generateToken();
+        const key = token.toString('hex');
+
+        // Content-Format describes this message's body; Accept applies to every exchange
+        const formatOptions = [];
+        if (body && ctx.contentFormat !== null) {
+            formatOptions.push({ number: this.OPTIONS.CONTENT_FORMAT, value: this.encodeUint(ctx.contentFormat) });
+        }
+        if (ctx.accept !== null) {
+            formatOptions.push({ number: this.OPTIONS.ACCEPT, value: this.encodeUint(ctx.accept) });
+        }
+
         // Build CoAP message
-        const message = this.buildMessage(methodCode, uri, payload, mid);
+        const message = this.buildMessage(ctx.methodCode, ctx.uri, body, mid, [...formatOptions, ...extraOptions], token);
 
         // Encapsulate in MUP1 frame
         const frame = this.protocol.createCoapFrame(message);
 
-        console.log(`[CoAP] ${method} ${uri} (MID=${mid})`);
+        console.log(`[CoAP] ${ctx.method} ${ctx.uri} (MID=${mid}, Token=${key})`);
         console.log(`[CoAP] Frame hex: ${frame.toString('hex')}`);
         console.log(`[CoAP] Message hex: ${message.toString('hex')}`);
 
         // Create pending request promise
         const promise = new Promise((resolve, reject) => {
             const timeoutHandle = setTimeout(() => {
-                if (this.pendingRequests.has(mid)) {
-                    this.pendingRequests.delete(mid);
-                    reject(new Error(`Request timeout after ${timeout}ms: ${method} ${uri}`));
+                const pending = this.pendingRequests.get(key);
+                if (pending) {
+                    clearTimeout(pending.retransmitHandle);
+                    this.pendingRequests.delete(key);
+                    reject(new Error(`Request timeout after ${ctx.timeout}ms: ${ctx.method} ${ctx.uri}`));
                 }
-            }, timeout);
+            }, ctx.timeout);
 
-            this.pendingRequests.set(mid, {
+            this.pendingRequests.set(key, {
                 resolve,
                 reject,
                 timeout: timeoutHandle,
-                method,
-                uri,
+                retransmitHandle: null,
+                retransmits: 0,
+                messageId: mid,
+                acked: false,   // Empty ACK received, waiting for separate response
+                method: ctx.method,
+                uri: ctx.uri,
                 sentAt: Date.now()
             });
         });
 
-        // Send frame over serial
+        // Aborted: stop retransmitting; a late response finds no exchange and is ignored
+        if (ctx.signal) {
+            const onAbort = () => {
+                const pending = this.pendingRequests.get(key);
+                if (pending) {
+                    clearTimeout(pending.timeout);
+                    clearTimeout(pending.retransmitHandle);
+                    this.pendingRequests.delete(key);
+                    console.log(`[CoAP] Aborted ${ctx.method} ${ctx.uri} (MID=${mid}, Token=${key})`);
+                    pending.reject(ctx.signal.reason);
+                }
+            };
+            ctx.signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(
+                () => ctx.signal.removeEventListener('abort', onAbort),
+                () => ctx.signal.removeEventListener('abort', onAbort)
+            );
+        }
+
+        // Send frame over serial, retransmitting until ACKed (RFC 7252 Section 4.2)
         this.serial.write(frame);
 
+        const initialTimeout = ctx.ackTimeout * (1 + Math.random() * (this.ACK_RANDOM_FACTOR - 1));
+        this.scheduleRetransmit(key, frame, ctx, initialTimeout);
+
         return promise;
     }
 
+    /**
+     * Fail every pending exchange and end every observation at once
+     * (the serial link is gone, nothing will be answered)
+     */
+    failAll(error) {
+        for (const pending of this.pendingRequests.values()) {
+            clearTimeout(pending.timeout);
+            clearTimeout(pending.retransmitHandle);
+            pending.reject(error);
+        }
+        this.pendingRequests.clear();
+
+        for (const observation of this.observations.values()) {
+            observation.active = false;
+            // Still registering: nobody listens yet, observe() rejects instead
+            if (observation.listenerCount('error') > 0) {
+                observation.emit('error', error);
+            }
+            observation.emit('end');
+        }
+        this.observations.clear();
+        this.recentMessageIds.clear();
+    }
+
+    /**
+     * Retransmit a CON request with exponential back-off
+     * @param {string} key - Token (hex) of the pending exchange
+     * @param {Buffer} frame - MUP1 frame to resend
+     * @param {Object} ctx - Request context (maxRetransmit)
+     * @param {number} delay - Time to wait before this retransmission
+     */
+    scheduleRetransmit(key, frame, ctx, delay) {
+        const pending = this.pendingRequests.get(key);
+        if (!pending) return;
+
+        pending.retransmitHandle = setTimeout(() => {
+            if (this.pendingRequests.get(key) !== pending || pending.acked) {
+                return;
+            }
+
+            if (pending.retransmits >= ctx.maxRetransmit) {
+                clearTimeout(pending.timeout);
+                this.pendingRequests.delete(key);
+                pending.reject(new Error(`No response after ${pending.retransmits} retransmissions: ${pending.method} ${pending.uri}`));
+                return;
+            }
+
+            pending.retransmits++;
+            console.log(`[CoAP] Retransmit ${pending.retransmits}/${ctx.maxRetransmit} (MID=${pending.messageId}, Token=${key})`);
+            this.serial.write(frame);
+
+            this.scheduleRetransmit(key, frame, ctx, delay * 2);
+        }, delay);
+    }
+
+    /**
+     * Remember a received message ID; returns the earlier entry if it is a duplicate
+     * (RFC 7252 Section 4.5)
+     */
+    checkDuplicate(message) {
+        const now = Date.now();
+
+        // Drop entries older than EXCHANGE_LIFETIME (Map keeps insertion order)
+        for (const [mid, entry] of this.recentMessageIds) {
+            if (now - entry.receivedAt < this.EXCHANGE_LIFETIME) break;
+            this.recentMessageIds.delete(mid);
+        }
+
+        const previous = this.recentMessageIds.get(message.messageId);
+        if (previous && previous.type === message.type) {
+            return previous;
+        }
+
+        this.recentMessageIds.delete(message.messageId);
+        this.recentMessageIds.set(message.messageId, { receivedAt: now, type: message.type, reply: null });
+        return null;
+    }
+
+    /**
+     * Allocate next message ID (16-bit, wraps around)
+     */
+    nextMessageId() {
+        const mid = this.messageId++;
+        if (this.messageId > 0xFFFF) this.messageId = 1;
+        return mid;
+    }
+
+    /**
+     * Generate random request token
+     */
+    generateToken() {
+        let token;
+        do {
+            token = randomBytes(this.tokenLength);
+        } while (this.pendingRequests.has(token.toString('hex')) || this.observations.has(token.toString('hex')));
+        return token;
+    }
+
+    /**
+     * Find pending exchange by the message ID of its request
+     * @returns {Array|null} - [tokenKey, pending]
+     */
+    findPendingByMessageId(messageId) {
+        for (const entry of this.pendingRequests.entries()) {
+            if (entry[1].messageId === messageId) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Send request body block-wise using Block1 (RFC 7959 Section 2.5)
+     * @param {Object} ctx - Request context
+     * @param {number} szx - Initial block size exponent
+     * @param {Object} first - { options, token } for block 0 (observe, ETags, caller's token)
+     * @returns {Promise<Object>} - Response to the final block
+     */
+    async sendBlock1(ctx, szx, first = { options: [], token: undefined }) {
+        const body = ctx.body;
+        let offset = 0;
+        let restarts = 0;
+
+        while (true) {
+            const size = this.blockSize(szx);
+            const num = offset / size;
+            const chunk = body.subarray(offset, offset + size);
+            const more = offset + size < body.length;
+
+            const block1 = { num, more, szx };
+            const options = [{ number: this.OPTIONS.BLOCK1, value: this.encodeBlockValue(block1) }];
+            if (num === 0) {
+                // Announce the total size so the server can refuse early (Size1)
+                options.push({ number: this.OPTIONS.SIZE1, value: this.encodeUint(body.length) }, ...first.options);
+            }
+            if (!more) {
+                options.push(...this.initialBlock2Options(ctx));
+            }
+
+            ctx.block1 = block1;
+            const response = await this.exchange(ctx, chunk, options, num === 0 ? first.token : undefined);
+            const ack = this.getBlockOption(response, this.OPTIONS.BLOCK1);
+
+            // 4.13 with a Block1 option: start again with the size the server asks for
+            if (response.code === 141 && ack && ack.szx < szx && restarts++ < this.maxBlockwiseRestarts) {
+                console.log(`[CoAP] Block1 too large, restarting with SZX=${ack.szx}`);
+                szx = ack.szx;
+                offset = 0;
+                continue;
+            }
+
+            if (!more || response.code !== 95) {
+                // Final response, or the server gave up part-way through
+                return response;
+            }
+
+            offset += size;
+
+            // Late negotiation: server acknowledged with a smaller block size
+            if (ack && ack.szx < szx) {
+                szx = ack.szx;
+            }
+        }
+    }
+
+    /**
+     * Fetch remaining blocks of a Block2 response and reassemble the payload
+     * (RFC 7959 Section 2.4)
+     * @param {Object} ctx - Request context
+     * @param {Object} first - First response (may or may not carry Block2)
+     * @returns {Promise<Object>} - Response with the complete payload
+     */
+    async receiveBlock2(ctx, first) {
+        let response = first;
+        let restarts = 0;
+
+        restart: while (true) {
+            let block2 = this.getBlockOption(response, this.OPTIONS.BLOCK2);
+            if (response.codeClass !== 2 || !block2 || !block2.more) {
+                return response;
+            }
+
+            const head = response;
+            const etag = this.getOptionValue(response, this.OPTIONS.ETAG);
+            const chunks = [response.payload || Buffer.alloc(0)];
+            let received = chunks[0].length;
+
+            while (block2.more) {
+                const szx = block2.szx;
+                const num = received / this.blockSize(szx);
+
+                const next = await this.exchange(ctx, this.block2RequestBody(ctx), this.block2Options(ctx, { num, more: false, szx }));
+                if (next.codeClass !== 2) {
+                    return next;
+                }
+
+                // Representation changed while we were reading it: start over
+                const nextEtag = this.getOptionValue(next, this.OPTIONS.ETAG);
+                if (etag && nextEtag && !etag.equals(nextEtag)) {
+                    if (restarts++ >= this.maxBlockwiseRestarts) {
+                        throw new Error(`Resource kept changing during block-wise transfer: ${ctx.method} ${ctx.uri}`);
+                    }
+                    console.warn(`[CoAP] ETag changed during Block2 transfer, restarting ${ctx.uri}`);
+                    response = await this.exchange(ctx, this.block2RequestBody(ctx), this.block2Options(ctx, { num: 0, more: false, szx }));
+                    continue restart;
+                }
+
+                block2 = this.getBlockOption(next, this.OPTIONS.BLOCK2);
+                if (!block2) {
+                    throw new Error(`Block2 option missing in continuation of ${ctx.uri}`);
+                }
+
+                const chunk = next.payload || Buffer.alloc(0);
+                chunks.push(chunk);
+                received += chunk.length;
+                response = next;
+            }
+
+            console.log(`[CoAP] Block2 transfer complete: ${received} bytes in ${chunks.length} blocks`);
+
+            // Observe is only carried by the first block (RFC 7959 Section 2.6)
+            const observe = head.options.find(o => o.number === this.OPTIONS.OBSERVE);
+            const options = observe ? [...response.options.filter(o => o.number !== this.OPTIONS.OBSERVE), observe] : response.options;
+            return { ...response, options, payload: Buffer.concat(chunks) };
+        }
+    }
+
+    /**
+     * Options for the first request of an exchange (early Block2 negotiation)
+     */
+    initialBlock2Options(ctx) {
+        if (this.block2Szx === null) {
+            return [];
+        }
+        return [{ number: this.OPTIONS.BLOCK2, value: this.encodeBlockValue({ num: 0, more: false, szx: this.block2Szx }) }];
+    }
+
+    /**
+     * Options for a Block2 continuation request
+     */
+    block2Options(ctx, block2) {
+        const options = [{ number: this.OPTIONS.BLOCK2, value: this.encodeBlockValue(block2) }];
+        if (ctx.block1) {
+            // Combined Block1/Block2: repeat the last Block1 option (RFC 7959 Section 3.3)
+            options.push({ number: this.OPTIONS.BLOCK1, value: this.encodeBlockValue(ctx.block1) });
+        }
+        return options;
+    }
+
+    /**
+     * Body to repeat in Block2 continuation requests
+     * FETCH needs its selector on every request; block-wise bodies are not resent.
+     */
+    block2RequestBody(ctx) {
+        if (ctx.block1) {
+            return null;
+        }
+        return ctx.method === 'FETCH' ? ctx.body : null;
+    }
+
+    /**
+     * Block size in bytes for a given SZX
+     */
+    blockSize(szx) {
+        return 1 << (szx + 4);
+    }
+
+    /**
+     * Encode Block1/Block2 option value: NUM | M | SZX
+     */
+    encodeBlockValue({ num, more, szx }) {
+        return this.encodeUint((num << 4) | (more ? 0x08 : 0) | (szx & 0x07));
+    }
+
+    /**
+     * Decode Block1/Block2 option value
+     */
+    decodeBlockValue(value) {
+        const raw = this.decodeUint(value);
+        return {
+            num: Math.floor(raw / 16),
+            more: (raw & 0x08) !== 0,
+            szx: raw & 0x07
+        };
+    }
+
+    /**
+     * Get decoded block option from a parsed response
+     */
+    getBlockOption(response, number) {
+        const value = this.getOptionValue(response, number);
+        return value ? this.decodeBlockValue(value) : null;
+    }
+
+    /**
+     * Get the raw value of the first option with the given number
+     */
+    getOptionValue(response, number) {
+        const option = response.options?.find(o => o.number === number);
+        return option ? option.value : null;
+    }
+
+    /**
+     * Encode unsigned integer option value (minimal length, RFC 7252 Section 3.2)
+     */
+    encodeUint(value) {
+        const bytes = [];
+        while (value > 0) {
+            bytes.unshift(value & 0xFF);
+            value = Math.floor(value / 256);
+        }
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * Decode unsigned integer option value
+     */
+    decodeUint(buffer) {
+        let value = 0;
+        for (const byte of buffer) {
+            value = value * 256 + byte;
+        }
+        return value;
+    }
+
+    /**
+     * Encode request payload as CBOR (Buffers are sent as-is)
+     *
+     * yang-identifiers / yang-instances bodies are CBOR sequences: arrays are
+     * sent as one item per element (see SIDRegistry.encodeIdentifier/encodeInstance)
+     * and a name-keyed object becomes one instance per top-level node.
+     *
+     * @param {*} payload - Data to encode
+     * @param {number} contentFormat - Content-Format of the request body
+     */
+    encodePayload(payload, contentFormat = null) {
+        if (payload === null || payload === undefined) {
+            return null;
+        }
+        if (Buffer.isBuffer(payload)) {
+            return payload;
+        }
+
+        if (contentFormat === this.CONTENT_FORMAT_YANG_IDENTIFIERS) {
+            const identifiers = Array.isArray(payload) ? payload : [payload];
+            return this.encodeSequence(identifiers.map(id => this.requireRegistry(id).encodeIdentifier(id)));
+        }
+
+        if (contentFormat === this.CONTENT_FORMAT_YANG_INSTANCES && !Array.isArray(payload) && !(this.sidRegistry?.size > 0)) {
+            // No SID files loaded: send the name-keyed tree unchanged
+            return Buffer.from(cborEncode(payload));
+        }
+
+        if (contentFormat === this.CONTENT_FORMAT_YANG_INSTANCES) {
+            const registry = this.requireRegistry(payload);
+            const instances = Array.isArray(payload)
+                ? payload.map(instance => registry.encodeInstance(instance))
+                : registry.treeToInstances(payload);
+            return this.encodeSequence(instances);
+        }
+
+        if (this.sidRegistry && this.sidRegistry.size > 0 && typeof payload === 'object') {
+            // Member names -> SID deltas (RFC 9254 Section 3.2)
+            return Buffer.from(sidEncoder.encode(this.sidRegistry.toSid(payload)));
+        }
+        return Buffer.from(cborEncode(payload));
+    }
+
+    /**
+     * Encode a CBOR sequence (RFC 8742): items concatenated
+     */
+    encodeSequence(items) {
+        return Buffer.concat(items.map(item => Buffer.from(sidEncoder.encode(item))));
+    }
+
+    /**
+     * SID registry needed to translate names in CORECONF identifiers/instances
+     */
+    requireRegistry(payload) {
+        if (this.sidRegistry) {
+            return this.sidRegistry;
+        }
+        throw new Error('SID files are required to encode YANG identifiers/instances');
+    }
+
+    /**
+     * Decode response payload from CBOR
+     * @param {Buffer} payloadData - Raw payload
+     * @param {number} contentFormat - Content-Format of the response (if known)
+     */
+    decodePayload(payloadData, contentFormat = null) {
+        if (!payloadData || payloadData.length === 0) {
+            return null;
+        }
+        try {
+            if (contentFormat === this.CONTENT_FORMAT_YANG_INSTANCES || contentFormat === this.CONTENT_FORMAT_YANG_IDENTIFIERS) {
+                const items = sidDecoder.decodeMultiple(payloadData);
+                if (!this.sidRegistry) {
+                    return items;
+                }
+                return contentFormat === this.CONTENT_FORMAT_YANG_INSTANCES
+                    ? items.flatMap(item => this.sidRegistry.decodeInstances(item))
+                    : items.map(item => this.sidRegistry.decodeIdentifier(item));
+            }
+            if (this.sidRegistry) {
+                // SID deltas -> member names; unknown SIDs stay as absolute numbers
+                return this.sidRegistry.fromSid(sidDecoder.decode(payloadData));
+            }
+            return cborDecode(payloadData);
+        } catch (e) {
+            console.warn('[CoAP] Failed to decode CBOR payload:', e.message);
+            return payloadData;
+        }
+    }
+
+    /**
+     * Build error for a non-2.xx response
+     */
+    createResponseError(response) {
+        const error = new Error(response.codeName);
+        error.code = response.code;
+        error.options = this.decodeOptions(response.options);
+        error.payload = this.decodePayload(response.payload, error.options.contentFormat);
+        return error;
+    }
+
+    /**
+     * Decode raw options into a JSON-friendly object keyed by option name
+     *
+     * Opaque values become hex strings, Content-Format/Accept also get their
+     * media type name, repeatable options become arrays. Unknown options are
+     * kept under their number as hex.
+     *
+     * @param {Array} options - Raw options [{ number, value }]
+     * @returns {Object} - e.g. { etag: ['a1b2'], contentFormat: 260, block2: {...} }
+     */
+    decodeOptions(options = []) {
+        const decoded = {};
+
+        for (const { number, value } of options) {
+            const def = this.OPTION_DEFS[number];
+            const key = def ? def[0] : String(number);
+            const format = def ? def[1] : 'opaque';
+
+            let parsed;
+            switch (format) {
+                case 'uint':
+                    parsed = this.decodeUint(value);
+                    break;
+                case 'string':
+                    parsed = value.toString('utf-8');
+                    break;
+                case 'block': {
+                    const block = this.decodeBlockValue(value);
+                    parsed = { ...block, size: this.blockSize(block.szx) };
+                    break;
+                }
+                case 'empty':
+                    parsed = true;
+                    break;
+                default:
+                    parsed = value.toString('hex');
+            }
+
+            if (this.REPEATABLE_OPTIONS.has(number)) {
+                (decoded[key] ||= []).push(parsed);
+            } else {
+                decoded[key] = parsed;
+            }
+        }
+
+        for (const key of ['contentFormat', 'accept']) {
+            if (decoded[key] !== undefined) {
+                decoded[`${key}Name`] = this.CONTENT_FORMATS[decoded[key]] || 'unknown';
+            }
+        }
+
+        return decoded;
+    }
+
     /**
      * Build CoAP message
      */
-    buildMessage(methodCode, uri, payload, messageId) {
+    buildMessage(methodCode, uri, payload, messageId, extraOptions = [], token = Buffer.alloc(0)) {
         const message = [];
 
         // === Header (4 bytes) ===
 
         // Byte 0: Ver(2) | Type(2) | TKL(4)
         const version = 1;  // CoAP version 1
-        const type = 0;     // 0=Confirmable (CON)
-        const tokenLength = 0;  // No token for simplicity
+        const type = this.TYPES.CON;
 
-        message.push((version << 6) | (type << 4) | tokenLength);
+        message.push((version << 6) | (type << 4) | token.length);
 
         // Byte 1: Code (method or response)
         message.push(methodCode);
@@ -153,80 +1012,92 @@ export class CoAPClient {
         message.push((messageId >> 8) & 0xFF);
         message.push(messageId & 0xFF);
 
+        // === Token (0-8 bytes) ===
+        message.push(...token);
+
         // === Options ===
-        const options = this.encodeOptions(uri);
+        const options = this.encodeOptions(uri, extraOptions);
         message.push(...options);
 
         // === Payload ===
-        if (payload !== null && payload !== undefined) {
+        const encoded = this.encodePayload(payload);
+        if (encoded && encoded.length > 0) {
             // Payload marker
             message.push(0xFF);
-
-            // Encode payload as CBOR
-            let encoded;
-            if (Buffer.isBuffer(payload)) {
-                encoded = payload;
-            } else {
-                encoded = cborEncode(payload);
-            }
-
             message.push(...encoded);
         }
 
         return Buffer.from(message);
     }
 
+    /**
+     * Build empty message (ACK or RST, RFC 7252 Section 4.1)
+     * @param {number} type - TYPES.ACK or TYPES.RST
+     * @param {number} messageId - Message ID being acknowledged/rejected
+     */
+    buildEmptyMessage(type, messageId) {
+        return Buffer.from([
+            (1 << 6) | (type << 4),
+            0x00,
+            (messageId >> 8) & 0xFF,
+            messageId & 0xFF
+        ]);
+    }
+
+    /**
+     * Send empty ACK/RST for a message received from the board
+     */
+    sendEmpty(type, messageId) {
+        const seen = this.recentMessageIds.get(messageId);
+        if (seen) seen.reply = type;
+
+        const message = this.buildEmptyMessage(type, messageId);
+        this.serial.write(this.protocol.createCoapFrame(message));
+        console.log(`[CoAP] Sent ${type === this.TYPES.ACK ? 'ACK' : 'RST'} (MID=${messageId})`);
+    }
+
     /**
      * Encode CoAP options from URI
+     * @param {string} uri - Resource URI (path and query)
+     * @param {Array} extraOptions - Additional options [{ number, value }]
      */
-    encodeOptions(uri) {
-        const options = [];
+    encodeOptions(uri, extraOptions = []) {
+        const list = [];
 
         // Split URI into path and query
         const [pathPart, queryPart] = uri.split('?');
         const segments = (pathPart || '').split('/').filter(s => s);
 
-        let prevOptionNum = 0;
-
         // === Uri-Path options (option 11) ===
         for (const segment of segments) {
-            const optionDelta = this.OPTIONS.URI_PATH - prevOptionNum;
-            const optionLength = segment.length;
-
-            // Encode option delta and length
-            options.push(...this.encodeOptionHeader(optionDelta, optionLength));
-
-            // Encode segment value
-            for (let i = 0; i < segment.length; i++) {
-                options.push(segment.charCodeAt(i));
-            }
-
-            prevOptionNum = this.OPTIONS.URI_PATH;
+            list.push({ number: this.OPTIONS.URI_PATH, value: Buffer.from(segment) });
         }
 
-        // === Content-Format option (option 12) ===
-        // Always use YANG Data + CBOR (260 = 0x0104)
-        const cfDelta = this.OPTIONS.CONTENT_FORMAT - prevOptionNum;
-        options.push(...this.encodeOptionHeader(cfDelta, 2));
-        options.push(0x01);  // High byte of 260
-        options.push(0x04);  // Low byte of 260
-        prevOptionNum = this.OPTIONS.CONTENT_FORMAT;
-
         // === Uri-Query options (option 15) ===
         if (queryPart) {
             const queries = queryPart.split('&').filter(Boolean);
             for (const query of queries) {
-                const qDelta = this.OPTIONS.URI_QUERY - prevOptionNum;
-                const qLength = query.length;
+                list.push({ number: this.OPTIONS.URI_QUERY, value: Buffer.from(query) });
+            }
+        }
 
-                options.push(...this.encodeOptionHeader(qDelta, qLength));
+        // === Extra options (Content-Format, Accept, Block1, Block2, ...) ===
+        list.push(...extraOptions);
 
-                for (let i = 0; i < query.length; i++) {
-                    options.push(query.charCodeAt(i));
-                }
+        // Options must appear in ascending order (stable, so repeated options keep theirs)
+        list.sort((a, b) => a.number - b.number);
 
-                prevOptionNum = this.OPTIONS.URI_QUERY;
-            }
+        const options = [];
+        let prevOptionNum = 0;
+
+        for (const option of list) {
+            const optionDelta = option.number - prevOptionNum;
+
+            // Encode option delta and length, then the value
+            options.push(...this.encodeOptionHeader(optionDelta, option.value.length));
+            options.push(...option.value);
+
+            prevOptionNum = option.number;
         }
 
         return options;
@@ -303,35 +1174,45 @@ export class CoAPClient {
         const code = data[1];
         const messageId = (data[2] << 8) | data[3];
 
-        // Skip token
+        // Token
         let offset = 4 + tokenLength;
+        const token = data.slice(4, offset);
+
+        // Options (delta-encoded, terminated by the payload marker or end of message)
+        const options = [];
+        let optionNumber = 0;
+
+        while (offset < data.length && data[offset] !== 0xFF) {
+            const header = data[offset++];
+            let delta = header >> 4;
+            let length = header & 0x0F;
 
-        // Skip options (find payload marker 0xFF)
-        let payloadStart = data.length;
-        for (let i = offset; i < data.length; i++) {
-            if (data[i] === 0xFF) {
-                payloadStart = i + 1;
-                break;
+            if (delta === 15 || length === 15) {
+                throw new Error('Invalid CoAP option header');
             }
-        }
 
-        // Extract and decode payload
-        let payload = null;
-        if (payloadStart < data.length) {
-            const payloadData = data.slice(payloadStart);
-            try {
-                payload = cborDecode(payloadData);
-            } catch (e) {
-                console.warn('[CoAP] Failed to decode CBOR payload:', e.message);
-                payload = payloadData;
+            [delta, offset] = this.readOptionExtension(data, delta, offset);
+            [length, offset] = this.readOptionExtension(data, length, offset);
+
+            if (offset + length > data.length) {
+                throw new Error('CoAP option value exceeds message length');
             }
+
+            optionNumber += delta;
+            options.push({ number: optionNumber, value: data.slice(offset, offset + length) });
+            offset += length;
         }
 
+        // Payload (left as raw bytes; decoded after block-wise reassembly)
+        const payload = offset + 1 < data.length ? data.slice(offset + 1) : null;
+
         return {
             version,
             type,
             code,
             messageId,
+            token,
+            options,
             payload,
             codeClass: Math.floor(code / 32),
             codeName: this.RESPONSE_CODES[code] || `${Math.floor(code / 32)}.${String(code % 32).padStart(2, '0')}`
@@ -339,102 +1220,135 @@ export class CoAPClient {
     }
 
     /**
-     * Handle incoming serial data
+     * Read extended option delta/length (RFC 7252 Section 3.1)
+     * @returns {Array} - [value, newOffset]
      */
-    handleData(data) {
-        this.receiveBuffer = Buffer.concat([this.receiveBuffer, data]);
+    readOptionExtension(data, nibble, offset) {
+        if (nibble === 13) {
+            return [data[offset] + 13, offset + 1];
+        }
+        if (nibble === 14) {
+            return [((data[offset] << 8) | data[offset + 1]) + 269, offset + 2];
+        }
+        return [nibble, offset];
+    }
 
-        // Try to parse complete MUP1 frames
-        while (this.receiveBuffer.length > 0) {
-            // Find SOF marker
-            const sofIndex = this.receiveBuffer.indexOf(this.protocol.SOF);
-            if (sofIndex === -1) {
-                this.receiveBuffer = Buffer.alloc(0);
-                break;
-            }
+    /**
+     * Handle a decoded MUP1 frame (see MUP1Decoder)
+     * @param {Object} frame - { type, data, checksum, valid }
+     */
+    handleFrame(frame) {
+        if (frame.type === 'C') {
+            // CoAP response
+            this.handleCoapResponse(frame.data);
+        }
+    }
+
+    /**
+     * Handle CoAP response
+     */
+    handleCoapResponse(data) {
+        try {
+            const response = this.parseResponse(data);
 
-            // Discard data before SOF
-            if (sofIndex > 0) {
-                this.receiveBuffer = this.receiveBuffer.slice(sofIndex);
+            // Duplicate (retransmitted by the board or our retransmission answered twice):
+            // repeat our ACK/RST for CON messages, otherwise ignore
+            const duplicate = this.checkDuplicate(response);
+            if (duplicate) {
+                console.log(`[CoAP] Duplicate message ignored (MID=${response.messageId})`);
+                if (response.type === this.TYPES.CON && duplicate.reply !== null) {
+                    this.sendEmpty(duplicate.reply, response.messageId);
+                }
+                return;
             }
 
-            // Need at least 8 bytes for minimal frame
-            if (this.receiveBuffer.length < 8) {
-                break;
+            // Empty message: ACK without response (separate response follows) or RST
+            if (response.code === 0) {
+                this.handleEmptyMessage(response);
+                return;
             }
 
-            // Find EOF marker
-            const eofIndex = this.receiveBuffer.indexOf(this.protocol.EOF, 2);
-            if (eofIndex === -1) {
-                break;  // Wait for more data
+            // Requests from the board are not supported
+            if (response.codeClass === 0) {
+                if (response.type === this.TYPES.CON) {
+                    this.sendEmpty(this.TYPES.RST, response.messageId);
+                }
+                return;
             }
 
-            // Check if we have complete frame (including checksum)
-            const hasDoubleEof = this.receiveBuffer[eofIndex + 1] === this.protocol.EOF;
-            const checksumStart = hasDoubleEof ? eofIndex + 2 : eofIndex + 1;
-            const frameEnd = checksumStart + 4;
+            const key = response.token.toString('hex');
+            const pending = this.pendingRequests.get(key);
 
-            if (this.receiveBuffer.length < frameEnd) {
-                break;  // Wait for more data
-            }
+            // A piggybacked response must also carry the request's message ID
+            const matches = pending &&
+                (response.type !== this.TYPES.ACK || response.messageId === pending.messageId);
+            const observation = !matches && response.type !== this.TYPES.ACK ? this.observations.get(key) : null;
 
-            // Extract complete frame
-            const frameData = this.receiveBuffer.slice(0, frameEnd);
-            this.receiveBuffer = this.receiveBuffer.slice(frameEnd);
-
-            // Decode MUP1 frame
-            try {
-                const decoded = this.protocol.decodeFrame(frameData);
-
-                if (decoded.type === 'C') {
-                    // CoAP response
-                    this.handleCoapResponse(decoded.data);
-                } else if (decoded.type === 'A') {
-                    // Announcement message
-                    console.log('[MUP1] Announcement:', decoded.data.toString('utf-8'));
-                } else if (decoded.type === 'T') {
-                    // Trace message
-                    console.log('[MUP1] Trace:', decoded.data.toString('utf-8'));
-                }
-            } catch (error) {
-                console.error('[MUP1] Frame decode error:', error.message);
+            // Separate response in a CON message needs its own ACK (RFC 7252 Section 5.2.2);
+            // one we cannot match is rejected with RST
+            if (response.type === this.TYPES.CON) {
+                this.sendEmpty(matches || observation ? this.TYPES.ACK : this.TYPES.RST, response.messageId);
             }
-        }
-    }
 
-    /**
-     * Handle CoAP response
-     */
-    handleCoapResponse(data) {
-        try {
-            const response = this.parseResponse(data);
-            const pending = this.pendingRequests.get(response.messageId);
+            if (observation) {
+                this.handleNotification(observation, response);
+                return;
+            }
 
-            if (pending) {
+            if (matches) {
                 clearTimeout(pending.timeout);
-                this.pendingRequests.delete(response.messageId);
+                clearTimeout(pending.retransmitHandle);
+                this.pendingRequests.delete(key);
 
                 const rtt = Date.now() - pending.sentAt;
-                console.log(`[CoAP] ${response.codeName} (MID=${response.messageId}, RTT=${rtt}ms)`);
-
-                if (response.codeClass === 2) {
-                    // Success (2.xx)
-                    pending.resolve(response.payload);
-                } else {
-                    // Error (4.xx or 5.xx)
-                    const error = new Error(response.codeName);
-                    error.code = response.code;
-                    error.payload = response.payload;
-                    pending.reject(error);
-                }
+                const kind = response.type === this.TYPES.ACK ? 'piggybacked' : 'separate';
+                console.log(`[CoAP] ${response.codeName} (MID=${response.messageId}, Token=${key}, ${kind}, RTT=${rtt}ms)`);
+
+                // Resolve with the full response; request() maps error codes
+                // so that block-wise negotiation can inspect 4.13 responses
+                pending.resolve(response);
             } else {
-                console.warn(`[CoAP] Received response for unknown message ID: ${response.messageId}`);
+                // Also rejects notifications of observations we no longer want (RFC 7641 Section 3.6)
+                if (response.type === this.TYPES.NON) {
+                    this.sendEmpty(this.TYPES.RST, response.messageId);
+                }
+                console.warn(`[CoAP] Received response for unknown token: ${key || '(empty)'} (MID=${response.messageId})`);
             }
         } catch (error) {
             console.error('[CoAP] Response parse error:', error.message);
         }
     }
 
+    /**
+     * Handle empty ACK / RST for an outstanding request
+     */
+    handleEmptyMessage(message) {
+        const entry = this.findPendingByMessageId(message.messageId);
+        if (!entry) {
+            if (message.type !== this.TYPES.CON) {
+                console.warn(`[CoAP] Empty message for unknown message ID: ${message.messageId}`);
+            } else {
+                // CoAP ping from the board (RFC 7252 Section 4.3)
+                this.sendEmpty(this.TYPES.RST, message.messageId);
+            }
+            return;
+        }
+
+        const [key, pending] = entry;
+
+        if (message.type === this.TYPES.ACK) {
+            // Request received; stop retransmitting, the response will arrive separately
+            pending.acked = true;
+            clearTimeout(pending.retransmitHandle);
+            console.log(`[CoAP] Empty ACK (MID=${message.messageId}), awaiting separate response`);
+        } else if (message.type === this.TYPES.RST) {
+            clearTimeout(pending.timeout);
+            clearTimeout(pending.retransmitHandle);
+            this.pendingRequests.delete(key);
+            pending.reject(new Error(`Request reset by device: ${pending.method} ${pending.uri}`));
+        }
+    }
+
     /**
      * Convenience methods for HTTP-style requests
      */
@@ -446,6 +1360,16 @@ export class CoAPClient {
         return this.request('POST', uri, data);
     }
 
+    /**
+     * FETCH selected subtrees (RFC 9254 Section 4.2.4)
+     * @param {string} uri - Datastore resource (e.g. '/c')
+     * @param {Array} identifiers - Schema paths, { path, keys } objects or SIDs
+     * @returns {Promise<Array>} - Instances [{ path, keys, value }]
+     */
+    async fetch(uri, identifiers) {
+        return this.request('FETCH', uri, identifiers);
+    }
+
     async put(uri, data) {
         return this.request('PUT', uri, data);
     }
@@ -463,4 +1387,30 @@ export class CoAPClient {
     }
 }
 
+/**
+ * Active observation of a resource (RFC 7641)
+ * Events: 'notification' (result), 'error' (Error), 'end'
+ */
+class Observation extends EventEmitter {
+    constructor(client, token, method, uri, payload) {
+        super();
+        this.client = client;
+        this.token = token;
+        this.key = token.toString('hex');
+        this.method = method;
+        this.uri = uri;
+        this.payload = payload;
+        this.sequence = null;    // Last accepted Observe value
+        this.receivedAt = 0;     // Time of last accepted notification
+        this.active = true;
+    }
+
+    /**
+     * Stop observing (proactive deregistration)
+     */
+    cancel() {
+        return this.client.cancelObservation(this);
+    }
+}
+
 export default CoAPClient;
@@ -0,0 +1,216 @@
+/**
+ * YANG-aware Configuration Diff
+ *
+ * Compares two name-keyed datastore trees (as GET /c?d=a returns them) leaf
+ * by leaf. List entries are matched by their keys, not by array position, so
+ * an interface added in the middle of the list shows up as one added entry
+ * instead of every later entry changing. Leaf-lists are compared as sets.
+ *
+ * Every leaf is reported with a data path in RFC 8040 syntax, e.g.
+ *   ietf-interfaces:interfaces/interface=eth0/enabled
+ * and a status: added (right only), removed (left only), changed or unchanged.
+ */
+
+// Keys of the lists found on LAN9662 boards, by list name without module prefix
+export const LIST_KEYS = {
+    'interface': ['name'],
+    'component': ['name'],
+    'bridge': ['name'],
+    'bridge-port': ['name'],
+    'filtering-entry': ['database-id', 'vids', 'address'],
+    'vlan-registration-entry': ['database-id', 'vids'],
+    'vlan': ['vid'],
+    'vid-to-fid': ['vid'],
+    'fid-to-vid-allocation': ['fid'],
+    'gate-control-entry': ['index'],
+    'admin-control-list': ['index'],
+    'queue-max-sdu-table': ['traffic-class'],
+    'traffic-class-table': ['number-of-traffic-classes'],
+    'stream-filter-instance-table': ['stream-filter-instance-id'],
+    'stream-gate-instance-table': ['stream-gate-instance-id'],
+    'flow-meter-instance-table': ['flow-meter-instance-id'],
+    'stream-identity': ['index'],
+    'address': ['ip'],
+    'neighbor': ['ip'],
+    'server': ['name'],
+    'user': ['name']
+};
+
+// Tried in order for lists not in LIST_KEYS
+const KEY_CANDIDATES = ['name', 'id', 'index', 'vid'];
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isList(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(isObject);
+}
+
+function localName(name) {
+    return name.slice(name.indexOf(':') + 1);
+}
+
+/**
+ * Whether every entry has the members and they identify it uniquely
+ */
+function identifies(keys, entries) {
+    const seen = new Set();
+    for (const entry of entries) {
+        if (!keys.every(key => key in entry)) {
+            return false;
+        }
+        const id = JSON.stringify(keys.map(key => entry[key]));
+        if (seen.has(id)) {
+            return false;
+        }
+        seen.add(id);
+    }
+    return true;
+}
+
+/**
+ * Key members of a list: known keys, else the first of KEY_CANDIDATES or a
+ * '...-id' / '...-index' member that identifies the entries on both sides
+ * @returns {Array<string>|null} - null when entries can only be matched by position
+ */
+export function listKeys(name, left = [], right = []) {
+    const known = LIST_KEYS[localName(name)];
+    if (known && identifies(known, left) && identifies(known, right)) {
+        return known;
+    }
+
+    const members = Object.keys(left[0] || right[0] || {});
+    const candidates = [
+        ...KEY_CANDIDATES,
+        ...members.filter(member => /-(id|index)$/.test(member))
+    ];
+    const key = candidates.find(candidate => identifies([candidate], left) && identifies([candidate], right));
+    return key ? [key] : null;
+}
+
+/**
+ * Path segment of a list entry: 'interface=eth0', or 'entry[2]' when matched by position
+ */
+function entrySegment(name, keys, entry, index) {
+    if (!keys) {
+        return `${name}[${index}]`;
+    }
+    return `${name}=${keys.map(key => encodeURIComponent(String(entry[key]))).join(',')}`;
+}
+
+/**
+ * Compare two datastore trees
+ * @param {Object} left - Name-keyed tree
+ * @param {Object} right - Name-keyed tree
+ * @returns {Array} - One { path, status, left, right } per leaf, in tree order;
+ *                    left is missing for added leaves, right for removed ones
+ */
+export function diffConfig(left, right) {
+    const entries = [];
+    compare(left ?? {}, right ?? {}, '', entries);
+    return entries;
+}
+
+/**
+ * Count the entries by status
+ */
+export function summarize(entries) {
+    const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+    for (const entry of entries) {
+        summary[entry.status]++;
+    }
+    return summary;
+}
+
+function join(path, segment) {
+    return path ? `${path}/${segment}` : segment;
+}
+
+function compare(a, b, path, out) {
+    if (a === undefined) {
+        return flatten(b, path, 'added', out);
+    }
+    if (b === undefined) {
+        return flatten(a, path, 'removed', out);
+    }
+
+    if (isObject(a) && isObject(b)) {
+        const names = [...Object.keys(a), ...Object.keys(b).filter(name => !(name in a))];
+        for (const name of names) {
+            const child = join(path, name);
+            if (isList(a[name]) || isList(b[name])) {
+                compareList(name, a[name], b[name], path, out);
+            } else {
+                compare(a[name], b[name], child, out);
+            }
+        }
+        return;
+    }
+
+    const same = JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+    out.push({ path, status: same ? 'unchanged' : 'changed', left: a, right: b });
+}
+
+/**
+ * Match the entries of one list on both sides
+ */
+function compareList(name, a, b, path, out) {
+    const left = isList(a) ? a : [];
+    const right = isList(b) ? b : [];
+
+    // One side is not a list of entries at all (e.g. a leaf-list against a list)
+    if ((a !== undefined && !isList(a) && !(Array.isArray(a) && a.length === 0)) ||
+        (b !== undefined && !isList(b) && !(Array.isArray(b) && b.length === 0))) {
+        compare(a, b, join(path, name), out);
+        return;
+    }
+
+    const keys = listKeys(name, left, right);
+    const idOf = (entry, index) => keys ? JSON.stringify(keys.map(key => entry[key])) : String(index);
+    const rightById = new Map(right.map((entry, index) => [idOf(entry, index), entry]));
+    const matched = new Set();
+
+    left.forEach((entry, index) => {
+        const id = idOf(entry, index);
+        matched.add(id);
+        compare(entry, rightById.get(id), join(path, entrySegment(name, keys, entry, index)), out);
+    });
+    right.forEach((entry, index) => {
+        if (!matched.has(idOf(entry, index))) {
+            flatten(entry, join(path, entrySegment(name, keys, entry, index)), 'added', out);
+        }
+    });
+}
+
+/**
+ * Report every leaf under a node that exists on one side only
+ */
+function flatten(value, path, status, out) {
+    const side = status === 'added' ? 'right' : 'left';
+
+    if (isObject(value) && Object.keys(value).length > 0) {
+        for (const [name, child] of Object.entries(value)) {
+            if (isList(child)) {
+                const keys = listKeys(name, child);
+                child.forEach((entry, index) => flatten(entry, join(path, entrySegment(name, keys, entry, index)), status, out));
+            } else {
+                flatten(child, join(path, name), status, out);
+            }
+        }
+        return;
+    }
+    out.push({ path, status, [side]: value });
+}
+
+/**
+ * Leaf-lists are sets: compare them sorted
+ */
+function normalize(value) {
+    if (Array.isArray(value) && !value.some(item => item !== null && typeof item === 'object')) {
+        return [...value].map(item => JSON.stringify(item)).sort();
+    }
+    return value;
+}
+
+export default diffConfig;
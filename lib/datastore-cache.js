@@ -0,0 +1,173 @@
+/**
+ * Per-device Datastore Cache
+ *
+ * Keeps the last answer to each datastore read (GET or FETCH on /c) so that
+ * switching between UI tabs does not send a full GET /c?d=a over the UART
+ * every time.
+ *
+ *   - A copy is fresh for its Max-Age (RFC 7252 Section 5.10.5, default 60 s)
+ *     and is returned without asking the board.
+ *   - A stale copy, or one the caller wants refreshed, is revalidated: the
+ *     request carries its ETag and a 2.03 Valid answer keeps it
+ *     (RFC 7252 Section 5.10.6.2).
+ *   - A write marks the copies covering the changed top-level subtrees stale.
+ *
+ * Cached results are shared between callers and must be treated as read-only.
+ */
+
+const READ_METHODS = ['GET', 'FETCH'];
+
+/**
+ * Top-level node of a schema path: '/ietf-interfaces:interfaces/interface' -> 'ietf-interfaces:interfaces'
+ * Top-level nodes are always module-qualified; anything else (a SID) is not a path.
+ */
+function topLevel(path) {
+    const node = String(path).split('/').filter(Boolean)[0];
+    return node && node.includes(':') ? node : null;
+}
+
+/**
+ * Top-level subtrees a request payload touches
+ * Understands FETCH identifiers, iPATCH instances ({ path, ... }) and name-keyed
+ * trees; anything else (SID-keyed CBOR from the console, no payload) could touch
+ * anything.
+ * @returns {Set<string>|null} - null for the whole datastore
+ */
+export function subtreesOf(payload) {
+    let paths;
+
+    if (Array.isArray(payload)) {
+        paths = payload.map(item => typeof item === 'string' ? item : item?.path);
+    } else if (payload && typeof payload === 'object' && !(payload instanceof Map) && !Buffer.isBuffer(payload)) {
+        paths = Object.keys(payload);
+    } else {
+        return null;
+    }
+
+    const subtrees = new Set(paths.map(path => typeof path === 'string' ? topLevel(path) : null));
+    return subtrees.size === 0 || subtrees.has(null) ? null : subtrees;
+}
+
+export class DatastoreCache {
+    /**
+     * @param {Object} options
+     * @param {number} options.defaultMaxAge - Seconds a copy stays fresh when the board sends no Max-Age
+     * @param {number} options.maxEntries - Copies kept; the least recently used goes first
+     */
+    constructor(options = {}) {
+        this.defaultMaxAge = options.defaultMaxAge ?? 60;
+        this.maxEntries = options.maxEntries || 32;
+        this.entries = new Map();   // key -> { result, etags, subtrees, storedAt, expiresAt }
+        this.stats = { hits: 0, misses: 0, revalidated: 0, invalidated: 0 };
+    }
+
+    /**
+     * Whether a request is a datastore read that can be cached
+     */
+    isCacheable(method, uri) {
+        return READ_METHODS.includes(method.toUpperCase()) && uri.split('?')[0] === '/c';
+    }
+
+    key(method, uri, payload) {
+        return `${method.toUpperCase()} ${uri} ${payload ? JSON.stringify(payload) : ''}`;
+    }
+
+    /**
+     * Fresh copy of a read, if there is one
+     * @returns {Object|null} - The stored result with cache: 'hit' and its age in ms
+     */
+    lookup(method, uri, payload) {
+        const key = this.key(method, uri, payload);
+        const entry = this.entries.get(key);
+
+        if (!entry || Date.now() >= entry.expiresAt) {
+            this.stats.misses++;
+            return null;
+        }
+
+        // Most recently used last
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.stats.hits++;
+        return { ...entry.result, cache: 'hit', age: Date.now() - entry.storedAt };
+    }
+
+    /**
+     * ETags (hex) to send with a read, so the board can answer 2.03 Valid
+     */
+    validators(method, uri, payload) {
+        return this.entries.get(this.key(method, uri, payload))?.etags || [];
+    }
+
+    /**
+     * Store the answer to a read
+     * @param {Object} result - { code, codeName, options, payload } from CoAPClient.requestWithMeta()
+     * @returns {Object|null} - The result to hand to the caller: for 2.03 Valid the cached copy,
+     *                          or null when that copy is gone (ask again without ETags)
+     */
+    update(method, uri, payload, result) {
+        const key = this.key(method, uri, payload);
+        const maxAge = (result.options?.maxAge ?? this.defaultMaxAge) * 1000;
+        const etags = result.options?.etag || [];
+
+        if (result.code === 67) {
+            const entry = this.entries.get(key);
+            if (!entry || (etags.length > 0 && !etags.some(etag => entry.etags.includes(etag)))) {
+                return null;
+            }
+
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+            entry.expiresAt = Date.now() + maxAge;
+            this.stats.revalidated++;
+            return { ...entry.result, cache: 'revalidated', age: Date.now() - entry.storedAt };
+        }
+
+        this.entries.delete(key);
+        if (etags.length > 0 || maxAge > 0) {
+            this.entries.set(key, {
+                result,
+                etags,
+                subtrees: method.toUpperCase() === 'FETCH' ? subtreesOf(payload) : null,
+                storedAt: Date.now(),
+                expiresAt: Date.now() + maxAge
+            });
+            while (this.entries.size > this.maxEntries) {
+                this.entries.delete(this.entries.keys().next().value);
+            }
+        }
+        return { ...result, cache: 'miss', age: 0 };
+    }
+
+    /**
+     * A write went to the board: the copies it may have changed are stale
+     * They keep their ETags: when the board's copy did not change after all,
+     * the next read is still answered with a 2.03 Valid.
+     * @param {*} payload - The write's payload; omit to mark everything stale
+     */
+    invalidate(payload = null) {
+        const changed = subtreesOf(payload);
+
+        for (const entry of this.entries.values()) {
+            if (!changed || !entry.subtrees || [...entry.subtrees].some(subtree => changed.has(subtree))) {
+                if (entry.expiresAt > 0) {
+                    entry.expiresAt = 0;
+                    this.stats.invalidated++;
+                }
+            }
+        }
+    }
+
+    /**
+     * Forget everything
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    getStats() {
+        return { entries: this.entries.size, ...this.stats };
+    }
+}
+
+export default DatastoreCache;
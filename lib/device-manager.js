@@ -3,113 +3,913 @@
  *
  * Manages multiple LAN9662 boards connected via USB serial
  * Automatically detects and connects to all /dev/ttyACM* devices
+ * Simulated boards (see simulator.js) are attached as /sim/<name>
  */
 
+import { EventEmitter } from 'events';
 import { SerialPort } from 'serialport';
 import { MUP1Protocol } from './mup1-protocol.js';
 import { CoAPClient } from './coap-client.js';
-import { readdirSync, statSync } from 'fs';
+import { SIDRegistry } from './sid-registry.js';
+import { RingBuffer } from './ring-buffer.js';
+import { RequestQueue } from './request-queue.js';
+import { DatastoreCache } from './datastore-cache.js';
+import { BoardSimulator } from './simulator.js';
+import { DiscoveryRules } from './discovery.js';
+import { serialTransport, tcpTransport, parseEndpoint, formatEndpoint } from './transport.js';
+import { statSync, readFileSync, writeFileSync, existsSync } from 'fs';
 
-export class DeviceManager {
-    constructor() {
+/**
+ * Whether a serial board is only known by its tty name, which the next board plugged in gets too
+ */
+function isTtyId(device) {
+    return device.transport === 'serial' && device.deviceInfo.idSource === 'path';
+}
+
+/**
+ * Multi-device manager
+ * Events (for the UI event channel):
+ *   device-added        - Device info of a new device
+ *   device-removed      - { path, id }
+ *   device-connected    - Device info, after a lost link came back
+ *   device-disconnected - { path, id, reason } when the link is lost
+ *   device-info-updated - Device info after it changed (CORECONF query, announcement,
+ *                         health, reconnect attempt, alias)
+ *   request-completed   - { path, id, requestId, method, uri, priority, success, code, cache,
+ *                         error, duration } (duration includes the time spent in the queue;
+ *                         cache is 'hit', 'revalidated' or 'miss' for cached reads)
+ */
+export class DeviceManager extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.sidDirectory - Directory with .sid files for name/SID translation
+     * @param {string} options.aliasFile - JSON file with friendly device names ({ id: alias })
+     * @param {string} options.discoveryFile - JSON file with discovery rules (see discovery.js)
+     * @param {string} options.remoteFile - JSON file with the TCP endpoints of remote boards
+     */
+    constructor(options = {}) {
+        super();
         this.devices = new Map();  // path -> DeviceConnection
+        this.simulators = new Map();  // name -> BoardSimulator
         this.scanInterval = null;
         this.autoScan = true;
+        this.RECONNECT_GRACE = 60000;  // Keep a reconnecting device this long after its tty vanished
+
+        // Friendly names by stable device ID, persisted in aliasFile
+        this.aliasFile = options.aliasFile || null;
+        this.aliases = {};
+        this.loadAliases();
+
+        // Which ports a scan may claim; ports turned down stay in rejected until they vanish
+        this.discoveryFile = options.discoveryFile || null;
+        this.discovery = new DiscoveryRules();
+        this.rejected = new Map();  // path -> { reason, at, retryAt }
+        this.loadDiscovery();
+
+        // Boards behind a TCP serial bridge, persisted in remoteFile; connected by connectRemotes()
+        this.remoteFile = options.remoteFile || null;
+        this.remotes = new Set();  // 'host:port'
+        this.loadRemotes();
+
+        // Shared by all devices: boards run the same YANG modules
+        this.sidDirectory = options.sidDirectory || null;
+        this.sidRegistry = new SIDRegistry();
+        if (this.sidDirectory) {
+            this.sidRegistry.loadDirectory(this.sidDirectory);
+        }
+    }
+
+    /**
+     * Reload SID files (e.g. after adding a module)
+     */
+    reloadSidFiles() {
+        const registry = new SIDRegistry();
+        if (this.sidDirectory) {
+            registry.loadDirectory(this.sidDirectory);
+        }
+
+        this.sidRegistry = registry;
+        for (const device of this.devices.values()) {
+            device.setSidRegistry(registry);
+        }
+        for (const simulator of this.simulators.values()) {
+            simulator.setSidRegistry(registry);
+        }
+
+        return registry.getModules();
+    }
+
+    /**
+     * Load discovery rules from discoveryFile (defaults when there is none)
+     * @throws {Error} - For an unreadable or invalid file
+     */
+    loadDiscovery() {
+        if (!this.discoveryFile || !existsSync(this.discoveryFile)) {
+            this.discovery = new DiscoveryRules();
+            this.rejected.clear();
+            return this.discovery.config;
+        }
+
+        // A broken file must not fall back to claiming every port
+        try {
+            this.discovery = new DiscoveryRules(JSON.parse(readFileSync(this.discoveryFile, 'utf-8')));
+        } catch (error) {
+            console.error(`[DeviceManager] Invalid discovery rules in ${this.discoveryFile}:`, error.message);
+            throw error;
+        }
+
+        this.rejected.clear();
+        console.log(`[DeviceManager] Discovery rules loaded from ${this.discoveryFile}`);
+        return this.discovery.config;
+    }
+
+    /**
+     * Discovery rules and the ports they turned down
+     */
+    getDiscovery() {
+        return {
+            file: this.discoveryFile,
+            config: this.discovery.config,
+            rejected: Array.from(this.rejected, ([path, entry]) => ({ path, ...entry }))
+        };
+    }
+
+    /**
+     * Scan for available serial devices
+     */
+    async scanDevices() {
+        try {
+            const ttyDevices = this.discovery.listPorts();
+
+            console.log(`[DeviceManager] Found ${ttyDevices.length} serial devices`);
+
+            // Ports that went away may be something else when they come back
+            for (const path of this.rejected.keys()) {
+                if (!ttyDevices.includes(path)) {
+                    this.rejected.delete(path);
+                }
+            }
+
+            // Connect to new devices
+            for (const devicePath of ttyDevices) {
+                const rejected = this.rejected.get(devicePath);
+                if (this.devices.has(devicePath) || (rejected && !(rejected.retryAt && Date.now() >= rejected.retryAt))) {
+                    continue;
+                }
+                await this.claimDevice(devicePath).catch(() => {});
+            }
+
+            // Remove disconnected devices; a rebooting board gets RECONNECT_GRACE to come back
+            for (const [path, device] of this.devices.entries()) {
+                if (device.transport !== 'serial') {
+                    continue;
+                }
+                const rebooting = device.state === 'reconnecting' && Date.now() - device.lostAt < this.RECONNECT_GRACE;
+                if (!ttyDevices.includes(path) && !rebooting) {
+                    console.log(`[DeviceManager] Device removed: ${path}`);
+                    this.disconnectDevice(path);
+                }
+            }
+
+            return this.getAllDevices();
+        } catch (error) {
+            console.error('[DeviceManager] Scan error:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Claim a port found by a scan if the discovery rules allow it
+     * Ports that are turned down or fail the probe are remembered in rejected.
+     */
+    async claimDevice(devicePath) {
+        const usb = await this.lookupUsb(devicePath);
+        if (!this.discovery.allowsUsb(usb)) {
+            const id = usb?.vendorId ? `${usb.vendorId}:${usb.productId}` : 'none';
+            this.rejectDevice(devicePath, `USB ID ${id} not in allow-list`);
+            return null;
+        }
+
+        const settings = this.discovery.settingsFor(devicePath, usb);
+        try {
+            return await this.connectDevice(devicePath, settings.baudRate, { usb, ...settings });
+        } catch (error) {
+            if (error.probeFailed) {
+                this.rejectDevice(devicePath, error.message, this.discovery.config.probeRetry);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Remember a port the scan must leave alone
+     * @param {number} retryAfter - Try again after this many ms (0 = not until it reappears)
+     */
+    rejectDevice(devicePath, reason, retryAfter = 0) {
+        console.log(`[DeviceManager] Ignoring ${devicePath}: ${reason}`);
+        this.rejected.set(devicePath, {
+            reason,
+            at: new Date().toISOString(),
+            retryAt: retryAfter > 0 ? Date.now() + retryAfter : null
+        });
+    }
+
+    /**
+     * Connect to a specific device
+     * @param {number} baudRate - Baud rate (default: from the discovery rules)
+     * @param {Object} options - { usb, probe, probeTimeout }; usb skips the SerialPort.list() lookup
+     */
+    async connectDevice(devicePath, baudRate = null, options = {}) {
+        try {
+            console.log(`[DeviceManager] Connecting to ${devicePath}...`);
+
+            const simulator = this.simulators.get(devicePath.replace(/^\/sim\//, ''));
+            if (devicePath.startsWith('/sim/') && simulator) {
+                return await this.addDevice(new DeviceConnection(devicePath, baudRate || 115200, this.sidRegistry, {
+                    type: 'simulator',
+                    createPort: () => simulator.createPort()
+                }), options);
+            }
+            if (devicePath.startsWith('/tcp/')) {
+                return await this.addRemote(devicePath.slice('/tcp/'.length));
+            }
+
+            const usb = options.usb !== undefined ? options.usb : await this.lookupUsb(devicePath);
+            const rate = baudRate || this.discovery.settingsFor(devicePath, usb).baudRate;
+
+            const device = new DeviceConnection(devicePath, rate, this.sidRegistry);
+            device.usb = usb;
+            device.updateIdentity();
+            return await this.addDevice(device, options);
+        } catch (error) {
+            console.error(`[DeviceManager] Failed to connect to ${devicePath}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Connect a new DeviceConnection, register it and query its info
+     * @param {Object} options - { probe, probeTimeout, retry } see DeviceConnection.connect()
+     */
+    async addDevice(device, options = {}) {
+        const devicePath = device.devicePath;
+        await device.connect({ probe: options.probe, probeTimeout: options.probeTimeout, retry: options.retry });
+        this.rejected.delete(devicePath);
+
+        // The same board re-enumerated under a new tty: drop the stale connection
+        for (const [path, other] of this.devices) {
+            if (path !== devicePath && other.id === device.id && !other.isConnected()) {
+                console.log(`[DeviceManager] ${device.id} moved from ${path} to ${devicePath}`);
+                this.disconnectDevice(path);
+            }
+        }
+
+        this.devices.set(devicePath, device);
+        this.watchDevice(device);
+        this.emit('device-added', this.describe(device));
+        if (!device.isConnected()) {
+            return this.describe(device);  // Still retrying; info is queried once it connects
+        }
+
+        // Query device info
+        setTimeout(() => {
+            device.queryDeviceInfo().catch(err => {
+                console.warn(`[DeviceManager] Failed to query ${devicePath}:`, err.message);
+            });
+        }, 1000);
+
+        return this.describe(device);
+    }
+
+    /**
+     * Re-emit the events of a registered device as DeviceManager events
+     * Events of a connection that has since been replaced or removed are dropped.
+     */
+    watchDevice(device) {
+        const forward = (event, data) => {
+            if (this.devices.get(device.devicePath) === device) {
+                this.emit(event, data());
+            }
+        };
+
+        // An alias given under an earlier ID (e.g. before the board announced its serial) moves along
+        let id = device.id;
+        device.on('info', () => {
+            if (device.id !== id && !isTtyId(device) && this.devices.get(device.devicePath) === device) {
+                this.moveAlias(id, device.id);
+            }
+            id = device.id;
+            forward('device-info-updated', () => this.describe(device));
+        });
+        device.on('reconnecting', () => forward('device-info-updated', () => this.describe(device)));
+        device.on('reconnected', () => forward('device-connected', () => this.describe(device)));
+        device.on('disconnected', ({ reason }) => forward('device-disconnected', () => ({
+            path: device.devicePath,
+            id: device.id,
+            reason
+        })));
+    }
+
+    /**
+     * Start a simulated board and connect to it as /sim/<name>
+     * @param {Object} options - BoardSimulator options: { name, ports, latency, dropRate, corruptRate }
+     */
+    async addSimulator(options = {}) {
+        let name = options.name;
+        if (!name) {
+            let n = 0;
+            while (this.simulators.has(`sim${n}`)) n++;
+            name = `sim${n}`;
+        }
+        if (!/^[A-Za-z0-9._-]+$/.test(name)) {
+            throw new Error(`Invalid simulator name '${name}': use letters, digits, '.', '_' and '-'`);
+        }
+        if (this.simulators.has(name)) {
+            throw new Error(`Simulator already exists: ${name}`);
+        }
+
+        console.log(`[DeviceManager] Starting simulator ${name}...`);
+        this.simulators.set(name, new BoardSimulator({ ...options, name, sidRegistry: this.sidRegistry }));
+        try {
+            return await this.connectDevice(`/sim/${name}`);
+        } catch (error) {
+            this.simulators.delete(name);
+            throw error;
+        }
+    }
+
+    /**
+     * Disconnect and discard a simulated board
+     */
+    removeSimulator(name) {
+        if (!this.simulators.has(name)) {
+            throw new Error(`Simulator not found: ${name}`);
+        }
+        this.disconnectDevice(`/sim/${name}`);
+        this.simulators.delete(name);
+    }
+
+    /**
+     * Simulated boards
+     */
+    getSimulators() {
+        return Array.from(this.simulators.values()).map(simulator => ({
+            ...simulator.getInfo(),
+            path: `/sim/${simulator.name}`
+        }));
+    }
+
+    /**
+     * Add a board behind a TCP serial bridge (ser2net raw mode or similar) as /tcp/<host:port>
+     * An endpoint that cannot be reached yet is kept and retried with back-off.
+     * @param {string} endpoint - 'host:port'
+     */
+    async addRemote(endpoint) {
+        const transport = tcpTransport(endpoint);
+        const devicePath = `/tcp/${transport.endpoint}`;
+        if (this.devices.has(devicePath)) {
+            throw new Error(`Remote endpoint already added: ${transport.endpoint}`);
+        }
+
+        console.log(`[DeviceManager] Adding remote board ${transport.endpoint}...`);
+        const info = await this.addDevice(new DeviceConnection(devicePath, null, this.sidRegistry, transport), { retry: true });
+
+        this.remotes.add(transport.endpoint);
+        this.saveRemotes();
+        return info;
+    }
+
+    /**
+     * Disconnect a remote board and forget its endpoint
+     */
+    removeRemote(endpoint) {
+        const { host, port } = parseEndpoint(endpoint);
+        const key = formatEndpoint(host, port);
+        if (!this.remotes.has(key)) {
+            throw new Error(`Remote endpoint not found: ${endpoint}`);
+        }
+
+        this.disconnectDevice(`/tcp/${key}`);
+        this.remotes.delete(key);
+        this.saveRemotes();
+        console.log(`[DeviceManager] Removed remote board ${key}`);
+    }
+
+    /**
+     * Remote endpoints and the state of their connection
+     */
+    getRemotes() {
+        return Array.from(this.remotes, endpoint => {
+            const device = this.devices.get(`/tcp/${endpoint}`);
+            return {
+                endpoint,
+                path: `/tcp/${endpoint}`,
+                connectionState: device ? device.state : 'disconnected',
+                lastError: device?.reconnect.lastError || null
+            };
+        });
+    }
+
+    /**
+     * Connect the endpoints read from remoteFile (at startup)
+     */
+    async connectRemotes() {
+        for (const endpoint of this.remotes) {
+            if (!this.devices.has(`/tcp/${endpoint}`)) {
+                await this.addRemote(endpoint).catch(err => {
+                    console.error(`[DeviceManager] Remote board ${endpoint}:`, err.message);
+                });
+            }
+        }
+    }
+
+    /**
+     * Load remote endpoints from remoteFile
+     */
+    loadRemotes() {
+        if (!this.remoteFile || !existsSync(this.remoteFile)) {
+            return;
+        }
+
+        try {
+            const endpoints = JSON.parse(readFileSync(this.remoteFile, 'utf-8'));
+            for (const endpoint of Array.isArray(endpoints) ? endpoints : []) {
+                try {
+                    const { host, port } = parseEndpoint(endpoint);
+                    this.remotes.add(formatEndpoint(host, port));
+                } catch (error) {
+                    console.error(`[DeviceManager] Skipping remote endpoint in ${this.remoteFile}:`, error.message);
+                }
+            }
+            console.log(`[DeviceManager] Loaded ${this.remotes.size} remote endpoints`);
+        } catch (error) {
+            console.error(`[DeviceManager] Failed to read ${this.remoteFile}:`, error.message);
+        }
+    }
+
+    /**
+     * Write remote endpoints to remoteFile
+     */
+    saveRemotes() {
+        if (!this.remoteFile) {
+            return;
+        }
+        writeFileSync(this.remoteFile, JSON.stringify(Array.from(this.remotes), null, 2) + '\n');
+    }
+
+    /**
+     * Disconnect device
+     */
+    disconnectDevice(devicePath) {
+        const device = this.getDevice(devicePath);
+        if (device) {
+            device.disconnect();
+            this.devices.delete(device.devicePath);
+            this.emit('device-removed', { path: device.devicePath, id: device.id });
+        }
+    }
+
+    /**
+     * Get device by path
+     */
+    getDevice(devicePath) {
+        const path = this.resolvePath(devicePath);
+        return path ? this.devices.get(path) : undefined;
+    }
+
+    /**
+     * Resolve a tty path, stable device ID or alias to the tty path of a connected device
+     * A leading '/' (as in /api/devices/<ref>/...) and the '/dev/', '/sim/' or '/tcp/' prefix are optional.
+     * @returns {string|null}
+     */
+    resolvePath(ref) {
+        if (!ref) {
+            return null;
+        }
+        if (this.devices.has(ref)) {
+            return ref;
+        }
+
+        const name = ref.replace(/^\/+/, '');
+        for (const [path, device] of this.devices) {
+            if (device.id === name || (this.aliases[device.id] && this.aliases[device.id] === name)) {
+                return path;
+            }
+        }
+        const path = [`/${name}`, `/dev/${name}`, `/sim/${name}`, `/tcp/${name}`].find(p => this.devices.has(p));
+        return path || null;
+    }
+
+    /**
+     * USB identity of a serial port from SerialPort.list()
+     * @returns {Promise<Object|null>} - { vendorId, productId, serialNumber, manufacturer }
+     */
+    async lookupUsb(devicePath) {
+        try {
+            const ports = await SerialPort.list();
+            const port = ports.find(p => p.path === devicePath);
+            if (!port || !port.vendorId) {
+                return null;
+            }
+            return {
+                vendorId: port.vendorId.toLowerCase(),
+                productId: (port.productId || '').toLowerCase(),
+                serialNumber: port.serialNumber || null,
+                manufacturer: port.manufacturer || null
+            };
+        } catch (error) {
+            console.warn(`[DeviceManager] Cannot list serial ports:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Device info including its alias
+     */
+    describe(device) {
+        const info = device.getInfo();
+        return { ...info, alias: this.aliases[info.id] || null };
+    }
+
+    /**
+     * Load aliases from aliasFile
+     */
+    loadAliases() {
+        if (!this.aliasFile || !existsSync(this.aliasFile)) {
+            return;
+        }
+
+        try {
+            const aliases = JSON.parse(readFileSync(this.aliasFile, 'utf-8'));
+            this.aliases = aliases && typeof aliases === 'object' ? aliases : {};
+            console.log(`[DeviceManager] Loaded ${Object.keys(this.aliases).length} device aliases`);
+        } catch (error) {
+            console.error(`[DeviceManager] Failed to read ${this.aliasFile}:`, error.message);
+        }
+    }
+
+    /**
+     * Write aliases to aliasFile
+     */
+    saveAliases() {
+        if (!this.aliasFile) {
+            return;
+        }
+        writeFileSync(this.aliasFile, JSON.stringify(this.aliases, null, 2) + '\n');
+    }
+
+    /**
+     * Keep the alias of a device whose ID changed
+     * Not when the new ID already has an alias of its own.
+     */
+    moveAlias(from, to) {
+        if (!this.aliases[from] || this.aliases[to]) {
+            return;
+        }
+        this.aliases[to] = this.aliases[from];
+        delete this.aliases[from];
+        this.saveAliases();
+        console.log(`[DeviceManager] Alias ${this.aliases[to]} moved from ${from} to ${to}`);
+    }
+
+    /**
+     * Give a device a friendly name (or remove it with an empty alias)
+     * A tty name is not an identity (another board may be plugged in there next),
+     * so a serial board needs a USB or board serial number before it gets an alias.
+     * @param {string} ref - Path, ID or current alias of a connected device, or a device ID
+     * @param {string|null} alias - Letters, digits, '.', '_' and '-'
+     * @returns {Object} - { id, alias }
+     */
+    setAlias(ref, alias) {
+        const device = this.getDevice(ref);
+        const id = device ? device.id : ref.replace(/^\/+/, '');
+
+        if (!device && !(id in this.aliases)) {
+            throw new Error(`Device not found: ${ref}`);
+        }
+        if (alias && device && isTtyId(device)) {
+            throw new Error(`${device.devicePath} has no serial number yet, only its tty name identifies it: no alias`);
+        }
+
+        if (!alias) {
+            delete this.aliases[id];
+        } else {
+            if (!/^[A-Za-z0-9._-]+$/.test(alias)) {
+                throw new Error(`Invalid alias '${alias}': use letters, digits, '.', '_' and '-'`);
+            }
+            const owner = Object.keys(this.aliases).find(key => this.aliases[key] === alias);
+            if (owner && owner !== id) {
+                throw new Error(`Alias '${alias}' is already used by ${owner}`);
+            }
+            this.aliases[id] = alias;
+        }
+
+        this.saveAliases();
+        console.log(`[DeviceManager] Alias of ${id}: ${alias || '(none)'}`);
+        if (device) {
+            this.emit('device-info-updated', this.describe(device));
+        }
+        return { id, alias: alias || null };
+    }
+
+    /**
+     * Get all devices
+     */
+    getAllDevices() {
+        return Array.from(this.devices.values()).map(d => this.describe(d));
+    }
+
+    /**
+     * Execute CoAP request on specific device, through its request queue
+     * @param {Object} options - { meta: true } resolves with { code, codeName, options, payload }
+     *                           instead of the payload alone; priority ('interactive', 'normal',
+     *                           'background') orders it in the queue, requestId names it for
+     *                           cancelRequest(); cached reads through the datastore cache and
+     *                           refresh revalidates its copy (see DeviceConnection.request());
+     *                           timeout, ackTimeout and maxRetransmit are passed on to the CoAP client
+     */
+    async executeRequest(devicePath, method, uri, data = null, options = {}) {
+        const device = this.getDevice(devicePath);
+        if (!device) {
+            throw new Error(`Device not found: ${devicePath}`);
+        }
+
+        if (!device.isConnected()) {
+            throw new Error(`Device not connected: ${devicePath}`);
+        }
+
+        const { meta, priority = 'normal', requestId: id, ...requestOptions } = options;
+        const started = Date.now();
+        const { id: requestId, promise } = device.request(method, uri, data, { ...requestOptions, priority, id });
+        const completed = (result) => this.emit('request-completed', {
+            path: device.devicePath,
+            id: device.id,
+            requestId,
+            method: method.toUpperCase(),
+            uri,
+            priority,
+            duration: Date.now() - started,
+            ...result
+        });
+
+        try {
+            const response = await promise;
+            completed({ success: true, code: response.code, cache: response.cache ?? null, error: null });
+            return meta ? response : response.payload;
+        } catch (error) {
+            completed({ success: false, code: typeof error.code === 'number' ? error.code : null, cache: null, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Running and queued requests of a device
+     * @returns {Object} - { stats, requests }
+     */
+    getQueue(devicePath) {
+        const device = this.getDevice(devicePath);
+        if (!device) {
+            throw new Error(`Device not found: ${devicePath}`);
+        }
+        return { stats: device.queue.getStats(), requests: device.queue.list() };
+    }
+
+    /**
+     * Cancel a queued or running request of a device
+     * @returns {boolean} - Whether the request was found
+     */
+    cancelRequest(devicePath, requestId) {
+        const device = this.getDevice(devicePath);
+        if (!device) {
+            throw new Error(`Device not found: ${devicePath}`);
+        }
+        return device.queue.cancel(requestId);
+    }
+
+    /**
+     * Read top-level YANG subtrees of a device
+     * Uses FETCH (RFC 9254 Section 4.2.4) when the SID files know every path,
+     * otherwise falls back to a full GET.
+     * Goes through the datastore cache; options.refresh revalidates the cached copy.
+     * @param {Array<string>} paths - Top-level schema paths, e.g. ['/ietf-interfaces:interfaces']
+     * @returns {Promise<Object>} - Name-keyed tree, same shape as GET /c?d=a
+     */
+    async fetchData(devicePath, paths, options = {}) {
+        if (paths.every(path => this.sidRegistry.getSid(path) !== null)) {
+            const instances = await this.executeRequest(devicePath, 'FETCH', '/c', paths, { ...options, cached: true });
+            return this.sidRegistry.instancesToTree(instances || []);
+        }
+
+        console.log(`[DeviceManager] No SIDs for ${paths.join(', ')}, using full GET`);
+        return this.executeRequest(devicePath, 'GET', '/c?d=a', null, { ...options, cached: true });
+    }
+
+    /**
+     * Read one YANG node by data path (e.g. 'ietf-interfaces:interfaces/interface=eth0/enabled')
+     * An empty path reads the whole datastore.
+     * @param {Object} options - { query } CORECONF query, e.g. 'c=c&d=t' (RFC 9254 Section 4.3)
+     * @returns {Promise<*>} - Node value with member names
+     */
+    async readData(devicePath, yangPath, options = {}) {
+        const { query, ...requestOptions } = options;
+
+        if (!yangPath) {
+            return this.executeRequest(devicePath, 'GET', `/c?${query || 'd=a'}`, null, requestOptions);
+        }
+
+        const identifier = this.parseDataPath(yangPath);
+        const uri = query ? `/c?${query}` : '/c';
+        const instances = await this.executeRequest(devicePath, 'FETCH', uri, [identifier], requestOptions);
+
+        const instance = (instances || []).find(i => i.path === identifier.path);
+        if (!instance) {
+            const error = new Error(`No data at ${yangPath}`);
+            error.code = 132;  // 4.04 Not Found
+            throw error;
+        }
+        return instance.value;
+    }
+
+    /**
+     * Write one YANG node by data path with iPATCH
+     * @param {Object} options - { replace: true } deletes the node first (PUT semantics)
+     */
+    async writeData(devicePath, yangPath, value, options = {}) {
+        const { replace, ...requestOptions } = options;
+        const identifier = this.parseDataPath(yangPath);
+
+        // Both instances go in one iPATCH, applied in order
+        const instances = replace
+            ? [{ ...identifier, value: null }, { ...identifier, value }]
+            : [{ ...identifier, value }];
+
+        return this.executeRequest(devicePath, 'IPATCH', '/c', instances, requestOptions);
+    }
+
+    /**
+     * Delete one YANG node by data path (iPATCH with a null value)
+     */
+    async deleteData(devicePath, yangPath, options = {}) {
+        const identifier = this.parseDataPath(yangPath);
+        return this.executeRequest(devicePath, 'IPATCH', '/c', [{ ...identifier, value: null }], options);
+    }
+
+    /**
+     * Invoke an RPC or action with CoAP POST on the datastore (RFC 9254 Section 4.2.6)
+     * @param {string} path - Operation schema path, e.g. '/ietf-system:system-restart'
+     * @param {Object} input - Input parameters by member name
+     * @returns {Promise<Object|null>} - Output parameters, or null when there are none
+     */
+    async invokeOperation(devicePath, path, input = {}, options = {}) {
+        let payload;
+        try {
+            payload = this.sidRegistry.encodeOperation(path, input || {});
+        } catch (error) {
+            error.code = 128;  // 4.00 Bad Request
+            throw error;
+        }
+
+        const instances = await this.executeRequest(devicePath, 'POST', '/c', [payload], {
+            contentFormat: 262,
+            accept: 262,
+            ...options
+        });
+
+        const output = (instances || []).find(i => i.path === path);
+        return output ? output.value : null;
     }
 
     /**
-     * Scan for available serial devices
+     * Read the configuration of a device (config true nodes with defaults), for snapshots
+     * Revalidates the cached copy so that the result is current.
+     * @returns {Promise<Object>} - Name-keyed tree
      */
-    async scanDevices() {
-        try {
-            // Find all ttyACM devices
-            const devPath = '/dev';
-            const files = readdirSync(devPath);
-            const ttyDevices = files
-                .filter(f => f.startsWith('ttyACM') || f.startsWith('ttyUSB'))
-                .map(f => `${devPath}/${f}`)
-                .sort();
+    async readConfig(devicePath, options = {}) {
+        return this.executeRequest(devicePath, 'GET', '/c?c=c&d=a', null, { ...options, cached: true, refresh: true });
+    }
 
-            console.log(`[DeviceManager] Found ${ttyDevices.length} serial devices`);
+    /**
+     * Write a saved configuration back to a device
+     *   merge   - One iPATCH per top-level subtree, merged into what the board has;
+     *             a failing subtree does not stop the others
+     *   replace - One PUT of the whole configuration (RFC 9254 Section 4.2.3);
+     *             configuration not in it is removed, so subtrees cannot be picked
+     * @param {Object} data - Name-keyed tree, e.g. from readConfig()
+     * @param {Object} options - { mode, subtrees } plus executeRequest() options
+     * @returns {Promise<Array>} - Per subtree: { subtree, success, code, error, duration }
+     */
+    async restoreConfig(devicePath, data, options = {}) {
+        const { mode = 'merge', subtrees, ...requestOptions } = options;
+        const names = subtrees?.length ? subtrees : Object.keys(data);
 
-            // Connect to new devices
-            for (const devicePath of ttyDevices) {
-                if (!this.devices.has(devicePath)) {
-                    await this.connectDevice(devicePath);
-                }
-            }
+        const missing = names.filter(name => !(name in data));
+        if (missing.length > 0) {
+            throw new Error(`Not in the configuration: ${missing.join(', ')}`);
+        }
 
-            // Remove disconnected devices
-            for (const [path, device] of this.devices.entries()) {
-                if (!ttyDevices.includes(path)) {
-                    console.log(`[DeviceManager] Device removed: ${path}`);
-                    this.disconnectDevice(path);
-                }
+        const outcome = (error, started) => ({
+            success: !error,
+            code: error ? (typeof error.code === 'number' ? error.code : null) : 68,
+            error: error ? error.message : null,
+            duration: Date.now() - started
+        });
+
+        if (mode === 'replace') {
+            if (subtrees?.length) {
+                throw new Error('A replace restore writes the whole configuration; leave out subtrees');
+            }
+            const started = Date.now();
+            let error = null;
+            try {
+                await this.executeRequest(devicePath, 'PUT', '/c', data, requestOptions);
+            } catch (err) {
+                error = err;
             }
+            return names.map(subtree => ({ subtree, ...outcome(error, started) }));
+        }
 
-            return Array.from(this.devices.values()).map(d => d.getInfo());
-        } catch (error) {
-            console.error('[DeviceManager] Scan error:', error.message);
-            return [];
+        if (mode !== 'merge') {
+            throw new Error(`Unknown restore mode '${mode}': use merge or replace`);
+        }
+
+        const results = [];
+        for (const subtree of names) {
+            const started = Date.now();
+            let error = null;
+            try {
+                await this.executeRequest(devicePath, 'IPATCH', '/c', { [subtree]: data[subtree] }, requestOptions);
+            } catch (err) {
+                error = err;
+            }
+            results.push({ subtree, ...outcome(error, started) });
         }
+        return results;
     }
 
     /**
-     * Connect to a specific device
+     * Parse a data path, failing with a 4.00-style error when it cannot be resolved
      */
-    async connectDevice(devicePath, baudRate = 115200) {
+    parseDataPath(yangPath) {
         try {
-            console.log(`[DeviceManager] Connecting to ${devicePath}...`);
-
-            const device = new DeviceConnection(devicePath, baudRate);
-            await device.connect();
-
-            this.devices.set(devicePath, device);
-
-            // Query device info
-            setTimeout(() => {
-                device.queryDeviceInfo().catch(err => {
-                    console.warn(`[DeviceManager] Failed to query ${devicePath}:`, err.message);
-                });
-            }, 1000);
-
-            return device.getInfo();
+            const { path, keys } = this.sidRegistry.parsePath(yangPath);
+            return { path, keys };
         } catch (error) {
-            console.error(`[DeviceManager] Failed to connect to ${devicePath}:`, error.message);
+            error.code = 128;  // 4.00 Bad Request
             throw error;
         }
     }
 
     /**
-     * Disconnect device
+     * Stored trace entries of a device
+     * @param {Object} filter - { since, level, search, limit }
      */
-    disconnectDevice(devicePath) {
-        const device = this.devices.get(devicePath);
-        if (device) {
-            device.disconnect();
-            this.devices.delete(devicePath);
+    getTrace(devicePath, filter = {}) {
+        const device = this.getDevice(devicePath);
+        if (!device) {
+            throw new Error(`Device not found: ${devicePath}`);
         }
+        return {
+            entries: device.getTrace(filter),
+            total: device.traces.size,
+            dropped: device.traces.dropped
+        };
     }
 
     /**
-     * Get device by path
+     * Clear the stored trace of a device
      */
-    getDevice(devicePath) {
-        return this.devices.get(devicePath);
+    clearTrace(devicePath) {
+        const device = this.getDevice(devicePath);
+        if (!device) {
+            throw new Error(`Device not found: ${devicePath}`);
+        }
+        device.traces.clear();
     }
 
     /**
-     * Get all devices
+     * Listen for new trace entries of a device
+     * @param {Object} filter - { level, search } applied to each entry
+     * @returns {Function} - Unsubscribe function
      */
-    getAllDevices() {
-        return Array.from(this.devices.values()).map(d => d.getInfo());
+    subscribeTrace(devicePath, listener, filter = {}) {
+        const device = this.getDevice(devicePath);
+        if (!device) {
+            throw new Error(`Device not found: ${devicePath}`);
+        }
+        return device.subscribeTrace((entry) => {
+            if (filterTrace([entry], filter).length > 0) {
+                listener(entry);
+            }
+        });
     }
 
     /**
-     * Execute CoAP request on specific device
+     * Subscribe to change notifications of a resource (CoAP Observe)
+     * @param {Function} listener - Called with (event, data) for 'notification', 'error' and 'end'
+     * @returns {Promise<Function>} - Unsubscribe function
      */
-    async executeRequest(devicePath, method, uri, data = null) {
-        const device = this.devices.get(devicePath);
+    async subscribe(devicePath, method, uri, payload, listener) {
+        const device = this.getDevice(devicePath);
         if (!device) {
             throw new Error(`Device not found: ${devicePath}`);
         }
@@ -118,7 +918,7 @@ export class DeviceManager {
             throw new Error(`Device not connected: ${devicePath}`);
         }
 
-        return device.coap.request(method, uri, data);
+        return device.subscribe(method, uri, payload, listener);
     }
 
     /**
@@ -162,98 +962,600 @@ export class DeviceManager {
     }
 }
 
+// Trace levels, most severe first
+const TRACE_LEVELS = ['error', 'warning', 'info', 'debug'];
+
+/**
+ * Filter trace entries by id, minimum level and text
+ * @param {Object} filter - { since, level, search, limit }
+ */
+function filterTrace(entries, filter = {}) {
+    const { since = 0, level = null, search = '', limit = 0 } = filter;
+    const maxLevel = level ? TRACE_LEVELS.indexOf(level) : TRACE_LEVELS.length - 1;
+    const text = search.toLowerCase();
+
+    const result = entries.filter(entry =>
+        entry.id > since &&
+        TRACE_LEVELS.indexOf(entry.level) <= maxLevel &&
+        (!text || entry.message.toLowerCase().includes(text))
+    );
+    return limit > 0 ? result.slice(-limit) : result;
+}
+
 /**
  * Single device connection
+ * Events: disconnected { reason }, reconnecting { attempt, delay }, reconnected { attempts },
+ *         info (device info changed)
  */
-class DeviceConnection {
-    constructor(devicePath, baudRate = 115200) {
+class DeviceConnection extends EventEmitter {
+    /**
+     * @param {Object} transport - { type, createPort, endpoint } from transport.js;
+     *                             default: the serial port at devicePath
+     */
+    constructor(devicePath, baudRate = 115200, sidRegistry = null, transport = null) {
+        super();
+        transport = transport || serialTransport(devicePath, baudRate);
         this.devicePath = devicePath;
-        this.baudRate = baudRate;
-        this.serial = null;
+        this.baudRate = transport.type === 'tcp' ? null : baudRate;
+        this.sidRegistry = sidRegistry;
+        this.transport = transport.type;     // serial | tcp | simulator
+        this.endpoint = transport.endpoint || null;  // host:port of a tcp transport
+        this.createPort = transport.createPort;
+        this.serial = null;                  // Open port of the transport
+        this.usb = null;  // { vendorId, productId, serialNumber, manufacturer } from SerialPort.list()
+        this.id = null;   // Stable ID, see updateIdentity()
+        this.boardSerial = null;  // Serial reported by the board (announcement or ietf-hardware)
         this.protocol = new MUP1Protocol();
         this.coap = null;
+        this.decoder = null;
         this.connected = false;
+        this.state = 'disconnected';    // connected | reconnecting | disconnected
+        this.closing = false;           // disconnect() called: do not reconnect
+        this.probeWaiter = null;        // Pending probe(), resolved by the next frame
+
+        // Reconnect with exponential back-off after the serial link is lost
+        this.RECONNECT_BASE_DELAY = 1000;
+        this.RECONNECT_MAX_DELAY = 30000;
+        this.reconnectTimer = null;
+        this.reconnect = { attempt: 0, nextAttemptAt: null, lastError: null };
+        this.lostAt = null;
+        this.subscriptions = new Map();  // "METHOD uri payload" -> { observation, listeners, last }
+
+        // Requests wait here so that many clients do not flood the board (NSTART, RFC 7252 Section 4.7)
+        this.NSTART = 1;
+        this.queue = new RequestQueue({ nstart: this.NSTART });
+
+        // Last datastore reads, revalidated with their ETags (see datastore-cache.js)
+        this.cache = new DatastoreCache({ defaultMaxAge: 60 });
+
+        // MUP1 keepalive: one ping outstanding at a time, answered by a 'P'/'p' frame
+        this.PING_INTERVAL = 5000;
+        this.PING_TIMEOUT = 2000;
+        this.RTT_DEGRADED = 500;        // Slower pongs mark the board degraded
+        this.MISSED_UNRESPONSIVE = 3;   // Consecutive missed pongs
+        this.keepaliveTimer = null;
+        this.pendingPing = null;        // { sentAt, timeout }
+        this.health = {
+            state: 'unknown',           // unknown | alive | degraded | unresponsive
+            rtt: null,
+            averageRtt: null,
+            missedPings: 0,
+            pingsSent: 0,
+            pongsReceived: 0,
+            lastPong: null,
+            since: new Date().toISOString()
+        };
+
+        // MUP1 'T' frames; the oldest are overwritten when full
+        this.TRACE_CAPACITY = 2000;
+        this.traces = new RingBuffer(this.TRACE_CAPACITY);
+        this.traceId = 0;
+        this.traceListeners = new Set();
+
         this.deviceInfo = {
             path: devicePath,
-            baudRate,
+            baudRate: this.baudRate,
+            transport: this.transport,
+            endpoint: this.endpoint,
             connected: false,
             model: 'Unknown',
             firmware: 'Unknown',
             serialNumber: 'Unknown',
             interfaces: [],
+            announcement: null,  // Parsed MUP1 'A' frame, available before CORECONF answers
+            coreconf: 'pending', // pending | ok | failed (last device info query)
             lastSeen: null
         };
+
+        this.updateIdentity();
+    }
+
+    /**
+     * Derive the stable device ID, best source first:
+     * USB VID/PID/serial, the serial number reported by the board, the tty name
+     * (or the endpoint / simulator name for other transports)
+     */
+    updateIdentity() {
+        const sanitize = (text) => String(text).replace(/[^A-Za-z0-9._-]/g, '_');
+        const boardSerial = this.boardSerial;
+
+        let id;
+        let source;
+        if (this.usb?.serialNumber) {
+            id = `usb-${this.usb.vendorId}-${this.usb.productId}-${sanitize(this.usb.serialNumber)}`;
+            source = 'usb';
+        } else if (boardSerial) {
+            id = `board-${sanitize(boardSerial)}`;
+            source = 'board';
+        } else {
+            const prefix = { tcp: 'tcp', simulator: 'sim' }[this.transport] || 'tty';
+            id = `${prefix}-${sanitize(this.devicePath.replace(/^\/(dev|tcp|sim)\//, '').replace(/^\//, ''))}`;
+            source = 'path';
+        }
+
+        if (this.id && this.id !== id) {
+            console.log(`[${this.devicePath}] Device ID: ${this.id} -> ${id}`);
+        }
+        this.id = id;
+        this.deviceInfo.id = id;
+        this.deviceInfo.idSource = source;
+        this.deviceInfo.usb = this.usb;
     }
 
     /**
      * Connect to device
+     * @param {Object} options - { probe: true } closes the port again unless it answers
+     *                           a MUP1 ping within probeTimeout ms; { retry: true } keeps
+     *                           trying in the background instead of failing when the
+     *                           port cannot be opened (remote bridges that are down)
+     */
+    async connect(options = {}) {
+        this.closing = false;
+        try {
+            await this.open();
+        } catch (error) {
+            if (!options.retry) {
+                throw error;
+            }
+            this.state = 'reconnecting';
+            this.lostAt = Date.now();
+            this.reconnect.lastError = error.message;
+            this.scheduleReconnect();
+            return;
+        }
+
+        if (options.probe) {
+            try {
+                await this.probe(options.probeTimeout);
+            } catch (error) {
+                this.disconnect();
+                throw error;
+            }
+        }
+
+        this.startKeepalive();
+    }
+
+    /**
+     * Send a MUP1 ping and wait for any valid frame (pong, announcement, ...)
+     * @returns {Promise} - Rejects with error.probeFailed set on timeout
      */
-    async connect() {
+    probe(timeout = 1000) {
         return new Promise((resolve, reject) => {
-            this.serial = new SerialPort({
-                path: this.devicePath,
-                baudRate: this.baudRate,
-                dataBits: 8,
-                parity: 'none',
-                stopBits: 1,
-                autoOpen: false
-            });
+            const timer = setTimeout(() => {
+                this.probeWaiter = null;
+                const error = new Error(`No MUP1 response within ${timeout}ms`);
+                error.probeFailed = true;
+                reject(error);
+            }, timeout);
+
+            this.probeWaiter = () => {
+                clearTimeout(timer);
+                this.probeWaiter = null;
+                console.log(`[${this.devicePath}] MUP1 probe answered`);
+                resolve();
+            };
+            this.serial.write(this.protocol.createPing());
+        });
+    }
+
+    /**
+     * Open a port of the transport: bytes -> MUP1 frames -> CoAP
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            const serial = this.createPort();
 
-            this.serial.open((err) => {
+            serial.open((err) => {
                 if (err) {
                     console.error(`[${this.devicePath}] Open error:`, err.message);
                     reject(err);
                     return;
                 }
 
+                this.serial = serial;
+                this.state = 'connected';
                 this.connected = true;
                 this.deviceInfo.connected = true;
                 this.deviceInfo.lastSeen = new Date().toISOString();
 
-                // Create CoAP client
-                this.coap = new CoAPClient(this.protocol, this.serial);
+                // One CoAP client for the life of the connection, kept across reconnects
+                if (this.coap) {
+                    this.coap.serial = serial;
+                } else {
+                    this.coap = new CoAPClient(this.protocol, serial, this.sidRegistry);
+                }
 
-                // Setup data handler
-                this.serial.on('data', (data) => {
-                    this.coap.handleData(data);
+                this.decoder = this.protocol.createDecoder();
+                this.decoder.on('data', (frame) => {
+                    this.handleFrame(frame);
                 });
+                serial.pipe(this.decoder);
 
-                this.serial.on('error', (err) => {
-                    console.error(`[${this.devicePath}] Serial error:`, err.message);
-                    this.connected = false;
-                    this.deviceInfo.connected = false;
+                serial.on('error', (err) => {
+                    console.error(`[${this.devicePath}] Port error:`, err.message);
+                    this.handleConnectionLost(err.message);
                 });
 
-                this.serial.on('close', () => {
-                    console.log(`[${this.devicePath}] Serial port closed`);
-                    this.connected = false;
-                    this.deviceInfo.connected = false;
+                serial.on('close', () => {
+                    console.log(`[${this.devicePath}] Port closed`);
+                    this.handleConnectionLost('port closed');
                 });
 
                 console.log(`[${this.devicePath}] Connected successfully`);
-
-                // Send initial ping
-                setTimeout(() => {
-                    const ping = this.protocol.createPing();
-                    this.serial.write(ping);
-                }, 500);
-
                 resolve();
             });
         });
     }
 
+    /**
+     * Serial link lost (board reset, cable pulled): fail what is in flight and start reconnecting
+     */
+    handleConnectionLost(reason) {
+        if (this.closing || this.state !== 'connected') {
+            return;
+        }
+
+        this.state = 'reconnecting';
+        this.connected = false;
+        this.deviceInfo.connected = false;
+        this.lostAt = Date.now();
+        this.reconnect.lastError = reason;
+        this.stopKeepalive();
+
+        // Nothing in flight can be answered any more; observations are lost with the board state
+        this.coap?.failAll(new Error(`Connection lost (${reason}): ${this.devicePath}`));
+        this.subscriptions.clear();
+
+        // The board may come back reset or reconfigured: revalidate every cached read
+        this.cache.invalidate();
+
+        this.emit('disconnected', { reason });
+        this.scheduleReconnect();
+    }
+
+    /**
+     * Schedule the next reconnect attempt (1 s, 2 s, 4 s, ... up to 30 s, with jitter)
+     */
+    scheduleReconnect() {
+        const base = Math.min(this.RECONNECT_MAX_DELAY, this.RECONNECT_BASE_DELAY * 2 ** this.reconnect.attempt);
+        const delay = Math.round(base * (1 + Math.random() * 0.2));
+
+        this.reconnect.attempt++;
+        this.reconnect.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+
+        console.log(`[${this.devicePath}] Reconnecting in ${delay}ms (attempt ${this.reconnect.attempt})`);
+        this.emit('reconnecting', { attempt: this.reconnect.attempt, delay });
+
+        this.reconnectTimer = setTimeout(() => this.attemptReconnect(), delay);
+    }
+
+    /**
+     * Try to reopen the port; on success resume keepalive and re-query device info
+     */
+    async attemptReconnect() {
+        this.reconnectTimer = null;
+        if (this.closing) {
+            return;
+        }
+
+        try {
+            await this.open();
+        } catch (error) {
+            this.reconnect.lastError = error.message;
+            if (!this.closing) {
+                this.scheduleReconnect();
+            }
+            return;
+        }
+
+        if (this.closing) {
+            this.serial.close();
+            return;
+        }
+
+        const attempts = this.reconnect.attempt;
+        this.reconnect = { attempt: 0, nextAttemptAt: null, lastError: null };
+        this.lostAt = null;
+
+        console.log(`[${this.devicePath}] Reconnected after ${attempts} attempt(s)`);
+        this.emit('reconnected', { attempts });
+        this.startKeepalive();
+
+        setTimeout(() => {
+            this.queryDeviceInfo().catch(err => {
+                console.warn(`[${this.devicePath}] Failed to query after reconnect:`, err.message);
+            });
+        }, 1000);
+    }
+
     /**
      * Disconnect from device
      */
     disconnect() {
+        this.closing = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnect = { attempt: 0, nextAttemptAt: null, lastError: null };
+
+        for (const subscription of this.subscriptions.values()) {
+            subscription.observation.then(o => o.cancel()).catch(() => {});
+        }
+        this.subscriptions.clear();
+        this.stopKeepalive();
+        this.queue.cancelAll(`Disconnected: ${this.devicePath}`);
+        this.coap?.failAll(new Error(`Disconnected: ${this.devicePath}`));
+
         if (this.serial && this.serial.isOpen) {
             this.serial.close();
         }
+        this.state = 'disconnected';
         this.connected = false;
         this.deviceInfo.connected = false;
     }
 
+    /**
+     * Dispatch a decoded MUP1 frame
+     */
+    handleFrame(frame) {
+        this.deviceInfo.lastSeen = new Date().toISOString();
+        this.probeWaiter?.();
+
+        if (frame.type === 'P' || frame.type === 'p') {
+            this.handlePong();
+        } else if (frame.type === 'A') {
+            this.handleAnnouncement(frame.data);
+        } else if (frame.type === 'T') {
+            this.handleTrace(frame.data);
+        } else {
+            this.coap.handleFrame(frame);
+        }
+    }
+
+    /**
+     * Board announcement: identify the board even if CORECONF does not answer yet
+     */
+    handleAnnouncement(data) {
+        const announcement = this.protocol.parseAnnouncement(data);
+        console.log(`[${this.devicePath}] Announcement: ${announcement.raw}`);
+
+        this.deviceInfo.announcement = { ...announcement, receivedAt: new Date().toISOString() };
+
+        // CORECONF system-state wins once it has been read
+        if (this.deviceInfo.model === 'Unknown' && announcement.board) {
+            this.deviceInfo.model = announcement.board;
+        }
+        if (this.deviceInfo.firmware === 'Unknown' && announcement.firmware) {
+            this.deviceInfo.firmware = announcement.product
+                ? `${announcement.product} ${announcement.firmware}`
+                : announcement.firmware;
+        }
+        if (announcement.serial) {
+            this.boardSerial = this.boardSerial || announcement.serial;
+            if (this.deviceInfo.serialNumber === 'Unknown') {
+                this.deviceInfo.serialNumber = announcement.serial;
+            }
+        }
+        this.updateIdentity();
+        this.emit('info');
+    }
+
+    /**
+     * Store trace lines and pass them to live listeners
+     */
+    handleTrace(data) {
+        for (const { level, message } of this.protocol.parseTrace(data)) {
+            const entry = {
+                id: ++this.traceId,
+                timestamp: new Date().toISOString(),
+                level,
+                message
+            };
+            this.traces.push(entry);
+
+            for (const listener of this.traceListeners) {
+                listener(entry);
+            }
+        }
+    }
+
+    /**
+     * Stored trace entries matching a filter
+     * @param {Object} filter - { since: id, level: minimum level, search: text, limit }
+     */
+    getTrace(filter = {}) {
+        return filterTrace(this.traces.toArray(), filter);
+    }
+
+    /**
+     * Listen for new trace entries
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribeTrace(listener) {
+        this.traceListeners.add(listener);
+        return () => this.traceListeners.delete(listener);
+    }
+
+    /**
+     * Start periodic MUP1 pings (first one shortly after open)
+     */
+    startKeepalive() {
+        this.stopKeepalive();
+        this.keepaliveTimer = setTimeout(() => {
+            this.sendPing();
+            this.keepaliveTimer = setInterval(() => this.sendPing(), this.PING_INTERVAL);
+        }, 500);
+    }
+
+    /**
+     * Stop pinging and forget the outstanding ping
+     */
+    stopKeepalive() {
+        clearTimeout(this.keepaliveTimer);
+        clearInterval(this.keepaliveTimer);
+        this.keepaliveTimer = null;
+
+        if (this.pendingPing) {
+            clearTimeout(this.pendingPing.timeout);
+            this.pendingPing = null;
+        }
+    }
+
+    /**
+     * Send one ping unless the previous one is still outstanding
+     */
+    sendPing() {
+        if (this.pendingPing || !this.isConnected()) {
+            return;
+        }
+
+        this.pendingPing = {
+            sentAt: Date.now(),
+            timeout: setTimeout(() => this.handlePingTimeout(), this.PING_TIMEOUT)
+        };
+        this.health.pingsSent++;
+        this.serial.write(this.protocol.createPing());
+    }
+
+    /**
+     * Pong received: measure RTT and update health
+     */
+    handlePong() {
+        if (!this.pendingPing) {
+            return;  // Unsolicited or late pong
+        }
+
+        const rtt = Date.now() - this.pendingPing.sentAt;
+        clearTimeout(this.pendingPing.timeout);
+        this.pendingPing = null;
+
+        this.health.rtt = rtt;
+        this.health.averageRtt = this.health.averageRtt === null
+            ? rtt
+            : Math.round(this.health.averageRtt * 0.8 + rtt * 0.2);
+        this.health.missedPings = 0;
+        this.health.pongsReceived++;
+        this.health.lastPong = new Date().toISOString();
+
+        this.setHealth(rtt > this.RTT_DEGRADED ? 'degraded' : 'alive');
+    }
+
+    /**
+     * No pong within PING_TIMEOUT
+     */
+    handlePingTimeout() {
+        this.pendingPing = null;
+        this.health.missedPings++;
+
+        this.setHealth(this.health.missedPings >= this.MISSED_UNRESPONSIVE ? 'unresponsive' : 'degraded');
+    }
+
+    /**
+     * Change the health state, logging transitions
+     */
+    setHealth(state) {
+        if (this.health.state === state) {
+            return;
+        }
+
+        console.log(`[${this.devicePath}] Health: ${this.health.state} -> ${state}` +
+            (this.health.rtt !== null ? ` (rtt ${this.health.rtt}ms, missed ${this.health.missedPings})` : ''));
+        this.health.state = state;
+        this.health.since = new Date().toISOString();
+        this.emit('info');
+    }
+
+    /**
+     * Replace the SID registry used for payload translation
+     */
+    setSidRegistry(registry) {
+        this.sidRegistry = registry;
+        if (this.coap) {
+            this.coap.sidRegistry = registry;
+        }
+    }
+
+    /**
+     * Queue a CoAP request; it is sent once the requests ahead of it are done
+     * @param {Object} options - priority and id (see RequestQueue.enqueue), plus the
+     *                           options of CoAPClient.requestWithMeta()
+     * @returns {Object} - { id, promise } where promise resolves with { code, codeName, options, payload }
+     */
+    enqueue(method, uri, payload = null, options = {}) {
+        const { priority, id, ...requestOptions } = options;
+        return this.queue.enqueue(
+            (signal) => this.coap.requestWithMeta(method, uri, payload, { ...requestOptions, signal }),
+            { method: method.toUpperCase(), uri, priority, id }
+        );
+    }
+
+    /**
+     * Queue a CoAP request, with the datastore cache in front of it
+     * Reads with options.cached are answered from a fresh cached copy without
+     * asking the board, or sent with the ETags of a stale one (options.refresh
+     * treats every copy as stale). Anything but a read marks the cached reads
+     * it may change stale, whether it succeeds or not.
+     * @returns {Object} - { id, promise } as enqueue(); id is null for a cache hit and
+     *                     cached reads resolve with cache 'hit', 'revalidated' or 'miss'
+     */
+    request(method, uri, payload = null, options = {}) {
+        const { cached, refresh, ...requestOptions } = options;
+        const upper = method.toUpperCase();
+
+        if (!this.cache.isCacheable(upper, uri)) {
+            const request = this.enqueue(method, uri, payload, requestOptions);
+            if (!['GET', 'FETCH'].includes(upper)) {
+                const changes = ['IPATCH', 'PATCH'].includes(upper) && uri.split('?')[0] === '/c' ? payload : null;
+                request.promise.then(() => this.cache.invalidate(changes), () => this.cache.invalidate(changes));
+            }
+            return request;
+        }
+
+        if (!cached) {
+            return this.enqueue(method, uri, payload, requestOptions);
+        }
+
+        const hit = refresh ? null : this.cache.lookup(upper, uri, payload);
+        if (hit) {
+            return { id: null, promise: Promise.resolve(hit) };
+        }
+
+        const etags = this.cache.validators(upper, uri, payload);
+        const { id, promise } = this.enqueue(method, uri, payload, { ...requestOptions, etags });
+        return {
+            id,
+            promise: promise.then(result => {
+                const current = this.cache.update(upper, uri, payload, result);
+                if (current) {
+                    return current;
+                }
+                // 2.03 Valid for a copy evicted meanwhile: ask once more for the content
+                return this.enqueue(method, uri, payload, requestOptions).promise
+                    .then(fresh => this.cache.update(upper, uri, payload, fresh));
+            })
+        };
+    }
+
     /**
      * Check connection status
      */
@@ -261,23 +1563,89 @@ class DeviceConnection {
         return this.connected && this.serial && this.serial.isOpen;
     }
 
+    /**
+     * Subscribe to a resource; listeners of the same resource share one observation
+     * @returns {Promise<Function>} - Unsubscribe function
+     */
+    async subscribe(method, uri, payload, listener) {
+        const key = `${method.toUpperCase()} ${uri} ${payload ? JSON.stringify(payload) : ''}`;
+        let subscription = this.subscriptions.get(key);
+
+        if (!subscription) {
+            subscription = { observation: null, listeners: new Set(), last: null };
+
+            const notify = (event, data) => {
+                for (const fn of subscription.listeners) {
+                    fn(event, data);
+                }
+            };
+
+            subscription.observation = this.coap.observe(method, uri, payload).then(observation => {
+                observation.on('notification', (result) => {
+                    subscription.last = result;
+                    this.deviceInfo.lastSeen = new Date().toISOString();
+                    notify('notification', result);
+                });
+                observation.on('error', (error) => notify('error', { error: error.message, code: error.code }));
+                observation.on('end', () => {
+                    if (this.subscriptions.get(key) === subscription) {
+                        this.subscriptions.delete(key);
+                    }
+                    notify('end', { uri });
+                });
+                return observation;
+            });
+
+            this.subscriptions.set(key, subscription);
+
+            try {
+                await subscription.observation;
+            } catch (error) {
+                this.subscriptions.delete(key);
+                throw error;
+            }
+        } else {
+            await subscription.observation;
+            if (subscription.last) {
+                listener('notification', subscription.last);
+            }
+        }
+
+        subscription.listeners.add(listener);
+
+        return () => {
+            subscription.listeners.delete(listener);
+            if (subscription.listeners.size === 0 && this.subscriptions.get(key) === subscription) {
+                this.subscriptions.delete(key);
+                subscription.observation.then(o => o.cancel()).catch(() => {});
+            }
+        };
+    }
+
     /**
      * Query device information
+     * @param {Object} options - { refresh } revalidate the cached datastore instead of using it
      */
-    async queryDeviceInfo() {
+    async queryDeviceInfo(options = {}) {
         try {
             // Get system information
-            const systemInfo = await this.coap.get('/c?d=a');
+            const { promise } = this.request('GET', '/c?d=a', null, { priority: 'background', cached: true, refresh: options.refresh });
+            const systemInfo = (await promise).payload;
 
             if (systemInfo) {
                 // Extract device info from YANG data
                 this.parseDeviceInfo(systemInfo);
+                this.updateIdentity();
                 this.deviceInfo.lastSeen = new Date().toISOString();
             }
+            this.deviceInfo.coreconf = 'ok';
+            this.emit('info');
 
             return this.deviceInfo;
         } catch (error) {
+            this.deviceInfo.coreconf = 'failed';
             console.error(`[${this.devicePath}] Query device info failed:`, error.message);
+            this.emit('info');
             throw error;
         }
     }
@@ -298,14 +1666,22 @@ class DeviceConnection {
                 }
             }
 
+            // Hardware serial number (ietf-hardware), also used for the device ID
+            const components = yangData['ietf-hardware:hardware']?.component || [];
+            const serial = components.find(c => c['serial-num'])?.['serial-num'];
+            if (serial) {
+                this.deviceInfo.serialNumber = serial;
+                this.boardSerial = serial;
+            }
+
             // Extract interfaces
             const interfaces = yangData['ietf-interfaces:interfaces'];
             if (interfaces && interfaces.interface) {
                 this.deviceInfo.interfaces = interfaces.interface.map(iface => ({
                     name: iface.name,
                     type: iface.type,
-                    enabled: iface['admin-state'] === 'up',
-                    operStatus: iface['oper-state']
+                    enabled: iface.enabled ?? iface['admin-state'] === 'up',
+                    operStatus: iface['oper-status'] ?? iface['oper-state']
                 }));
             }
 
@@ -330,7 +1706,14 @@ class DeviceConnection {
     getInfo() {
         return {
             ...this.deviceInfo,
-            connected: this.isConnected()
+            connected: this.isConnected(),
+            connectionState: this.state,
+            reconnect: this.state === 'reconnecting' ? { ...this.reconnect } : null,
+            observing: Array.from(this.subscriptions.keys()),
+            queue: this.queue.getStats(),
+            cache: this.cache.getStats(),
+            health: { ...this.health },
+            framing: this.decoder ? { ...this.decoder.stats } : null
         };
     }
 }
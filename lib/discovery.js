@@ -0,0 +1,180 @@
+/**
+ * Device Discovery Rules
+ *
+ * Decides which serial ports DeviceManager claims during a scan.
+ * Loaded from a JSON file (see discovery.example.json):
+ *
+ *   {
+ *     "include": ["/dev/ttyACM*", "/dev/ttyUSB*"],   // Path globs to consider
+ *     "exclude": ["/dev/ttyUSB9"],                    // Path globs to leave alone
+ *     "usb": ["04d8:*", "0424:2530"],                 // VID:PID allow-list (empty = any)
+ *     "baudRate": 115200,                             // Default baud rate
+ *     "devices": {                                    // Per-device settings, first match wins
+ *       "/dev/ttyUSB0": { "baudRate": 921600 },       //   by path glob
+ *       "0403:6001:FT*": { "baudRate": 230400 }       //   or by VID:PID[:serial]
+ *     },
+ *     "probe": false,                                 // Keep a port only if it answers a MUP1 ping
+ *     "probeTimeout": 1000,
+ *     "probeRetry": 60000                             // Probe a silent port again after this long
+ *   }
+ *
+ * Globs support '*' and '?' within one path segment; wildcards are only
+ * expanded in the last segment of an include pattern.
+ */
+
+import { readdirSync, existsSync } from 'fs';
+import { dirname } from 'path';
+
+export const DEFAULT_DISCOVERY = {
+    include: ['/dev/ttyACM*', '/dev/ttyUSB*'],
+    exclude: [],
+    usb: [],
+    baudRate: 115200,
+    devices: {},
+    probe: false,
+    probeTimeout: 1000,
+    probeRetry: 60000
+};
+
+/**
+ * Convert a glob ('*', '?') into an anchored regular expression
+ */
+export function globToRegExp(glob, flags = '') {
+    const pattern = glob
+        .split('')
+        .map(char => {
+            if (char === '*') return '[^/]*';
+            if (char === '?') return '[^/]';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${pattern}$`, flags);
+}
+
+export class DiscoveryRules {
+    /**
+     * @param {Object} config - Settings as in the file; missing keys use DEFAULT_DISCOVERY
+     * @throws {Error} - For settings of the wrong type
+     */
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_DISCOVERY, ...config };
+        this.validate();
+
+        this.include = this.config.include.map(glob => globToRegExp(glob));
+        this.exclude = this.config.exclude.map(glob => globToRegExp(glob));
+        this.usb = this.config.usb.map(id => globToRegExp(id.toLowerCase(), 'i'));
+        this.devices = Object.entries(this.config.devices).map(([key, settings]) => ({
+            key,
+            byPath: key.startsWith('/'),
+            pattern: globToRegExp(key, key.startsWith('/') ? '' : 'i'),
+            settings
+        }));
+    }
+
+    /**
+     * Check types so that a typo fails at load time instead of during a scan
+     */
+    validate() {
+        const { include, exclude, usb, baudRate, devices, probeTimeout, probeRetry } = this.config;
+
+        for (const [name, value] of Object.entries({ include, exclude, usb })) {
+            if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+                throw new Error(`Discovery setting '${name}' must be a list of strings`);
+            }
+        }
+        for (const id of usb) {
+            if (!/^[0-9a-fA-F*?]+(:[0-9a-fA-F*?]+)?$/.test(id)) {
+                throw new Error(`Invalid USB ID '${id}': use VID:PID in hex, '*' as wildcard`);
+            }
+        }
+        if (!Number.isInteger(baudRate) || baudRate <= 0) {
+            throw new Error(`Discovery setting 'baudRate' must be a positive integer`);
+        }
+        if (!devices || typeof devices !== 'object' || Array.isArray(devices)) {
+            throw new Error(`Discovery setting 'devices' must be an object keyed by path glob or VID:PID`);
+        }
+        for (const [key, settings] of Object.entries(devices)) {
+            if (settings?.baudRate !== undefined && !(Number.isInteger(settings.baudRate) && settings.baudRate > 0)) {
+                throw new Error(`Invalid baudRate for '${key}'`);
+            }
+        }
+        for (const [name, value] of Object.entries({ probeTimeout, probeRetry })) {
+            if (!Number.isFinite(value) || value < 0) {
+                throw new Error(`Discovery setting '${name}' must be a number of milliseconds`);
+            }
+        }
+    }
+
+    /**
+     * Ports matching the include globs and none of the exclude globs
+     * @returns {Array<string>} - Sorted paths
+     */
+    listPorts() {
+        const found = new Set();
+
+        for (const glob of this.config.include) {
+            if (!/[*?]/.test(glob)) {
+                if (existsSync(glob)) found.add(glob);
+                continue;
+            }
+
+            const directory = dirname(glob);
+            if (!existsSync(directory)) {
+                continue;
+            }
+            const pattern = globToRegExp(glob);
+            for (const name of readdirSync(directory)) {
+                const path = `${directory}/${name}`;
+                if (pattern.test(path)) found.add(path);
+            }
+        }
+
+        return Array.from(found).filter(path => this.matchesPath(path)).sort();
+    }
+
+    /**
+     * Whether a path passes the include/exclude globs
+     */
+    matchesPath(path) {
+        return this.include.some(re => re.test(path)) && !this.exclude.some(re => re.test(path));
+    }
+
+    /**
+     * Whether the USB identity passes the VID:PID allow-list
+     * Ports without USB information only pass an empty allow-list.
+     * @param {Object|null} usb - { vendorId, productId } from DeviceManager.lookupUsb()
+     */
+    allowsUsb(usb) {
+        if (this.usb.length === 0) {
+            return true;
+        }
+        if (!usb?.vendorId) {
+            return false;
+        }
+        const id = `${usb.vendorId}:${usb.productId}`;
+        return this.usb.some(re => re.test(id) || re.test(usb.vendorId));
+    }
+
+    /**
+     * Settings for one port: baudRate and probe, with per-device overrides applied
+     * @returns {Object} - { baudRate, probe, probeTimeout }
+     */
+    settingsFor(path, usb = null) {
+        const usbIds = usb?.vendorId
+            ? [`${usb.vendorId}:${usb.productId}:${usb.serialNumber || ''}`, `${usb.vendorId}:${usb.productId}`]
+            : [];
+
+        const match = this.devices.find(device => device.byPath
+            ? device.pattern.test(path)
+            : usbIds.some(id => device.pattern.test(id)));
+
+        return {
+            baudRate: this.config.baudRate,
+            probe: this.config.probe,
+            probeTimeout: this.config.probeTimeout,
+            ...(match ? match.settings : {})
+        };
+    }
+}
+
+export default DiscoveryRules;
@@ -7,6 +7,243 @@
  * Standard: Microchip UART Protocol #1 Specification
  */
 
+import { Transform } from 'stream';
+
+const SOF = 0x3E;     // '>'
+const EOF = 0x3C;     // '<'
+const ESCAPE = 0x5C;  // '\'
+
+const UNESCAPE = {
+    0x30: 0x00,  // '0' -> NULL
+    0x46: 0xFF,  // 'F' -> 0xFF
+    0x3E: 0x3E,  // '>' -> '>'
+    0x3C: 0x3C,  // '<' -> '<'
+    0x5C: 0x5C   // '\' -> '\'
+};
+
+// Decoder states
+const HUNT = 0;       // Waiting for SOF
+const TYPE = 1;       // Expecting the command type byte
+const DATA = 2;       // Payload bytes
+const ESCAPED = 3;    // Byte after '\'
+const END = 4;        // After the first EOF: optional second EOF
+const CHECKSUM = 5;   // Four hex digits
+
+/**
+ * Incremental MUP1 frame decoder
+ *
+ * Bytes may arrive in any chunking; escape sequences are resolved before EOF
+ * detection, so an escaped '\<' inside the payload never ends a frame.
+ * Emits one object per frame: { type, data, checksum, valid }.
+ * A SOF inside a frame aborts it and starts a new one (resynchronisation).
+ */
+export class MUP1Decoder extends Transform {
+    /**
+     * @param {Object} options - { rejectBadChecksum = true, maxFrameSize = 65536 }
+     */
+    constructor(options = {}) {
+        super({ readableObjectMode: true });
+
+        this.rejectBadChecksum = options.rejectBadChecksum ?? true;
+        this.maxFrameSize = options.maxFrameSize ?? 65536;
+
+        this.stats = {
+            frames: 0,
+            badChecksum: 0,
+            aborted: 0,
+            oversized: 0,
+            discardedBytes: 0
+        };
+
+        this.reset();
+    }
+
+    /**
+     * Drop any partial frame and wait for the next SOF
+     */
+    reset() {
+        this.state = HUNT;
+        this.raw = [];       // Frame bytes as received (SOF..EOF), for the checksum
+        this.data = [];      // Unescaped payload
+        this.type = null;
+        this.checksum = '';
+    }
+
+    /**
+     * Start a new frame at a SOF byte
+     */
+    begin() {
+        this.reset();
+        this.state = TYPE;
+        this.raw.push(SOF);
+    }
+
+    /**
+     * Feed bytes and return the frames they complete
+     * @param {Buffer} chunk
+     * @returns {Array<Object>} - Decoded frames (only valid ones when rejectBadChecksum)
+     */
+    parse(chunk) {
+        const frames = [];
+
+        for (const byte of chunk) {
+            switch (this.state) {
+                case HUNT:
+                    if (byte === SOF) {
+                        this.begin();
+                    } else {
+                        this.stats.discardedBytes++;
+                    }
+                    break;
+
+                case TYPE:
+                    if (byte === SOF) {
+                        this.abort();
+                        this.begin();
+                    } else if (byte === EOF || byte === ESCAPE) {
+                        this.abort();
+                    } else {
+                        this.type = byte;
+                        this.raw.push(byte);
+                        this.state = DATA;
+                    }
+                    break;
+
+                case DATA:
+                    if (byte === SOF) {
+                        this.abort();
+                        this.begin();
+                        break;
+                    }
+                    this.raw.push(byte);
+                    if (byte === ESCAPE) {
+                        this.state = ESCAPED;
+                    } else if (byte === EOF) {
+                        this.state = END;
+                    } else {
+                        this.data.push(byte);
+                    }
+                    break;
+
+                case ESCAPED:
+                    this.raw.push(byte);
+                    this.data.push(UNESCAPE[byte] ?? byte);
+                    this.state = DATA;
+                    break;
+
+                case END:
+                    if (byte === EOF) {
+                        this.raw.push(byte);
+                        this.state = CHECKSUM;
+                        break;
+                    }
+                    this.state = CHECKSUM;
+                    // Falls through: this byte is the first checksum digit
+
+                case CHECKSUM: {
+                    if (!/[0-9A-Fa-f]/.test(String.fromCharCode(byte))) {
+                        this.abort();
+                        if (byte === SOF) {
+                            this.begin();
+                        }
+                        break;
+                    }
+                    this.checksum += String.fromCharCode(byte).toUpperCase();
+                    if (this.checksum.length === 4) {
+                        const frame = this.finish();
+                        if (frame) {
+                            frames.push(frame);
+                        }
+                    }
+                    break;
+                }
+            }
+
+            if (this.raw.length > this.maxFrameSize) {
+                this.stats.oversized++;
+                this.stats.discardedBytes += this.raw.length;
+                this.reset();
+            }
+        }
+
+        return frames;
+    }
+
+    /**
+     * Discard the partial frame
+     */
+    abort() {
+        this.stats.aborted++;
+        this.stats.discardedBytes += this.raw.length;
+        this.reset();
+    }
+
+    /**
+     * Verify the checksum of the completed frame and build the frame object
+     */
+    finish() {
+        const calculated = checksumOf(Buffer.from(this.raw)).toString(16).toUpperCase().padStart(4, '0');
+        const frame = {
+            type: String.fromCharCode(this.type),
+            data: Buffer.from(this.data),
+            checksum: this.checksum,
+            valid: this.checksum === calculated
+        };
+        this.reset();
+
+        if (!frame.valid) {
+            this.stats.badChecksum++;
+            console.warn(`[MUP1] Checksum mismatch: provided=${frame.checksum}, calculated=${calculated}`);
+            if (this.rejectBadChecksum) {
+                return null;
+            }
+        }
+
+        this.stats.frames++;
+        return frame;
+    }
+
+    _transform(chunk, encoding, callback) {
+        for (const frame of this.parse(chunk)) {
+            this.push(frame);
+        }
+        callback();
+    }
+}
+
+/**
+ * 16-bit one's complement checksum (EXACTLY like mup1cc)
+ * @param {Buffer} data - Frame from SOF to EOF inclusive, as sent on the wire
+ * @returns {number}
+ */
+function checksumOf(data) {
+    let sum = 0;
+
+    // Sum all 16-bit words (network byte order / big-endian)
+    for (let i = 0; i < data.length; i += 2) {
+        if (i + 1 < data.length) {
+            // Both bytes available
+            sum += (data[i] << 8) | data[i + 1];
+        } else {
+            // Odd byte: treat as high byte with 0x00 low byte
+            sum += data[i] << 8;
+        }
+
+        // Handle overflow during summing
+        if (sum > 0xFFFF) {
+            sum = (sum & 0xFFFF) + (sum >> 16);
+        }
+    }
+
+    // Final carry fold
+    while (sum > 0xFFFF) {
+        sum = (sum & 0xFFFF) + (sum >> 16);
+    }
+
+    // One's complement
+    return (~sum) & 0xFFFF;
+}
+
 export class MUP1Protocol {
     constructor() {
         // Frame delimiters
@@ -18,7 +255,8 @@ export class MUP1Protocol {
         this.COMMANDS = {
             ANNOUNCEMENT: 0x41,  // 'A' - Board announcements
             COAP: 0x43,          // 'C' - CoAP messages
-            PING: 0x50,          // 'P' - Ping/Pong
+            PING: 0x50,          // 'P' - Ping
+            PONG: 0x70,          // 'p' - Ping reply
             TRACE: 0x54,         // 'T' - Trace messages
             SYSTEM: 0x53         // 'S' - System messages
         };
@@ -94,65 +332,33 @@ export class MUP1Protocol {
     }
 
     /**
-     * Decode MUP1 frame
+     * Decode one complete MUP1 frame
      * @param {Buffer} buffer - Raw frame data
-     * @returns {Object} - Decoded frame {type, data, checksum}
+     * @returns {Object} - Decoded frame {type, data, checksum, valid}
      */
     decodeFrame(buffer) {
-        if (buffer.length < 8) {
-            throw new Error('Frame too short (minimum 8 bytes)');
+        if (buffer.length < 7) {
+            throw new Error('Frame too short (minimum 7 bytes)');
         }
 
         if (buffer[0] !== this.SOF) {
             throw new Error('Invalid start of frame');
         }
 
-        // Extract command type
-        const type = buffer[1];
-
-        // Decode data until EOF
-        const data = [];
-        let i = 2;
-        let escaping = false;
-
-        while (i < buffer.length - 4) {
-            const byte = buffer[i];
-
-            if (byte === this.EOF) {
-                break;
-            }
-
-            if (escaping) {
-                data.push(this.UNESCAPE_MAP[byte] ?? byte);
-                escaping = false;
-            } else if (byte === this.ESCAPE) {
-                escaping = true;
-            } else {
-                data.push(byte);
-            }
-
-            i++;
-        }
-
-        // Find checksum position
-        const frameEnd = buffer.indexOf(this.EOF, 2);
-        const checksumStart = buffer[frameEnd + 1] === this.EOF ? frameEnd + 2 : frameEnd + 1;
-
-        // Extract and verify checksum
-        const providedChecksum = buffer.toString('ascii', checksumStart, checksumStart + 4).toUpperCase();
-        const frameForChecksum = buffer.slice(0, frameEnd + (buffer[frameEnd + 1] === this.EOF ? 2 : 1));
-        const calculatedChecksum = this.calculateChecksum(frameForChecksum).toString(16).toUpperCase().padStart(4, '0');
-
-        if (providedChecksum !== calculatedChecksum) {
-            console.warn(`[MUP1] Checksum mismatch: provided=${providedChecksum}, calculated=${calculatedChecksum}`);
+        const [frame] = new MUP1Decoder({ rejectBadChecksum: false }).parse(buffer);
+        if (!frame) {
+            throw new Error('Incomplete or malformed frame');
         }
+        return frame;
+    }
 
-        return {
-            type: String.fromCharCode(type),
-            data: Buffer.from(data),
-            checksum: providedChecksum,
-            valid: providedChecksum === calculatedChecksum
-        };
+    /**
+     * Create a streaming decoder (serial bytes in, frame objects out)
+     * @param {Object} options - See MUP1Decoder
+     * @returns {MUP1Decoder}
+     */
+    createDecoder(options = {}) {
+        return new MUP1Decoder(options);
     }
 
     /**
@@ -161,31 +367,7 @@ export class MUP1Protocol {
      * @returns {number} - 16-bit checksum
      */
     calculateChecksum(data) {
-        let sum = 0;
-
-        // Sum all 16-bit words (network byte order / big-endian)
-        for (let i = 0; i < data.length; i += 2) {
-            if (i + 1 < data.length) {
-                // Both bytes available
-                sum += (data[i] << 8) | data[i + 1];
-            } else {
-                // Odd byte: treat as high byte with 0x00 low byte
-                sum += data[i] << 8;
-            }
-
-            // Handle overflow during summing
-            if (sum > 0xFFFF) {
-                sum = (sum & 0xFFFF) + (sum >> 16);
-            }
-        }
-
-        // Final carry fold
-        while (sum > 0xFFFF) {
-            sum = (sum & 0xFFFF) + (sum >> 16);
-        }
-
-        // One's complement
-        return (~sum) & 0xFFFF;
+        return checksumOf(data);
     }
 
     /**
@@ -205,6 +387,86 @@ export class MUP1Protocol {
         return this.encodeFrame(this.COMMANDS.PING);
     }
 
+    /**
+     * Parse an announcement ('A') frame payload
+     *
+     * The board announces itself on boot with a line such as
+     * 'VelocitySP-v2025.06-LAN9662-ung8291 326 300 2': a firmware identifier
+     * (<product>-v<version>-<board>-<build>) followed by numeric MUP1 parameters,
+     * the last of which is the MUP1 version. key=value tokens (serial=..., mup1=...)
+     * are accepted as well.
+     * @param {Buffer|string} data - Announcement payload
+     * @returns {Object} - { raw, product, firmware, board, build, mup1Version, serial, parameters }
+     */
+    parseAnnouncement(data) {
+        const raw = Buffer.isBuffer(data) ? data.toString('utf-8') : String(data);
+        const text = raw.replace(/[\x00\r\n]+/g, ' ').trim();
+
+        const announcement = {
+            raw: text,
+            product: null,
+            firmware: null,
+            board: null,
+            build: null,
+            mup1Version: null,
+            serial: null,
+            parameters: []
+        };
+
+        for (const token of text.split(/\s+/).filter(Boolean)) {
+            const pair = token.match(/^([\w-]+)[=:](.+)$/);
+            if (pair) {
+                const key = pair[1].toLowerCase();
+                if (['serial', 'sn', 'serial-number'].includes(key)) announcement.serial = pair[2];
+                else if (['mup1', 'mup1-version', 'version'].includes(key)) announcement.mup1Version = pair[2];
+                else if (['board', 'type'].includes(key)) announcement.board = pair[2];
+                else if (['fw', 'firmware'].includes(key)) announcement.firmware = pair[2];
+                continue;
+            }
+
+            if (/^\d+$/.test(token)) {
+                announcement.parameters.push(Number(token));
+                continue;
+            }
+
+            const id = token.match(/^(.+?)-v(\d[\w.]*)-([A-Za-z0-9]+)(?:-(.+))?$/);
+            if (id && !announcement.product) {
+                [, announcement.product, announcement.firmware, announcement.board] = id;
+                announcement.build = id[4] || null;
+            } else if (!announcement.product) {
+                announcement.product = token;
+            }
+        }
+
+        if (announcement.mup1Version === null && announcement.parameters.length > 0) {
+            announcement.mup1Version = String(announcement.parameters[announcement.parameters.length - 1]);
+        }
+
+        return announcement;
+    }
+
+    /**
+     * Parse a trace ('T') frame payload into one entry per line
+     * A leading level marker ('[E]', 'W:', 'error:', '<info>', ...) sets the level;
+     * lines without one are 'info'.
+     * @param {Buffer|string} data - Trace payload
+     * @returns {Array<Object>} - [{ level, message }], level is error | warning | info | debug
+     */
+    parseTrace(data) {
+        const text = Buffer.isBuffer(data) ? data.toString('utf-8') : String(data);
+        const levels = { e: 'error', w: 'warning', i: 'info', d: 'debug', n: 'debug' };
+
+        return text.split(/\r?\n/)
+            .map(line => line.replace(/\x00/g, '').trimEnd())
+            .filter(line => line.trim())
+            .map(line => {
+                const marker = line.match(/^\s*[[<(]?\s*(error|err|e|warning|warn|w|info|i|debug|dbg|d|noise|n)\s*[\]>):]\s*/i);
+                return marker
+                    ? { level: levels[marker[1][0].toLowerCase()], message: line.slice(marker[0].length) }
+                    : { level: 'info', message: line.trim() };
+            });
+    }
+
     /**
      * Get command type name
      */
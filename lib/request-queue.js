@@ -0,0 +1,188 @@
+/**
+ * Per-device Request Queue
+ *
+ * Orders the CoAP requests to one board: at most `nstart` run at a time
+ * (NSTART, RFC 7252 Section 4.7), higher priorities go first and requests
+ * of the same priority keep their order. Queued and running requests can
+ * be cancelled; a running one is aborted through its AbortSignal.
+ */
+
+// Most urgent first
+export const PRIORITIES = ['interactive', 'normal', 'background'];
+
+export class RequestQueue {
+    /**
+     * @param {Object} options
+     * @param {number} options.nstart - Requests running at once (default 1)
+     * @param {number} options.maxQueued - Waiting requests before new ones are refused
+     */
+    constructor(options = {}) {
+        this.nstart = options.nstart || 1;
+        this.maxQueued = options.maxQueued || 100;
+        this.waiting = [];          // Entries not started yet, in priority order
+        this.running = new Map();   // id -> entry
+        this.nextId = 1;
+        this.stats = { completed: 0, failed: 0, cancelled: 0, maxWait: 0 };
+    }
+
+    /**
+     * Queue a request
+     * @param {Function} run - (signal) => Promise, started when a slot is free
+     * @param {Object} info - { method, uri, priority } shown by list(), and optionally
+     *                        the id to cancel it by (default: a sequence number)
+     * @returns {Object} - { id, promise }; promise settles with the result of run()
+     * @throws {Error} - For an unknown priority, an id in use or a full queue (error.code 'EQUEUEFULL')
+     */
+    enqueue(run, info = {}) {
+        const priority = info.priority || 'normal';
+        if (!PRIORITIES.includes(priority)) {
+            throw new Error(`Unknown priority '${priority}': use ${PRIORITIES.join(', ')}`);
+        }
+        if (info.id != null && (this.running.has(String(info.id)) || this.waiting.some(e => e.id === String(info.id)))) {
+            throw new Error(`Request id '${info.id}' is already queued`);
+        }
+        if (this.waiting.length >= this.maxQueued) {
+            const error = new Error(`Request queue full (${this.maxQueued} waiting)`);
+            error.code = 'EQUEUEFULL';
+            throw error;
+        }
+
+        const entry = {
+            id: info.id != null ? String(info.id) : String(this.nextId++),
+            method: info.method || null,
+            uri: info.uri || null,
+            priority,
+            rank: PRIORITIES.indexOf(priority),
+            queuedAt: Date.now(),
+            startedAt: null,
+            run,
+            controller: new AbortController()
+        };
+        entry.promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+
+        // Behind every entry of the same or a more urgent priority
+        const index = this.waiting.findIndex(other => other.rank > entry.rank);
+        this.waiting.splice(index === -1 ? this.waiting.length : index, 0, entry);
+
+        this.pump();
+        return { id: entry.id, promise: entry.promise };
+    }
+
+    /**
+     * Start waiting requests while slots are free
+     */
+    pump() {
+        while (this.running.size < this.nstart && this.waiting.length > 0) {
+            const entry = this.waiting.shift();
+            entry.startedAt = Date.now();
+            this.stats.maxWait = Math.max(this.stats.maxWait, entry.startedAt - entry.queuedAt);
+            this.running.set(entry.id, entry);
+
+            // Cancelled before it got going: do not start it at all
+            Promise.resolve()
+                .then(() => {
+                    entry.controller.signal.throwIfAborted();
+                    return entry.run(entry.controller.signal);
+                })
+                .then(
+                    (result) => this.settle(entry, null, result),
+                    (error) => this.settle(entry, error)
+                );
+        }
+    }
+
+    /**
+     * A running request finished: free its slot and start the next one
+     */
+    settle(entry, error, result) {
+        this.running.delete(entry.id);
+        if (entry.controller.signal.aborted) {
+            entry.reject(entry.controller.signal.reason);
+        } else if (error) {
+            this.stats.failed++;
+            entry.reject(error);
+        } else {
+            this.stats.completed++;
+            entry.resolve(result);
+        }
+        this.pump();
+    }
+
+    /**
+     * Cancel a queued or running request; its promise rejects with error.cancelled set
+     * @returns {boolean} - Whether the request was found
+     */
+    cancel(id, reason = 'Request cancelled') {
+        const error = new Error(reason);
+        error.cancelled = true;
+
+        const index = this.waiting.findIndex(entry => entry.id === String(id));
+        if (index !== -1) {
+            const [entry] = this.waiting.splice(index, 1);
+            this.stats.cancelled++;
+            entry.reject(error);
+            return true;
+        }
+
+        const entry = this.running.get(String(id));
+        if (entry && !entry.controller.signal.aborted) {
+            this.stats.cancelled++;
+            entry.controller.abort(error);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Cancel everything (device disconnected)
+     */
+    cancelAll(reason) {
+        for (const entry of [...this.waiting, ...this.running.values()]) {
+            this.cancel(entry.id, reason);
+        }
+    }
+
+    /**
+     * Running and waiting requests, running first
+     */
+    list() {
+        const now = Date.now();
+        const describe = (entry, state) => ({
+            id: entry.id,
+            state,
+            method: entry.method,
+            uri: entry.uri,
+            priority: entry.priority,
+            queuedAt: new Date(entry.queuedAt).toISOString(),
+            waited: (entry.startedAt || now) - entry.queuedAt
+        });
+
+        return [
+            ...Array.from(this.running.values(), entry => describe(entry, 'running')),
+            ...this.waiting.map(entry => describe(entry, 'queued'))
+        ];
+    }
+
+    /**
+     * Queue depth and counters
+     */
+    getStats() {
+        const byPriority = Object.fromEntries(PRIORITIES.map(priority => [
+            priority,
+            this.waiting.filter(entry => entry.priority === priority).length
+        ]));
+
+        return {
+            nstart: this.nstart,
+            queued: this.waiting.length,
+            running: this.running.size,
+            byPriority,
+            ...this.stats
+        };
+    }
+}
+
+export default RequestQueue;
@@ -0,0 +1,553 @@
+/**
+ * RESTCONF Northbound Interface (RFC 8040)
+ *
+ * Exposes the CORECONF datastore of each board as standard RESTCONF:
+ *   /.well-known/host-meta             Root resource discovery
+ *   /restconf/data[/<path>]            GET, PUT, PATCH, POST, DELETE
+ *   /restconf/operations[/<rpc>]       List and invoke RPCs
+ *
+ * A board is selected by path segment (/restconf/devices/<id|alias|tty>/data/...)
+ * or by the X-Device header (/restconf/data/... with X-Device: tsn-left).
+ * When neither is given and exactly one board is connected, that board is used.
+ */
+
+import express from 'express';
+
+const MEDIA_TYPE = 'application/yang-data+json';
+const YANG_LIBRARY_VERSION = '2019-01-04';
+
+// CoAP response code -> [HTTP status, RESTCONF error-tag] (RFC 8040 Section 7)
+const COAP_ERRORS = {
+    128: [400, 'invalid-value'],            // 4.00 Bad Request
+    129: [401, 'access-denied'],            // 4.01 Unauthorized
+    130: [400, 'malformed-message'],        // 4.02 Bad Option
+    131: [403, 'access-denied'],            // 4.03 Forbidden
+    132: [404, 'invalid-value'],            // 4.04 Not Found
+    133: [405, 'operation-not-supported'],  // 4.05 Method Not Allowed
+    134: [406, 'invalid-value'],            // 4.06 Not Acceptable
+    137: [409, 'resource-denied'],          // 4.09 Conflict
+    140: [412, 'operation-failed'],         // 4.12 Precondition Failed
+    141: [413, 'too-big'],                  // 4.13 Request Entity Too Large
+    143: [415, 'invalid-value'],            // 4.15 Unsupported Content-Format
+    150: [400, 'invalid-value'],            // 4.22 Unprocessable Entity
+    160: [500, 'operation-failed'],         // 5.00 Internal Server Error
+    161: [501, 'operation-not-supported'],  // 5.01 Not Implemented
+    163: [503, 'resource-denied'],          // 5.03 Service Unavailable
+    164: [504, 'operation-failed']          // 5.04 Gateway Timeout
+};
+
+/**
+ * Error carrying an HTTP status and RESTCONF error-tag
+ */
+class RestconfError extends Error {
+    constructor(status, tag, message, path = null) {
+        super(message);
+        this.status = status;
+        this.tag = tag;
+        this.path = path;
+    }
+}
+
+/**
+ * Build the RFC 8040 Section 7.1 error body for an error
+ * CoAP errors (error.code) are mapped through COAP_ERRORS; a CORECONF
+ * error payload (RFC 9254 Section 6) refines the tag and message.
+ * @returns {Object} - { status, body }
+ */
+export function restconfError(error, errorPath = null) {
+    let status = 500;
+    let tag = 'operation-failed';
+    let message = error.message;
+
+    if (error instanceof RestconfError) {
+        ({ status, tag } = error);
+    } else if (COAP_ERRORS[error.code]) {
+        [status, tag] = COAP_ERRORS[error.code];
+    } else if (/timeout/i.test(error.message)) {
+        status = 504;
+    }
+
+    const coreconf = error.payload && typeof error.payload === 'object'
+        ? error.payload['ietf-coreconf:error'] || error.payload.error
+        : null;
+    if (coreconf && typeof coreconf === 'object') {
+        if (typeof coreconf['error-tag'] === 'string') {
+            tag = coreconf['error-tag'].replace(/^.*:/, '');
+        }
+        if (coreconf['error-message']) {
+            message = coreconf['error-message'];
+        }
+    }
+
+    const entry = {
+        'error-type': status >= 500 || error instanceof RestconfError ? 'protocol' : 'application',
+        'error-tag': tag
+    };
+    if (error.path || errorPath) {
+        entry['error-path'] = error.path || errorPath;
+    }
+    entry['error-message'] = message;
+
+    return {
+        status,
+        body: { 'ietf-restconf:errors': { error: [entry] } }
+    };
+}
+
+/**
+ * Parse a 'fields' expression (RFC 8040 Section 4.8.3) into a selection tree
+ * 'interface(name;enabled);foo/bar' -> { interface: { name: true, enabled: true }, foo: { bar: true } }
+ */
+export function parseFields(expr) {
+    let pos = 0;
+
+    const parseList = () => {
+        const selection = {};
+        for (;;) {
+            let node = selection;
+            let name = '';
+            const segments = [];
+
+            while (pos < expr.length && !';()'.includes(expr[pos])) {
+                if (expr[pos] === '/') {
+                    segments.push(name);
+                    name = '';
+                } else {
+                    name += expr[pos];
+                }
+                pos++;
+            }
+            segments.push(name);
+            if (segments.some(segment => !segment)) {
+                throw new RestconfError(400, 'invalid-value', `Invalid fields expression: ${expr}`);
+            }
+
+            // 'a/b' selects b inside a; an already fully selected ancestor absorbs it
+            const last = segments.pop();
+            for (const segment of segments) {
+                if (node === null || node[segment] === true) {
+                    node = null;
+                    break;
+                }
+                node = node[segment] = node[segment] || {};
+            }
+
+            let children = true;
+            if (expr[pos] === '(') {
+                pos++;
+                children = parseList();
+                if (expr[pos] !== ')') {
+                    throw new RestconfError(400, 'invalid-value', `Unbalanced fields expression: ${expr}`);
+                }
+                pos++;
+            }
+
+            if (node !== null && node[last] !== true) {
+                node[last] = children === true ? true : { ...(node[last] || {}), ...children };
+            }
+
+            if (expr[pos] !== ';') break;
+            pos++;
+        }
+        return selection;
+    };
+
+    const selection = parseList();
+    if (pos !== expr.length) {
+        throw new RestconfError(400, 'invalid-value', `Invalid fields expression: ${expr}`);
+    }
+    return selection;
+}
+
+/**
+ * Keep only the members selected by a parseFields() tree
+ * Selection names match with or without their module prefix.
+ */
+export function applyFields(value, selection) {
+    if (Array.isArray(value)) {
+        return value.map(entry => applyFields(entry, selection));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    const result = {};
+    for (const [name, child] of Object.entries(value)) {
+        const local = name.replace(/^.*:/, '');
+        const selected = selection[name] ?? selection[local];
+        if (selected === true) {
+            result[name] = child;
+        } else if (selected) {
+            result[name] = applyFields(child, selected);
+        }
+    }
+    return result;
+}
+
+/**
+ * Limit a subtree to 'depth' levels (RFC 8040 Section 4.8.2)
+ * The target node is level 1; list entries share their list's level.
+ */
+export function applyDepth(value, depth) {
+    if (Array.isArray(value)) {
+        return value.map(entry => applyDepth(entry, depth));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (depth <= 1) {
+        return {};
+    }
+
+    const result = {};
+    for (const [name, child] of Object.entries(value)) {
+        result[name] = applyDepth(child, depth - 1);
+    }
+    return result;
+}
+
+/**
+ * Map RESTCONF query parameters to a CORECONF query string (RFC 9254 Section 4.3)
+ * 'content' -> c, 'with-defaults' -> d
+ */
+function coreconfQuery(query) {
+    const params = [];
+
+    if (query.content !== undefined) {
+        const content = { config: 'c', nonconfig: 'n', all: 'a' }[query.content];
+        if (!content) {
+            throw new RestconfError(400, 'invalid-value', `Invalid content parameter: ${query.content}`);
+        }
+        params.push(`c=${content}`);
+    }
+
+    if (query['with-defaults'] !== undefined) {
+        const defaults = { 'report-all': 'a', trim: 't' }[query['with-defaults']];
+        if (!defaults) {
+            throw new RestconfError(400, 'invalid-value', `Unsupported with-defaults mode: ${query['with-defaults']}`);
+        }
+        params.push(`d=${defaults}`);
+    }
+
+    return params.join('&');
+}
+
+/**
+ * Parse the 'depth' query parameter: 1..65535 or 'unbounded'
+ */
+function depthOf(query) {
+    if (query.depth === undefined || query.depth === 'unbounded') {
+        return null;
+    }
+
+    const depth = Number(query.depth);
+    if (!Number.isInteger(depth) || depth < 1 || depth > 65535) {
+        throw new RestconfError(400, 'invalid-value', `Invalid depth parameter: ${query.depth}`);
+    }
+    return depth;
+}
+
+/**
+ * Take the value out of a request body like { "module:name": value }
+ * A list entry target accepts { "module:name": [entry] }.
+ */
+function unwrapBody(body, name, listEntry) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new RestconfError(400, 'malformed-message', 'Request body must be a JSON object');
+    }
+
+    const members = Object.keys(body);
+    const local = name.replace(/^.*:/, '');
+    if (members.length !== 1 || (members[0] !== name && members[0] !== local)) {
+        throw new RestconfError(400, 'bad-element', `Request body must contain exactly the target node ${name}`);
+    }
+
+    const value = body[members[0]];
+    if (listEntry && Array.isArray(value)) {
+        if (value.length !== 1) {
+            throw new RestconfError(400, 'invalid-value', 'A list entry body must contain exactly one entry');
+        }
+        return value[0];
+    }
+    return value;
+}
+
+/**
+ * Create the RESTCONF router; mount it at the application root
+ * @param {DeviceManager} deviceManager
+ * @returns {express.Router}
+ */
+export function createRestconfRouter(deviceManager) {
+    const router = express.Router();
+    const api = express.Router({ mergeParams: true });
+    const registry = () => deviceManager.sidRegistry;
+
+    router.use('/restconf', express.json({ type: [MEDIA_TYPE, 'application/json'], limit: '10mb', strict: false }));
+
+    /**
+     * Send a RESTCONF JSON response
+     */
+    const send = (res, status, body) => {
+        res.status(status).type(MEDIA_TYPE).send(JSON.stringify(body, null, 2));
+    };
+
+    /**
+     * Send an RFC 8040 error body
+     */
+    const fail = (res, error, errorPath) => {
+        const { status, body } = restconfError(error, errorPath);
+        console.error(`[RESTCONF] ${status} ${error.message}`);
+        send(res, status, body);
+    };
+
+    /**
+     * Resolve the target board from the path segment, X-Device header or the only connected board
+     */
+    const resolveDevice = (req) => {
+        const requested = req.params.device || req.get('X-Device');
+
+        if (requested) {
+            const name = decodeURIComponent(requested);
+            const path = deviceManager.resolvePath(name);
+            if (!path) {
+                throw new RestconfError(404, 'invalid-value', `Device not found: ${name}`);
+            }
+            return path;
+        }
+
+        const connected = deviceManager.getAllDevices().filter(device => device.connected);
+        if (connected.length === 1) {
+            return connected[0].path;
+        }
+        throw new RestconfError(400, 'missing-element',
+            connected.length === 0
+                ? 'No device connected'
+                : 'Several devices connected: select one with /restconf/devices/<device> or the X-Device header');
+    };
+
+    /**
+     * Data resource path after '/data', still percent-encoded
+     */
+    const dataPathOf = (req) => req.path.slice('/data'.length).replace(/^\/+/, '');
+
+    /**
+     * Schema information about a data resource path
+     */
+    const targetOf = (dataPath) => {
+        let parsed;
+        try {
+            parsed = registry().parsePath(dataPath);
+        } catch (error) {
+            throw new RestconfError(400, 'invalid-value', error.message, `/${dataPath}`);
+        }
+        return { ...parsed, name: registry().qualifiedName(parsed.path) };
+    };
+
+    // ----------------------------------------
+    // Root resource discovery (RFC 8040 Section 3.1)
+    // ----------------------------------------
+
+    router.get('/.well-known/host-meta', (req, res) => {
+        res.type('application/xrd+xml').send(
+            '<XRD xmlns="http://docs.oasis-open.org/ns/xri/xrd-1.0">\n' +
+            '    <Link rel="restconf" href="/restconf"/>\n' +
+            '</XRD>\n'
+        );
+    });
+
+    router.get('/.well-known/host-meta.json', (req, res) => {
+        res.json({ links: [{ rel: 'restconf', href: '/restconf' }] });
+    });
+
+    // ----------------------------------------
+    // API resource
+    // ----------------------------------------
+
+    api.get('/', (req, res) => {
+        send(res, 200, {
+            'ietf-restconf:restconf': {
+                data: {},
+                operations: {},
+                'yang-library-version': YANG_LIBRARY_VERSION
+            }
+        });
+    });
+
+    api.get('/yang-library-version', (req, res) => {
+        send(res, 200, { 'ietf-restconf:yang-library-version': YANG_LIBRARY_VERSION });
+    });
+
+    // ----------------------------------------
+    // Datastore resource
+    // ----------------------------------------
+
+    api.get(['/data', '/data/*'], async (req, res) => {
+        const dataPath = dataPathOf(req);
+
+        try {
+            const devicePath = resolveDevice(req);
+            const query = coreconfQuery(req.query);
+            const depth = depthOf(req.query);
+            const fields = req.query.fields !== undefined ? parseFields(String(req.query.fields)) : null;
+
+            let name = 'ietf-restconf:data';
+            let value;
+            if (dataPath) {
+                const target = targetOf(dataPath);
+                name = target.name;
+                value = await deviceManager.readData(devicePath, dataPath, { query });
+                if (target.listEntry && !Array.isArray(value)) {
+                    value = [value];
+                }
+            } else {
+                value = await deviceManager.readData(devicePath, '', { query });
+            }
+
+            if (fields) {
+                value = applyFields(value, fields);
+            }
+            if (depth !== null) {
+                value = applyDepth(value, depth);
+            }
+
+            send(res, 200, { [name]: value });
+        } catch (error) {
+            fail(res, error, `/${dataPath}`);
+        }
+    });
+
+    api.put('/data/*', async (req, res) => {
+        const dataPath = dataPathOf(req);
+
+        try {
+            const devicePath = resolveDevice(req);
+            const target = targetOf(dataPath);
+            const value = unwrapBody(req.body, target.name, target.listEntry);
+
+            await deviceManager.writeData(devicePath, dataPath, value, { replace: true });
+            res.status(204).end();
+        } catch (error) {
+            fail(res, error, `/${dataPath}`);
+        }
+    });
+
+    api.patch(['/data', '/data/*'], async (req, res) => {
+        const dataPath = dataPathOf(req);
+
+        try {
+            const devicePath = resolveDevice(req);
+
+            if (!dataPath) {
+                // Merge into the datastore: body is { "ietf-restconf:data": { ... } } or the tree itself
+                const tree = req.body?.['ietf-restconf:data'] || req.body;
+                for (const [name, value] of Object.entries(tree || {})) {
+                    await deviceManager.writeData(devicePath, name, value);
+                }
+            } else {
+                const target = targetOf(dataPath);
+                const value = unwrapBody(req.body, target.name, target.listEntry);
+                await deviceManager.writeData(devicePath, dataPath, value);
+            }
+            res.status(204).end();
+        } catch (error) {
+            fail(res, error, `/${dataPath}`);
+        }
+    });
+
+    api.post(['/data', '/data/*'], async (req, res) => {
+        const dataPath = dataPathOf(req);
+
+        try {
+            const devicePath = resolveDevice(req);
+            const members = Object.keys(req.body || {});
+            if (members.length !== 1) {
+                throw new RestconfError(400, 'malformed-message', 'Request body must contain exactly one child resource');
+            }
+
+            // The child segment only keeps its prefix when its module differs from the parent's
+            const [childName] = members;
+            let childSegment = childName;
+            if (dataPath && childName.includes(':') &&
+                childName.slice(0, childName.indexOf(':')) === registry().moduleOf(targetOf(dataPath).path)) {
+                childSegment = childName.slice(childName.indexOf(':') + 1);
+            }
+            const childPath = dataPath ? `${dataPath}/${childSegment}` : childName;
+            const child = targetOf(childPath);
+            let value = req.body[childName];
+
+            // Containers and leaves can be checked for existence; list entries are merged into the list
+            if (!Array.isArray(value)) {
+                const exists = await deviceManager.readData(devicePath, childPath).then(() => true, () => false);
+                if (exists) {
+                    throw new RestconfError(409, 'data-exists', `Data already exists: /${childPath}`, `/${childPath}`);
+                }
+            }
+
+            if (dataPath) {
+                await deviceManager.writeData(devicePath, dataPath, { [child.name]: value });
+            } else {
+                await deviceManager.writeData(devicePath, childPath, value);
+            }
+
+            res.status(201).location(`${req.baseUrl}/data/${childPath}`).end();
+        } catch (error) {
+            fail(res, error, `/${dataPath}`);
+        }
+    });
+
+    api.delete('/data/*', async (req, res) => {
+        const dataPath = dataPathOf(req);
+
+        try {
+            const devicePath = resolveDevice(req);
+            targetOf(dataPath);
+            await deviceManager.deleteData(devicePath, dataPath);
+            res.status(204).end();
+        } catch (error) {
+            fail(res, error, `/${dataPath}`);
+        }
+    });
+
+    // ----------------------------------------
+    // Operations resource
+    // ----------------------------------------
+
+    api.get('/operations', (req, res) => {
+        const operations = {};
+        for (const path of registry().getOperations()) {
+            operations[path.slice(1)] = [null];
+        }
+        send(res, 200, { 'ietf-restconf:operations': operations });
+    });
+
+    api.post('/operations/:operation', async (req, res) => {
+        const operation = req.params.operation;
+
+        try {
+            const devicePath = resolveDevice(req);
+            const path = `/${operation}`;
+            if (!operation.includes(':') || !registry().getOperations().includes(path)) {
+                throw new RestconfError(404, 'invalid-value', `Unknown operation: ${operation}`, path);
+            }
+
+            const module = operation.slice(0, operation.indexOf(':'));
+            const body = req.body && typeof req.body === 'object' ? req.body : {};
+            const input = body[`${module}:input`] || body.input || {};
+
+            const output = await deviceManager.invokeOperation(devicePath, path, input);
+            if (output && Object.keys(output).length > 0) {
+                send(res, 200, { [`${module}:output`]: output });
+            } else {
+                res.status(204).end();
+            }
+        } catch (error) {
+            fail(res, error, `/${operation}`);
+        }
+    });
+
+    router.use(['/restconf/devices/:device', '/restconf'], api);
+
+    return router;
+}
+
+export default createRestconfRouter;
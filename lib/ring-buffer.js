@@ -0,0 +1,53 @@
+/**
+ * Fixed-capacity ring buffer
+ *
+ * Keeps the most recent `capacity` items; pushing into a full buffer
+ * overwrites the oldest item.
+ */
+
+export class RingBuffer {
+    constructor(capacity = 1000) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0;   // Index of the oldest item
+        this.size = 0;
+        this.dropped = 0; // Items overwritten since creation
+    }
+
+    /**
+     * Append an item, overwriting the oldest one when full
+     */
+    push(item) {
+        const index = (this.start + this.size) % this.capacity;
+        this.items[index] = item;
+
+        if (this.size < this.capacity) {
+            this.size++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+            this.dropped++;
+        }
+    }
+
+    /**
+     * Items from oldest to newest
+     */
+    toArray() {
+        const result = [];
+        for (let i = 0; i < this.size; i++) {
+            result.push(this.items[(this.start + i) % this.capacity]);
+        }
+        return result;
+    }
+
+    /**
+     * Remove all items
+     */
+    clear() {
+        this.items = new Array(this.capacity);
+        this.start = 0;
+        this.size = 0;
+    }
+}
+
+export default RingBuffer;
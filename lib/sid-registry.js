@@ -0,0 +1,480 @@
+/**
+ * SID Registry for CORECONF (RFC 9254)
+ *
+ * Loads YANG Schema Item iDentifier files (.sid, RFC 9595 JSON) and converts
+ * CBOR payloads between SID-delta form and RFC 7951 JSON member names
+ *
+ * Reference: https://datatracker.ietf.org/doc/html/rfc9595
+ */
+
+import { readdirSync, readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { Tag } from 'cbor-x';
+
+// CBOR tag for an absolute SID where a delta is expected (RFC 9254 Section 3.2)
+const TAG_ABSOLUTE_SID = 47;
+
+export class SIDRegistry {
+    constructor() {
+        this.items = new Map();    // sid -> { namespace, identifier, module, type }
+        this.paths = new Map();    // data node schema path -> sid
+        this.identities = new Map();  // 'module:identity' -> sid
+        this.modules = new Map();  // module name -> { revision, file, items }
+    }
+
+    /**
+     * Number of loaded items
+     */
+    get size() {
+        return this.items.size;
+    }
+
+    /**
+     * Load all .sid files from a directory
+     * @param {string} directory - Directory containing .sid files
+     * @returns {number} - Number of modules loaded
+     */
+    loadDirectory(directory) {
+        if (!existsSync(directory)) {
+            console.log(`[SID] Directory not found: ${directory} (names will not be translated)`);
+            return 0;
+        }
+
+        let loaded = 0;
+        for (const file of readdirSync(directory).filter(f => f.endsWith('.sid')).sort()) {
+            try {
+                this.loadFile(join(directory, file));
+                loaded++;
+            } catch (error) {
+                console.warn(`[SID] Failed to load ${file}:`, error.message);
+            }
+        }
+
+        console.log(`[SID] Loaded ${loaded} modules, ${this.items.size} items from ${directory}`);
+        return loaded;
+    }
+
+    /**
+     * Load a single .sid file
+     * Accepts RFC 9595 ("ietf-sid-file:sid-file" / "item") and the older
+     * draft layout ("module-name" / "items" at the top level).
+     */
+    loadFile(file) {
+        const json = JSON.parse(readFileSync(file, 'utf-8'));
+        const sidFile = json['ietf-sid-file:sid-file'] || json;
+
+        const moduleName = sidFile['module-name'];
+        const items = sidFile.item || sidFile.items;
+
+        if (!moduleName || !Array.isArray(items)) {
+            throw new Error('Not a SID file (module-name or item missing)');
+        }
+
+        for (const item of items) {
+            this.add(moduleName, item);
+        }
+
+        this.modules.set(moduleName, {
+            revision: sidFile['module-revision'] || null,
+            file,
+            items: items.length
+        });
+    }
+
+    /**
+     * Register a single SID item
+     */
+    add(moduleName, item) {
+        // uint64 values are strings in RFC 7951 JSON
+        const sid = Number(item.sid);
+        const entry = {
+            namespace: item.namespace,
+            identifier: item.identifier,
+            module: moduleName,
+            type: item.type || null
+        };
+
+        this.items.set(sid, entry);
+
+        if (item.namespace === 'data') {
+            this.paths.set(item.identifier, sid);
+        } else if (item.namespace === 'identity') {
+            const name = item.identifier.includes(':') ? item.identifier : `${moduleName}:${item.identifier}`;
+            this.identities.set(name, sid);
+        }
+    }
+
+    /**
+     * Get SID item by number
+     */
+    getItem(sid) {
+        return this.items.get(sid) || null;
+    }
+
+    /**
+     * Get SID of a data node schema path (e.g. '/ietf-interfaces:interfaces/interface')
+     */
+    getSid(path) {
+        return this.paths.get(path) ?? null;
+    }
+
+    /**
+     * JSON member name of a data node (last path segment keeps its prefix
+     * only where the module changes, matching RFC 7951)
+     */
+    memberName(item) {
+        return item.identifier.slice(item.identifier.lastIndexOf('/') + 1);
+    }
+
+    /**
+     * Module name of the last segment of a schema path
+     */
+    moduleOf(path) {
+        const segments = path.split('/').filter(Boolean);
+        for (let i = segments.length - 1; i >= 0; i--) {
+            const colon = segments[i].indexOf(':');
+            if (colon !== -1) return segments[i].slice(0, colon);
+        }
+        return null;
+    }
+
+    /**
+     * Resolve a JSON member name below a parent schema path to a SID
+     * Redundant prefixes (same module as the parent) are tolerated.
+     * @returns {Array} - [sid, path] or [null, path]
+     */
+    resolveMember(parentPath, name) {
+        let path = `${parentPath}/${name}`;
+        let sid = this.paths.get(path);
+
+        if (sid === undefined && name.includes(':') && parentPath) {
+            const [prefix, local] = name.split(':');
+            if (prefix === this.moduleOf(parentPath)) {
+                path = `${parentPath}/${local}`;
+                sid = this.paths.get(path);
+            }
+        }
+
+        return [sid ?? null, path];
+    }
+
+    /**
+     * Parse a readable data path (RFC 8040 style) into an instance identifier
+     *
+     *   'ietf-interfaces:interfaces/interface=eth0/enabled'
+     *     -> { path: '/ietf-interfaces:interfaces/interface/enabled', keys: ['eth0'] }
+     *
+     * Keys are comma-separated and percent-decoded; they are passed as strings.
+     * Prefixes repeating the parent's module are accepted and dropped.
+     *
+     * @param {string} text - Data path, leading '/' optional
+     * @returns {Object} - { path, keys, sid, listEntry } (listEntry: last segment had keys)
+     * @throws {Error} - For malformed paths or nodes without a SID
+     */
+    parsePath(text) {
+        const segments = text.split('/').filter(Boolean);
+        if (segments.length === 0) {
+            throw new Error('Empty data path');
+        }
+        if (!segments[0].includes(':')) {
+            throw new Error(`First path segment must be module-qualified: ${segments[0]}`);
+        }
+
+        let path = '';
+        const keys = [];
+        let listEntry = false;
+
+        for (const segment of segments) {
+            const eq = segment.indexOf('=');
+            const name = decodeURIComponent(eq === -1 ? segment : segment.slice(0, eq));
+
+            if (eq !== -1) {
+                keys.push(...segment.slice(eq + 1).split(',').map(decodeURIComponent));
+            }
+            listEntry = eq !== -1;
+
+            const [sid, resolved] = this.resolveMember(path, name);
+            if (sid === null) {
+                throw new Error(`Unknown YANG data node (no SID): ${resolved}`);
+            }
+            path = resolved;
+        }
+
+        return { path, keys, sid: this.paths.get(path), listEntry };
+    }
+
+    /**
+     * RFC 7951 module-qualified name of the node at a schema path
+     * ('/ietf-interfaces:interfaces/interface' -> 'ietf-interfaces:interface')
+     */
+    qualifiedName(path) {
+        const last = path.slice(path.lastIndexOf('/') + 1);
+        return last.includes(':') ? last : `${this.moduleOf(path)}:${last}`;
+    }
+
+    /**
+     * Top-level nodes that have input or output children (RPCs and actions)
+     * @returns {Array<string>} - Schema paths, e.g. ['/ietf-system:system-restart']
+     */
+    getOperations() {
+        const operations = new Set();
+        for (const path of this.paths.keys()) {
+            const match = path.match(/^(\/[^/]+)\/(input|output)(\/|$)/);
+            if (match) operations.add(match[1]);
+        }
+        return Array.from(operations).filter(path => this.paths.has(path)).sort();
+    }
+
+    /**
+     * Encode an RPC invocation: { rpc SID: input } with input members
+     * as deltas from the RPC SID (RFC 9254 Section 4.2.6)
+     * @param {string} path - RPC schema path
+     * @param {Object} input - Input parameters by member name
+     * @returns {Map}
+     */
+    encodeOperation(path, input = {}) {
+        const sid = this.getSid(path);
+        if (sid === null) {
+            throw new Error(`Unknown operation (no SID): ${path}`);
+        }
+        return new Map([[sid, this.toSid(input, `${path}/input`, sid)]]);
+    }
+
+    /**
+     * Whether a decoded CBOR value uses SID keys
+     */
+    isSidKeyed(data) {
+        if (!(data instanceof Map)) return false;
+        for (const key of data.keys()) {
+            if (typeof key === 'number' || key instanceof Tag) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Convert SID-keyed CBOR data (decoded with maps as Map) to JSON names
+     * @param {*} value - Decoded CBOR value
+     * @param {number} parentSid - SID of the enclosing node (0 at the top level)
+     * @returns {*} - Plain objects keyed by RFC 7951 member names
+     */
+    fromSid(value, parentSid = 0) {
+        if (value instanceof Map) {
+            const result = {};
+            for (const [key, child] of value) {
+                let sid = null;
+                if (key instanceof Tag && key.tag === TAG_ABSOLUTE_SID) {
+                    sid = Number(key.value);
+                } else if (typeof key === 'number' && parentSid !== null) {
+                    sid = parentSid + key;
+                }
+
+                if (sid === null) {
+                    result[String(key)] = this.fromSid(child, null);
+                    continue;
+                }
+
+                const item = this.items.get(sid);
+                const name = item && item.namespace === 'data' ? this.memberName(item) : String(sid);
+                result[name] = this.fromSid(this.translateValue(item, child, true), sid);
+            }
+            return result;
+        }
+
+        if (Array.isArray(value)) {
+            // List entries and leaf-list values: deltas stay relative to the list SID
+            return value.map(entry => this.fromSid(entry, parentSid));
+        }
+
+        return value;
+    }
+
+    /**
+     * Convert JSON-named data to SID-keyed Maps ready for CBOR encoding
+     * Numeric keys (already SIDs/deltas) are passed through.
+     * @param {*} value - Data keyed by RFC 7951 member names
+     * @param {string} parentPath - Schema path of the enclosing node ('' at the top level)
+     * @param {number} parentSid - SID of the enclosing node (0 at the top level)
+     * @returns {*} - Maps keyed by SID deltas
+     * @throws {Error} - For member names not found in any loaded SID file
+     */
+    toSid(value, parentPath = '', parentSid = 0) {
+        if (Array.isArray(value)) {
+            return value.map(entry => this.toSid(entry, parentPath, parentSid));
+        }
+
+        if (!value || typeof value !== 'object' || Buffer.isBuffer(value) || value instanceof Map) {
+            return value;
+        }
+
+        const result = new Map();
+        for (const [name, child] of Object.entries(value)) {
+            if (/^-?\d+$/.test(name)) {
+                const sid = parentSid + Number(name);
+                const item = this.items.get(sid);
+                result.set(Number(name), this.toSid(child, item ? item.identifier : parentPath, sid));
+                continue;
+            }
+
+            const [sid, path] = this.resolveMember(parentPath, name);
+            if (sid === null) {
+                throw new Error(`Unknown YANG data node (no SID): ${path}`);
+            }
+
+            const item = this.items.get(sid);
+            result.set(sid - parentSid, this.toSid(this.translateValue(item, child, false), item.identifier, sid));
+        }
+        return result;
+    }
+
+    /**
+     * Encode an instance identifier (RFC 9254 Section 6.13.1)
+     * @param {number|string|Array|Object} id - SID, schema path, [path, ...keys] or { path, keys }
+     * @returns {number|Array} - SID, or [SID, ...keys] for list entries
+     */
+    encodeIdentifier(id) {
+        if (typeof id === 'number') {
+            return id;
+        }
+
+        let path = id;
+        let keys = [];
+        if (Array.isArray(id)) {
+            [path, ...keys] = id;
+        } else if (id && typeof id === 'object') {
+            path = id.path;
+            keys = id.keys || [];
+        }
+
+        const sid = typeof path === 'number' ? path : this.getSid(path);
+        if (sid === null) {
+            throw new Error(`Unknown YANG data node (no SID): ${path}`);
+        }
+
+        return keys.length > 0 ? [sid, ...keys] : sid;
+    }
+
+    /**
+     * Decode an instance identifier into { path, keys }
+     * Unknown SIDs are returned as the number in place of the path.
+     */
+    decodeIdentifier(identifier) {
+        const [sid, ...keys] = Array.isArray(identifier) ? identifier : [identifier];
+        const item = this.items.get(Number(sid));
+        return {
+            path: item ? item.identifier : sid,
+            sid,
+            keys
+        };
+    }
+
+    /**
+     * Encode one yang-instances item: { identifier: value } with the value in
+     * SID-delta form relative to the node; a null value deletes it (iPATCH)
+     * @param {Object} instance - { path, keys, value }
+     * @returns {Map}
+     */
+    encodeInstance(instance) {
+        if (instance instanceof Map) {
+            return instance;
+        }
+
+        const identifier = this.encodeIdentifier(instance);
+        const sid = Array.isArray(identifier) ? identifier[0] : identifier;
+        const item = this.items.get(sid);
+
+        const value = instance.value === null || instance.value === undefined
+            ? null
+            : this.toSid(this.translateValue(item, instance.value, false), item ? item.identifier : '', sid);
+
+        return new Map([[identifier, value]]);
+    }
+
+    /**
+     * Decode one yang-instances item (a map of identifier -> value)
+     * @returns {Array} - [{ path, sid, keys, value }]
+     */
+    decodeInstances(map) {
+        if (!(map instanceof Map)) {
+            return [{ path: null, sid: null, keys: [], value: this.fromSid(map) }];
+        }
+
+        return Array.from(map.entries()).map(([identifier, value]) => {
+            const decoded = this.decodeIdentifier(identifier);
+            const item = this.items.get(Number(decoded.sid));
+            return {
+                ...decoded,
+                value: this.fromSid(this.translateValue(item, value, true), Number(decoded.sid))
+            };
+        });
+    }
+
+    /**
+     * Split a name-keyed tree into yang-instances items, one per top-level node
+     * @param {Object} tree - e.g. { 'ietf-interfaces:interfaces': { ... } }
+     * @returns {Array<Map>}
+     */
+    treeToInstances(tree) {
+        return Object.entries(tree).map(([name, value]) => {
+            const path = /^\d+$/.test(name) ? Number(name) : `/${name}`;
+            return this.encodeInstance({ path, value });
+        });
+    }
+
+    /**
+     * Merge decoded instances without list keys back into a name-keyed tree
+     * (the shape of a full GET). Instances inside list entries are skipped.
+     * @param {Array} instances - [{ path, keys, value }]
+     * @returns {Object}
+     */
+    instancesToTree(instances) {
+        const tree = {};
+
+        for (const { path, keys, value } of instances) {
+            if (typeof path !== 'string' || keys.length > 0) {
+                continue;
+            }
+
+            const segments = path.split('/').filter(Boolean);
+            let node = tree;
+            for (const segment of segments.slice(0, -1)) {
+                node = node[segment] ||= {};
+            }
+            node[segments[segments.length - 1]] = value;
+        }
+
+        return tree;
+    }
+
+    /**
+     * Translate identityref leaf values (only when the SID file provides the type)
+     * @param {boolean} toName - SID -> name when true, name -> SID when false
+     */
+    translateValue(item, value, toName) {
+        if (!item || item.type !== 'identityref') {
+            return value;
+        }
+
+        const translate = (v) => {
+            if (toName && typeof v === 'number') {
+                const identity = this.items.get(v);
+                if (!identity) return v;
+                return identity.identifier.includes(':') ? identity.identifier : `${identity.module}:${identity.identifier}`;
+            }
+            if (!toName && typeof v === 'string') {
+                return this.identities.get(v) ?? v;
+            }
+            return v;
+        };
+
+        return Array.isArray(value) ? value.map(translate) : translate(value);
+    }
+
+    /**
+     * Summary of loaded modules
+     */
+    getModules() {
+        return Array.from(this.modules.entries()).map(([name, info]) => ({ name, ...info }));
+    }
+}
+
+export default SIDRegistry;
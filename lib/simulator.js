@@ -0,0 +1,1040 @@
+/**
+ * Virtual LAN9662 Board
+ *
+ * Speaks MUP1, CoAP and CORECONF (RFC 9254) against an in-memory YANG
+ * datastore so the tool can be developed and tested without hardware.
+ * DeviceManager attaches to it through SimulatorPort, an in-process stream
+ * with the part of the SerialPort API that DeviceConnection uses.
+ *
+ * Supported: GET, FETCH, iPATCH, PUT and DELETE on /c, GET /.well-known/core,
+ * Observe (RFC 7641), Block1/Block2 (RFC 7959), MUP1 ping, announcement
+ * and trace frames.
+ *
+ * Fault injection (all off by default):
+ *   latency     - Delay before handling a frame, ms or [min, max]
+ *   dropRate    - Probability that a frame is lost, in either direction
+ *   corruptRate - Probability that an outgoing frame has a byte flipped
+ */
+
+import { Duplex } from 'stream';
+import { EventEmitter } from 'events';
+import { Encoder, Decoder } from 'cbor-x';
+import { MUP1Protocol } from './mup1-protocol.js';
+import { CoAPClient } from './coap-client.js';
+import { SIDRegistry } from './sid-registry.js';
+
+// SID-keyed payloads: integer map keys on the wire, Maps when decoding
+const sidEncoder = new Encoder({ mapsAsObjects: false, useTag259ForMaps: false });
+const sidDecoder = new Decoder({ mapsAsObjects: false });
+
+// List keys by list name; other lists are keyed by 'name'
+const LIST_KEYS = {
+    'vlan': ['vid'],
+    'gate-control-entry': ['index']
+};
+
+// config false nodes, by member name (for the c= query parameter)
+const NONCONFIG = new Set([
+    'ietf-system:system-state',
+    'oper-status',
+    'phys-address',
+    'speed',
+    'statistics',
+    'serial-num',
+    'mfg-name',
+    'model-name',
+    'oper-gate-states',
+    'oper-control-list',
+    'oper-cycle-time',
+    'oper-base-time',
+    'config-pending'
+]);
+
+/**
+ * Datastore of a freshly booted board: interfaces, one bridge and a
+ * time-aware scheduler (gate parameter table) per port
+ */
+export function seedDatastore({ serial = 'SIM00000001', ports = 2 } = {}) {
+    const names = Array.from({ length: ports }, (_, i) => `eth${i}`);
+    const mac = (i) => `00:04:a3:5e:00:${(i + 1).toString(16).padStart(2, '0')}`;
+
+    return {
+        'ietf-system:system': {
+            hostname: 'lan9662-sim'
+        },
+        'ietf-system:system-state': {
+            platform: {
+                'os-name': 'VelocitySP',
+                'os-release': '2025.06',
+                'os-version': '2025.06-sim',
+                machine: 'LAN9662'
+            },
+            clock: {
+                'boot-datetime': new Date().toISOString()
+            }
+        },
+        'ietf-hardware:hardware': {
+            component: [{
+                name: 'board',
+                class: 'iana-hardware:chassis',
+                'mfg-name': 'Microchip',
+                'model-name': 'EVB-LAN9662',
+                'serial-num': serial
+            }]
+        },
+        'ietf-interfaces:interfaces': {
+            interface: names.map((name, i) => ({
+                name,
+                type: 'iana-if-type:ethernetCsmacd',
+                enabled: true,
+                'oper-status': i === 0 ? 'up' : 'down',
+                'phys-address': mac(i),
+                speed: i === 0 ? 1000000000 : 0,
+                statistics: {
+                    'in-octets': 0,
+                    'out-octets': 0,
+                    'in-discards': 0,
+                    'out-discards': 0
+                },
+                'ieee802-dot1q-bridge:bridge-port': {
+                    'bridge-name': 'br0',
+                    'component-name': 'br0',
+                    'port-type': 'ieee802-dot1q-bridge:c-vlan-bridge-port',
+                    pvid: 1
+                }
+            }))
+        },
+        'ieee802-dot1q-bridge:bridges': {
+            bridge: [{
+                name: 'br0',
+                address: mac(ports),
+                'bridge-type': 'ieee802-dot1q-bridge:customer-vlan-bridge',
+                component: [{
+                    name: 'br0',
+                    type: 'ieee802-dot1q-bridge:c-vlan-component',
+                    'bridge-port': names,
+                    'filtering-database': {
+                        'aging-time': 300
+                    },
+                    'bridge-vlan': {
+                        vlan: [{ vid: 1, name: 'default' }]
+                    }
+                }]
+            }]
+        },
+        'ieee802-dot1q-sched:interfaces': {
+            interface: names.map(name => ({
+                name,
+                'gate-parameter-table': {
+                    'gate-enabled': false,
+                    'admin-gate-states': 255,
+                    'admin-control-list': {
+                        'gate-control-entry': [{
+                            index: 0,
+                            'operation-name': 'ieee802-dot1q-sched:set-gate-states',
+                            'time-interval-value': 1000000,
+                            'gate-states-value': 255
+                        }]
+                    },
+                    'admin-cycle-time': { numerator: 1, denominator: 1000 },
+                    'admin-base-time': { seconds: 0, nanoseconds: 0 },
+                    'config-change': false,
+                    'oper-gate-states': 255,
+                    'config-pending': false
+                }
+            }))
+        }
+    };
+}
+
+/**
+ * CoAP error carrying the response code to send
+ */
+class SimulatorError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Simulated board
+ * Events: 'request' { method, uri, code }, 'change' { version }
+ */
+export class BoardSimulator extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Board name (also used in the serial number)
+     * @param {string} options.serial - Board serial number, announced and in ietf-hardware
+     * @param {number} options.ports - Number of Ethernet ports
+     * @param {Object} options.datastore - Initial datastore (default: seedDatastore())
+     * @param {SIDRegistry} options.sidRegistry - SIDs for CORECONF payloads (names are used without)
+     * @param {number|Array} options.latency - ms, or [min, max] ms
+     * @param {number} options.dropRate - 0..1
+     * @param {number} options.corruptRate - 0..1
+     * @param {number} options.maxBlockSize - Largest payload sent without Block2
+     */
+    constructor(options = {}) {
+        super();
+        this.name = options.name || 'sim0';
+        this.serial = options.serial || `SIM-${this.name}`;
+        this.sidRegistry = options.sidRegistry || new SIDRegistry();
+        this.datastore = options.datastore || seedDatastore({ serial: this.serial, ports: options.ports });
+        this.version = 1;  // Bumped on every change; used as ETag
+
+        this.latency = options.latency || 0;
+        this.dropRate = options.dropRate || 0;
+        this.corruptRate = options.corruptRate || 0;
+        this.maxBlockSize = options.maxBlockSize || 1024;
+
+        this.protocol = new MUP1Protocol();
+        this.decoder = this.protocol.createDecoder();
+        this.codec = new CoAPClient(this.protocol, null, this.sidRegistry);  // Message codec only
+        this.port = null;
+
+        this.messageId = Math.floor(Math.random() * 0xFFFF);
+        this.responses = new Map();     // MID -> response, to answer retransmissions
+        this.block1 = new Map();        // "code uri" -> received body so far
+        this.observers = new Map();     // token (hex) -> { request, sequence, messageIds }
+
+        this.stats = {
+            framesIn: 0,
+            framesOut: 0,
+            requests: 0,
+            dropped: 0,
+            corrupted: 0,
+            notifications: 0
+        };
+    }
+
+    /**
+     * Create the stream DeviceConnection opens instead of a SerialPort
+     */
+    createPort() {
+        return new SimulatorPort(this);
+    }
+
+    /**
+     * Port opened: boot messages and announcement
+     */
+    attach(port) {
+        this.port = port;
+        this.decoder.reset();
+        this.observers.clear();
+
+        setTimeout(() => {
+            this.trace('info', `${this.name}: MUP1 ready`);
+            this.send('A', Buffer.from(`VelocitySP-v2025.06-LAN9662-sim 326 300 2 serial=${this.serial}`));
+        }, 10);
+    }
+
+    /**
+     * Port closed
+     */
+    detach(port) {
+        if (this.port === port) {
+            this.port = null;
+            this.observers.clear();
+            this.block1.clear();
+        }
+    }
+
+    /**
+     * Replace the SID registry used for payloads
+     */
+    setSidRegistry(registry) {
+        this.sidRegistry = registry;
+        this.codec.sidRegistry = registry;
+    }
+
+    /**
+     * Bytes written by the host
+     */
+    receive(chunk) {
+        for (const frame of this.decoder.parse(chunk)) {
+            this.stats.framesIn++;
+            if (this.chance(this.dropRate)) {
+                this.stats.dropped++;
+                continue;
+            }
+            this.delay(() => this.handleFrame(frame));
+        }
+    }
+
+    /**
+     * Dispatch one MUP1 frame from the host
+     */
+    handleFrame(frame) {
+        if (frame.type === 'P') {
+            this.send('p');
+        } else if (frame.type === 'C') {
+            this.handleCoap(frame.data);
+        }
+    }
+
+    /**
+     * Write one MUP1 frame to the host, applying drop and corruption
+     */
+    send(type, data = Buffer.alloc(0)) {
+        if (!this.port?.isOpen) {
+            return;
+        }
+
+        const frame = this.protocol.encodeFrame(type.charCodeAt(0), data);
+        if (this.chance(this.dropRate)) {
+            this.stats.dropped++;
+            return;
+        }
+        if (this.chance(this.corruptRate)) {
+            // Flip one bit between the type and the checksum
+            const index = 2 + Math.floor(Math.random() * Math.max(1, frame.length - 8));
+            frame[index] ^= 0x01;
+            this.stats.corrupted++;
+        }
+
+        this.stats.framesOut++;
+        this.port.deliver(frame);
+    }
+
+    /**
+     * Send a trace line ('T' frame)
+     */
+    trace(level, message) {
+        const marker = { error: 'E', warning: 'W', info: 'I', debug: 'D' }[level] || 'I';
+        this.send('T', Buffer.from(`[${marker}] ${message}\n`));
+    }
+
+    // ============================================
+    // CoAP
+    // ============================================
+
+    /**
+     * Handle one CoAP message from the host
+     */
+    handleCoap(data) {
+        let message;
+        try {
+            message = this.codec.parseResponse(data);
+        } catch (error) {
+            this.trace('warning', `Malformed CoAP message: ${error.message}`);
+            return;
+        }
+
+        const { TYPES } = this.codec;
+
+        // RST for a notification: the host no longer observes (RFC 7641 Section 3.6)
+        if (message.type === TYPES.RST) {
+            for (const [key, observer] of this.observers) {
+                if (observer.messageIds.includes(message.messageId)) {
+                    this.observers.delete(key);
+                }
+            }
+            return;
+        }
+
+        // Empty or response messages: ACKs of our notifications, nothing to do
+        if (message.code === 0 || message.codeClass !== 0) {
+            return;
+        }
+
+        // Retransmission: repeat the cached response without executing again
+        const cached = this.responses.get(message.messageId);
+        if (cached && message.type === TYPES.CON) {
+            this.send('C', cached);
+            return;
+        }
+
+        const request = this.parseRequest(message);
+        this.stats.requests++;
+
+        let response;
+        try {
+            response = this.handleRequest(request);
+        } catch (error) {
+            const code = error.code || 160;
+            if (code >= 160) {
+                this.trace('error', `${request.method} ${request.uri}: ${error.message}`);
+            }
+            response = { code, payload: this.errorPayload(error), contentFormat: 260 };
+        }
+
+        this.emit('request', { method: request.method, uri: request.uri, code: response.code });
+
+        const type = message.type === TYPES.CON ? TYPES.ACK : TYPES.NON;
+        const messageId = type === TYPES.ACK ? message.messageId : this.nextMessageId();
+        const encoded = this.buildMessage(type, messageId, message.token, response);
+
+        if (message.type === TYPES.CON) {
+            this.responses.set(message.messageId, encoded);
+            if (this.responses.size > 256) {
+                this.responses.delete(this.responses.keys().next().value);
+            }
+        }
+        this.send('C', encoded);
+    }
+
+    /**
+     * Request fields used by the handlers
+     */
+    parseRequest(message) {
+        const options = this.codec.decodeOptions(message.options);
+        const path = (options.uriPath || []).join('/');
+        const query = {};
+        for (const item of options.uriQuery || []) {
+            const [key, value = ''] = item.split('=');
+            query[key] = value;
+        }
+
+        const method = Object.keys(this.codec.METHODS).find(m => this.codec.METHODS[m] === message.code) || `0.${message.code}`;
+
+        return {
+            method,
+            path,
+            uri: `/${path}${options.uriQuery ? `?${options.uriQuery.join('&')}` : ''}`,
+            query,
+            token: Buffer.from(message.token),  // Kept by observers: copy out of the frame
+            options,
+            contentFormat: options.contentFormat ?? null,
+            body: message.payload || Buffer.alloc(0)
+        };
+    }
+
+    /**
+     * Execute a request
+     * @returns {Object} - { code, payload, contentFormat, options }
+     */
+    handleRequest(request) {
+        // Block1: collect the body until the last block (RFC 7959 Section 2.5)
+        const block1 = request.options.block1;
+        if (block1) {
+            const key = `${request.method} ${request.uri}`;
+            const received = block1.num === 0 ? Buffer.alloc(0) : this.block1.get(key);
+            if (!received || received.length !== block1.num * block1.size) {
+                this.block1.delete(key);
+                throw new SimulatorError(136, 'Request Entity Incomplete');
+            }
+
+            const body = Buffer.concat([received, request.body]);
+            const echo = [{ number: this.codec.OPTIONS.BLOCK1, value: this.codec.encodeBlockValue({ ...block1 }) }];
+            if (block1.more) {
+                this.block1.set(key, body);
+                return { code: 95, options: echo };
+            }
+
+            this.block1.delete(key);
+            const response = this.handleRequest({ ...request, body, options: { ...request.options, block1: undefined } });
+            return { ...response, options: [...(response.options || []), ...echo] };
+        }
+
+        if (request.path === '.well-known/core' && request.method === 'GET') {
+            return { code: 69, payload: Buffer.from('</c>;rt="core.c.ds";ct=260'), contentFormat: 40 };
+        }
+        if (request.path !== 'c') {
+            throw new SimulatorError(132, `No resource /${request.path}`);
+        }
+
+        switch (request.method) {
+            case 'GET':
+            case 'FETCH':
+                return this.handleRead(request);
+            case 'IPATCH':
+                return this.handlePatch(request);
+            case 'PUT':
+                return this.handlePut(request);
+            case 'DELETE':
+                return this.handleDelete(request);
+            default:
+                throw new SimulatorError(133, `${request.method} not supported on /c`);
+        }
+    }
+
+    /**
+     * GET (whole datastore, CF 260) or FETCH (selected instances, CF 262)
+     * Handles ETag validation, Observe registration and Block2.
+     */
+    handleRead(request) {
+        const etag = this.codec.encodeUint(this.version);
+
+        // The client's copy is current: 2.03 Valid without a payload (RFC 7252 Section 5.10.6.2)
+        const etags = request.options.etag || [];
+        if (request.options.observe === undefined && !request.options.block2?.num && etags.includes(etag.toString('hex'))) {
+            return { code: 67, options: [{ number: this.codec.OPTIONS.ETAG, value: etag }] };
+        }
+
+        let payload;
+        let contentFormat;
+
+        if (request.method === 'GET') {
+            payload = this.encodeTree(this.selectContent(this.datastore, request.query.c));
+            contentFormat = 260;
+        } else {
+            if (request.contentFormat !== 261) {
+                throw new SimulatorError(143, 'FETCH expects application/yang-identifiers+cbor');
+            }
+            payload = this.encodeFetch(request);
+            contentFormat = 262;
+        }
+
+        const options = [{ number: this.codec.OPTIONS.ETAG, value: etag }];
+
+        // Observe: 0 registers, 1 deregisters (RFC 7641 Section 2)
+        const key = request.token.toString('hex');
+        if (request.options.observe === 0 && !request.options.block2?.num) {
+            const observer = this.observers.get(key) || { request, sequence: 1, messageIds: [] };
+            this.observers.set(key, observer);
+            options.push({ number: this.codec.OPTIONS.OBSERVE, value: this.codec.encodeUint(observer.sequence) });
+        } else if (request.options.observe === 1) {
+            this.observers.delete(key);
+        }
+
+        const block = this.block2(request, payload);
+        return { code: 69, payload: block.payload, contentFormat, options: [...options, ...block.options] };
+    }
+
+    /**
+     * Cut the requested block out of a response payload (RFC 7959 Section 2.4)
+     * @returns {Object} - { payload, options }
+     */
+    block2(request, payload) {
+        const requested = request.options.block2;
+        const maxSzx = Math.log2(this.maxBlockSize) - 4;
+        const szx = Math.min(requested ? requested.szx : maxSzx, maxSzx);
+        const size = this.codec.blockSize(szx);
+        const num = requested ? requested.num : 0;
+
+        if (!requested && payload.length <= size) {
+            return { payload, options: [] };
+        }
+
+        const offset = num * size;
+        if (offset > payload.length) {
+            throw new SimulatorError(128, `Block ${num} out of range`);
+        }
+        const more = offset + size < payload.length;
+
+        const options = [{ number: this.codec.OPTIONS.BLOCK2, value: this.codec.encodeBlockValue({ num, more, szx }) }];
+        if (num === 0) {
+            options.push({ number: this.codec.OPTIONS.SIZE2, value: this.codec.encodeUint(payload.length) });
+        }
+        return { payload: payload.subarray(offset, offset + size), options };
+    }
+
+    /**
+     * FETCH: look up each requested identifier
+     */
+    encodeFetch(request) {
+        const items = request.body.length > 0 ? sidDecoder.decodeMultiple(request.body) : [];
+        const content = this.selectContent(this.datastore, request.query.c);
+        const instances = [];
+
+        for (const item of items) {
+            const { path, sid, keys } = this.sidRegistry.decodeIdentifier(item);
+            if (typeof path !== 'string') {
+                throw new SimulatorError(132, `Unknown SID ${sid}`);
+            }
+
+            const target = locate(content, path, keys);
+            const value = target ? target.get() : undefined;
+            if (value === undefined) {
+                continue;  // Absent instances are left out of the response
+            }
+            instances.push(new Map([[item, this.toWire(value, path, typeof sid === 'number' ? sid : null)]]));
+        }
+
+        return Buffer.concat(instances.map(instance => Buffer.from(sidEncoder.encode(instance))));
+    }
+
+    /**
+     * iPATCH: merge or delete each instance (RFC 9254 Section 4.2.5), all or nothing
+     */
+    handlePatch(request) {
+        if (request.contentFormat !== 262) {
+            throw new SimulatorError(143, 'iPATCH expects application/yang-instances+cbor-seq');
+        }
+
+        const datastore = structuredClone(this.datastore);
+        let count = 0;
+
+        for (const item of sidDecoder.decodeMultiple(request.body)) {
+            for (const instance of this.sidRegistry.decodeInstances(item)) {
+                if (instance.path === null) {
+                    // Name-keyed tree (no SID files)
+                    if (!isObject(instance.value)) {
+                        throw new SimulatorError(128, 'iPATCH body must be instances or a datastore tree');
+                    }
+                    mergeInto(datastore, instance.value);
+                } else {
+                    applyInstance(datastore, instance);
+                }
+                count++;
+            }
+        }
+
+        this.commit(datastore, `iPATCH: ${count} instance(s) applied`);
+        return { code: 68 };
+    }
+
+    /**
+     * PUT: replace the whole datastore
+     */
+    handlePut(request) {
+        if (request.contentFormat !== null && request.contentFormat !== 260 && request.contentFormat !== 60) {
+            throw new SimulatorError(143, 'PUT expects application/yang-data+cbor');
+        }
+
+        const tree = this.decodeTree(request.body);
+        if (!isObject(tree)) {
+            throw new SimulatorError(128, 'PUT body must be a datastore tree');
+        }
+
+        // State data is not configuration: keep it
+        const datastore = mergeInto(structuredClone(this.selectContent(tree, 'c')), this.selectContent(this.datastore, 'n'));
+
+        this.commit(datastore, 'PUT: datastore replaced');
+        return { code: 68 };
+    }
+
+    /**
+     * DELETE: remove all configuration, state data stays
+     */
+    handleDelete() {
+        this.commit(this.selectContent(this.datastore, 'n'), 'DELETE: configuration cleared');
+        return { code: 66 };
+    }
+
+    /**
+     * Make a changed datastore current and notify observers
+     */
+    commit(datastore, message) {
+        this.datastore = datastore;
+        this.version++;
+        this.trace('info', message);
+        this.emit('change', { version: this.version });
+
+        // Notify after the response has been sent
+        setImmediate(() => this.notifyObservers());
+    }
+
+    /**
+     * Send a notification to every observer (NON, RFC 7641 Section 4.5)
+     */
+    notifyObservers() {
+        for (const [key, observer] of this.observers) {
+            observer.sequence = (observer.sequence + 1) & 0xFFFFFF;
+            const request = { ...observer.request, options: { ...observer.request.options, observe: undefined, block2: undefined } };
+
+            let response;
+            try {
+                response = this.handleRead(request);
+            } catch (error) {
+                this.observers.delete(key);
+                response = { code: error.code || 160, payload: this.errorPayload(error), contentFormat: 260 };
+            }
+            response.options = [
+                ...(response.options || []),
+                { number: this.codec.OPTIONS.OBSERVE, value: this.codec.encodeUint(observer.sequence) }
+            ];
+
+            const messageId = this.nextMessageId();
+            observer.messageIds = [...observer.messageIds.slice(-7), messageId];
+            this.stats.notifications++;
+            this.send('C', this.buildMessage(this.codec.TYPES.NON, messageId, observer.request.token, response));
+        }
+    }
+
+    /**
+     * Encode a response message
+     * @param {Object} response - { code, payload, contentFormat, options }
+     */
+    buildMessage(type, messageId, token, response) {
+        const options = [...(response.options || [])];
+        const payload = response.payload || null;
+
+        if (payload && payload.length > 0 && response.contentFormat !== undefined) {
+            options.push({ number: this.codec.OPTIONS.CONTENT_FORMAT, value: this.codec.encodeUint(response.contentFormat) });
+        }
+
+        const header = Buffer.from([
+            (1 << 6) | (type << 4) | token.length,
+            response.code,
+            (messageId >> 8) & 0xFF,
+            messageId & 0xFF
+        ]);
+        const parts = [header, token, Buffer.from(this.codec.encodeOptions('', options))];
+        if (payload && payload.length > 0) {
+            parts.push(Buffer.from([0xFF]), payload);
+        }
+        return Buffer.concat(parts);
+    }
+
+    /**
+     * CORECONF error body (RFC 9254 Section 6)
+     */
+    errorPayload(error) {
+        return this.encodeTree({
+            'ietf-coreconf:error': {
+                'error-tag': error.code === 132 ? 'invalid-value' : 'operation-failed',
+                'error-message': error.message
+            }
+        });
+    }
+
+    nextMessageId() {
+        this.messageId = (this.messageId + 1) & 0xFFFF;
+        return this.messageId;
+    }
+
+    // ============================================
+    // Payloads
+    // ============================================
+
+    /**
+     * Encode a name-keyed tree as yang-data+cbor
+     */
+    encodeTree(tree) {
+        return Buffer.from(sidEncoder.encode(this.toWire(tree, '', 0)));
+    }
+
+    /**
+     * Decode a yang-data+cbor body into a name-keyed tree
+     */
+    decodeTree(body) {
+        if (!body || body.length === 0) {
+            return null;
+        }
+        try {
+            return this.sidRegistry.fromSid(sidDecoder.decode(body));
+        } catch (error) {
+            throw new SimulatorError(128, `Invalid CBOR: ${error.message}`);
+        }
+    }
+
+    /**
+     * Member names -> SID deltas where the SID files know the node; unknown
+     * members (and everything below them) keep their names
+     * @param {number|null} parentSid - null below a node without SID
+     */
+    toWire(value, parentPath, parentSid) {
+        if (Array.isArray(value)) {
+            return value.map(entry => this.toWire(entry, parentPath, parentSid));
+        }
+        if (!isObject(value)) {
+            return value;
+        }
+
+        const result = new Map();
+        for (const [name, child] of Object.entries(value)) {
+            const [sid, path] = parentSid === null || this.sidRegistry.size === 0
+                ? [null, null]
+                : this.sidRegistry.resolveMember(parentPath, name);
+
+            if (sid === null) {
+                result.set(name, this.toWire(child, null, null));
+                continue;
+            }
+
+            const item = this.sidRegistry.getItem(sid);
+            result.set(sid - parentSid, this.toWire(this.sidRegistry.translateValue(item, child, false), path, sid));
+        }
+        return result;
+    }
+
+    /**
+     * Configuration (c), state (n) or all data (a, default) of a tree
+     * (RFC 9254 Section 4.3.1). List entries keep their keys.
+     */
+    selectContent(value, content = 'a', listName = null) {
+        if (content !== 'c' && content !== 'n') {
+            return value;
+        }
+
+        if (Array.isArray(value)) {
+            const keys = LIST_KEYS[listName] || ['name'];
+            return value
+                .map(entry => {
+                    const selected = this.selectContent(entry, content);
+                    if (!isObject(entry) || !isObject(selected)) {
+                        return selected;
+                    }
+                    if (content === 'n' && Object.keys(selected).length === 0) {
+                        return undefined;
+                    }
+                    const withKeys = {};
+                    for (const key of keys) {
+                        if (key in entry) withKeys[key] = entry[key];
+                    }
+                    return { ...withKeys, ...selected };
+                })
+                .filter(entry => entry !== undefined);
+        }
+
+        if (!isObject(value)) {
+            return content === 'c' ? value : undefined;
+        }
+
+        const result = {};
+        for (const [name, child] of Object.entries(value)) {
+            if (NONCONFIG.has(name)) {
+                if (content === 'n') result[name] = structuredClone(child);
+                continue;
+            }
+            const selected = this.selectContent(child, content, localName(name));
+            const empty = selected === undefined ||
+                (content === 'n' && (Array.isArray(selected) ? selected.length === 0 : isObject(selected) && Object.keys(selected).length === 0));
+            if (!empty) {
+                result[name] = selected;
+            }
+        }
+        return result;
+    }
+
+    // ============================================
+    // Fault injection
+    // ============================================
+
+    chance(rate) {
+        return rate > 0 && Math.random() < rate;
+    }
+
+    /**
+     * Run fn after the configured latency
+     */
+    delay(fn) {
+        const [min, max] = Array.isArray(this.latency) ? this.latency : [this.latency, this.latency];
+        const ms = min + Math.random() * (max - min);
+        if (ms > 0) {
+            setTimeout(fn, ms);
+        } else {
+            fn();
+        }
+    }
+
+    /**
+     * Change fault injection at run time
+     * @param {Object} faults - { latency, dropRate, corruptRate }
+     */
+    setFaults(faults = {}) {
+        for (const key of ['latency', 'dropRate', 'corruptRate']) {
+            if (faults[key] !== undefined) {
+                this[key] = faults[key];
+            }
+        }
+    }
+
+    /**
+     * Summary for the API
+     */
+    getInfo() {
+        return {
+            name: this.name,
+            serial: this.serial,
+            connected: Boolean(this.port?.isOpen),
+            version: this.version,
+            faults: { latency: this.latency, dropRate: this.dropRate, corruptRate: this.corruptRate },
+            observers: this.observers.size,
+            stats: { ...this.stats }
+        };
+    }
+}
+
+/**
+ * Member name without its module prefix
+ */
+function localName(name) {
+    return name.slice(name.indexOf(':') + 1);
+}
+
+/**
+ * Find the node at a schema path, consuming list keys on the way
+ *
+ *   locate(tree, '/ietf-interfaces:interfaces/interface/enabled', ['eth0'])
+ *
+ * @param {boolean} create - Create missing containers and list entries
+ * @returns {Object|null} - { get(), merge(value), remove() }, or null when absent
+ */
+function locate(tree, path, keys = [], create = false) {
+    const segments = path.split('/').filter(Boolean);
+    const remaining = [...keys];
+    let node = tree;
+
+    for (let i = 0; i < segments.length; i++) {
+        const name = segments[i];
+        const last = i === segments.length - 1;
+        const listKeys = LIST_KEYS[localName(name)] || ['name'];
+        let child = node[name];
+
+        // A list with keys left to consume selects one entry
+        if (remaining.length > 0 && (Array.isArray(child) || (child === undefined && create))) {
+            if (child === undefined) {
+                child = node[name] = [];
+            }
+            const values = remaining.splice(0, listKeys.length);
+            const matches = (entry) => listKeys.every((key, k) => String(entry[key]) === String(values[k]));
+            let index = child.findIndex(matches);
+
+            if (index === -1 && create) {
+                const entry = {};
+                listKeys.forEach((key, k) => { entry[key] = values[k]; });
+                child.push(entry);
+                index = child.length - 1;
+            }
+            if (index === -1) {
+                return null;
+            }
+
+            if (last) {
+                const list = child;
+                const entryIndex = index;
+                return {
+                    get: () => list[entryIndex],
+                    merge: (value) => { mergeInto(list[entryIndex], value); },
+                    remove: () => { list.splice(entryIndex, 1); }
+                };
+            }
+            node = child[index];
+            continue;
+        }
+
+        if (last) {
+            const parent = node;
+            return {
+                get: () => parent[name],
+                merge: (value) => {
+                    if (isObject(parent[name]) && isObject(value) || Array.isArray(parent[name]) && Array.isArray(value)) {
+                        mergeInto(parent, { [name]: value });
+                    } else {
+                        parent[name] = value;
+                    }
+                },
+                remove: () => { delete parent[name]; }
+            };
+        }
+
+        if (child === undefined) {
+            if (!create) {
+                return null;
+            }
+            child = node[name] = {};
+        }
+        if (!isObject(child)) {
+            return null;
+        }
+        node = child;
+    }
+
+    return null;
+}
+
+/**
+ * Apply one iPATCH instance: null deletes, anything else is merged
+ */
+function applyInstance(datastore, { path, sid, keys, value }) {
+    if (typeof path !== 'string') {
+        throw new SimulatorError(132, `Unknown SID ${sid}`);
+    }
+    const schemaPath = path.startsWith('/') ? path : `/${path}`;
+
+    if (value === null) {
+        const target = locate(datastore, schemaPath, keys);
+        if (target) {
+            target.remove();
+        }
+        return;
+    }
+
+    const target = locate(datastore, schemaPath, keys, true);
+    if (!target) {
+        throw new SimulatorError(128, `Cannot create ${schemaPath}`);
+    }
+    target.merge(value);
+}
+
+/**
+ * Merge a name-keyed tree into another: containers recursively, list entries
+ * by key, leaves and leaf-lists replaced
+ */
+function mergeInto(target, source) {
+    for (const [name, value] of Object.entries(source)) {
+        const current = target[name];
+
+        if (isObject(current) && isObject(value)) {
+            mergeInto(current, value);
+        } else if (Array.isArray(current) && Array.isArray(value) && value.every(isObject)) {
+            const keys = LIST_KEYS[localName(name)] || ['name'];
+            for (const entry of value) {
+                const existing = current.find(e => isObject(e) && keys.every(key => String(e[key]) === String(entry[key])));
+                if (existing) {
+                    mergeInto(existing, entry);
+                } else {
+                    current.push(structuredClone(entry));
+                }
+            }
+        } else {
+            target[name] = structuredClone(value);
+        }
+    }
+    return target;
+}
+
+/**
+ * In-process stand-in for a SerialPort connected to a BoardSimulator
+ * Supports open(), close(), write(), isOpen, pipe() and 'close'/'error' events.
+ */
+export class SimulatorPort extends Duplex {
+    constructor(board) {
+        super();
+        this.board = board;
+        this.path = `/sim/${board.name}`;
+        this.isOpen = false;
+    }
+
+    open(callback = () => {}) {
+        setImmediate(() => {
+            if (this.board.port?.isOpen) {
+                callback(new Error(`Simulator ${this.board.name} is already in use`));
+                return;
+            }
+            this.isOpen = true;
+            this.board.attach(this);
+            callback(null);
+        });
+    }
+
+    close(callback = () => {}) {
+        if (!this.isOpen) {
+            callback(new Error('Port is not open'));
+            return;
+        }
+        this.isOpen = false;
+        this.board.detach(this);
+        this.push(null);
+        setImmediate(() => {
+            this.emit('close');
+            callback(null);
+        });
+    }
+
+    /**
+     * Bytes from the board to the host
+     */
+    deliver(data) {
+        if (this.isOpen) {
+            this.push(data);
+        }
+    }
+
+    _read() {}
+
+    _write(chunk, encoding, callback) {
+        if (!this.isOpen) {
+            callback(new Error('Port is not open'));
+            return;
+        }
+        this.board.receive(chunk);
+        callback();
+    }
+}
+
+export default BoardSimulator;
@@ -0,0 +1,228 @@
+/**
+ * Configuration Snapshots
+ *
+ * A snapshot is a board's configuration (GET /c?c=c&d=a, name-keyed) saved
+ * with where it came from, one JSON file per snapshot in a directory:
+ *
+ *   {
+ *     "id": "20251016T142233-3fa9c1",
+ *     "name": "before PSFP experiment",
+ *     "note": "",
+ *     "createdAt": "2025-10-16T14:22:33.000Z",
+ *     "device": { "id": "usb-04d8-...", "path": "/dev/ttyACM0", "alias": "tsn-left",
+ *                 "model": "LAN9662", "firmware": "...", "serialNumber": "..." },
+ *     "subtrees": ["ietf-interfaces:interfaces", "ieee802-dot1q-bridge:bridges"],
+ *     "data": { "ietf-interfaces:interfaces": { ... }, ... }
+ *   }
+ *
+ * Snapshots can be downloaded and uploaded as JSON, YAML or CBOR.
+ */
+
+import { readdirSync, readFileSync, writeFileSync, unlinkSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+import { encode as cborEncode, decode as cborDecode } from 'cbor-x';
+import { parse as yamlParse, stringify as yamlStringify } from 'yaml';
+
+export const SNAPSHOT_FORMATS = {
+    json: { contentType: 'application/json', extension: 'json' },
+    yaml: { contentType: 'application/yaml', extension: 'yaml' },
+    cbor: { contentType: 'application/cbor', extension: 'cbor' }
+};
+
+const ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Device fields kept with a snapshot
+ */
+const DEVICE_FIELDS = ['id', 'path', 'alias', 'model', 'firmware', 'serialNumber'];
+
+/**
+ * Check that data is a name-keyed datastore tree
+ * @throws {Error} - For anything else
+ */
+export function validateConfig(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Snapshot data must be a datastore tree');
+    }
+    const names = Object.keys(data);
+    if (names.length === 0) {
+        throw new Error('Snapshot data is empty');
+    }
+    for (const name of names) {
+        if (!name.includes(':')) {
+            throw new Error(`Snapshot data: '${name}' is not a module-qualified top-level node`);
+        }
+    }
+}
+
+/**
+ * Encode a snapshot for download
+ * @param {string} format - json, yaml or cbor
+ * @returns {Object} - { contentType, extension, body }
+ */
+export function encodeSnapshot(snapshot, format = 'json') {
+    const info = SNAPSHOT_FORMATS[format];
+    if (!info) {
+        throw new Error(`Unknown snapshot format '${format}': use ${Object.keys(SNAPSHOT_FORMATS).join(', ')}`);
+    }
+
+    let body;
+    if (format === 'yaml') {
+        body = yamlStringify(snapshot);
+    } else if (format === 'cbor') {
+        body = Buffer.from(cborEncode(snapshot));
+    } else {
+        body = JSON.stringify(snapshot, null, 2);
+    }
+    return { ...info, body };
+}
+
+/**
+ * Decode an uploaded snapshot
+ * @param {Buffer|string|Object} body - File content, or an already parsed JSON body
+ * @param {string} format - json, yaml or cbor; CBOR is recognised without it
+ * @returns {Object} - The snapshot, or { data } for a bare datastore tree
+ */
+export function decodeSnapshot(body, format = null) {
+    let snapshot = body;
+
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+        // YAML is a superset of JSON, so it reads either when the format is not known
+        const kind = format || (Buffer.isBuffer(body) && looksLikeCbor(body) ? 'cbor' : 'yaml');
+        const text = body.toString('utf-8');
+
+        if (kind === 'cbor') {
+            snapshot = cborDecode(Buffer.from(body));
+        } else {
+            snapshot = kind === 'json' ? JSON.parse(text) : yamlParse(text);
+        }
+    }
+
+    if (!snapshot || typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+        throw new Error('Snapshot must be an object');
+    }
+    return 'data' in snapshot ? snapshot : { data: snapshot };
+}
+
+/**
+ * A CBOR map starts with major type 5 (0xa0-0xbf), which no UTF-8 text can start with
+ */
+function looksLikeCbor(buffer) {
+    return buffer.length > 0 && (buffer[0] >> 5) === 5;
+}
+
+export class SnapshotStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Where the snapshot files go (created on first save)
+     */
+    constructor(options = {}) {
+        this.directory = options.directory;
+        this.index = new Map();   // id -> snapshot without data
+        this.load();
+    }
+
+    /**
+     * Read the metadata of every snapshot in the directory
+     */
+    load() {
+        this.index.clear();
+        if (!this.directory || !existsSync(this.directory)) {
+            return;
+        }
+
+        for (const file of readdirSync(this.directory).filter(f => f.endsWith('.json'))) {
+            try {
+                const { data, ...meta } = JSON.parse(readFileSync(join(this.directory, file), 'utf-8'));
+                if (ID_PATTERN.test(meta.id || '') && data) {
+                    this.index.set(meta.id, meta);
+                }
+            } catch (error) {
+                console.warn(`[Snapshots] Skipping ${file}:`, error.message);
+            }
+        }
+        console.log(`[Snapshots] ${this.index.size} snapshot(s) in ${this.directory}`);
+    }
+
+    /**
+     * Save a configuration
+     * @param {Object} data - Name-keyed datastore tree
+     * @param {Object} meta - { name, note, device } (device as DeviceManager.describe() returns it)
+     * @returns {Object} - The snapshot's metadata
+     */
+    create(data, meta = {}) {
+        validateConfig(data);
+
+        const createdAt = meta.createdAt || new Date().toISOString();
+        const id = `${createdAt.slice(0, 19).replace(/[-:]/g, '')}-${randomBytes(3).toString('hex')}`;
+        const device = meta.device
+            ? Object.fromEntries(DEVICE_FIELDS.map(field => [field, meta.device[field] ?? null]))
+            : null;
+
+        const summary = {
+            id,
+            name: meta.name || `${device?.alias || device?.id || 'config'} ${createdAt.slice(0, 19).replace('T', ' ')}`,
+            note: meta.note || '',
+            createdAt,
+            uploadedAt: meta.uploadedAt || null,
+            device,
+            subtrees: Object.keys(data)
+        };
+
+        mkdirSync(this.directory, { recursive: true });
+        writeFileSync(join(this.directory, `${id}.json`), JSON.stringify({ ...summary, data }, null, 2));
+
+        this.index.set(id, summary);
+        return summary;
+    }
+
+    /**
+     * Save an uploaded snapshot under a new id, keeping its name and origin
+     * @param {Object} snapshot - As decodeSnapshot() returns it
+     */
+    import(snapshot) {
+        return this.create(snapshot.data, {
+            name: snapshot.name,
+            note: snapshot.note,
+            device: snapshot.device,
+            createdAt: typeof snapshot.createdAt === 'string' && !isNaN(Date.parse(snapshot.createdAt))
+                ? new Date(snapshot.createdAt).toISOString()
+                : undefined,
+            uploadedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Snapshot metadata, newest first
+     */
+    list() {
+        return Array.from(this.index.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Full snapshot including its data
+     * @returns {Object|null}
+     */
+    get(id) {
+        if (!this.index.has(id)) {
+            return null;
+        }
+        return JSON.parse(readFileSync(join(this.directory, `${id}.json`), 'utf-8'));
+    }
+
+    /**
+     * Delete a snapshot
+     * @returns {boolean} - Whether it existed
+     */
+    remove(id) {
+        if (!this.index.has(id)) {
+            return false;
+        }
+        unlinkSync(join(this.directory, `${id}.json`));
+        this.index.delete(id);
+        return true;
+    }
+}
+
+export default SnapshotStore;
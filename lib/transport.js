@@ -0,0 +1,172 @@
+/**
+ * Device Transports
+ *
+ * A transport opens the byte stream a DeviceConnection speaks MUP1 over.
+ * Every port it creates has the part of the SerialPort API that
+ * DeviceConnection uses: open(cb), close(cb), isOpen, write(), pipe()
+ * and the 'error' and 'close' events.
+ *
+ *   serial    - Local tty (SerialPort)
+ *   tcp       - Raw TCP socket to a serial bridge on another machine,
+ *               e.g. ser2net in raw mode: "4001:raw:0:/dev/ttyACM0:115200 8DATABITS NONE 1STOPBIT"
+ *   simulator - In-process BoardSimulator, see simulator.js
+ *
+ * A port is used once; reconnecting creates a new one with createPort().
+ */
+
+import { Duplex } from 'stream';
+import { connect, isIPv6 } from 'net';
+import { SerialPort } from 'serialport';
+
+/**
+ * Local serial port
+ * @returns {Object} - { type, createPort }
+ */
+export function serialTransport(path, baudRate = 115200) {
+    return {
+        type: 'serial',
+        createPort: () => new SerialPort({
+            path,
+            baudRate,
+            dataBits: 8,
+            parity: 'none',
+            stopBits: 1,
+            autoOpen: false
+        })
+    };
+}
+
+/**
+ * Serial bridge reached over TCP
+ * @param {string|Object} endpoint - 'host:port', 'tcp://host:port', '[v6addr]:port' or { host, port }
+ * @returns {Object} - { type, endpoint, createPort }
+ */
+export function tcpTransport(endpoint, options = {}) {
+    const { host, port } = typeof endpoint === 'string' ? parseEndpoint(endpoint) : endpoint;
+    return {
+        type: 'tcp',
+        endpoint: formatEndpoint(host, port),
+        createPort: () => new TcpPort({ host, port, ...options })
+    };
+}
+
+// Host name or IPv4 address: dot-separated labels of letters, digits and inner hyphens
+const HOSTNAME = /^(?=.{1,253}$)[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*$/;
+
+/**
+ * Split 'host:port' (optionally tcp:// and with a bracketed IPv6 address)
+ * The host must be a host name, an IPv4 address or an IPv6 address in brackets.
+ * @returns {Object} - { host, port }
+ * @throws {Error} - For a missing or invalid host or an invalid port
+ */
+export function parseEndpoint(text) {
+    const match = /^(?:tcp:\/\/)?(?:\[([^\]]+)\]|([^:/\s]+)):(\d+)\/?$/.exec(String(text).trim());
+    if (!match) {
+        throw new Error(`Invalid endpoint '${text}': use host:port`);
+    }
+
+    const [, ipv6, hostname] = match;
+    if (ipv6 !== undefined ? !isIPv6(ipv6) : !HOSTNAME.test(hostname)) {
+        throw new Error(`Invalid host in '${text}': use a host name, an IPv4 address or [IPv6 address]`);
+    }
+
+    const port = parseInt(match[3], 10);
+    if (port < 1 || port > 65535) {
+        throw new Error(`Invalid TCP port ${port} in '${text}'`);
+    }
+    return { host: ipv6 ?? hostname, port };
+}
+
+/**
+ * 'host:port', with brackets around an IPv6 address
+ */
+export function formatEndpoint(host, port) {
+    return host.includes(':') ? `[${host}]:${port}` : `${host}:${port}`;
+}
+
+/**
+ * TCP socket with the SerialPort API
+ * A connection refused or timed out fails open(); the remote side closing
+ * the socket (bridge restarted, lab PC rebooted) emits 'close' as a
+ * serial port does when its tty goes away.
+ */
+export class TcpPort extends Duplex {
+    /**
+     * @param {Object} options - { host, port, connectTimeout }
+     */
+    constructor({ host, port, connectTimeout = 5000 }) {
+        super();
+        this.host = host;
+        this.port = port;
+        this.path = `/tcp/${formatEndpoint(host, port)}`;
+        this.connectTimeout = connectTimeout;
+        this.socket = null;
+        this.isOpen = false;
+    }
+
+    open(callback = () => {}) {
+        if (this.socket) {
+            setImmediate(() => callback(new Error('Port is already open')));
+            return;
+        }
+
+        const socket = connect({ host: this.host, port: this.port });
+        this.socket = socket;
+
+        const timer = setTimeout(() => {
+            socket.destroy(new Error(`Connection to ${formatEndpoint(this.host, this.port)} timed out`));
+        }, this.connectTimeout);
+
+        const onError = (err) => {
+            clearTimeout(timer);
+            this.socket = null;
+            callback(err);
+        };
+        socket.once('error', onError);
+
+        socket.once('connect', () => {
+            clearTimeout(timer);
+            socket.off('error', onError);
+            socket.setNoDelay(true);
+            socket.setKeepAlive(true, 10000);
+            this.isOpen = true;
+
+            socket.on('data', (data) => this.push(data));
+            socket.on('error', (err) => this.emit('error', err));
+            socket.on('close', () => {
+                if (this.isOpen) {
+                    this.isOpen = false;
+                    this.push(null);
+                    this.emit('close');
+                }
+            });
+
+            callback(null);
+        });
+    }
+
+    close(callback = () => {}) {
+        if (!this.isOpen) {
+            callback(new Error('Port is not open'));
+            return;
+        }
+
+        this.isOpen = false;
+        this.socket.once('close', () => {
+            this.push(null);
+            this.emit('close');
+            callback(null);
+        });
+        this.socket.destroy();
+    }
+
+    _read() {}
+
+    _write(chunk, encoding, callback) {
+        if (!this.isOpen) {
+            callback(new Error('Port is not open'));
+            return;
+        }
+        this.socket.write(chunk, callback);
+    }
+}
@@ -10,9 +10,22 @@ const state = {
     selectedDevice: null,
     devices: [],
     yangData: null,
-    refreshInterval: null
+    refreshInterval: null,
+    liveStreams: {},  // name -> EventSource (CoAP Observe)
+    consoleRequest: null,  // { devicePath, id } of the console request in progress
+    candidateCountdown: null,  // Interval ticking the confirm countdown
+    trace: {
+        device: null,
+        entries: [],  // All received entries of trace.device, oldest first
+        paused: false,
+        missed: 0     // Entries received while paused
+    }
 };
 
+// Trace entries kept in the browser (matches the server ring buffer)
+const MAX_TRACE_ENTRIES = 2000;
+const TRACE_LEVELS = ['error', 'warning', 'info', 'debug'];
+
 // ============================================
 // Utility Functions
 // ============================================
@@ -34,6 +47,17 @@ function showToast(message, type = 'info') {
     }, 3000);
 }
 
+/**
+ * Escape text for insertion into HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 /**
  * Format timestamp
  */
@@ -85,45 +109,127 @@ async function scanDevices() {
 
 /**
  * API: Execute CoAP request
+ * @param {string} requestId - Name for cancelRequest() while it is queued or running (optional)
  */
-async function executeCoAP(devicePath, method, uri, payload = null) {
+async function executeCoAP(devicePath, method, uri, payload = null, requestId = undefined) {
     const response = await fetch(`${API_BASE}/api/devices${devicePath}/coap`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ method, uri, data: payload })
+        body: JSON.stringify({ method, uri, data: payload, priority: 'interactive', requestId })
+    });
+    return await response.json();
+}
+
+/**
+ * API: Observe resource, notifications arrive as Server-Sent Events
+ */
+function observeResource(devicePath, uri, method = 'GET') {
+    const params = new URLSearchParams({ method, uri });
+    return new EventSource(`${API_BASE}/api/devices${devicePath}/observe?${params}`);
+}
+
+/**
+ * API: Set (or with an empty alias remove) the friendly name of a device
+ */
+async function setDeviceAlias(devicePath, alias) {
+    const response = await fetch(`${API_BASE}/api/devices${devicePath}/alias`, {
+        method: alias ? 'PUT' : 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: alias ? JSON.stringify({ alias }) : undefined
+    });
+    return await response.json();
+}
+
+/**
+ * API: Server-push events (device changes, request results, stats)
+ */
+function openEventChannel() {
+    return new EventSource(`${API_BASE}/api/events`);
+}
+
+/**
+ * API: Add a board behind a TCP serial bridge
+ */
+async function addRemote(endpoint) {
+    const response = await fetch(`${API_BASE}/api/remotes`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ endpoint })
+    });
+    return await response.json();
+}
+
+/**
+ * API: Cancel a queued or running request
+ */
+async function cancelRequest(devicePath, id) {
+    const response = await fetch(`${API_BASE}/api/devices${devicePath}/queue/${id}`, { method: 'DELETE' });
+    return await response.json();
+}
+
+/**
+ * API: Remove a remote board
+ */
+async function removeRemote(endpoint) {
+    const response = await fetch(`${API_BASE}/api/remotes/${encodeURIComponent(endpoint)}`, { method: 'DELETE' });
+    return await response.json();
+}
+
+/**
+ * API: Get stored trace entries
+ */
+async function getTrace(devicePath) {
+    const response = await fetch(`${API_BASE}/api/devices${devicePath}/trace`);
+    return await response.json();
+}
+
+/**
+ * API: Clear stored trace entries
+ */
+async function clearTrace(devicePath) {
+    const response = await fetch(`${API_BASE}/api/devices${devicePath}/trace`, {
+        method: 'DELETE'
     });
     return await response.json();
 }
 
+/**
+ * API: Stream new trace entries as Server-Sent Events
+ */
+function streamTrace(devicePath) {
+    return new EventSource(`${API_BASE}/api/devices${devicePath}/trace/stream`);
+}
+
 /**
  * API: Get YANG configuration
+ * The server answers from its datastore cache; refresh revalidates it with the board.
  */
-async function getYANG(devicePath) {
-    const response = await fetch(`${API_BASE}/api/devices${devicePath}/yang`);
+async function getYANG(devicePath, refresh = false) {
+    const response = await fetch(`${API_BASE}/api/devices${devicePath}/yang?priority=interactive${refresh ? '&refresh=1' : ''}`);
     return await response.json();
 }
 
 /**
  * API: Get interfaces
  */
-async function getInterfaces(devicePath) {
-    const response = await fetch(`${API_BASE}/api/devices${devicePath}/interfaces`);
+async function getInterfaces(devicePath, refresh = false) {
+    const response = await fetch(`${API_BASE}/api/devices${devicePath}/interfaces?priority=interactive${refresh ? '&refresh=1' : ''}`);
     return await response.json();
 }
 
 /**
  * API: Get bridge config
  */
-async function getBridge(devicePath) {
-    const response = await fetch(`${API_BASE}/api/devices${devicePath}/bridge`);
+async function getBridge(devicePath, refresh = false) {
+    const response = await fetch(`${API_BASE}/api/devices${devicePath}/bridge?priority=interactive${refresh ? '&refresh=1' : ''}`);
     return await response.json();
 }
 
 /**
  * API: Get scheduler config
  */
-async function getScheduler(devicePath) {
-    const response = await fetch(`${API_BASE}/api/devices${devicePath}/scheduler`);
+async function getScheduler(devicePath, refresh = false) {
+    const response = await fetch(`${API_BASE}/api/devices${devicePath}/scheduler?priority=interactive${refresh ? '&refresh=1' : ''}`);
     return await response.json();
 }
 
@@ -143,6 +249,124 @@ async function clearHistory() {
     return await response.json();
 }
 
+/**
+ * API: List snapshots
+ */
+async function getSnapshots() {
+    const response = await fetch(`${API_BASE}/api/snapshots`);
+    return await response.json();
+}
+
+/**
+ * API: Save the configuration of a device as a snapshot
+ */
+async function createSnapshot(devicePath, name) {
+    const response = await fetch(`${API_BASE}/api/snapshots`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ device: devicePath, name, priority: 'interactive' })
+    });
+    return await response.json();
+}
+
+/**
+ * API: Upload a snapshot file (JSON, YAML or CBOR)
+ */
+async function uploadSnapshot(file) {
+    const format = { yml: 'yaml', yaml: 'yaml', json: 'json', cbor: 'cbor' }[file.name.split('.').pop().toLowerCase()] || '';
+    const response = await fetch(`${API_BASE}/api/snapshots/upload${format ? `?format=${format}` : ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: file
+    });
+    return await response.json();
+}
+
+/**
+ * API: Restore a snapshot; without devicePath it goes back to the board it came from
+ */
+async function restoreSnapshot(id, devicePath, mode) {
+    const response = await fetch(`${API_BASE}/api/snapshots/${encodeURIComponent(id)}/restore`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ device: devicePath || undefined, mode, priority: 'interactive' })
+    });
+    return await response.json();
+}
+
+/**
+ * API: Delete a snapshot
+ */
+async function deleteSnapshot(id) {
+    const response = await fetch(`${API_BASE}/api/snapshots/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    return await response.json();
+}
+
+/**
+ * API: Diff two configurations ('device:<path>' or 'snapshot:<id>')
+ */
+async function getDiff(left, right, content, unchanged) {
+    const params = new URLSearchParams({ left, right, priority: 'interactive' });
+    if (content) params.set('content', content);
+    if (unchanged) params.set('unchanged', '1');
+    const response = await fetch(`${API_BASE}/api/diff?${params}`);
+    return await response.json();
+}
+
+/**
+ * API: Edits in the candidate of a device and the commit waiting for a confirm
+ */
+async function getCandidate(devicePath) {
+    const response = await fetch(`${API_BASE}/api/devices${devicePath}/candidate`);
+    return await response.json();
+}
+
+/**
+ * API: Add an edit to the candidate
+ */
+async function addCandidateEdit(devicePath, edit) {
+    const response = await fetch(`${API_BASE}/api/devices${devicePath}/candidate/edits`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(edit)
+    });
+    return await response.json();
+}
+
+/**
+ * API: Remove one edit from the candidate, or all of them without an id
+ */
+async function removeCandidateEdits(devicePath, id = null) {
+    const response = await fetch(`${API_BASE}/api/devices${devicePath}/candidate${id !== null ? `/edits/${id}` : ''}`, {
+        method: 'DELETE'
+    });
+    return await response.json();
+}
+
+/**
+ * API: validate, commit, confirm or rollback the candidate
+ */
+async function candidateAction(devicePath, action, body = {}) {
+    const response = await fetch(`${API_BASE}/api/devices${devicePath}/candidate/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, priority: 'interactive' })
+    });
+    return await response.json();
+}
+
+/**
+ * API: Send one (templated) request to several devices
+ */
+async function pushBulk(request) {
+    const response = await fetch(`${API_BASE}/api/bulk`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...request, priority: 'interactive' })
+    });
+    return await response.json();
+}
+
 /**
  * API: Get stats
  */
@@ -160,6 +384,7 @@ async function getStats() {
  */
 function renderDeviceList(devices) {
     const container = document.getElementById('device-list');
+    state.devices = devices || [];
 
     if (!devices || devices.length === 0) {
         container.innerHTML = `
@@ -171,22 +396,61 @@ function renderDeviceList(devices) {
         return;
     }
 
-    container.innerHTML = devices.map(device => `
+    container.innerHTML = devices.map(renderDeviceItem).join('');
+}
+
+/**
+ * Render one entry of the device list
+ */
+function renderDeviceItem(device) {
+    const health = device.connected ? (device.health?.state || 'unknown') : (device.connectionState || 'disconnected');
+    return `
         <div class="device-item ${device.connected ? 'active' : 'disconnected'}"
-             data-path="${device.path}"
-             onclick="selectDevice('${device.path}')">
+             data-path="${escapeHtml(device.path)}">
             <div class="device-name">
-                <span class="device-status ${device.connected ? '' : 'disconnected'}"></span>
-                ${device.path}
+                <span class="device-status ${health}" title="${health}"></span>
+                ${escapeHtml(device.alias || device.path)}
+                ${health === 'degraded' || health === 'unresponsive'
+                    ? `<span class="health-flag ${health}">${health}</span>` : ''}
+                ${health === 'reconnecting'
+                    ? `<span class="health-flag reconnecting" title="Attempt ${device.reconnect?.attempt || 1}${device.reconnect?.lastError ? `: ${escapeHtml(device.reconnect.lastError)}` : ''}">reconnecting…</span>` : ''}
             </div>
             <div class="device-info-small">
-                ${device.model || 'Unknown'}<br>
-                ${device.firmware || 'Unknown'}
+                ${device.alias ? `${escapeHtml(device.path)}<br>` : ''}
+                ${device.transport === 'tcp' ? `<span class="transport-tag">TCP</span> ` : ''}
+                ${escapeHtml(device.model || 'Unknown')}<br>
+                ${escapeHtml(device.firmware || 'Unknown')}
             </div>
         </div>
-    `).join('');
+    `;
+}
+
+/**
+ * Add or update one device in the list without rebuilding the others
+ */
+function updateDevice(device) {
+    const index = state.devices.findIndex(d => d.path === device.path);
+    if (index === -1) {
+        renderDeviceList([...state.devices, device]);
+        return;
+    }
+    state.devices[index] = device;
+
+    const item = document.querySelector(`.device-item[data-path="${CSS.escape(device.path)}"]`);
+    if (item) {
+        item.outerHTML = renderDeviceItem(device);
+    }
+    if (state.selectedDevice === device.path) {
+        document.querySelector(`.device-item[data-path="${CSS.escape(device.path)}"]`)?.classList.add('active');
+        renderDeviceOverview(device);
+    }
+}
 
-    state.devices = devices;
+/**
+ * Remove one device from the list
+ */
+function removeDevice(path) {
+    renderDeviceList(state.devices.filter(d => d.path !== path));
 }
 
 /**
@@ -197,50 +461,82 @@ function renderDeviceOverview(device) {
 
     container.innerHTML = `
         <div class="info-grid">
+            <div class="info-card">
+                <h4>Name</h4>
+                <p>
+                    ${device.alias ? escapeHtml(device.alias) : '<span class="text-muted">No alias</span>'}
+                    <button class="btn btn-sm btn-secondary" data-action="rename" data-path="${escapeHtml(device.path)}">Rename</button>
+                </p>
+            </div>
+            <div class="info-card">
+                <h4>Device ID</h4>
+                <p title="Source: ${escapeHtml(device.idSource || 'unknown')}">${escapeHtml(device.id || 'Unknown')}</p>
+            </div>
             <div class="info-card">
                 <h4>Device Path</h4>
-                <p>${device.path}</p>
+                <p>${escapeHtml(device.path)}</p>
+            </div>
+            <div class="info-card">
+                <h4>Transport</h4>
+                <p>
+                    ${device.transport === 'tcp' ? `
+                        TCP bridge ${escapeHtml(device.endpoint)}
+                        <button class="btn btn-sm btn-danger" data-action="remove-remote" data-endpoint="${escapeHtml(device.endpoint)}">Remove</button>
+                    ` : device.transport === 'simulator' ? 'Simulator' : `Serial, ${device.baudRate} baud`}
+                </p>
             </div>
             <div class="info-card">
                 <h4>Model</h4>
-                <p>${device.model || 'Unknown'}</p>
+                <p>${escapeHtml(device.model || 'Unknown')}</p>
             </div>
             <div class="info-card">
                 <h4>Firmware</h4>
-                <p>${device.firmware || 'Unknown'}</p>
+                <p>${escapeHtml(device.firmware || 'Unknown')}</p>
             </div>
             <div class="info-card">
                 <h4>Serial Number</h4>
-                <p>${device.serialNumber || 'Unknown'}</p>
+                <p>${escapeHtml(device.serialNumber || 'Unknown')}</p>
             </div>
             <div class="info-card">
                 <h4>Status</h4>
                 <p>
-                    <span class="badge ${device.connected ? 'success' : 'danger'}">
-                        ${device.connected ? 'Connected' : 'Disconnected'}
-                    </span>
+                    ${device.connectionState === 'reconnecting' ? `
+                        <span class="badge warning">Reconnecting…</span>
+                        <span class="text-muted">attempt ${device.reconnect?.attempt || 1}</span>
+                        ${device.reconnect?.lastError ? `<br><span class="text-muted">${escapeHtml(device.reconnect.lastError)}</span>` : ''}
+                    ` : `
+                        <span class="badge ${device.connected ? 'success' : 'danger'}">
+                            ${device.connected ? 'Connected' : 'Disconnected'}
+                        </span>
+                    `}
                 </p>
             </div>
+            <div class="info-card">
+                <h4>Health</h4>
+                <p>${renderHealth(device)}</p>
+            </div>
             <div class="info-card">
                 <h4>Interfaces</h4>
                 <p>${device.interfaces?.length || 0}</p>
             </div>
         </div>
 
+        ${renderAnnouncement(device)}
+
         ${device.interfaces && device.interfaces.length > 0 ? `
             <h4 style="margin-top: 1.5rem; margin-bottom: 1rem;">Network Interfaces</h4>
             <div class="interface-grid">
                 ${device.interfaces.map(iface => `
                     <div class="interface-card ${iface.enabled ? 'active' : 'inactive'}">
                         <div class="interface-header">
-                            <span class="interface-name">${iface.name}</span>
+                            <span class="interface-name">${escapeHtml(iface.name)}</span>
                             <span class="badge ${iface.enabled ? 'success' : 'danger'}">
                                 ${iface.enabled ? 'UP' : 'DOWN'}
                             </span>
                         </div>
                         <div class="interface-details">
-                            Type: ${iface.type || 'Unknown'}<br>
-                            Oper Status: ${iface.operStatus || 'Unknown'}
+                            Type: ${escapeHtml(iface.type || 'Unknown')}<br>
+                            Oper Status: ${escapeHtml(iface.operStatus || 'Unknown')}
                         </div>
                     </div>
                 `).join('')}
@@ -249,6 +545,72 @@ function renderDeviceOverview(device) {
     `;
 }
 
+/**
+ * Render the MUP1 board announcement and whether CORECONF has answered
+ */
+function renderAnnouncement(device) {
+    const announcement = device.announcement;
+    const coreconf = {
+        ok: '<span class="badge success">Responding</span>',
+        failed: '<span class="badge danger">Not responding</span>',
+        pending: '<span class="badge warning">Waiting</span>'
+    }[device.coreconf] || '';
+
+    if (!announcement) {
+        return `
+            <h4 style="margin-top: 1.5rem; margin-bottom: 1rem;">Board Announcement</h4>
+            <p class="text-muted">No announcement received (sent by the board on boot). CORECONF: ${coreconf}</p>
+        `;
+    }
+
+    return `
+        <h4 style="margin-top: 1.5rem; margin-bottom: 1rem;">Board Announcement</h4>
+        <div class="info-grid">
+            <div class="info-card">
+                <h4>Board Type</h4>
+                <p>${escapeHtml(announcement.board || 'Unknown')}</p>
+            </div>
+            <div class="info-card">
+                <h4>Firmware</h4>
+                <p>${escapeHtml([announcement.product, announcement.firmware].filter(Boolean).join(' ') || 'Unknown')}
+                   ${announcement.build ? `<br><span class="text-muted">${escapeHtml(announcement.build)}</span>` : ''}</p>
+            </div>
+            <div class="info-card">
+                <h4>MUP1 Version</h4>
+                <p>${escapeHtml(announcement.mup1Version || 'Unknown')}</p>
+            </div>
+            <div class="info-card">
+                <h4>Serial</h4>
+                <p>${escapeHtml(announcement.serial || 'Unknown')}</p>
+            </div>
+            <div class="info-card">
+                <h4>CORECONF</h4>
+                <p>${coreconf}</p>
+            </div>
+            <div class="info-card">
+                <h4>Announced</h4>
+                <p>${formatTime(announcement.receivedAt)}</p>
+            </div>
+        </div>
+        <p class="text-muted" style="margin-top: 0.5rem;"><code>${escapeHtml(announcement.raw)}</code></p>
+    `;
+}
+
+/**
+ * Render keepalive health (MUP1 ping/pong) as a badge with RTT
+ */
+function renderHealth(device) {
+    const health = device.health;
+    if (!device.connected || !health) {
+        return '<span class="badge danger">Offline</span>';
+    }
+
+    const badge = { alive: 'success', degraded: 'warning', unresponsive: 'danger' }[health.state] || '';
+    const rtt = health.rtt !== null ? ` ${health.rtt}ms (avg ${health.averageRtt}ms)` : '';
+    const missed = health.missedPings > 0 ? `, ${health.missedPings} missed` : '';
+    return `<span class="badge ${badge}">${health.state}</span>${rtt}${missed}`;
+}
+
 /**
  * Render YANG data
  */
@@ -261,10 +623,10 @@ function renderYANG(yangData, format = 'tree') {
     }
 
     if (format === 'json') {
-        container.innerHTML = `<pre>${JSON.stringify(yangData, null, 2)}</pre>`;
+        container.innerHTML = `<pre>${escapeHtml(JSON.stringify(yangData, null, 2))}</pre>`;
     } else if (format === 'yaml') {
         // Simple YAML-like formatting
-        container.innerHTML = `<pre>${objectToYAML(yangData)}</pre>`;
+        container.innerHTML = `<pre>${escapeHtml(objectToYAML(yangData))}</pre>`;
     } else {
         // Tree view
         container.innerHTML = renderYANGTree(yangData);
@@ -282,23 +644,23 @@ function renderYANGTree(obj, depth = 0) {
 
     for (const [key, value] of Object.entries(obj)) {
         if (value && typeof value === 'object' && !Array.isArray(value)) {
-            html += `<div class="yang-node">${indent}<span class="yang-key">${key}:</span></div>`;
+            html += `<div class="yang-node">${indent}<span class="yang-key">${escapeHtml(key)}:</span></div>`;
             html += renderYANGTree(value, depth + 1);
         } else if (Array.isArray(value)) {
-            html += `<div class="yang-node">${indent}<span class="yang-key">${key}:</span> [${value.length} items]</div>`;
+            html += `<div class="yang-node">${indent}<span class="yang-key">${escapeHtml(key)}:</span> [${value.length} items]</div>`;
             value.forEach((item, idx) => {
                 if (typeof item === 'object') {
                     html += `<div class="yang-node">${indent}  - Item ${idx}:</div>`;
                     html += renderYANGTree(item, depth + 2);
                 } else {
-                    html += `<div class="yang-node">${indent}  - <span class="yang-value">${item}</span></div>`;
+                    html += `<div class="yang-node">${indent}  - <span class="yang-value">${escapeHtml(item)}</span></div>`;
                 }
             });
         } else {
             const valueClass = typeof value === 'string' ? 'yang-string' :
                               typeof value === 'number' ? 'yang-number' :
                               typeof value === 'boolean' ? 'yang-boolean' : 'yang-value';
-            html += `<div class="yang-node">${indent}<span class="yang-key">${key}:</span> <span class="${valueClass}">${JSON.stringify(value)}</span></div>`;
+            html += `<div class="yang-node">${indent}<span class="yang-key">${escapeHtml(key)}:</span> <span class="${valueClass}">${escapeHtml(JSON.stringify(value))}</span></div>`;
         }
     }
 
@@ -348,14 +710,14 @@ function renderInterfaces(interfaces) {
             ${interfaces.map(iface => `
                 <div class="interface-card ${iface['admin-state'] === 'up' ? 'active' : 'inactive'}">
                     <div class="interface-header">
-                        <span class="interface-name">${iface.name}</span>
+                        <span class="interface-name">${escapeHtml(iface.name)}</span>
                         <span class="badge ${iface['admin-state'] === 'up' ? 'success' : 'danger'}">
-                            ${iface['admin-state'] || 'unknown'}
+                            ${escapeHtml(iface['admin-state'] || 'unknown')}
                         </span>
                     </div>
                     <div class="interface-details">
-                        Type: ${iface.type || 'Unknown'}<br>
-                        Oper Status: ${iface['oper-state'] || 'Unknown'}<br>
+                        Type: ${escapeHtml(iface.type || 'Unknown')}<br>
+                        Oper Status: ${escapeHtml(iface['oper-state'] || 'Unknown')}<br>
                         ${iface.statistics ? `
                             RX: ${formatBytes(iface.statistics['in-octets'] || 0)}<br>
                             TX: ${formatBytes(iface.statistics['out-octets'] || 0)}
@@ -380,16 +742,16 @@ function renderBridge(bridges) {
 
     container.innerHTML = bridges.map(bridge => `
         <div class="info-card" style="margin-bottom: 1rem;">
-            <h4>Bridge: ${bridge.name}</h4>
+            <h4>Bridge: ${escapeHtml(bridge.name)}</h4>
             <div style="margin-top: 0.5rem;">
-                <strong>Address:</strong> ${bridge.address || 'N/A'}<br>
+                <strong>Address:</strong> ${escapeHtml(bridge.address || 'N/A')}<br>
                 <strong>Components:</strong> ${bridge.component?.length || 0}
             </div>
         </div>
         ${bridge.component ? bridge.component.map(comp => `
             <div class="yang-container" style="margin-bottom: 1rem;">
-                <strong>Component: ${comp.name}</strong>
-                <pre>${JSON.stringify(comp, null, 2)}</pre>
+                <strong>Component: ${escapeHtml(comp.name)}</strong>
+                <pre>${escapeHtml(JSON.stringify(comp, null, 2))}</pre>
             </div>
         `).join('') : ''}
     `).join('');
@@ -408,7 +770,7 @@ function renderScheduler(scheduler) {
 
     container.innerHTML = `
         <div class="yang-container">
-            <pre>${JSON.stringify(scheduler, null, 2)}</pre>
+            <pre>${escapeHtml(JSON.stringify(scheduler, null, 2))}</pre>
         </div>
     `;
 }
@@ -416,18 +778,19 @@ function renderScheduler(scheduler) {
 /**
  * Render console output
  */
-function renderConsoleOutput(entry) {
+function renderConsoleOutput(entry, kind = null) {
     const container = document.getElementById('console-output');
     const welcome = container.querySelector('.console-welcome');
     if (welcome) welcome.remove();
 
     const entryDiv = document.createElement('div');
-    entryDiv.className = `console-entry ${entry.success ? 'success' : 'error'}`;
+    entryDiv.className = `console-entry ${kind || (entry.success ? 'success' : 'error')}`;
     entryDiv.innerHTML = `
         <div class="console-entry-header">
             <span>${entry.method} ${entry.uri}</span>
             <span>${formatTime(entry.timestamp)} (${formatDuration(entry.duration)})</span>
         </div>
+        ${renderCoapOptions(entry)}
         <div class="console-entry-content">
             ${entry.success ?
                 `<pre>${JSON.stringify(entry.data, null, 2)}</pre>` :
@@ -438,6 +801,31 @@ function renderConsoleOutput(entry) {
     container.insertBefore(entryDiv, container.firstChild);
 }
 
+/**
+ * Render CoAP response code and options of a console entry
+ */
+function renderCoapOptions(entry) {
+    const options = entry.options || {};
+    const keys = Object.keys(options);
+    if (!entry.code && keys.length === 0) return '';
+
+    const formatValue = (key, value) => {
+        if (key === 'locationPath') return '/' + value.join('/');
+        if (Array.isArray(value)) return value.join(', ');
+        if (value && typeof value === 'object') return JSON.stringify(value);
+        return value;
+    };
+
+    return `
+        <div class="console-options">
+            ${entry.code ? `<span class="console-option"><strong>Code:</strong> ${entry.code}</span>` : ''}
+            ${keys.map(key => `
+                <span class="console-option"><strong>${key}:</strong> ${formatValue(key, options[key])}</span>
+            `).join('')}
+        </div>
+    `;
+}
+
 /**
  * Render history
  */
@@ -463,171 +851,1265 @@ function renderHistory(history) {
 }
 
 /**
- * Update stats
+ * Render snapshots
  */
-async function updateStats() {
-    try {
-        const stats = await getStats();
-        if (stats.success) {
-            document.getElementById('stat-devices').textContent = stats.stats.connectedDevices;
-            document.getElementById('stat-requests').textContent = stats.stats.totalRequests;
-            document.getElementById('stat-success').textContent = stats.stats.successRate;
-        }
-    } catch (error) {
-        console.error('Failed to update stats:', error);
+function renderSnapshots(snapshots) {
+    const container = document.getElementById('snapshot-list');
+
+    if (!snapshots || snapshots.length === 0) {
+        container.innerHTML = '<div class="empty-state"><p>No snapshots yet</p></div>';
+        return;
     }
-}
 
-// ============================================
-// Event Handlers
-// ============================================
+    container.innerHTML = snapshots.map(snapshot => `
+        <div class="history-item snapshot-item">
+            <div class="history-item-header">
+                <span class="history-method">${escapeHtml(snapshot.name)}</span>
+                <span class="history-time">${formatTime(snapshot.createdAt)}${snapshot.uploadedAt ? ' (uploaded)' : ''}</span>
+            </div>
+            <div class="history-device">
+                Device: ${escapeHtml(snapshot.device?.alias || snapshot.device?.id || 'unknown')}
+                ${snapshot.device?.firmware ? `<span class="text-muted">· ${escapeHtml(snapshot.device.firmware)}</span>` : ''}
+            </div>
+            <div class="history-uri" title="${snapshot.subtrees.map(escapeHtml).join('\n')}">
+                ${snapshot.subtrees.length} subtree(s)${snapshot.note ? ` · ${escapeHtml(snapshot.note)}` : ''}
+            </div>
+            <div class="snapshot-actions">
+                <button class="btn btn-sm btn-primary" data-action="restore" data-id="${escapeHtml(snapshot.id)}">Restore</button>
+                <button class="btn btn-sm btn-secondary" data-action="download" data-id="${escapeHtml(snapshot.id)}">Download</button>
+                <button class="btn btn-sm btn-danger" data-action="delete" data-id="${escapeHtml(snapshot.id)}">Delete</button>
+            </div>
+        </div>
+    `).join('');
+}
 
 /**
- * Select device
+ * Render the per-subtree outcome of a restore
  */
-window.selectDevice = async function(devicePath) {
-    state.selectedDevice = devicePath;
+function renderRestoreResults(result) {
+    document.getElementById('snapshot-results').innerHTML = `
+        <div class="history-item ${result.success ? 'success' : 'error'}">
+            <div class="history-item-header">
+                <span class="history-method">Restore to ${escapeHtml(result.device || '')} (${result.mode || ''})</span>
+                <span class="history-time">${result.error ? escapeHtml(result.error) : 'All subtrees written'}</span>
+            </div>
+            ${(result.results || []).map(item => `
+                <div class="snapshot-result">
+                    <span class="badge ${item.success ? 'success' : 'danger'}">${item.success ? 'ok' : 'failed'}</span>
+                    <code>${escapeHtml(item.subtree)}</code>
+                    <span class="text-muted">${formatDuration(item.duration)}${item.error ? ` · ${escapeHtml(item.error)}` : ''}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
 
-    // Update UI
-    document.querySelectorAll('.device-item').forEach(item => {
-        item.classList.toggle('active', item.dataset.path === devicePath);
+/**
+ * Fill the diff source pickers with devices and snapshots, keeping the current choice
+ */
+function renderDiffSources(snapshots) {
+    const options = [
+        ...state.devices.map(device => ({
+            value: `device:${device.path}`,
+            label: `📟 ${device.alias || device.path}`
+        })),
+        ...snapshots.map(snapshot => ({
+            value: `snapshot:${snapshot.id}`,
+            label: `📸 ${snapshot.name}`
+        }))
+    ];
+
+    document.querySelectorAll('.diff-source').forEach((select, index) => {
+        const current = select.value || options[Math.min(index, options.length - 1)]?.value;
+        select.innerHTML = options.map(option =>
+            `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`
+        ).join('');
+        if (options.some(option => option.value === current)) {
+            select.value = current;
+        }
     });
-
-    const device = state.devices.find(d => d.path === devicePath);
-    if (device) {
-        renderDeviceOverview(device);
-        showToast(`Selected device: ${devicePath}`, 'success');
-    }
-};
+}
 
 /**
- * Scan for devices
+ * Leaf value for a diff cell
  */
-document.getElementById('btn-scan').addEventListener('click', async () => {
-    try {
-        showToast('Scanning for devices...', 'info');
-        const devices = await scanDevices();
-        renderDeviceList(devices);
-        showToast(`Found ${devices.length} device(s)`, 'success');
-    } catch (error) {
-        showToast(`Scan failed: ${error.message}`, 'error');
-    }
-});
+function formatLeaf(value) {
+    if (value === undefined) return '';
+    return escapeHtml(typeof value === 'string' ? value : JSON.stringify(value));
+}
 
 /**
- * Tab switching
+ * Render a diff side by side: path, left value, right value
  */
-document.querySelectorAll('.tab-btn').forEach(btn => {
+function renderDiff(result) {
+    const { summary } = result;
+    document.getElementById('diff-summary').textContent =
+        `${summary.added} added, ${summary.removed} removed, ${summary.changed} changed, ` +
+        `${summary.unchanged} unchanged (${result.content === 'config' ? 'configuration' : 'configuration and state'})`;
+
+    const container = document.getElementById('diff-container');
+    if (result.entries.length === 0) {
+        container.innerHTML = '<div class="empty-state"><p>No differences</p></div>';
+        return;
+    }
+
+    container.innerHTML = diffTable(result.entries, result.left.label, result.right.label);
+}
+
+/**
+ * Diff entries as a table: path, left value, right value
+ */
+function diffTable(entries, leftLabel, rightLabel) {
+    return `
+        <table class="diff-table">
+            <thead>
+                <tr>
+                    <th>Path</th>
+                    <th>${escapeHtml(leftLabel)}</th>
+                    <th>${escapeHtml(rightLabel)}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${entries.map(entry => `
+                    <tr class="diff-${entry.status}">
+                        <td class="diff-path">${escapeHtml(decodeURIComponent(entry.path))}</td>
+                        <td class="diff-left">${formatLeaf(entry.left)}</td>
+                        <td class="diff-right">${formatLeaf(entry.right)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Render the edits of the candidate
+ */
+function renderCandidate(candidate) {
+    renderCandidateConfirm(candidate.confirm);
+
+    const container = document.getElementById('candidate-edits');
+    if (candidate.edits.length === 0) {
+        container.innerHTML = '<div class="empty-state"><p>No edits in the candidate</p></div>';
+        return;
+    }
+
+    container.innerHTML = candidate.edits.map(edit => `
+        <div class="history-item candidate-edit">
+            <div class="history-item-header">
+                <span class="history-method">#${edit.id} ${escapeHtml(edit.op)}</span>
+                <span class="history-time">${formatTime(edit.addedAt)}</span>
+            </div>
+            <div class="history-uri">${escapeHtml(decodeURIComponent(edit.path))}</div>
+            ${'value' in edit ? `<div class="history-device"><code>${escapeHtml(JSON.stringify(edit.value))}</code></div>` : ''}
+            <div class="snapshot-actions">
+                <button class="btn btn-sm btn-danger" onclick="removeEdit(${edit.id})">Remove</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Render the commit waiting for a confirm, counting down to its rollback
+ */
+function renderCandidateConfirm(confirm) {
+    clearInterval(state.candidateCountdown);
+    state.candidateCountdown = null;
+
+    const container = document.getElementById('candidate-confirm');
+    if (!confirm) {
+        container.innerHTML = '';
+        return;
+    }
+
+    // remaining rather than deadline, so the browser clock does not matter
+    const deadline = Date.now() + confirm.remaining;
+    const title = () => {
+        if (confirm.state === 'rollback-failed') return 'Rollback failed, retried when the board reconnects';
+        if (confirm.state === 'rolling-back') return 'Rolling back...';
+        return `Waiting for confirm: rollback in ${Math.max(0, Math.ceil((deadline - Date.now()) / 1000))}s`;
+    };
+    const render = () => {
+        container.innerHTML = `
+            <div class="history-item candidate-pending ${confirm.state === 'rollback-failed' ? 'error' : ''}">
+                <div class="history-item-header">
+                    <span class="history-method">${title()}</span>
+                    <span class="history-time">Committed ${formatTime(confirm.committedAt)}</span>
+                </div>
+                ${confirm.error ? `<div class="candidate-error">${escapeHtml(confirm.error)}</div>` : ''}
+                <div class="snapshot-actions">
+                    <button class="btn btn-sm btn-primary" onclick="confirmCommit()">Confirm</button>
+                    <button class="btn btn-sm btn-danger" onclick="rollbackCommit()">Roll Back Now</button>
+                </div>
+            </div>
+        `;
+    };
+
+    render();
+    if (confirm.state === 'pending') {
+        state.candidateCountdown = setInterval(render, 1000);
+    }
+}
+
+/**
+ * Render a validation result: problems, then what the commit would change
+ */
+function renderCandidateValidation(result) {
+    const container = document.getElementById('candidate-validation');
+    if (!result) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const changes = result.changes || [];
+    container.innerHTML = `
+        <div class="history-item ${result.valid ? 'success' : 'error'}">
+            <div class="history-item-header">
+                <span class="history-method">${result.valid ? 'Valid' : `${result.errors.length} problem(s)`}</span>
+                <span class="history-time">${result.summary ? `${changes.length} leaf change(s)` : ''}</span>
+            </div>
+            ${result.errors.map(error => `
+                <div class="candidate-error">
+                    ${error.edit ? `#${error.edit} ` : ''}<code>${escapeHtml(decodeURIComponent(error.path))}</code>: ${escapeHtml(error.message)}
+                </div>
+            `).join('')}
+        </div>
+        ${changes.length > 0 ? diffTable(changes, 'Running', 'Candidate') : ''}
+    `;
+}
+
+/**
+ * Checkboxes for the devices a bulk push goes to, keeping the current choice
+ */
+function renderBulkDevices() {
+    const container = document.getElementById('bulk-devices');
+    const checked = new Set([...container.querySelectorAll('input:checked')].map(input => input.value));
+
+    if (state.devices.length === 0) {
+        container.innerHTML = '<span class="text-muted">No devices connected</span>';
+        return;
+    }
+
+    container.innerHTML = state.devices.map(device => `
+        <label>
+            <input type="checkbox" value="${escapeHtml(device.path)}" ${checked.has(device.path) ? 'checked' : ''}>
+            ${escapeHtml(device.alias || device.path)}
+        </label>
+    `).join('');
+}
+
+/**
+ * Render the outcome of a bulk push, one row per device
+ */
+function renderBulkResults(result) {
+    const summary = Object.entries(result.summary).map(([status, count]) => `${count} ${status}`).join(', ');
+    document.getElementById('bulk-summary').textContent =
+        `${result.method} ${result.uri}: ${summary} in ${formatDuration(result.duration)} (${result.policy})`;
+
+    const badge = { ok: 'success', 'dry-run': 'success', failed: 'danger', 'rollback-failed': 'danger' };
+    const code = (value) => value === null ? '' : `${value >> 5}.${String(value & 31).padStart(2, '0')}`;
+
+    document.getElementById('bulk-results').innerHTML = `
+        <table class="diff-table">
+            <thead>
+                <tr>
+                    <th>Device</th>
+                    <th>Status</th>
+                    <th>Code</th>
+                    <th>Duration</th>
+                    <th>${result.dryRun ? 'Payload' : 'Details'}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${result.results.map(item => `
+                    <tr>
+                        <td>${escapeHtml(item.device)}</td>
+                        <td><span class="badge ${badge[item.status] || 'warning'}">${item.status}</span></td>
+                        <td>${code(item.code)}</td>
+                        <td>${formatDuration(item.duration)}</td>
+                        <td>${result.dryRun
+                            ? `<code>${escapeHtml(JSON.stringify(item.payload))}</code>`
+                            : escapeHtml([
+                                item.error,
+                                item.rollback && `rollback ${item.rollback.success ? 'ok' : `failed: ${item.rollback.error}`} (${formatDuration(item.rollback.duration)})`
+                            ].filter(Boolean).join(' · '))}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Update stats
+ */
+async function updateStats() {
+    try {
+        const stats = await getStats();
+        if (stats.success) {
+            renderStats(stats.stats);
+        }
+    } catch (error) {
+        console.error('Failed to update stats:', error);
+    }
+}
+
+/**
+ * Render the header counters
+ */
+function renderStats(stats) {
+    document.getElementById('stat-devices').textContent = stats.connectedDevices;
+    document.getElementById('stat-requests').textContent = stats.totalRequests;
+    document.getElementById('stat-success').textContent = stats.successRate;
+    document.getElementById('stat-queued').textContent = stats.queuedRequests + stats.runningRequests;
+}
+
+/**
+ * Whether a trace entry passes the level and text filters
+ */
+function traceMatches(entry) {
+    const level = document.getElementById('trace-level').value;
+    const search = document.getElementById('trace-search').value.toLowerCase();
+
+    if (level && TRACE_LEVELS.indexOf(entry.level) > TRACE_LEVELS.indexOf(level)) {
+        return false;
+    }
+    return !search || entry.message.toLowerCase().includes(search);
+}
+
+/**
+ * Render one trace entry
+ */
+function renderTraceEntry(entry) {
+    return `
+        <div class="trace-entry ${entry.level}"><span class="trace-time">${formatTime(entry.timestamp)}</span><span class="trace-level">${entry.level.toUpperCase()}</span><span class="trace-message">${escapeHtml(entry.message)}</span></div>
+    `;
+}
+
+/**
+ * Render the trace log with the current filters
+ */
+function renderTrace() {
+    const container = document.getElementById('trace-log');
+    const entries = state.trace.entries.filter(traceMatches);
+
+    if (entries.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <p>${state.trace.entries.length ? 'No entries match the filter' : 'No trace entries yet'}</p>
+            </div>
+        `;
+    } else {
+        container.innerHTML = entries.map(renderTraceEntry).join('');
+        container.scrollTop = container.scrollHeight;
+    }
+    updateTraceStatus();
+}
+
+/**
+ * Show entry counts and pause state above the trace log
+ */
+function updateTraceStatus() {
+    const shown = state.trace.entries.filter(traceMatches).length;
+    let status = `${shown} of ${state.trace.entries.length} entries`;
+    if (state.trace.paused) {
+        status += ` | Paused (${state.trace.missed} new)`;
+    }
+    document.getElementById('trace-status').textContent = state.trace.device ? status : '';
+}
+
+/**
+ * Append a live trace entry
+ */
+function addTraceEntry(entry) {
+    state.trace.entries.push(entry);
+    if (state.trace.entries.length > MAX_TRACE_ENTRIES) {
+        state.trace.entries.shift();
+    }
+
+    if (state.trace.paused) {
+        state.trace.missed++;
+        updateTraceStatus();
+        return;
+    }
+
+    if (traceMatches(entry)) {
+        const container = document.getElementById('trace-log');
+        const atBottom = container.scrollTop + container.clientHeight >= container.scrollHeight - 20;
+        if (container.querySelector('.empty-state')) {
+            container.innerHTML = '';
+        }
+        container.insertAdjacentHTML('beforeend', renderTraceEntry(entry));
+        if (atBottom) container.scrollTop = container.scrollHeight;
+    }
+    updateTraceStatus();
+}
+
+/**
+ * Load stored trace entries of the selected device and follow new ones
+ */
+async function startTrace() {
+    if (!state.selectedDevice || state.liveStreams.trace) {
+        return;
+    }
+
+    const devicePath = state.selectedDevice;
+    const source = streamTrace(devicePath);
+    state.liveStreams.trace = { source, button: null };
+    state.trace.device = devicePath;
+    state.trace.entries = [];
+    state.trace.missed = 0;
+    source.addEventListener('trace', (e) => addTraceEntry(JSON.parse(e.data)));
+
+    try {
+        const result = await getTrace(devicePath);
+        if (state.trace.device !== devicePath) return;
+        if (result.success) {
+            // Entries that arrived on the stream while loading are newer
+            const streamed = state.trace.entries;
+            const lastId = result.entries.length ? result.entries[result.entries.length - 1].id : 0;
+            state.trace.entries = [...result.entries, ...streamed.filter(e => e.id > lastId)];
+        }
+    } catch (error) {
+        showToast(`Failed to load trace: ${error.message}`, 'error');
+    }
+    renderTrace();
+}
+
+/**
+ * Export the filtered trace as a text file
+ */
+function exportTrace() {
+    const entries = state.trace.entries.filter(traceMatches);
+    if (entries.length === 0) {
+        showToast('No trace entries to export', 'warning');
+        return;
+    }
+
+    const text = entries
+        .map(entry => `${entry.timestamp} [${entry.level.toUpperCase()}] ${entry.message}`)
+        .join('\n') + '\n';
+    const name = `trace-${state.trace.device.replace(/\//g, '_').replace(/^_/, '')}-${new Date().toISOString().replace(/[:.]/g, '-')}.txt`;
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Start a live stream; onNotification receives each notification event
+ */
+function startLive(name, uri, onNotification, button = null) {
+    stopLive(name);
+
+    const source = observeResource(state.selectedDevice, uri);
+    source.addEventListener('notification', (e) => onNotification(JSON.parse(e.data)));
+    source.addEventListener('error', (e) => {
+        if (e.data) {
+            showToast(`Observe failed: ${JSON.parse(e.data).error}`, 'error');
+        }
+        stopLive(name);
+    });
+    source.addEventListener('end', () => stopLive(name));
+
+    state.liveStreams[name] = { source, button };
+    if (button) button.classList.add('live');
+}
+
+/**
+ * Stop a live stream
+ */
+function stopLive(name) {
+    const live = state.liveStreams[name];
+    if (!live) return;
+
+    live.source.close();
+    if (live.button) live.button.classList.remove('live');
+    delete state.liveStreams[name];
+}
+
+/**
+ * Toggle live updates of a panel
+ */
+function toggleLive(name, uri, onNotification) {
+    if (!state.selectedDevice) {
+        showToast('Please select a device first', 'warning');
+        return;
+    }
+
+    const button = document.getElementById(`btn-live-${name}`);
+    if (state.liveStreams[name]) {
+        stopLive(name);
+        showToast('Live updates stopped', 'info');
+    } else {
+        startLive(name, uri, onNotification, button);
+        showToast('Live updates started', 'success');
+    }
+}
+
+// ============================================
+// Event Handlers
+// ============================================
+
+/**
+ * Select device
+ */
+window.selectDevice = async function(devicePath) {
+    if (state.selectedDevice !== devicePath) {
+        Object.keys(state.liveStreams).forEach(stopLive);
+    }
+    state.selectedDevice = devicePath;
+
+    // Update UI
+    document.querySelectorAll('.device-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.path === devicePath);
+    });
+
+    const device = state.devices.find(d => d.path === devicePath);
+    if (device) {
+        renderDeviceOverview(device);
+        showToast(`Selected device: ${devicePath}`, 'success');
+    }
+
+    if (document.getElementById('tab-trace').classList.contains('active')) {
+        startTrace();
+    } else if (document.getElementById('tab-candidate').classList.contains('active')) {
+        renderCandidateValidation(null);
+        loadCandidate();
+    }
+};
+
+/**
+ * Set the friendly name of a device
+ */
+window.renameDevice = async function(devicePath) {
+    const device = state.devices.find(d => d.path === devicePath);
+    const alias = prompt(`Alias for ${device?.id || devicePath} (empty to remove):`, device?.alias || '');
+    if (alias === null) return;
+
+    try {
+        const result = await setDeviceAlias(devicePath, alias.trim());
+        if (!result.success) {
+            showToast(`Rename failed: ${result.error}`, 'error');
+            return;
+        }
+
+        const devices = await getDevices();
+        renderDeviceList(devices);
+        const updated = devices.find(d => d.path === devicePath);
+        if (updated) renderDeviceOverview(updated);
+        showToast(result.alias ? `Renamed to ${result.alias}` : 'Alias removed', 'success');
+    } catch (error) {
+        showToast(`Rename failed: ${error.message}`, 'error');
+    }
+};
+
+/**
+ * Device list and overview buttons carry their device in data-* attributes
+ */
+document.getElementById('device-list').addEventListener('click', (e) => {
+    const item = e.target.closest('.device-item');
+    if (item) selectDevice(item.dataset.path);
+});
+
+document.getElementById('device-info').addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (button?.dataset.action === 'rename') {
+        renameDevice(button.dataset.path);
+    } else if (button?.dataset.action === 'remove-remote') {
+        removeRemoteDevice(button.dataset.endpoint);
+    }
+});
+
+/**
+ * Add a board behind a TCP serial bridge
+ */
+document.getElementById('btn-add-remote').addEventListener('click', async () => {
+    const endpoint = prompt('TCP serial bridge of the board (host:port, e.g. lab-pc2:4001):');
+    if (!endpoint) return;
+
+    try {
+        const result = await addRemote(endpoint.trim());
+        if (!result.success) {
+            showToast(`Add remote failed: ${result.error}`, 'error');
+            return;
+        }
+
+        renderDeviceList(await getDevices());
+        showToast(result.device.connected
+            ? `Connected to ${result.device.endpoint}`
+            : `${result.device.endpoint} not reachable yet, retrying`, result.device.connected ? 'success' : 'warning');
+    } catch (error) {
+        showToast(`Add remote failed: ${error.message}`, 'error');
+    }
+});
+
+/**
+ * Disconnect a remote board and forget its endpoint
+ */
+window.removeRemoteDevice = async function(endpoint) {
+    if (!confirm(`Remove remote board ${endpoint}?`)) return;
+
+    try {
+        const result = await removeRemote(endpoint);
+        if (!result.success) {
+            showToast(`Remove failed: ${result.error}`, 'error');
+            return;
+        }
+
+        if (state.selectedDevice === `/tcp/${endpoint}`) {
+            state.selectedDevice = null;
+            document.getElementById('device-info').innerHTML = `
+                <div class="empty-state"><p>Select a device from the left panel</p></div>
+            `;
+        }
+        renderDeviceList(await getDevices());
+        showToast(`Removed ${endpoint}`, 'success');
+    } catch (error) {
+        showToast(`Remove failed: ${error.message}`, 'error');
+    }
+};
+
+/**
+ * Scan for devices
+ */
+document.getElementById('btn-scan').addEventListener('click', async () => {
+    try {
+        showToast('Scanning for devices...', 'info');
+        const devices = await scanDevices();
+        renderDeviceList(devices);
+        showToast(`Found ${devices.length} device(s)`, 'success');
+    } catch (error) {
+        showToast(`Scan failed: ${error.message}`, 'error');
+    }
+});
+
+/**
+ * Tab switching
+ */
+document.querySelectorAll('.tab-btn').forEach(btn => {
     btn.addEventListener('click', () => {
         const tabName = btn.dataset.tab;
 
-        // Update active tab button
-        document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
+        // Update active tab button
+        document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+
+        // Update active tab content
+        document.querySelectorAll('.tab-content').forEach(content => {
+            content.classList.remove('active');
+        });
+        document.getElementById(`tab-${tabName}`).classList.add('active');
+
+        if (tabName === 'trace') {
+            startTrace();
+        } else if (tabName === 'snapshots') {
+            loadSnapshots();
+        } else if (tabName === 'diff') {
+            loadDiffSources();
+        } else if (tabName === 'candidate') {
+            loadCandidate();
+        } else if (tabName === 'bulk') {
+            renderBulkDevices();
+        } else if (tabLoaders[tabName] && state.selectedDevice) {
+            // From the server's datastore cache, so switching tabs stays off the UART
+            tabLoaders[tabName]();
+        }
+    });
+});
+
+/**
+ * Trace filters, pause, export and clear
+ */
+document.getElementById('trace-level').addEventListener('change', renderTrace);
+document.getElementById('trace-search').addEventListener('input', renderTrace);
+
+document.getElementById('btn-pause-trace').addEventListener('click', (e) => {
+    const button = e.currentTarget;
+    state.trace.paused = !state.trace.paused;
+    button.classList.toggle('live', state.trace.paused);
+    button.innerHTML = state.trace.paused
+        ? '<span class="btn-icon">▶️</span> Resume'
+        : '<span class="btn-icon">⏸️</span> Pause';
+
+    if (!state.trace.paused) {
+        state.trace.missed = 0;
+        renderTrace();
+    } else {
+        updateTraceStatus();
+    }
+});
+
+document.getElementById('btn-export-trace').addEventListener('click', exportTrace);
+
+document.getElementById('btn-clear-trace').addEventListener('click', async () => {
+    if (!state.trace.device) {
+        showToast('Please select a device first', 'warning');
+        return;
+    }
+
+    try {
+        await clearTrace(state.trace.device);
+        state.trace.entries = [];
+        state.trace.missed = 0;
+        renderTrace();
+        showToast('Trace cleared', 'success');
+    } catch (error) {
+        showToast(`Failed to clear trace: ${error.message}`, 'error');
+    }
+});
+
+/**
+ * Load YANG, from the cache unless refresh
+ */
+async function loadYANG(refresh = false) {
+    try {
+        if (refresh) {
+            showToast('Loading YANG configuration...', 'info');
+        }
+        const result = await getYANG(state.selectedDevice, refresh);
+        if (result.success) {
+            const format = document.getElementById('yang-format').value;
+            renderYANG(result.data, format);
+            if (refresh) {
+                showToast('YANG configuration loaded', 'success');
+            }
+        }
+    } catch (error) {
+        showToast(`Failed to load YANG: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Refresh YANG
+ */
+document.getElementById('btn-refresh-yang').addEventListener('click', () => {
+    if (!state.selectedDevice) {
+        showToast('Please select a device first', 'warning');
+        return;
+    }
+    loadYANG(true);
+});
+
+/**
+ * YANG format change
+ */
+document.getElementById('yang-format').addEventListener('change', (e) => {
+    if (state.yangData) {
+        renderYANG(state.yangData, e.target.value);
+    }
+});
+
+/**
+ * Load interfaces, from the cache unless refresh
+ */
+async function loadInterfaces(refresh = false) {
+    try {
+        const result = await getInterfaces(state.selectedDevice, refresh);
+        if (result.success) {
+            renderInterfaces(result.interfaces);
+            if (refresh) {
+                showToast('Interfaces loaded', 'success');
+            }
+        }
+    } catch (error) {
+        showToast(`Failed to load interfaces: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Refresh interfaces
+ */
+document.getElementById('btn-refresh-interfaces').addEventListener('click', () => {
+    if (!state.selectedDevice) {
+        showToast('Please select a device first', 'warning');
+        return;
+    }
+    loadInterfaces(true);
+});
 
-        // Update active tab content
-        document.querySelectorAll('.tab-content').forEach(content => {
-            content.classList.remove('active');
-        });
-        document.getElementById(`tab-${tabName}`).classList.add('active');
+/**
+ * Live interfaces
+ */
+document.getElementById('btn-live-interfaces').addEventListener('click', () => {
+    toggleLive('interfaces', '/c?d=a', (notification) => {
+        renderInterfaces(notification.data?.['ietf-interfaces:interfaces']?.interface || []);
     });
 });
 
 /**
- * Refresh YANG
+ * Load bridge, from the cache unless refresh
+ */
+async function loadBridge(refresh = false) {
+    try {
+        const result = await getBridge(state.selectedDevice, refresh);
+        if (result.success) {
+            renderBridge(result.bridges);
+            if (refresh) {
+                showToast('Bridge configuration loaded', 'success');
+            }
+        }
+    } catch (error) {
+        showToast(`Failed to load bridge: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Refresh bridge
  */
-document.getElementById('btn-refresh-yang').addEventListener('click', async () => {
+document.getElementById('btn-refresh-bridge').addEventListener('click', () => {
     if (!state.selectedDevice) {
         showToast('Please select a device first', 'warning');
         return;
     }
+    loadBridge(true);
+});
 
+/**
+ * Load scheduler, from the cache unless refresh
+ */
+async function loadScheduler(refresh = false) {
     try {
-        showToast('Loading YANG configuration...', 'info');
-        const result = await getYANG(state.selectedDevice);
+        const result = await getScheduler(state.selectedDevice, refresh);
         if (result.success) {
-            const format = document.getElementById('yang-format').value;
-            renderYANG(result.data, format);
-            showToast('YANG configuration loaded', 'success');
+            renderScheduler(result.scheduler);
+            if (refresh) {
+                showToast('Scheduler configuration loaded', 'success');
+            }
         }
     } catch (error) {
-        showToast(`Failed to load YANG: ${error.message}`, 'error');
+        showToast(`Failed to load scheduler: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Refresh scheduler
+ */
+document.getElementById('btn-refresh-scheduler').addEventListener('click', () => {
+    if (!state.selectedDevice) {
+        showToast('Please select a device first', 'warning');
+        return;
     }
+    loadScheduler(true);
 });
 
 /**
- * YANG format change
+ * Tabs that show datastore content, loaded when they are opened
  */
-document.getElementById('yang-format').addEventListener('change', (e) => {
-    if (state.yangData) {
-        renderYANG(state.yangData, e.target.value);
+const tabLoaders = {
+    yang: () => loadYANG(),
+    interfaces: () => loadInterfaces(),
+    bridge: () => loadBridge(),
+    scheduler: () => loadScheduler()
+};
+
+/**
+ * Load and render snapshots
+ */
+async function loadSnapshots() {
+    try {
+        const result = await getSnapshots();
+        if (result.success) {
+            renderSnapshots(result.snapshots);
+        }
+    } catch (error) {
+        console.error('Failed to load snapshots:', error);
+    }
+}
+
+/**
+ * Offer the devices and saved snapshots as diff sides
+ */
+async function loadDiffSources() {
+    try {
+        const result = await getSnapshots();
+        renderDiffSources(result.success ? result.snapshots : []);
+    } catch (error) {
+        console.error('Failed to load snapshots:', error);
+        renderDiffSources([]);
+    }
+}
+
+/**
+ * Compare the two chosen sides
+ */
+async function runDiff() {
+    const left = document.getElementById('diff-left').value;
+    const right = document.getElementById('diff-right').value;
+    if (!left || !right) {
+        showToast('Pick two devices or snapshots', 'warning');
+        return;
+    }
+
+    try {
+        const result = await getDiff(
+            left,
+            right,
+            document.getElementById('diff-content').value,
+            document.getElementById('diff-unchanged').checked
+        );
+        if (!result.success) {
+            showToast(`Diff failed: ${result.error}`, 'error');
+            return;
+        }
+        renderDiff(result);
+    } catch (error) {
+        showToast(`Diff failed: ${error.message}`, 'error');
+    }
+}
+
+document.getElementById('btn-run-diff').addEventListener('click', runDiff);
+document.getElementById('diff-unchanged').addEventListener('change', runDiff);
+
+/**
+ * Load the candidate of the selected device
+ */
+async function loadCandidate() {
+    if (!state.selectedDevice) {
+        renderCandidate({ edits: [], confirm: null });
+        return;
+    }
+
+    try {
+        const result = await getCandidate(state.selectedDevice);
+        if (result.success) {
+            renderCandidate(result);
+        }
+    } catch (error) {
+        console.error('Failed to load candidate:', error);
+    }
+}
+
+/**
+ * Add the edit in the form to the candidate
+ */
+document.getElementById('btn-add-edit').addEventListener('click', async () => {
+    if (!state.selectedDevice) {
+        showToast('Please select a device first', 'warning');
+        return;
+    }
+
+    const op = document.getElementById('candidate-op').value;
+    const path = document.getElementById('candidate-path').value.trim();
+    const valueText = document.getElementById('candidate-value').value.trim();
+    if (!path) {
+        showToast('Enter a data path', 'warning');
+        return;
+    }
+
+    let value;
+    if (op !== 'delete') {
+        try {
+            value = JSON.parse(valueText);
+        } catch (error) {
+            showToast(`Invalid JSON value: ${error.message}`, 'error');
+            return;
+        }
+    }
+
+    try {
+        const result = await addCandidateEdit(state.selectedDevice, { op, path, value });
+        if (!result.success) {
+            showToast(`Edit rejected: ${result.error}`, 'error');
+            return;
+        }
+        document.getElementById('candidate-value').value = '';
+        renderCandidateValidation(null);
+        loadCandidate();
+    } catch (error) {
+        showToast(`Edit rejected: ${error.message}`, 'error');
     }
 });
 
 /**
- * Refresh interfaces
+ * Remove one edit from the candidate
  */
-document.getElementById('btn-refresh-interfaces').addEventListener('click', async () => {
+window.removeEdit = async function(id) {
+    try {
+        await removeCandidateEdits(state.selectedDevice, id);
+        renderCandidateValidation(null);
+        loadCandidate();
+    } catch (error) {
+        showToast(`Remove failed: ${error.message}`, 'error');
+    }
+};
+
+document.getElementById('btn-discard-candidate').addEventListener('click', async () => {
+    if (!state.selectedDevice || !confirm('Discard every edit in the candidate?')) return;
+
+    try {
+        await removeCandidateEdits(state.selectedDevice);
+        renderCandidateValidation(null);
+        loadCandidate();
+    } catch (error) {
+        showToast(`Discard failed: ${error.message}`, 'error');
+    }
+});
+
+document.getElementById('btn-validate-candidate').addEventListener('click', async () => {
     if (!state.selectedDevice) {
         showToast('Please select a device first', 'warning');
         return;
     }
 
     try {
-        const result = await getInterfaces(state.selectedDevice);
-        if (result.success) {
-            renderInterfaces(result.interfaces);
-            showToast('Interfaces loaded', 'success');
+        const result = await candidateAction(state.selectedDevice, 'validate');
+        if (!result.success) {
+            showToast(`Validation failed: ${result.error}`, 'error');
+            return;
         }
+        renderCandidateValidation(result);
     } catch (error) {
-        showToast(`Failed to load interfaces: ${error.message}`, 'error');
+        showToast(`Validation failed: ${error.message}`, 'error');
     }
 });
 
 /**
- * Refresh bridge
+ * Commit the candidate; a confirmed commit rolls back unless confirmed in time
  */
-document.getElementById('btn-refresh-bridge').addEventListener('click', async () => {
+document.getElementById('btn-commit-candidate').addEventListener('click', async () => {
     if (!state.selectedDevice) {
         showToast('Please select a device first', 'warning');
         return;
     }
 
+    const confirmed = document.getElementById('candidate-confirmed').checked;
+    const confirmTimeout = confirmed ? Number(document.getElementById('candidate-timeout').value) : undefined;
+
     try {
-        const result = await getBridge(state.selectedDevice);
-        if (result.success) {
-            renderBridge(result.bridges);
-            showToast('Bridge configuration loaded', 'success');
+        showToast('Committing...', 'info');
+        const result = await candidateAction(state.selectedDevice, 'commit', { confirmTimeout });
+        if (!result.success) {
+            if (result.errors) {
+                renderCandidateValidation({ valid: false, errors: result.errors });
+            }
+            showToast(`Commit failed: ${result.error}`, 'error');
+            return;
         }
+        renderCandidateValidation(null);
+        showToast(confirmed ? `Committed: confirm within ${confirmTimeout}s` : 'Committed', 'success');
+        loadCandidate();
     } catch (error) {
-        showToast(`Failed to load bridge: ${error.message}`, 'error');
+        showToast(`Commit failed: ${error.message}`, 'error');
     }
 });
 
+window.confirmCommit = async function() {
+    try {
+        const result = await candidateAction(state.selectedDevice, 'confirm');
+        showToast(result.success ? 'Commit confirmed' : `Confirm failed: ${result.error}`, result.success ? 'success' : 'error');
+        loadCandidate();
+    } catch (error) {
+        showToast(`Confirm failed: ${error.message}`, 'error');
+    }
+};
+
+window.rollbackCommit = async function() {
+    if (!confirm('Restore the configuration from before the commit?')) return;
+
+    try {
+        const result = await candidateAction(state.selectedDevice, 'rollback');
+        showToast(result.success ? 'Commit rolled back' : `Rollback failed: ${result.error}`, result.success ? 'success' : 'error');
+        loadCandidate();
+    } catch (error) {
+        showToast(`Rollback failed: ${error.message}`, 'error');
+    }
+};
+
 /**
- * Refresh scheduler
+ * Push the bulk payload to the checked devices, or only render it per device
+ */
+async function runBulk(dryRun) {
+    const devices = [...document.querySelectorAll('#bulk-devices input:checked')].map(input => input.value);
+    if (devices.length === 0) {
+        showToast('Select at least one device', 'warning');
+        return;
+    }
+
+    const method = document.getElementById('bulk-method').value;
+    let payload = null;
+    let variables = {};
+    try {
+        const payloadText = document.getElementById('bulk-payload').value.trim();
+        const variablesText = document.getElementById('bulk-variables').value.trim();
+        payload = payloadText ? JSON.parse(payloadText) : null;
+        variables = variablesText ? JSON.parse(variablesText) : {};
+    } catch (error) {
+        showToast(`Invalid JSON: ${error.message}`, 'error');
+        return;
+    }
+
+    const policy = document.getElementById('bulk-policy').value;
+    if (!dryRun && !confirm(`${method} ${document.getElementById('bulk-uri').value} to ${devices.length} device(s)?`)) return;
+
+    const { devices: deviceVariables = {}, ...shared } = variables;
+    try {
+        if (!dryRun) {
+            showToast(`Pushing to ${devices.length} device(s)...`, 'info');
+        }
+        const result = await pushBulk({
+            devices,
+            method,
+            uri: document.getElementById('bulk-uri').value.trim() || '/c',
+            payload,
+            variables: shared,
+            deviceVariables,
+            policy,
+            dryRun
+        });
+        if (!result.results) {
+            showToast(`Bulk push failed: ${result.error}`, 'error');
+            return;
+        }
+        renderBulkResults(result);
+        if (!dryRun) {
+            showToast(result.success ? 'Pushed to every device' : `Bulk push: ${result.error}`, result.success ? 'success' : 'warning');
+        }
+    } catch (error) {
+        showToast(`Bulk push failed: ${error.message}`, 'error');
+    }
+}
+
+document.getElementById('btn-preview-bulk').addEventListener('click', () => runBulk(true));
+document.getElementById('btn-run-bulk').addEventListener('click', () => runBulk(false));
+
+/**
+ * Save the configuration of the selected device
  */
-document.getElementById('btn-refresh-scheduler').addEventListener('click', async () => {
+document.getElementById('btn-create-snapshot').addEventListener('click', async () => {
     if (!state.selectedDevice) {
         showToast('Please select a device first', 'warning');
         return;
     }
 
     try {
-        const result = await getScheduler(state.selectedDevice);
-        if (result.success) {
-            renderScheduler(result.scheduler);
-            showToast('Scheduler configuration loaded', 'success');
+        showToast('Reading configuration...', 'info');
+        const nameInput = document.getElementById('snapshot-name');
+        const result = await createSnapshot(state.selectedDevice, nameInput.value.trim() || undefined);
+        if (!result.success) {
+            showToast(`Snapshot failed: ${result.error}`, 'error');
+            return;
         }
+        nameInput.value = '';
+        showToast(`Saved ${result.snapshot.name}`, 'success');
+        loadSnapshots();
     } catch (error) {
-        showToast(`Failed to load scheduler: ${error.message}`, 'error');
+        showToast(`Snapshot failed: ${error.message}`, 'error');
+    }
+});
+
+/**
+ * Upload a snapshot file
+ */
+document.getElementById('btn-upload-snapshot').addEventListener('click', () => {
+    document.getElementById('snapshot-file').click();
+});
+
+document.getElementById('snapshot-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+        const result = await uploadSnapshot(file);
+        if (!result.success) {
+            showToast(`Upload failed: ${result.error}`, 'error');
+            return;
+        }
+        showToast(`Uploaded ${result.snapshot.name}`, 'success');
+        loadSnapshots();
+    } catch (error) {
+        showToast(`Upload failed: ${error.message}`, 'error');
+    }
+});
+
+/**
+ * Snapshot buttons carry the snapshot id in data-id
+ */
+document.getElementById('snapshot-list').addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    const actions = { restore: restoreSnapshotTo, download: downloadSnapshot, delete: removeSnapshot };
+    actions[button?.dataset.action]?.(button.dataset.id);
+});
+
+/**
+ * Restore a snapshot to the selected device, or to the board it came from
+ */
+window.restoreSnapshotTo = async function(id) {
+    const mode = document.getElementById('snapshot-mode').value;
+    const target = state.selectedDevice || 'the board it was taken from';
+    const warning = mode === 'replace' ? '\nReplace removes configuration that is not in the snapshot.' : '';
+    if (!confirm(`Restore snapshot to ${target} (${mode})?${warning}`)) return;
+
+    try {
+        showToast('Restoring configuration...', 'info');
+        const result = await restoreSnapshot(id, state.selectedDevice, mode);
+        if (!result.results) {
+            showToast(`Restore failed: ${result.error}`, 'error');
+            return;
+        }
+        renderRestoreResults(result);
+        showToast(result.success ? 'Configuration restored' : `Restore: ${result.error}`, result.success ? 'success' : 'warning');
+    } catch (error) {
+        showToast(`Restore failed: ${error.message}`, 'error');
+    }
+};
+
+/**
+ * Download a snapshot in the chosen format
+ */
+window.downloadSnapshot = function(id) {
+    const format = document.getElementById('snapshot-format').value;
+    const link = document.createElement('a');
+    link.href = `${API_BASE}/api/snapshots/${encodeURIComponent(id)}/download?format=${format}`;
+    link.click();
+};
+
+/**
+ * Delete a snapshot
+ */
+window.removeSnapshot = async function(id) {
+    if (!confirm('Delete this snapshot?')) return;
+
+    try {
+        const result = await deleteSnapshot(id);
+        if (!result.success) {
+            showToast(`Delete failed: ${result.error}`, 'error');
+            return;
+        }
+        loadSnapshots();
+    } catch (error) {
+        showToast(`Delete failed: ${error.message}`, 'error');
     }
+};
+
+/**
+ * Live scheduler
+ */
+document.getElementById('btn-live-scheduler').addEventListener('click', () => {
+    toggleLive('scheduler', '/c?d=a', (notification) => {
+        renderScheduler(notification.data?.['ieee802-dot1q-sched:interfaces']?.interface || []);
+    });
 });
 
 /**
  * Execute CoAP command
  */
 document.getElementById('btn-execute').addEventListener('click', async () => {
+    const button = document.getElementById('btn-execute');
+
+    // While a request is in progress the button cancels it
+    if (state.consoleRequest) {
+        const { devicePath, id } = state.consoleRequest;
+        const result = await cancelRequest(devicePath, id);
+        if (!result.success) {
+            showToast(`Cancel failed: ${result.error}`, 'error');
+        }
+        return;
+    }
+
     if (!state.selectedDevice) {
         showToast('Please select a device first', 'warning');
         return;
@@ -638,7 +2120,7 @@ document.getElementById('btn-execute').addEventListener('click', async () => {
     const payloadText = document.getElementById('console-payload').value.trim();
 
     let payload = null;
-    if (payloadText && ['PUT', 'POST', 'IPATCH'].includes(method)) {
+    if (payloadText && ['PUT', 'POST', 'FETCH', 'IPATCH'].includes(method)) {
         try {
             payload = JSON.parse(payloadText);
         } catch (error) {
@@ -647,9 +2129,12 @@ document.getElementById('btn-execute').addEventListener('click', async () => {
         }
     }
 
+    state.consoleRequest = { devicePath: state.selectedDevice, id: `console-${Date.now()}` };
+    button.textContent = 'Cancel';
+
     try {
         showToast(`Executing ${method} ${uri}...`, 'info');
-        const result = await executeCoAP(state.selectedDevice, method, uri, payload);
+        const result = await executeCoAP(state.selectedDevice, method, uri, payload, state.consoleRequest.id);
         renderConsoleOutput(result);
         if (result.success) {
             showToast('Command executed successfully', 'success');
@@ -659,7 +2144,37 @@ document.getElementById('btn-execute').addEventListener('click', async () => {
         updateStats();
     } catch (error) {
         showToast(`Execution failed: ${error.message}`, 'error');
+    } finally {
+        state.consoleRequest = null;
+        button.textContent = 'Execute';
+    }
+});
+
+/**
+ * Observe resource from console
+ */
+document.getElementById('btn-observe').addEventListener('click', () => {
+    const button = document.getElementById('btn-observe');
+
+    if (state.liveStreams.console) {
+        stopLive('console');
+        return;
+    }
+
+    if (!state.selectedDevice) {
+        showToast('Please select a device first', 'warning');
+        return;
     }
+
+    const uri = document.getElementById('console-uri').value;
+    startLive('console', uri, (notification) => {
+        renderConsoleOutput({
+            ...notification,
+            success: true,
+            method: `OBSERVE #${notification.options?.observe ?? '-'}`,
+            duration: 0
+        }, 'notification');
+    }, button);
 });
 
 /**
@@ -715,18 +2230,47 @@ async function init() {
         showToast('Failed to connect to server', 'error');
     }
 
-    // Auto-refresh stats every 5 seconds
-    setInterval(updateStats, 5000);
+    subscribeEvents();
+}
 
-    // Auto-refresh devices every 10 seconds
-    setInterval(async () => {
-        try {
-            const devices = await getDevices();
-            renderDeviceList(devices);
-        } catch (error) {
-            console.error('Auto-refresh error:', error);
+/**
+ * Keep the device list, overview and stats current from server-push events
+ * EventSource reconnects by itself; the server sends a fresh snapshot each time.
+ */
+function subscribeEvents() {
+    const events = openEventChannel();
+    const parse = (handler) => (event) => handler(JSON.parse(event.data));
+
+    events.addEventListener('devices', parse(renderDeviceList));
+    events.addEventListener('stats', parse(renderStats));
+    events.addEventListener('device-added', parse(updateDevice));
+    events.addEventListener('device-info-updated', parse(updateDevice));
+    events.addEventListener('device-connected', parse(device => {
+        updateDevice(device);
+        showToast(`${device.alias || device.path} reconnected`, 'success');
+    }));
+    events.addEventListener('device-disconnected', parse(({ path, reason }) => {
+        showToast(`${path} lost: ${reason}`, 'warning');
+    }));
+    events.addEventListener('device-removed', parse(({ path }) => removeDevice(path)));
+    events.addEventListener('candidate', parse(({ event, path, reason, error }) => {
+        if (event === 'rolled-back') {
+            showToast(`${path}: ${reason}`, 'warning');
+        } else if (event === 'rollback-failed') {
+            showToast(`${path}: rollback failed: ${error}`, 'error');
+        }
+        if (path === state.selectedDevice && document.getElementById('tab-candidate').classList.contains('active')) {
+            loadCandidate();
         }
-    }, 10000);
+    }));
+    events.addEventListener('request-completed', () => {
+        if (document.getElementById('tab-history').classList.contains('active')) {
+            loadHistory();
+        }
+    });
+    events.onerror = () => {
+        console.warn('Event channel interrupted, reconnecting...');
+    };
 }
 
 // Start application
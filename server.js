@@ -13,6 +13,11 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { parse as yamlParse, stringify as yamlStringify } from 'yaml';
 import DeviceManager from './lib/device-manager.js';
+import { createRestconfRouter } from './lib/restconf.js';
+import { SnapshotStore, SNAPSHOT_FORMATS, encodeSnapshot, decodeSnapshot } from './lib/snapshot-store.js';
+import { diffConfig, summarize } from './lib/config-diff.js';
+import { CandidateStore } from './lib/candidate.js';
+import { bulkPush } from './lib/bulk-push.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -22,11 +27,28 @@ const PORT = process.env.PORT || 8080;
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// Non-strict so that leaf values (true, 5, "up") can be written through /data
+app.use(express.json({ limit: '10mb', strict: false }));
 app.use(express.static(join(__dirname, 'public')));
 
 // Device manager instance
-const deviceManager = new DeviceManager();
+const deviceManager = new DeviceManager({
+    sidDirectory: process.env.SID_DIR || join(__dirname, 'sid'),
+    aliasFile: process.env.DEVICE_ALIASES || join(__dirname, 'device-aliases.json'),
+    discoveryFile: process.env.DISCOVERY_CONFIG || join(__dirname, 'discovery.json'),
+    remoteFile: process.env.REMOTE_DEVICES || join(__dirname, 'remote-devices.json')
+});
+
+// RESTCONF northbound interface (/restconf, /.well-known/host-meta)
+app.use(createRestconfRouter(deviceManager));
+
+// Saved board configurations
+const snapshots = new SnapshotStore({
+    directory: process.env.SNAPSHOT_DIR || join(__dirname, 'snapshots')
+});
+
+// Per-device candidate configurations (validate, commit, confirmed commit)
+const candidates = new CandidateStore({ deviceManager, snapshots });
 
 // Request history
 let requestHistory = [];
@@ -50,6 +72,139 @@ function addToHistory(device, method, uri, result, error = null) {
     if (requestHistory.length > MAX_HISTORY) {
         requestHistory = requestHistory.slice(0, MAX_HISTORY);
     }
+    broadcast('stats', getStats());
+}
+
+/**
+ * Server statistics from the device list and the request history
+ */
+function getStats() {
+    const devices = deviceManager.getAllDevices();
+    const totalRequests = requestHistory.length;
+    const successfulRequests = requestHistory.filter(h => h.success).length;
+    const avgDuration = requestHistory.length > 0
+        ? requestHistory.reduce((sum, h) => sum + h.duration, 0) / requestHistory.length
+        : 0;
+
+    return {
+        totalDevices: devices.length,
+        connectedDevices: devices.filter(d => d.connected).length,
+        totalRequests,
+        successfulRequests,
+        failedRequests: totalRequests - successfulRequests,
+        successRate: totalRequests > 0 ? ((successfulRequests / totalRequests) * 100).toFixed(2) + '%' : '0%',
+        avgDuration: Math.round(avgDuration) + 'ms',
+        queuedRequests: devices.reduce((sum, d) => sum + d.queue.queued, 0),
+        runningRequests: devices.reduce((sum, d) => sum + d.queue.running, 0),
+        uptime: process.uptime()
+    };
+}
+
+// Clients of /api/events: DeviceManager events and stats are pushed to all of them
+const eventClients = new Set();
+
+function broadcast(event, data) {
+    for (const send of eventClients) {
+        send(event, data);
+    }
+}
+
+for (const event of ['device-added', 'device-removed', 'device-connected', 'device-disconnected']) {
+    deviceManager.on(event, (data) => {
+        broadcast(event, data);
+        broadcast('stats', getStats());
+    });
+}
+deviceManager.on('device-info-updated', (data) => broadcast('device-info-updated', data));
+deviceManager.on('request-completed', (data) => {
+    broadcast('request-completed', data);
+    broadcast('stats', getStats());  // Queue depth changed
+});
+for (const event of ['committed', 'confirmed', 'rolled-back', 'rollback-failed']) {
+    candidates.on(event, (data) => broadcast('candidate', { event, ...data }));
+}
+
+/**
+ * Open a Server-Sent Events stream on the response
+ * @returns {Function} - send(event, data)
+ */
+function openEventStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write(': connected\n\n');
+
+    // Keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    req.on('close', () => clearInterval(heartbeat));
+
+    return (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+}
+
+/**
+ * Map a CoAP error code on an error (e.g. 132 = 4.04) to an HTTP status
+ */
+function httpStatusOf(error) {
+    if (error.code === 'EQUEUEFULL') {
+        return 503;
+    }
+    const code = error.code;
+    if (typeof code !== 'number' || code < 128) {
+        return 500;
+    }
+
+    const status = Math.floor(code / 32) * 100 + (code % 32);
+    const known = [400, 401, 403, 404, 405, 406, 412, 413, 415, 500, 501, 502, 503, 504];
+    return known.includes(status) ? status : (code < 160 ? 400 : 500);
+}
+
+/**
+ * Queue priority of a request: { "priority": ... } in the body or ?priority=
+ * Requests from the web UI are 'interactive', scripts default to 'normal'.
+ */
+function priorityOf(req) {
+    return req.body?.priority || req.query.priority || undefined;
+}
+
+/**
+ * CoAP exchange settings of a /coap request: timeout and ackTimeout in ms (positive
+ * integers) and maxRetransmit (a non-negative integer); missing ones are left out
+ * @throws {Error} - 4.00 for any other value
+ */
+function exchangeOptionsOf(body) {
+    const options = {};
+    for (const [name, min] of [['timeout', 1], ['ackTimeout', 1], ['maxRetransmit', 0]]) {
+        const value = body?.[name];
+        if (value === undefined || value === null) {
+            continue;
+        }
+        if (!Number.isInteger(value) || value < min) {
+            throw requestError(`${name} must be a ${min > 0 ? 'positive' : 'non-negative'} integer`, 128);
+        }
+        options[name] = value;
+    }
+    return options;
+}
+
+/**
+ * Whether a read should bypass the fresh cached copy: ?refresh=1 or Cache-Control: no-cache
+ * The copy is still revalidated with its ETag, so an unchanged datastore costs a 2.03 Valid.
+ */
+function refreshOf(req) {
+    return ['1', 'true'].includes(req.query.refresh) || /no-cache/.test(req.get('Cache-Control') || '');
+}
+
+/**
+ * YANG data path of a /data/<yang-path> request, still percent-encoded so that
+ * escaped commas in list keys survive
+ */
+function dataPathOf(req) {
+    const index = req.path.indexOf('/data/');
+    return index === -1 ? '' : req.path.slice(index + '/data/'.length);
 }
 
 // ============================================
@@ -62,11 +217,700 @@ function addToHistory(device, method, uri, result, error = null) {
  */
 app.get('/api/devices', (req, res) => {
     try {
-        const devices = deviceManager.getAllDevices();
+        const devices = deviceManager.getAllDevices();
+        res.json({
+            success: true,
+            count: devices.length,
+            devices
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/events
+ * Server-Sent Events for the UI: a 'devices' and a 'stats' snapshot on connect, then
+ * device-added, device-removed, device-connected, device-disconnected,
+ * device-info-updated, request-completed and stats as they happen
+ */
+app.get('/api/events', (req, res) => {
+    const send = openEventStream(req, res);
+    send('devices', deviceManager.getAllDevices());
+    send('stats', getStats());
+
+    eventClients.add(send);
+    req.on('close', () => eventClients.delete(send));
+});
+
+/**
+ * POST /api/devices/scan
+ * Trigger device scan
+ */
+app.post('/api/devices/scan', async (req, res) => {
+    try {
+        const devices = await deviceManager.scanDevices();
+        res.json({
+            success: true,
+            count: devices.length,
+            devices
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/discovery
+ * Discovery rules in effect and the ports they turned down
+ */
+app.get('/api/discovery', (req, res) => {
+    res.json({
+        success: true,
+        ...deviceManager.getDiscovery()
+    });
+});
+
+/**
+ * POST /api/discovery/reload
+ * Re-read the discovery file and rescan (turned-down ports are considered again)
+ */
+app.post('/api/discovery/reload', async (req, res) => {
+    try {
+        deviceManager.loadDiscovery();
+        const devices = await deviceManager.scanDevices();
+
+        res.json({
+            success: true,
+            ...deviceManager.getDiscovery(),
+            devices
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Data routes come before every other /api/devices/:path/... route: the device
+// path is greedy, so a YANG path ending in e.g. /alias or /queue/1 would
+// otherwise be taken for one of those routes.
+
+/**
+ * GET /api/devices/:path/data/<yang-path>
+ * Read a YANG node, e.g. /data/ietf-interfaces:interfaces/interface=eth0/enabled
+ * (FETCH by instance identifier; an empty path reads the whole datastore)
+ */
+app.get(['/api/devices/:devicePath(*)/data', '/api/devices/:devicePath(*)/data/*'], async (req, res) => {
+    const startTime = Date.now();
+    const devicePath = '/' + req.params.devicePath;
+    const yangPath = dataPathOf(req);
+
+    try {
+        const data = await deviceManager.readData(devicePath, yangPath, { priority: priorityOf(req) });
+
+        res.json({
+            success: true,
+            path: yangPath,
+            data,
+            duration: Date.now() - startTime
+        });
+    } catch (error) {
+        res.status(httpStatusOf(error)).json({
+            success: false,
+            path: yangPath,
+            error: error.message,
+            code: error.code,
+            duration: Date.now() - startTime
+        });
+    }
+});
+
+/**
+ * PUT /api/devices/:path/data/<yang-path>    Replace a YANG node (body = new value)
+ * PATCH /api/devices/:path/data/<yang-path>  Merge into a YANG node
+ * DELETE /api/devices/:path/data/<yang-path> Delete a YANG node
+ * All are sent as one CORECONF iPATCH.
+ */
+app.all('/api/devices/:devicePath(*)/data/*', async (req, res, next) => {
+    if (!['PUT', 'PATCH', 'DELETE'].includes(req.method)) {
+        return next();
+    }
+
+    const startTime = Date.now();
+    const devicePath = '/' + req.params.devicePath;
+    const yangPath = dataPathOf(req);
+
+    try {
+        if (req.method === 'DELETE') {
+            await deviceManager.deleteData(devicePath, yangPath, { priority: priorityOf(req) });
+        } else {
+            if (!req.is('application/json')) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'JSON request body with the new value is required'
+                });
+            }
+            await deviceManager.writeData(devicePath, yangPath, req.body, {
+                replace: req.method === 'PUT',
+                priority: req.query.priority
+            });
+        }
+
+        const duration = Date.now() - startTime;
+        addToHistory(devicePath, req.method, `/data/${yangPath}`, { data: req.body, duration });
+
+        res.json({
+            success: true,
+            method: req.method,
+            path: yangPath,
+            duration
+        });
+    } catch (error) {
+        addToHistory(devicePath, req.method, `/data/${yangPath}`, null, error);
+
+        res.status(httpStatusOf(error)).json({
+            success: false,
+            path: yangPath,
+            error: error.message,
+            code: error.code,
+            duration: Date.now() - startTime
+        });
+    }
+});
+
+/**
+ * POST /api/devices/:path/connect
+ * Connect to specific device
+ */
+app.post('/api/devices/:devicePath(*)/connect', async (req, res) => {
+    try {
+        const devicePath = '/' + req.params.devicePath;
+        const { baudRate } = req.body;  // Default from the discovery rules
+
+        const info = await deviceManager.connectDevice(devicePath, baudRate);
+
+        res.json({
+            success: true,
+            device: info
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/devices/:path/disconnect
+ * Disconnect from specific device
+ */
+app.post('/api/devices/:devicePath(*)/disconnect', (req, res) => {
+    try {
+        const devicePath = '/' + req.params.devicePath;
+        deviceManager.disconnectDevice(devicePath);
+
+        res.json({
+            success: true,
+            message: 'Device disconnected'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/devices/:path/alias  { "alias": "tsn-left" }
+ * DELETE /api/devices/:path/alias
+ * Set or remove the friendly name of a device (stored by device ID)
+ */
+app.all('/api/devices/:devicePath(*)/alias', (req, res, next) => {
+    if (!['PUT', 'DELETE'].includes(req.method)) {
+        return next();
+    }
+
+    const devicePath = '/' + req.params.devicePath;
+    const alias = req.method === 'PUT' ? (req.body?.alias || '').trim() : null;
+
+    try {
+        const result = deviceManager.setAlias(devicePath, alias);
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        res.status(error.message.startsWith('Device not found') ? 404 : 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/aliases
+ * All device aliases by device ID
+ */
+app.get('/api/aliases', (req, res) => {
+    res.json({
+        success: true,
+        aliases: deviceManager.aliases
+    });
+});
+
+/**
+ * GET /api/simulators
+ * Simulated boards with their fault settings and counters
+ */
+app.get('/api/simulators', (req, res) => {
+    res.json({
+        success: true,
+        simulators: deviceManager.getSimulators()
+    });
+});
+
+/**
+ * POST /api/simulators  { "name": "sim0", "ports": 2, "latency": [5, 50], "dropRate": 0.1, "corruptRate": 0 }
+ * Start a simulated board; it appears in the device list as /sim/<name>
+ */
+app.post('/api/simulators', async (req, res) => {
+    try {
+        const { name, ports, latency, dropRate, corruptRate } = req.body || {};
+        const device = await deviceManager.addSimulator({ name, ports, latency, dropRate, corruptRate });
+
+        res.json({
+            success: true,
+            device
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PATCH /api/simulators/:name  { "latency": 200, "dropRate": 0.2, "corruptRate": 0.05 }
+ * Change fault injection of a running simulator
+ */
+app.patch('/api/simulators/:name', (req, res) => {
+    const simulator = deviceManager.simulators.get(req.params.name);
+    if (!simulator) {
+        return res.status(404).json({
+            success: false,
+            error: `Simulator not found: ${req.params.name}`
+        });
+    }
+
+    simulator.setFaults(req.body || {});
+    res.json({
+        success: true,
+        simulator: simulator.getInfo()
+    });
+});
+
+/**
+ * DELETE /api/simulators/:name
+ * Stop a simulated board
+ */
+app.delete('/api/simulators/:name', (req, res) => {
+    try {
+        deviceManager.removeSimulator(req.params.name);
+        res.json({
+            success: true,
+            message: 'Simulator removed'
+        });
+    } catch (error) {
+        res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/remotes
+ * Boards behind a TCP serial bridge and the state of their connection
+ */
+app.get('/api/remotes', (req, res) => {
+    res.json({
+        success: true,
+        remotes: deviceManager.getRemotes()
+    });
+});
+
+/**
+ * POST /api/remotes  { "endpoint": "lab-pc2:4001" }
+ * Add a remote board; it appears in the device list as /tcp/<host:port>
+ * and is retried with back-off while the bridge cannot be reached
+ */
+app.post('/api/remotes', async (req, res) => {
+    try {
+        const { endpoint } = req.body || {};
+        if (!endpoint) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing endpoint (host:port)'
+            });
+        }
+
+        const device = await deviceManager.addRemote(endpoint);
+        res.json({
+            success: true,
+            device
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/remotes/:endpoint
+ * Disconnect a remote board and forget its endpoint
+ */
+app.delete('/api/remotes/:endpoint', (req, res) => {
+    try {
+        deviceManager.removeRemote(req.params.endpoint);
+        res.json({
+            success: true,
+            message: 'Remote board removed'
+        });
+    } catch (error) {
+        res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/devices/:path/queue
+ * Running and queued requests of a device with queue counters
+ */
+app.get('/api/devices/:devicePath(*)/queue', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ...deviceManager.getQueue('/' + req.params.devicePath)
+        });
+    } catch (error) {
+        res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/devices/:path/queue/:id
+ * Cancel a queued or running request (id as in the queue listing, or the requestId given to /coap)
+ */
+app.delete('/api/devices/:devicePath(*)/queue/:id', (req, res) => {
+    try {
+        if (!deviceManager.cancelRequest('/' + req.params.devicePath, req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: `No queued or running request ${req.params.id}`
+            });
+        }
+        res.json({
+            success: true,
+            message: 'Request cancelled'
+        });
+    } catch (error) {
+        res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/devices/:path/info
+ * Get device information
+ */
+app.get('/api/devices/:devicePath(*)/info', async (req, res) => {
+    try {
+        const devicePath = '/' + req.params.devicePath;
+        const device = deviceManager.getDevice(devicePath);
+
+        if (!device) {
+            return res.status(404).json({
+                success: false,
+                error: 'Device not found'
+            });
+        }
+
+        await device.queryDeviceInfo({ refresh: refreshOf(req) });
+
+        res.json({
+            success: true,
+            device: deviceManager.describe(device)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/devices/:path/coap
+ * Execute CoAP request on device
+ */
+app.post('/api/devices/:devicePath(*)/coap', async (req, res) => {
+    const startTime = Date.now();
+    const devicePath = '/' + req.params.devicePath;
+
+    if (!deviceManager.getDevice(devicePath)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Device not found'
+        });
+    }
+
+    try {
+        const { method = 'GET', uri = '/c?d=a', data = null, priority, requestId } = req.body;
+        const exchange = exchangeOptionsOf(req.body);
+
+        console.log(`[API] ${method} ${uri} on ${devicePath}`);
+
+        const result = await deviceManager.executeRequest(devicePath, method, uri, data, {
+            meta: true,
+            priority,
+            requestId,
+            ...exchange
+        });
+        const duration = Date.now() - startTime;
+
+        addToHistory(devicePath, method, uri, { data: result.payload, duration });
+
+        res.json({
+            success: true,
+            method,
+            uri,
+            code: result.codeName,
+            options: result.options,
+            data: result.payload,
+            duration,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        const duration = Date.now() - startTime;
+        addToHistory(devicePath, req.body.method, req.body.uri, null, error);
+
+        res.status(httpStatusOf(error)).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            options: error.options,
+            data: error.payload,
+            duration,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * GET /api/devices/:path/observe?uri=/c?d=a&method=GET
+ * Observe a resource (CoAP Observe, RFC 7641) and stream notifications as Server-Sent Events
+ * Events: notification, error, end
+ */
+app.get('/api/devices/:devicePath(*)/observe', async (req, res) => {
+    const devicePath = '/' + req.params.devicePath;
+    const { method = 'GET', uri = '/c?d=a' } = req.query;
+
+    let payload = null;
+    let unsubscribe = null;
+
+    if (!deviceManager.getDevice(devicePath)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Device not found'
+        });
+    }
+
+    try {
+        if (req.query.payload) {
+            payload = JSON.parse(req.query.payload);
+        }
+
+        const send = openEventStream(req, res);
+
+        req.on('close', () => {
+            if (unsubscribe) unsubscribe();
+        });
+
+        unsubscribe = await deviceManager.subscribe(devicePath, method, uri, payload, (event, data) => {
+            send(event, {
+                device: devicePath,
+                uri,
+                code: data.codeName,
+                options: data.options,
+                data: data.payload,
+                error: data.error,
+                timestamp: new Date().toISOString()
+            });
+            if (event === 'end') res.end();
+        });
+
+        // Client went away while registration was in flight
+        if (req.destroyed) unsubscribe();
+
+        console.log(`[API] Observing ${method} ${uri} on ${devicePath}`);
+    } catch (error) {
+        if (!res.headersSent) {
+            return res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+        res.write(`event: error\ndata: ${JSON.stringify({ error: error.message, code: error.code })}\n\n`);
+        res.end();
+    }
+});
+
+/**
+ * GET /api/devices/:path/trace/stream?level=&search=
+ * Stream new MUP1 trace entries as Server-Sent Events ('trace')
+ */
+app.get('/api/devices/:devicePath(*)/trace/stream', (req, res) => {
+    const devicePath = '/' + req.params.devicePath;
+    const { level = null, search = '' } = req.query;
+
+    if (!deviceManager.getDevice(devicePath)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Device not found'
+        });
+    }
+
+    const send = openEventStream(req, res);
+    const unsubscribe = deviceManager.subscribeTrace(devicePath, (entry) => {
+        send('trace', entry);
+    }, { level, search });
+    req.on('close', unsubscribe);
+});
+
+/**
+ * GET /api/devices/:path/trace?since=&level=&search=&limit=
+ * Stored MUP1 trace entries (ring buffer), oldest first
+ */
+app.get('/api/devices/:devicePath(*)/trace', (req, res) => {
+    const devicePath = '/' + req.params.devicePath;
+
+    try {
+        const { entries, total, dropped } = deviceManager.getTrace(devicePath, {
+            since: Number(req.query.since) || 0,
+            level: req.query.level || null,
+            search: req.query.search || '',
+            limit: Number(req.query.limit) || 0
+        });
+
+        res.json({
+            success: true,
+            device: devicePath,
+            count: entries.length,
+            total,
+            dropped,
+            entries
+        });
+    } catch (error) {
+        res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/devices/:path/trace
+ * Clear stored trace entries
+ */
+app.delete('/api/devices/:devicePath(*)/trace', (req, res) => {
+    const devicePath = '/' + req.params.devicePath;
+
+    try {
+        deviceManager.clearTrace(devicePath);
+        res.json({
+            success: true,
+            message: 'Trace cleared'
+        });
+    } catch (error) {
+        res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/devices/:path/yang
+ * Get full YANG configuration
+ */
+app.get('/api/devices/:devicePath(*)/yang', async (req, res) => {
+    const startTime = Date.now();
+    const devicePath = '/' + req.params.devicePath;
+
+    try {
+        const format = req.query.format || 'json';
+
+        const data = await deviceManager.executeRequest(devicePath, 'GET', '/c?d=a', null, {
+            priority: priorityOf(req),
+            cached: true,
+            refresh: refreshOf(req)
+        });
+        const duration = Date.now() - startTime;
+
+        if (format === 'yaml') {
+            res.type('text/yaml');
+            res.send(yamlStringify(data));
+        } else {
+            res.json({
+                success: true,
+                data,
+                duration,
+                timestamp: new Date().toISOString()
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            duration: Date.now() - startTime
+        });
+    }
+});
+
+/**
+ * GET /api/devices/:path/interfaces
+ * Get network interfaces
+ */
+app.get('/api/devices/:devicePath(*)/interfaces', async (req, res) => {
+    try {
+        const devicePath = '/' + req.params.devicePath;
+        const data = await deviceManager.fetchData(devicePath, ['/ietf-interfaces:interfaces'], { priority: priorityOf(req), refresh: refreshOf(req) });
+
+        const interfaces = data?.['ietf-interfaces:interfaces']?.interface || [];
+
         res.json({
             success: true,
-            count: devices.length,
-            devices
+            interfaces
         });
     } catch (error) {
         res.status(500).json({
@@ -77,16 +921,19 @@ app.get('/api/devices', (req, res) => {
 });
 
 /**
- * POST /api/devices/scan
- * Trigger device scan
+ * GET /api/devices/:path/bridge
+ * Get bridge configuration
  */
-app.post('/api/devices/scan', async (req, res) => {
+app.get('/api/devices/:devicePath(*)/bridge', async (req, res) => {
     try {
-        const devices = await deviceManager.scanDevices();
+        const devicePath = '/' + req.params.devicePath;
+        const data = await deviceManager.fetchData(devicePath, ['/ieee802-dot1q-bridge:bridges'], { priority: priorityOf(req), refresh: refreshOf(req) });
+
+        const bridges = data?.['ieee802-dot1q-bridge:bridges']?.bridge || [];
+
         res.json({
             success: true,
-            count: devices.length,
-            devices
+            bridges
         });
     } catch (error) {
         res.status(500).json({
@@ -97,19 +944,19 @@ app.post('/api/devices/scan', async (req, res) => {
 });
 
 /**
- * POST /api/devices/:path/connect
- * Connect to specific device
+ * GET /api/devices/:path/scheduler
+ * Get TSN scheduler configuration
  */
-app.post('/api/devices/:devicePath(*)/connect', async (req, res) => {
+app.get('/api/devices/:devicePath(*)/scheduler', async (req, res) => {
     try {
         const devicePath = '/' + req.params.devicePath;
-        const { baudRate = 115200 } = req.body;
+        const data = await deviceManager.fetchData(devicePath, ['/ieee802-dot1q-sched:interfaces'], { priority: priorityOf(req), refresh: refreshOf(req) });
 
-        const info = await deviceManager.connectDevice(devicePath, baudRate);
+        const scheduler = data?.['ieee802-dot1q-sched:interfaces']?.interface || [];
 
         res.json({
             success: true,
-            device: info
+            scheduler
         });
     } catch (error) {
         res.status(500).json({
@@ -120,50 +967,136 @@ app.post('/api/devices/:devicePath(*)/connect', async (req, res) => {
 });
 
 /**
- * POST /api/devices/:path/disconnect
- * Disconnect from specific device
+ * Answer a candidate route, mapping errors with CoAP-style codes to HTTP statuses
+ * (4.12 Precondition Failed while a commit waits for its confirm)
  */
-app.post('/api/devices/:devicePath(*)/disconnect', (req, res) => {
+async function candidateRoute(res, action) {
     try {
-        const devicePath = '/' + req.params.devicePath;
-        deviceManager.disconnectDevice(devicePath);
-
         res.json({
             success: true,
-            message: 'Device disconnected'
+            ...await action()
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(httpStatusOf(error)).json({
             success: false,
-            error: error.message
+            error: error.message,
+            ...(error.errors && { errors: error.errors })
         });
     }
+}
+
+/**
+ * GET /api/devices/:path/candidate
+ * Edits waiting in the candidate and the commit waiting for a confirm, if any
+ */
+app.get('/api/devices/:devicePath(*)/candidate', (req, res) => {
+    candidateRoute(res, () => candidates.describe('/' + req.params.devicePath));
 });
 
 /**
- * GET /api/devices/:path/info
- * Get device information
+ * POST /api/devices/:path/candidate/edits  { "op": "merge|replace|delete", "path": "<data path>", "value": ... }
+ * Add an edit to the end of the candidate; nothing is sent to the board yet
  */
-app.get('/api/devices/:devicePath(*)/info', async (req, res) => {
-    try {
-        const devicePath = '/' + req.params.devicePath;
-        const device = deviceManager.getDevice(devicePath);
+app.post('/api/devices/:devicePath(*)/candidate/edits', (req, res) => {
+    candidateRoute(res, () => ({ edit: candidates.addEdit('/' + req.params.devicePath, req.body || {}) }));
+});
+
+/**
+ * DELETE /api/devices/:path/candidate/edits/:id
+ */
+app.delete('/api/devices/:devicePath(*)/candidate/edits/:id', (req, res) => {
+    candidateRoute(res, () => {
+        if (!candidates.removeEdit('/' + req.params.devicePath, req.params.id)) {
+            throw requestError(`No edit ${req.params.id}`, 132);
+        }
+        return { message: 'Edit removed' };
+    });
+});
+
+/**
+ * DELETE /api/devices/:path/candidate
+ * Discard every edit
+ */
+app.delete('/api/devices/:devicePath(*)/candidate', (req, res) => {
+    candidateRoute(res, () => ({ discarded: candidates.discard('/' + req.params.devicePath) }));
+});
+
+/**
+ * POST /api/devices/:path/candidate/validate
+ * Apply the edits to the running configuration and check the result
+ * Answers with { valid, errors, changes } (changes as in /api/diff).
+ */
+app.post('/api/devices/:devicePath(*)/candidate/validate', (req, res) => {
+    candidateRoute(res, async () => {
+        const { valid, errors, changes } = await candidates.validate('/' + req.params.devicePath, { priority: priorityOf(req) });
+        return { valid, errors, summary: summarize(changes), changes };
+    });
+});
+
+/**
+ * POST /api/devices/:path/candidate/commit  { "confirmTimeout": 60 }
+ * Validate, then send the edits as one iPATCH in order. With confirmTimeout
+ * (seconds) the previous configuration is restored unless /confirm follows in time.
+ */
+app.post('/api/devices/:devicePath(*)/candidate/commit', (req, res) => {
+    candidateRoute(res, () => candidates.commit('/' + req.params.devicePath, {
+        confirmTimeout: req.body?.confirmTimeout,
+        priority: priorityOf(req)
+    }));
+});
+
+/**
+ * POST /api/devices/:path/candidate/confirm
+ * Keep a confirmed commit
+ */
+app.post('/api/devices/:devicePath(*)/candidate/confirm', (req, res) => {
+    candidateRoute(res, () => candidates.confirm('/' + req.params.devicePath));
+});
+
+/**
+ * POST /api/devices/:path/candidate/rollback
+ * Restore the configuration from before a confirmed commit without waiting for the timeout
+ */
+app.post('/api/devices/:devicePath(*)/candidate/rollback', (req, res) => {
+    candidateRoute(res, () => candidates.rollback('/' + req.params.devicePath, 'Rolled back on request'));
+});
 
+/**
+ * GET /api/snapshots
+ * Saved configurations, newest first (metadata only)
+ */
+app.get('/api/snapshots', (req, res) => {
+    res.json({
+        success: true,
+        snapshots: snapshots.list()
+    });
+});
+
+/**
+ * POST /api/snapshots  { "device": "tsn-left", "name": "before PSFP", "note": "" }
+ * Save the current configuration of a device
+ */
+app.post('/api/snapshots', async (req, res) => {
+    try {
+        const { device: ref, name, note } = req.body || {};
+        const device = ref && deviceManager.getDevice(ref);
         if (!device) {
             return res.status(404).json({
                 success: false,
-                error: 'Device not found'
+                error: ref ? `Device not found: ${ref}` : 'Missing device'
             });
         }
 
-        const info = await device.queryDeviceInfo();
+        const data = await deviceManager.readConfig(ref, { priority: priorityOf(req) });
+        const snapshot = snapshots.create(data, { name, note, device: deviceManager.describe(device) });
+        console.log(`[Snapshots] Saved ${snapshot.id} from ${device.devicePath}`);
 
         res.json({
             success: true,
-            device: info
+            snapshot
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(httpStatusOf(error)).json({
             success: false,
             error: error.message
         });
@@ -171,96 +1104,117 @@ app.get('/api/devices/:devicePath(*)/info', async (req, res) => {
 });
 
 /**
- * POST /api/devices/:path/coap
- * Execute CoAP request on device
+ * POST /api/snapshots/upload?format=json|yaml|cbor
+ * Add a snapshot file (or a bare datastore tree); without format, CBOR is
+ * recognised by its first byte and anything else is read as YAML/JSON
  */
-app.post('/api/devices/:devicePath(*)/coap', async (req, res) => {
-    const startTime = Date.now();
-    const devicePath = '/' + req.params.devicePath;
-
+app.post('/api/snapshots/upload', express.raw({ type: () => true, limit: '10mb' }), (req, res) => {
     try {
-        const { method = 'GET', uri = '/c?d=a', data = null } = req.body;
-
-        console.log(`[API] ${method} ${uri} on ${devicePath}`);
-
-        const result = await deviceManager.executeRequest(devicePath, method, uri, data);
-        const duration = Date.now() - startTime;
-
-        addToHistory(devicePath, method, uri, { data: result, duration });
+        const format = req.query.format || null;
+        if (format && !SNAPSHOT_FORMATS[format]) {
+            throw new Error(`Unknown snapshot format '${format}'`);
+        }
 
+        const snapshot = snapshots.import(decodeSnapshot(req.body, format));
         res.json({
             success: true,
-            method,
-            uri,
-            data: result,
-            duration,
-            timestamp: new Date().toISOString()
+            snapshot
         });
     } catch (error) {
-        const duration = Date.now() - startTime;
-        addToHistory(devicePath, req.body.method, req.body.uri, null, error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
 
-        res.status(500).json({
+/**
+ * GET /api/snapshots/:id
+ * One snapshot with its data
+ */
+app.get('/api/snapshots/:id', (req, res) => {
+    const snapshot = snapshots.get(req.params.id);
+    if (!snapshot) {
+        return res.status(404).json({
             success: false,
-            error: error.message,
-            code: error.code,
-            duration,
-            timestamp: new Date().toISOString()
+            error: 'Snapshot not found'
         });
     }
+    res.json({
+        success: true,
+        snapshot
+    });
 });
 
 /**
- * GET /api/devices/:path/yang
- * Get full YANG configuration
+ * GET /api/snapshots/:id/download?format=json|yaml|cbor
+ * Snapshot as a file
  */
-app.get('/api/devices/:devicePath(*)/yang', async (req, res) => {
-    const startTime = Date.now();
-    const devicePath = '/' + req.params.devicePath;
+app.get('/api/snapshots/:id/download', (req, res) => {
+    const snapshot = snapshots.get(req.params.id);
+    if (!snapshot) {
+        return res.status(404).json({
+            success: false,
+            error: 'Snapshot not found'
+        });
+    }
 
     try {
-        const format = req.query.format || 'json';
-
-        const data = await deviceManager.executeRequest(devicePath, 'GET', '/c?d=a');
-        const duration = Date.now() - startTime;
-
-        if (format === 'yaml') {
-            res.type('text/yaml');
-            res.send(yamlStringify(data));
-        } else {
-            res.json({
-                success: true,
-                data,
-                duration,
-                timestamp: new Date().toISOString()
-            });
-        }
+        const file = encodeSnapshot(snapshot, req.query.format || 'json');
+        res.type(file.contentType);
+        res.attachment(`${snapshot.id}.${file.extension}`);
+        res.send(file.body);
     } catch (error) {
-        res.status(500).json({
+        res.status(400).json({
             success: false,
-            error: error.message,
-            duration: Date.now() - startTime
+            error: error.message
         });
     }
 });
 
 /**
- * GET /api/devices/:path/interfaces
- * Get network interfaces
+ * POST /api/snapshots/:id/restore  { "device": "tsn-left", "mode": "merge", "subtrees": [...] }
+ * Write a snapshot back; device defaults to the one it was taken from.
+ * merge sends one iPATCH per top-level subtree, replace one PUT of everything
+ * (see DeviceManager.restoreConfig). Answers with the result of each subtree.
  */
-app.get('/api/devices/:devicePath(*)/interfaces', async (req, res) => {
+app.post('/api/snapshots/:id/restore', async (req, res) => {
     try {
-        const devicePath = '/' + req.params.devicePath;
-        const data = await deviceManager.executeRequest(devicePath, 'GET', '/c?d=a');
+        const snapshot = snapshots.get(req.params.id);
+        if (!snapshot) {
+            return res.status(404).json({
+                success: false,
+                error: 'Snapshot not found'
+            });
+        }
 
-        const interfaces = data?.['ietf-interfaces:interfaces']?.interface || [];
+        const { device: target, mode = 'merge', subtrees } = req.body || {};
+        const ref = target || snapshot.device?.id || snapshot.device?.path;
+        const device = ref && deviceManager.getDevice(ref);
+        if (!device) {
+            return res.status(404).json({
+                success: false,
+                error: ref ? `Device not found: ${ref}` : 'Missing device'
+            });
+        }
+
+        const results = await deviceManager.restoreConfig(device.devicePath, snapshot.data, {
+            mode,
+            subtrees,
+            priority: priorityOf(req)
+        });
+        const failed = results.filter(r => !r.success);
+        console.log(`[Snapshots] Restored ${snapshot.id} to ${device.devicePath} (${mode}): ${results.length - failed.length}/${results.length} subtrees`);
 
         res.json({
-            success: true,
-            interfaces
+            success: failed.length === 0,
+            device: device.devicePath,
+            mode,
+            results,
+            ...(failed.length > 0 && { error: `${failed.length} of ${results.length} subtrees failed` })
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(400).json({
             success: false,
             error: error.message
         });
@@ -268,22 +1222,97 @@ app.get('/api/devices/:devicePath(*)/interfaces', async (req, res) => {
 });
 
 /**
- * GET /api/devices/:path/bridge
- * Get bridge configuration
+ * DELETE /api/snapshots/:id
  */
-app.get('/api/devices/:devicePath(*)/bridge', async (req, res) => {
+app.delete('/api/snapshots/:id', (req, res) => {
+    if (!snapshots.remove(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Snapshot not found'
+        });
+    }
+    res.json({
+        success: true,
+        message: 'Snapshot deleted'
+    });
+});
+
+/**
+ * Error with a CoAP-style code for httpStatusOf()
+ */
+function requestError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Configuration of one side of a diff: 'device:<path|id|alias>' or 'snapshot:<id>'
+ * @param {string} content - 'config' (config nodes only) or 'all' (also state), for devices
+ * @returns {Promise<Object>} - { source, label, data }
+ */
+async function loadDiffSide(spec, content, priority) {
+    const separator = String(spec || '').indexOf(':');
+    const kind = spec?.slice(0, separator);
+    const ref = spec?.slice(separator + 1);
+
+    if (kind === 'snapshot') {
+        const snapshot = snapshots.get(ref);
+        if (!snapshot) {
+            throw requestError(`Snapshot not found: ${ref}`, 132);  // 4.04
+        }
+        return { source: spec, label: snapshot.name, data: snapshot.data };
+    }
+
+    if (kind === 'device') {
+        const device = deviceManager.getDevice(ref);
+        if (!device) {
+            throw requestError(`Device not found: ${ref}`, 132);
+        }
+        const data = content === 'config'
+            ? await deviceManager.readConfig(device.devicePath, { priority })
+            : await deviceManager.executeRequest(device.devicePath, 'GET', '/c?d=a', null, { priority, cached: true, refresh: true });
+        return { source: spec, label: deviceManager.describe(device).alias || device.devicePath, data };
+    }
+
+    throw requestError(`Invalid diff side '${spec || ''}': use device:<path> or snapshot:<id>`, 128);  // 4.00
+}
+
+/**
+ * GET /api/diff?left=device:tsn-left&right=snapshot:<id>[&content=config|all][&unchanged=1]
+ * Leaf-by-leaf diff of two configurations, list entries matched by key (see config-diff.js).
+ * Devices are read with state data unless a snapshot (configuration only) is compared
+ * or content=config; unchanged leaves are left out unless asked for.
+ */
+app.get('/api/diff', async (req, res) => {
     try {
-        const devicePath = '/' + req.params.devicePath;
-        const data = await deviceManager.executeRequest(devicePath, 'GET', '/c?d=a');
+        const { left: leftSpec, right: rightSpec } = req.query;
+        const content = req.query.content
+            || ([leftSpec, rightSpec].some(spec => String(spec).startsWith('snapshot:')) ? 'config' : 'all');
+        if (!['config', 'all'].includes(content)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown content '${content}': use config or all`
+            });
+        }
 
-        const bridges = data?.['ieee802-dot1q-bridge:bridges']?.bridge || [];
+        const [left, right] = await Promise.all([
+            loadDiffSide(leftSpec, content, priorityOf(req)),
+            loadDiffSide(rightSpec, content, priorityOf(req))
+        ]);
+        const entries = diffConfig(left.data, right.data);
+        const showUnchanged = ['1', 'true'].includes(req.query.unchanged);
 
         res.json({
             success: true,
-            bridges
+            content,
+            left: { source: left.source, label: left.label },
+            right: { source: right.source, label: right.label },
+            summary: summarize(entries),
+            entries: showUnchanged ? entries : entries.filter(entry => entry.status !== 'unchanged')
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(httpStatusOf(error)).json({
             success: false,
             error: error.message
         });
@@ -291,19 +1320,55 @@ app.get('/api/devices/:devicePath(*)/bridge', async (req, res) => {
 });
 
 /**
- * GET /api/devices/:path/scheduler
- * Get TSN scheduler configuration
+ * POST /api/bulk
+ *   { "devices": ["tsn-1", "tsn-2"], "method": "IPATCH", "uri": "/c", "payload": { ... },
+ *     "variables": { ... }, "deviceVariables": { "tsn-1": { ... } },
+ *     "policy": "continue" | "stop" | "rollback", "concurrency": 4, "dryRun": false }
+ * Send one (templated) request to several devices in parallel (see bulk-push.js).
+ * Answers with the status, code and duration of each device; success is false
+ * unless every device took the request.
  */
-app.get('/api/devices/:devicePath(*)/scheduler', async (req, res) => {
+app.post('/api/bulk', async (req, res) => {
     try {
-        const devicePath = '/' + req.params.devicePath;
-        const data = await deviceManager.executeRequest(devicePath, 'GET', '/c?d=a');
+        const result = await bulkPush(deviceManager, { ...req.body, priority: priorityOf(req) });
+        res.json({
+            ...result,
+            ...(!result.success && {
+                error: `${result.results.filter(r => !r.success).length} of ${result.results.length} devices did not take the request`
+            })
+        });
+    } catch (error) {
+        res.status(httpStatusOf(error)).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
 
-        const scheduler = data?.['ieee802-dot1q-sched:interfaces']?.interface || [];
+/**
+ * GET /api/sid
+ * List loaded SID modules
+ */
+app.get('/api/sid', (req, res) => {
+    res.json({
+        success: true,
+        directory: deviceManager.sidDirectory,
+        items: deviceManager.sidRegistry.size,
+        modules: deviceManager.sidRegistry.getModules()
+    });
+});
 
+/**
+ * POST /api/sid/reload
+ * Reload SID files from disk
+ */
+app.post('/api/sid/reload', (req, res) => {
+    try {
+        const modules = deviceManager.reloadSidFiles();
         res.json({
             success: true,
-            scheduler
+            items: deviceManager.sidRegistry.size,
+            modules
         });
     } catch (error) {
         res.status(500).json({
@@ -313,6 +1378,36 @@ app.get('/api/devices/:devicePath(*)/scheduler', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/sid/lookup?sid=1234 | ?path=/ietf-interfaces:interfaces
+ * Translate between SID and schema path
+ */
+app.get('/api/sid/lookup', (req, res) => {
+    const registry = deviceManager.sidRegistry;
+
+    if (req.query.sid !== undefined) {
+        const sid = Number(req.query.sid);
+        const item = registry.getItem(sid);
+        if (!item) {
+            return res.status(404).json({ success: false, error: `Unknown SID: ${req.query.sid}` });
+        }
+        return res.json({ success: true, sid, ...item });
+    }
+
+    if (req.query.path) {
+        const sid = registry.getSid(req.query.path);
+        if (sid === null) {
+            return res.status(404).json({ success: false, error: `Unknown path: ${req.query.path}` });
+        }
+        return res.json({ success: true, sid, ...registry.getItem(sid) });
+    }
+
+    res.status(400).json({
+        success: false,
+        error: 'Query parameter sid or path is required'
+    });
+});
+
 /**
  * GET /api/history
  * Get request history
@@ -331,6 +1426,7 @@ app.get('/api/history', (req, res) => {
  */
 app.delete('/api/history', (req, res) => {
     requestHistory = [];
+    broadcast('stats', getStats());
     res.json({
         success: true,
         message: 'History cleared'
@@ -342,32 +1438,17 @@ app.delete('/api/history', (req, res) => {
  * Get server statistics
  */
 app.get('/api/stats', (req, res) => {
-    const devices = deviceManager.getAllDevices();
-    const connectedDevices = devices.filter(d => d.connected);
-
-    const totalRequests = requestHistory.length;
-    const successfulRequests = requestHistory.filter(h => h.success).length;
-    const avgDuration = requestHistory.length > 0
-        ? requestHistory.reduce((sum, h) => sum + h.duration, 0) / requestHistory.length
-        : 0;
+    const connectedDevices = deviceManager.getAllDevices().filter(d => d.connected);
 
     res.json({
         success: true,
-        stats: {
-            totalDevices: devices.length,
-            connectedDevices: connectedDevices.length,
-            totalRequests,
-            successfulRequests,
-            failedRequests: totalRequests - successfulRequests,
-            successRate: totalRequests > 0 ? ((successfulRequests / totalRequests) * 100).toFixed(2) + '%' : '0%',
-            avgDuration: Math.round(avgDuration) + 'ms',
-            uptime: process.uptime()
-        },
+        stats: getStats(),
         devices: connectedDevices.map(d => ({
             path: d.path,
             model: d.model,
             firmware: d.firmware,
-            interfaces: d.interfaces?.length || 0
+            interfaces: d.interfaces?.length || 0,
+            queue: d.queue
         }))
     });
 });
@@ -394,8 +1475,26 @@ app.listen(PORT, '0.0.0.0', async () => {
     console.log('');
     console.log('📡 Protocol: MUP1 + CoAP + CORECONF (No Docker)');
     console.log('🔧 Device Support: Multiple LAN9662 boards');
+    console.log(`🧭 RESTCONF: http://localhost:${PORT}/restconf`);
     console.log('');
 
+    // Simulated boards for development without hardware (SIMULATORS=2)
+    const simulators = parseInt(process.env.SIMULATORS || '0', 10);
+    for (let i = 0; i < simulators; i++) {
+        await deviceManager.addSimulator().catch(err => {
+            console.error('❌ Simulator failed to start:', err.message);
+        });
+    }
+    if (simulators > 0) {
+        console.log(`🧪 Simulated boards: ${simulators} (/sim/sim0 ...)`);
+    }
+
+    // Boards behind TCP serial bridges added earlier (remote-devices.json)
+    if (deviceManager.remotes.size > 0) {
+        console.log(`🔌 Remote boards: ${Array.from(deviceManager.remotes).join(', ')}`);
+        await deviceManager.connectRemotes();
+    }
+
     // Start auto-scanning for devices
     deviceManager.startAutoScan(5000);
 
@@ -408,12 +1507,14 @@ app.listen(PORT, '0.0.0.0', async () => {
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\n\n🛑 Shutting down gracefully...');
+    candidates.shutdown();
     deviceManager.shutdown();
     process.exit(0);
 });
 
 process.on('SIGTERM', () => {
     console.log('\n\n🛑 Shutting down gracefully...');
+    candidates.shutdown();
     deviceManager.shutdown();
     process.exit(0);
 });
@@ -0,0 +1,107 @@
+/**
+ * Bulk configuration push: templates and failure policies against simulated boards
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import bulkPush, { renderTemplate } from '../lib/bulk-push.js';
+import DeviceManager from '../lib/device-manager.js';
+
+// Name-keyed iPATCH (no SID files): the description of eth0
+const TEMPLATE = { 'ietf-interfaces:interfaces': { interface: [{ name: 'eth0', description: '{{role}} on {{path}}' }] } };
+
+const descriptionOf = async (manager, ref) =>
+    (await manager.readConfig(ref))['ietf-interfaces:interfaces'].interface.find(i => i.name === 'eth0').description;
+
+async function setup(names) {
+    const manager = new DeviceManager();
+    for (const name of names) {
+        await manager.addSimulator({ name });
+    }
+    return manager;
+}
+
+test('renderTemplate: whole placeholders keep their type, member names and missing values', () => {
+    const variables = { vid: 10, port: 'eth1', role: 'edge' };
+    assert.deepEqual(renderTemplate({ vid: '{{vid}}', name: 'vlan{{ vid }}', '{{port}}': ['{{role}}', true, null] }, variables), {
+        vid: 10,
+        name: 'vlan10',
+        eth1: ['edge', true, null]
+    });
+    assert.equal(renderTemplate('{{vid}}', { vid: 0 }), 0);
+    assert.throws(() => renderTemplate({ name: '{{missing}}' }, variables), /No value for \{\{missing\}\}/);
+});
+
+test('bulk push: per-device templates, dry run and results', async () => {
+    const manager = await setup(['bulk0', 'bulk1']);
+
+    await assert.rejects(bulkPush(manager, { devices: ['bulk0', 'nope'], payload: {} }), error => error.code === 132);
+    await assert.rejects(bulkPush(manager, { devices: ['bulk0', '/sim/bulk0'], payload: {} }), /twice/);
+    await assert.rejects(bulkPush(manager, { devices: ['bulk0'], payload: {}, policy: 'retry' }), /Unknown failure policy/);
+    await assert.rejects(bulkPush(manager, { devices: ['bulk0', 'bulk1'], payload: TEMPLATE }), /bulk0: No value for \{\{role\}\}/);
+
+    const options = {
+        devices: ['bulk0', 'bulk1'],
+        payload: TEMPLATE,
+        variables: { role: 'edge' },
+        deviceVariables: { bulk1: { role: 'core' } }
+    };
+    const preview = await bulkPush(manager, { ...options, dryRun: true });
+    assert.deepEqual(preview.results.map(r => [r.status, r.payload['ietf-interfaces:interfaces'].interface[0].description]), [
+        ['dry-run', 'edge on /sim/bulk0'],
+        ['dry-run', 'core on /sim/bulk1']
+    ]);
+    assert.equal(await descriptionOf(manager, 'bulk0'), undefined, 'dry run sends nothing');
+
+    // Boards without an alias do not pick up variables keyed "null" or "undefined"
+    const unaliased = await bulkPush(manager, { ...options, deviceVariables: { null: { role: 'x' }, undefined: { role: 'y' } }, dryRun: true });
+    assert.deepEqual(unaliased.results.map(r => r.payload['ietf-interfaces:interfaces'].interface[0].description),
+        ['edge on /sim/bulk0', 'edge on /sim/bulk1']);
+
+    const result = await bulkPush(manager, options);
+    assert.equal(result.success, true);
+    assert.deepEqual(result.summary, { ok: 2 });
+    assert.deepEqual(result.results.map(r => [r.path, r.status, r.code]), [['/sim/bulk0', 'ok', 68], ['/sim/bulk1', 'ok', 68]]);
+    assert.ok(result.results.every(r => typeof r.duration === 'number'));
+    assert.equal(await descriptionOf(manager, 'bulk0'), 'edge on /sim/bulk0');
+    assert.equal(await descriptionOf(manager, 'bulk1'), 'core on /sim/bulk1');
+    manager.shutdown();
+});
+
+test('bulk push: continue, stop on first failure and roll back the rest', async () => {
+    const manager = await setup(['pol0', 'pol1', 'pol2']);
+    manager.getDevice('pol2').disconnect();   // Unplugged board
+    const variables = { role: 'edge' };
+
+    const all = await bulkPush(manager, { devices: ['pol2', 'pol0'], payload: TEMPLATE, variables });
+    assert.equal(all.success, false);
+    assert.deepEqual(all.results.map(r => r.status), ['failed', 'ok']);
+    assert.match(all.results[0].error, /not connected/);
+
+    const stopped = await bulkPush(manager, { devices: ['pol2', 'pol1'], payload: TEMPLATE, variables: { role: 'core' }, policy: 'stop', concurrency: 1 });
+    assert.deepEqual(stopped.results.map(r => r.status), ['failed', 'skipped']);
+    assert.deepEqual(stopped.summary, { ok: 0, failed: 1, skipped: 1 });
+    assert.equal(await descriptionOf(manager, 'pol1'), undefined);
+
+    const before = await manager.readConfig('pol1');
+    const rolledBack = await bulkPush(manager, { devices: ['pol0', 'pol1', 'pol2'], payload: TEMPLATE, variables: { role: 'core' }, policy: 'rollback', concurrency: 1 });
+    assert.deepEqual(rolledBack.results.map(r => r.status), ['rolled-back', 'rolled-back', 'failed']);
+    assert.ok(rolledBack.results[0].rollback.success);
+    assert.equal(await descriptionOf(manager, 'pol0'), 'edge on /sim/pol0', 'back to the first push');
+    assert.deepEqual(await manager.readConfig('pol1'), before);
+
+    // A rollback that throws is reported; the others still run
+    const restoreConfig = manager.restoreConfig;
+    manager.restoreConfig = (path, ...rest) => path === '/sim/pol0'
+        ? Promise.reject(Object.assign(new Error('Device not connected: /sim/pol0'), { code: 163 }))
+        : restoreConfig.call(manager, path, ...rest);
+    const partial = await bulkPush(manager, { devices: ['pol0', 'pol1', 'pol2'], payload: TEMPLATE, variables: { role: 'edge' }, policy: 'rollback', concurrency: 1 });
+    assert.deepEqual(partial.results.map(r => r.status), ['rollback-failed', 'rolled-back', 'failed']);
+    const { success, code, error } = partial.results[0].rollback;
+    assert.deepEqual([success, code, error], [false, 163, 'Device not connected: /sim/pol0']);
+    assert.deepEqual(await manager.readConfig('pol1'), before);
+    manager.restoreConfig = restoreConfig;
+    manager.shutdown();
+});
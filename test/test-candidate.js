@@ -0,0 +1,285 @@
+/**
+ * Candidate configuration: edits, validation, batched commit and confirmed-commit rollback
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import CandidateStore, { applyEdit, checkConfig, revertEdits } from '../lib/candidate.js';
+import { diffConfig } from '../lib/config-diff.js';
+import DeviceManager from '../lib/device-manager.js';
+import SnapshotStore from '../lib/snapshot-store.js';
+
+const INTERFACES = '/ietf-interfaces:interfaces';
+const BRIDGE_PORT = `${INTERFACES}/interface/ieee802-dot1q-bridge:bridge-port`;
+const ENABLED = (name) => `ietf-interfaces:interfaces/interface=${name}/enabled`;
+const PVID = (name) => `ietf-interfaces:interfaces/interface=${name}/ieee802-dot1q-bridge:bridge-port/pvid`;
+
+/**
+ * Manager with a simulated board and SIDs for the interface configuration
+ */
+async function setup(name) {
+    const manager = new DeviceManager();
+    for (const [module, identifier, sid] of [
+        ['ietf-interfaces', INTERFACES, 1505],
+        ['ietf-interfaces', `${INTERFACES}/interface`, 1533],
+        ['ietf-interfaces', `${INTERFACES}/interface/enabled`, 1537],
+        ['ietf-interfaces', `${INTERFACES}/interface/name`, 1540],
+        ['ietf-interfaces', `${INTERFACES}/interface/type`, 1550],
+        ['ieee802-dot1q-bridge', BRIDGE_PORT, 2000],
+        ['ieee802-dot1q-bridge', `${BRIDGE_PORT}/bridge-name`, 2001],
+        ['ieee802-dot1q-bridge', `${BRIDGE_PORT}/component-name`, 2002],
+        ['ieee802-dot1q-bridge', `${BRIDGE_PORT}/port-type`, 2003],
+        ['ieee802-dot1q-bridge', `${BRIDGE_PORT}/pvid`, 2004]
+    ]) {
+        manager.sidRegistry.add(module, { namespace: 'data', identifier, sid });
+    }
+    await manager.addSimulator({ name, ports: 3 });
+
+    const patches = [];
+    manager.simulators.get(name).on('request', ({ method }) => {
+        if (method === 'IPATCH') {
+            patches.push(method);
+        }
+    });
+    return { manager, candidates: new CandidateStore({ deviceManager: manager }), patches };
+}
+
+const interfaceOf = (tree, name) => tree['ietf-interfaces:interfaces'].interface.find(i => i.name === name);
+
+// List entries are matched by key: a restored entry may come back at the end of its list
+const changesOf = (left, right) => diffConfig(left, right).filter(entry => entry.status !== 'unchanged');
+
+test('applyEdit and checkConfig: list entries by key, bad VLANs and gate control lists', () => {
+    const tree = {
+        'ietf-interfaces:interfaces': { interface: [{ name: 'eth0', enabled: true }] },
+        'ieee802-dot1q-bridge:bridges': { bridge: [{ name: 'br0', component: [{ name: 'br0', 'bridge-vlan': { vlan: [{ vid: 1 }] } }] }] }
+    };
+    const vlans = 'ieee802-dot1q-bridge:bridges/bridge=br0/component=br0/bridge-vlan/vlan';
+
+    applyEdit(tree, { op: 'merge', path: 'ietf-interfaces:interfaces/interface=eth0', value: { description: 'uplink' } });
+    applyEdit(tree, { op: 'merge', path: ENABLED('eth1'), value: false });
+    applyEdit(tree, { op: 'merge', path: `${vlans}=10`, value: { name: 'video' } });
+    assert.deepEqual(tree['ietf-interfaces:interfaces'].interface, [
+        { name: 'eth0', enabled: true, description: 'uplink' },
+        { name: 'eth1', enabled: false }
+    ]);
+    assert.deepEqual(checkConfig(tree), []);
+
+    applyEdit(tree, { op: 'replace', path: 'ietf-interfaces:interfaces/interface=eth0', value: { enabled: false } });
+    assert.deepEqual(interfaceOf(tree, 'eth0'), { name: 'eth0', enabled: false });
+    applyEdit(tree, { op: 'delete', path: `${vlans}=10` });
+    assert.throws(() => applyEdit(tree, { op: 'delete', path: `${vlans}=10` }), /Nothing to delete/);
+    assert.throws(() => applyEdit(tree, { op: 'merge', path: 'interfaces/interface=eth0', value: {} }), /module-qualified/);
+
+    applyEdit(tree, { op: 'merge', path: `${vlans}=5000`, value: {} });
+    applyEdit(tree, { op: 'merge', path: 'ieee802-dot1q-sched:interfaces/interface=eth0/gate-parameter-table', value: {
+        'gate-enabled': true,
+        'admin-control-list-length': 3,
+        'admin-cycle-time': { numerator: 1, denominator: 1000 },
+        'admin-control-list': { 'gate-control-entry': [
+            { index: 0, 'gate-states-value': 256, 'time-interval-value': 600000 },
+            { index: 0, 'gate-states-value': 1, 'time-interval-value': 600000 }
+        ] }
+    } });
+    assert.deepEqual(checkConfig(tree).map(problem => problem.message), [
+        'VLAN id 5000 is not 1-4094',
+        'admin-control-list-length is 3 but the list has 2 entries',
+        'gate-control-entry 0: gate-states-value 256 is not 0-255',
+        'gate-control-entry 0 appears twice',
+        'The gate control entries add up to 1200000 ns, longer than the 1000000 ns cycle'
+    ]);
+});
+
+test('revertEdits: changed leaves, added and removed nodes, lists without keys', () => {
+    const before = {
+        'ietf-system:system': { hostname: 'sw1', ntp: { server: [{ name: 'a', address: '10.0.0.1' }] } },
+        'ietf-interfaces:interfaces': { interface: [
+            { name: 'eth0', enabled: true, description: 'uplink' },
+            { name: 'eth1', enabled: true }
+        ] },
+        'x:table': { row: [{ value: 1 }, { value: 2 }] }
+    };
+    const after = structuredClone(before);
+    after['ietf-interfaces:interfaces'].interface[0].enabled = false;
+    delete after['ietf-interfaces:interfaces'].interface[0].description;
+    after['ietf-interfaces:interfaces'].interface.splice(1, 1);
+    after['ietf-interfaces:interfaces'].interface.push({ name: 'eth2', enabled: false });
+    after['x:table'].row[1].value = 3;
+
+    const edits = revertEdits(before, after);
+    assert.deepEqual(edits, [
+        { op: 'delete', path: 'ietf-interfaces:interfaces/interface=eth2' },
+        { op: 'merge', path: ENABLED('eth0'), value: true },
+        { op: 'merge', path: 'ietf-interfaces:interfaces/interface=eth0/description', value: 'uplink' },
+        { op: 'merge', path: 'ietf-interfaces:interfaces/interface=eth1', value: { name: 'eth1', enabled: true } },
+        { op: 'replace', path: 'x:table/row', value: [{ value: 1 }, { value: 2 }] }
+    ], 'ietf-system:system is not touched');
+
+    for (const edit of edits) {
+        applyEdit(after, edit);
+    }
+    assert.deepEqual(diffConfig(before, after).filter(entry => entry.status !== 'unchanged'), []);
+    assert.deepEqual(revertEdits(before, before), []);
+});
+
+test('candidate: validate before commit, then one ordered iPATCH', async () => {
+    const { manager, candidates, patches } = await setup('cand0');
+
+    assert.throws(() => candidates.addEdit('cand0', { op: 'merge', path: 'ietf-system:system/hostname', value: 'x' }), /SID|Unknown/);
+    assert.throws(() => candidates.addEdit('cand0', { op: 'move', path: ENABLED('eth0') }), /Unknown edit operation/);
+    assert.throws(() => candidates.describe('nope'), error => error.code === 132);
+
+    candidates.addEdit('cand0', { op: 'merge', path: ENABLED('eth1'), value: false });
+    const bad = candidates.addEdit('cand0', { op: 'merge', path: PVID('eth1'), value: 5000 });
+    candidates.addEdit('cand0', { op: 'merge', path: ENABLED('eth1'), value: true });
+    candidates.addEdit('cand0', { op: 'merge', path: ENABLED('eth2'), value: false });
+
+    const invalid = await candidates.validate('cand0');
+    assert.equal(invalid.valid, false);
+    assert.deepEqual(invalid.errors.map(e => e.message), ['PVID 5000 is not 1-4094']);
+    await assert.rejects(candidates.commit('cand0'), error => error.code === 128 && error.errors.length === 1);
+    assert.equal(patches.length, 0, 'nothing sent');
+
+    assert.ok(candidates.removeEdit('cand0', bad.id));
+    const valid = await candidates.validate('cand0');
+    assert.equal(valid.valid, true);
+    assert.deepEqual(valid.changes.map(c => [c.path, c.right]), [[ENABLED('eth2'), false]], 'later edits win');
+
+    const committed = await candidates.commit('cand0');
+    assert.equal(committed.edits, 3);
+    assert.equal(committed.confirm, null);
+    assert.equal(patches.length, 1, 'one iPATCH');
+    assert.deepEqual(candidates.describe('cand0').edits, []);
+
+    const running = await manager.readConfig('cand0');
+    assert.equal(interfaceOf(running, 'eth1').enabled, true);
+    assert.equal(interfaceOf(running, 'eth2').enabled, false);
+
+    await assert.rejects(candidates.commit('cand0'), /no edits/);
+    candidates.shutdown();
+    manager.shutdown();
+});
+
+test('confirmed commit: rolled back unless confirmed in time', async () => {
+    const { manager, candidates } = await setup('cand1');
+    const before = await manager.readConfig('cand1');
+
+    candidates.addEdit('cand1', { op: 'merge', path: ENABLED('eth0'), value: false });
+    candidates.addEdit('cand1', { op: 'delete', path: 'ietf-interfaces:interfaces/interface=eth1' });
+    const committed = await candidates.commit('cand1', { confirmTimeout: 0.2 });
+    assert.equal(committed.confirm.state, 'pending');
+    assert.equal(interfaceOf(await manager.readConfig('cand1'), 'eth1'), undefined);
+
+    candidates.addEdit('cand1', { op: 'merge', path: ENABLED('eth2'), value: false });
+    await assert.rejects(candidates.commit('cand1'), error => error.code === 140, 'waits for the confirm');
+
+    const [rolledBack] = await once(candidates, 'rolled-back');
+    assert.deepEqual(rolledBack.subtrees, ['ietf-interfaces:interfaces']);
+    assert.deepEqual(rolledBack.nodes, [ENABLED('eth0'), 'ietf-interfaces:interfaces/interface=eth1'], 'only the changed nodes');
+    assert.deepEqual(changesOf(before, await manager.readConfig('cand1')), []);
+    assert.equal(candidates.describe('cand1').confirm, null);
+
+    // Confirmed in time: the commit stays
+    await candidates.commit('cand1', { confirmTimeout: 0.2 });
+    candidates.confirm('cand1');
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal(interfaceOf(await manager.readConfig('cand1'), 'eth2').enabled, false);
+    assert.throws(() => candidates.confirm('cand1'), error => error.code === 140);
+
+    // Rolled back early on request
+    candidates.addEdit('cand1', { op: 'merge', path: ENABLED('eth2'), value: true });
+    await candidates.commit('cand1', { confirmTimeout: 60 });
+    await candidates.rollback('cand1');
+    assert.equal(interfaceOf(await manager.readConfig('cand1'), 'eth2').enabled, false);
+
+    candidates.shutdown();
+    manager.shutdown();
+});
+
+test('confirmed commit: a rollback that cannot start fails, and follows the board to its new path', async () => {
+    const { manager, candidates } = await setup('cand3');
+    const failures = [];
+    candidates.on('rollback-failed', failure => failures.push(failure));
+
+    try {
+        // The data path cannot be resolved while the rollback is built
+        candidates.addEdit('cand3', { op: 'merge', path: ENABLED('eth0'), value: false });
+        await candidates.commit('cand3', { confirmTimeout: 60 });
+        const parseDataPath = manager.parseDataPath;
+        manager.parseDataPath = () => {
+            throw new Error('SID registry reloading');
+        };
+        await assert.rejects(candidates.rollback('cand3'), /SID registry reloading/);
+        manager.parseDataPath = parseDataPath;
+        assert.equal(candidates.describe('cand3').confirm.state, 'rollback-failed');
+        candidates.confirm('cand3');
+
+        // Unplugged before the confirm timeout: the rollback fails instead of waiting forever
+        while (!manager.getDevice('cand3').id.startsWith('board-')) {
+            await once(manager, 'device-info-updated');
+        }
+        candidates.addEdit('cand3', { op: 'merge', path: ENABLED('eth1'), value: false });
+        await candidates.commit('cand3', { confirmTimeout: 0.1 });
+        const { id } = manager.getDevice('cand3');
+        manager.disconnectDevice('cand3');
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.deepEqual(failures.map(failure => [failure.path, failure.reason]),
+            [['/sim/cand3', 'Rolled back'], ['/sim/cand3', 'Not confirmed in time']]);
+        assert.match(failures[1].error, /Device not found/);
+
+        // The same board (same serial number) comes back under another path
+        const rolledBack = once(candidates, 'rolled-back');
+        await manager.addSimulator({ name: 'cand3-moved', ports: 3, serial: 'SIM-cand3' });
+        const [result] = await rolledBack;
+        assert.equal(manager.getDevice('cand3-moved').id, id);
+        assert.equal(result.path, '/sim/cand3-moved');
+        assert.deepEqual(result.nodes, [ENABLED('eth1')]);
+        assert.equal(candidates.describe('cand3-moved').confirm, null);
+    } finally {
+        candidates.shutdown();
+        manager.shutdown();
+    }
+});
+
+test('commit: one at a time, and no pre-commit snapshot when the write fails', async () => {
+    const { manager, patches } = await setup('cand2');
+    const directory = mkdtempSync(join(tmpdir(), 'snapshots-'));
+    const snapshots = new SnapshotStore({ directory });
+    const candidates = new CandidateStore({ deviceManager: manager, snapshots });
+
+    try {
+        candidates.addEdit('cand2', { op: 'merge', path: ENABLED('eth1'), value: false });
+        const first = candidates.commit('cand2');
+        await assert.rejects(candidates.commit('cand2'), error => error.code === 140 && /in progress/.test(error.message));
+        await first;
+        assert.equal(patches.length, 1, 'the edits were written once');
+
+        // The board refuses the iPATCH: nothing to roll back, so nothing saved
+        const executeRequest = manager.executeRequest;
+        manager.executeRequest = (path, method, ...rest) => method === 'IPATCH'
+            ? Promise.reject(Object.assign(new Error('5.00 Internal Server Error'), { code: 160 }))
+            : executeRequest.call(manager, path, method, ...rest);
+        candidates.addEdit('cand2', { op: 'merge', path: ENABLED('eth2'), value: false });
+        await assert.rejects(candidates.commit('cand2', { confirmTimeout: 60 }), error => error.code === 160);
+        assert.deepEqual(snapshots.list(), []);
+        assert.equal(candidates.describe('cand2').confirm, null);
+        assert.equal(candidates.describe('cand2').edits.length, 1, 'the edit stays in the candidate');
+
+        // The failed commit released the candidate
+        manager.executeRequest = executeRequest;
+        const committed = await candidates.commit('cand2', { confirmTimeout: 60 });
+        assert.equal(snapshots.list().length, 1);
+        assert.equal(committed.confirm.snapshotId, snapshots.list()[0].id);
+        candidates.confirm('cand2');
+    } finally {
+        candidates.shutdown();
+        manager.shutdown();
+        rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,272 @@
+/**
+ * CoAP client: message parsing and exchanges against a fake serial port
+ *
+ * Run: npm test
+ *
+ * The board's side is played by hand: every frame the client writes is
+ * decoded and kept, answers are hand-built datagrams fed to handleFrame().
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CoAPClient from '../lib/coap-client.js';
+import MUP1Protocol from '../lib/mup1-protocol.js';
+
+const protocol = new MUP1Protocol();
+
+const TYPES = { CON: 0, NON: 1, ACK: 2, RST: 3 };
+
+const hex = (text) => Buffer.from(text.replace(/\s+/g, ''), 'hex');
+
+/**
+ * Build a CoAP datagram
+ * @param {Object} message - { type, code, mid, token, options: [[number, Buffer]], payload }
+ */
+function datagram({ type = TYPES.ACK, code = 69, mid = 0, token = Buffer.alloc(0), options = [], payload = null }) {
+    const bytes = [(1 << 6) | (type << 4) | token.length, code, mid >> 8, mid & 0xFF, ...token];
+    let previous = 0;
+    for (const [number, value] of options) {
+        bytes.push(...CoAPClient.prototype.encodeOptionHeader(number - previous, value.length), ...value);
+        previous = number;
+    }
+    if (payload) {
+        bytes.push(0xFF, ...payload);
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Client on a fake open port; sent holds the parsed messages it wrote
+ */
+function setup() {
+    const sent = [];
+    const port = {
+        isOpen: true,
+        write: (frame) => sent.push(client.parseResponse(protocol.decodeFrame(frame).data))
+    };
+    const client = new CoAPClient(protocol, port);
+    const receive = (message) => client.handleFrame({ type: 'C', data: datagram(message) });
+    return { client, port, sent, receive };
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const etagOf = (value) => [[4, Buffer.from(value)]];
+
+test('parseResponse: extended option deltas and lengths, repeatable options, 0xFF in values', () => {
+    const client = new CoAPClient(protocol, null);
+    const data = Buffer.concat([
+        hex('61 45 12 34 ab'),              // ACK 2.05, MID 0x1234, token ab
+        hex('42 ff ff'),                    // ETag ffff (4)
+        hex('01 ff'),                       // ETag ff, delta 0
+        hex('43 61 62 63'),                 // Location-Path 'abc' (8)
+        hex('0d 07'), Buffer.alloc(20, 'x'),  // Location-Path, length 13 + 7
+        hex('41 3c'),                       // Content-Format 60 (12)
+        hex('22 0e 10'),                    // Max-Age 3600 (14)
+        hex('91 2e'),                       // Block2 NUM=2 M=1 SZX=6 (23)
+        hex('52 04 00'),                    // Size2 1024 (28)
+        hex('ee 00 03 00 1f'), Buffer.alloc(300, 0xFF),  // Option 300, delta 269 + 3, length 269 + 31
+        hex('ff a1 01 02')                  // Payload marker, payload
+    ]);
+
+    const response = client.parseResponse(data);
+    assert.deepEqual([response.version, response.type, response.code, response.messageId, response.token],
+        [1, TYPES.ACK, 69, 0x1234, hex('ab')]);
+    assert.deepEqual(response.options.map(o => [o.number, o.value.length]),
+        [[4, 2], [4, 1], [8, 3], [8, 20], [12, 1], [14, 2], [23, 1], [28, 2], [300, 300]]);
+    assert.deepEqual(response.payload, hex('a1 01 02'));
+    assert.equal(response.codeName, '2.05 Content');
+
+    assert.deepEqual(client.decodeOptions(response.options), {
+        etag: ['ffff', 'ff'],
+        locationPath: ['abc', 'x'.repeat(20)],
+        contentFormat: 60,
+        contentFormatName: 'application/cbor',
+        maxAge: 3600,
+        block2: { num: 2, more: true, szx: 6, size: 1024 },
+        size2: 1024,
+        300: 'ff'.repeat(300)
+    });
+
+    // Extended delta from option 0, no payload
+    const block = client.parseResponse(hex('50 45 00 01 d1 0a 2e'));
+    assert.deepEqual(block.options, [{ number: 23, value: hex('2e') }]);
+    assert.equal(block.payload, null);
+    assert.equal(client.parseResponse(hex('50 45 00 01 ff')).payload, null, 'marker without payload');
+    assert.equal(block.codeClass, 2);
+    assert.equal(client.parseResponse(hex('50 a4 00 01')).codeName, '5.04 Gateway Timeout');
+});
+
+test('parseResponse: malformed options', () => {
+    const client = new CoAPClient(protocol, null);
+    assert.throws(() => client.parseResponse(hex('50 45 00')), /too short/);
+    assert.throws(() => client.parseResponse(hex('50 45 00 01 f1 00')), /Invalid CoAP option header/);
+    assert.throws(() => client.parseResponse(hex('50 45 00 01 4f')), /Invalid CoAP option header/);
+    assert.throws(() => client.parseResponse(hex('50 45 00 01 43 61 62')), /exceeds message length/);
+});
+
+test('tokens: responses are matched by token, piggybacked ones also by message ID', async () => {
+    const { client, sent, receive } = setup();
+
+    const first = client.requestWithMeta('GET', '/c?d=a');
+    const second = client.requestWithMeta('GET', '/c?d=n');
+    const [one, two] = sent;
+    assert.equal(one.token.length, 4);
+    assert.notDeepEqual(one.token, two.token);
+    assert.notEqual(one.messageId, two.messageId);
+
+    // Unknown token, and the right token with another request's message ID: both ignored
+    receive({ mid: one.messageId, token: Buffer.from('00000000', 'hex'), options: etagOf('x') });
+    receive({ mid: two.messageId, token: one.token, options: etagOf('x') });
+    assert.equal(client.pendingRequests.size, 2);
+
+    // Separate responses in any order
+    receive({ type: TYPES.NON, mid: 0x5001, token: two.token, options: etagOf('2') });
+    receive({ type: TYPES.NON, mid: 0x5002, token: one.token, options: etagOf('1') });
+    assert.deepEqual((await first).options.etag, ['31']);
+    assert.deepEqual((await second).options.etag, ['32']);
+    assert.equal(sent.length, 2, 'NON responses are not acknowledged');
+});
+
+test('separate response: empty ACK stops retransmission, the CON response gets our ACK', async () => {
+    const { client, sent, receive } = setup();
+
+    const response = client.requestWithMeta('GET', '/c?d=a', null, { ackTimeout: 20 });
+    const [request] = sent;
+    receive({ type: TYPES.ACK, code: 0, mid: request.messageId });
+    await delay(100);
+    assert.equal(sent.length, 1, 'no retransmission after the empty ACK');
+
+    receive({ type: TYPES.CON, code: 69, mid: 0x6000, token: request.token, options: etagOf('a') });
+    assert.deepEqual((await response).options.etag, ['61']);
+    assert.deepEqual(sent.slice(1).map(m => [m.type, m.code, m.messageId, m.token.length]), [[TYPES.ACK, 0, 0x6000, 0]]);
+
+    // A CON response nobody waits for is rejected
+    receive({ type: TYPES.CON, code: 69, mid: 0x6001, token: request.token });
+    assert.deepEqual([sent.at(-1).type, sent.at(-1).messageId], [TYPES.RST, 0x6001]);
+});
+
+test('RST: rejects the request; a CoAP ping from the board is answered with RST', async () => {
+    const { client, sent, receive } = setup();
+
+    const response = client.request('GET', '/c?d=a', null, { ackTimeout: 20 });
+    receive({ type: TYPES.RST, code: 0, mid: sent[0].messageId });
+    await assert.rejects(response, /Request reset by device: GET \/c\?d=a/);
+    assert.equal(client.pendingRequests.size, 0);
+    await delay(50);
+    assert.equal(sent.length, 1, 'not retransmitted after RST');
+
+    receive({ type: TYPES.CON, code: 0, mid: 0x6100 });
+    assert.deepEqual([sent.at(-1).type, sent.at(-1).code, sent.at(-1).messageId], [TYPES.RST, 0, 0x6100]);
+});
+
+test('duplicates: a repeated message ID is dropped, a repeated CON gets the same reply', async () => {
+    const { client, sent, receive } = setup();
+    const responses = [];
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = (message) => warnings.push(message);
+
+    try {
+        client.requestWithMeta('GET', '/c?d=a').then(response => responses.push(response));
+        const [request] = sent;
+        receive({ type: TYPES.ACK, code: 0, mid: request.messageId });
+        const separate = { type: TYPES.CON, code: 69, mid: 0x7000, token: request.token, options: etagOf('a') };
+        receive(separate);
+        receive(separate);
+        await delay(0);
+
+        assert.equal(responses.length, 1);
+        assert.deepEqual(sent.slice(1).map(m => [m.type, m.messageId]), [[TYPES.ACK, 0x7000], [TYPES.ACK, 0x7000]],
+            'our ACK was lost, so it is sent again');
+
+        // Piggybacked response answered twice (our retransmission crossed it)
+        client.requestWithMeta('GET', '/c?d=n').then(response => responses.push(response));
+        const piggybacked = { mid: sent.at(-1).messageId, token: sent.at(-1).token, options: etagOf('b') };
+        receive(piggybacked);
+        receive(piggybacked);
+        await delay(0);
+
+        assert.equal(responses.length, 2);
+        assert.equal(sent.length, 4, 'nothing answers an ACK');
+        assert.deepEqual(warnings, [], 'duplicates are not unknown responses');
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('retransmission: exponential back-off, then give up', async () => {
+    const { client, port, sent } = setup();
+    client.ACK_RANDOM_FACTOR = 1;
+    const times = [];
+    const write = port.write;
+    port.write = (frame) => {
+        times.push(Date.now());
+        write(frame);
+    };
+
+    const started = Date.now();
+    await assert.rejects(client.request('GET', '/c?d=a', null, { ackTimeout: 20, maxRetransmit: 3 }),
+        /No response after 3 retransmissions: GET \/c\?d=a/);
+    assert.ok(Date.now() - started >= 20 + 40 + 80 + 160, 'waits for the last retransmission');
+
+    assert.equal(sent.length, 4);
+    assert.ok(sent.every(m => m.messageId === sent[0].messageId && m.token.equals(sent[0].token)), 'same MID and token');
+    const gaps = times.slice(1).map((time, i) => time - times[i]);
+    [20, 40, 80].forEach((expected, i) => assert.ok(gaps[i] >= expected - 1, `gap ${i + 1}: ${gaps[i]}ms`));
+    assert.equal(client.pendingRequests.size, 0);
+});
+
+test('retransmission: stops once the response arrives', async () => {
+    const { client, sent, receive } = setup();
+
+    const response = client.request('GET', '/c?d=a', null, { ackTimeout: 20 });
+    while (sent.length < 2) {
+        await delay(5);
+    }
+    receive({ mid: sent[0].messageId, token: sent[0].token });
+    await response;
+    await delay(100);
+    assert.equal(sent.length, 2);
+});
+
+test('observe: an error notification without an error listener ends the observation', async () => {
+    const { client, sent, receive } = setup();
+
+    const observing = client.observe('GET', '/c?d=a');
+    const [request] = sent;
+    receive({ mid: request.messageId, token: request.token, options: [[6, Buffer.from([1])]] });
+    const observation = await observing;
+    await new Promise(resolve => observation.once('notification', resolve));
+
+    // events.once() would listen for 'error' itself
+    const ended = new Promise(resolve => observation.once('end', resolve));
+    receive({ type: TYPES.CON, code: 132, mid: 0x4000, token: request.token });
+    await ended;
+    assert.equal(observation.active, false);
+    assert.equal(client.observations.size, 0);
+    assert.equal(sent.at(-1).type, TYPES.ACK, 'the notification is acknowledged');
+});
+
+test('Block1: ETags and the caller token go with the first block only', async () => {
+    const { client, sent, receive } = setup();
+    const body = Buffer.alloc(client.blockSize(client.blockSzx) + 10, 0xA1);
+    const token = hex('0badcafe');
+    const blockOf = (message) => client.decodeOptions(message.options).block1;
+
+    const response = client.requestWithMeta('FETCH', '/c', body, { etags: ['abcd'], token });
+    const [first] = sent;
+    assert.deepEqual(first.token, token);
+    assert.deepEqual(client.decodeOptions(first.options).etag, ['abcd']);
+    assert.deepEqual([blockOf(first).num, blockOf(first).more], [0, true]);
+
+    receive({ code: 95, mid: first.messageId, token, options: [[27, Buffer.from([0x0e])]] });
+    await delay(0);
+    const second = sent[1];
+    assert.notDeepEqual(second.token, token);
+    assert.equal(client.decodeOptions(second.options).etag, undefined);
+    assert.deepEqual([blockOf(second).num, blockOf(second).more], [1, false]);
+
+    receive({ mid: second.messageId, token: second.token, options: etagOf('b') });
+    assert.deepEqual((await response).options.etag, ['62']);
+});
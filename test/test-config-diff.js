@@ -0,0 +1,77 @@
+/**
+ * YANG-aware configuration diff
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffConfig, summarize, listKeys } from '../lib/config-diff.js';
+
+/**
+ * Changed leaves only, as [path, status]
+ */
+function changes(left, right) {
+    return diffConfig(left, right)
+        .filter(entry => entry.status !== 'unchanged')
+        .map(entry => [entry.path, entry.status]);
+}
+
+test('diff: list entries are matched by key, not by position', () => {
+    const left = { 'ietf-interfaces:interfaces': { interface: [
+        { name: 'eth0', enabled: true },
+        { name: 'eth1', enabled: true }
+    ] } };
+    const right = { 'ietf-interfaces:interfaces': { interface: [
+        { name: 'eth2', enabled: true },
+        { name: 'eth1', enabled: false },
+        { name: 'eth0', enabled: true }
+    ] } };
+
+    assert.deepEqual(changes(left, right), [
+        ['ietf-interfaces:interfaces/interface=eth1/enabled', 'changed'],
+        ['ietf-interfaces:interfaces/interface=eth2/name', 'added'],
+        ['ietf-interfaces:interfaces/interface=eth2/enabled', 'added']
+    ]);
+
+    const changed = diffConfig(left, right).find(entry => entry.status === 'changed');
+    assert.deepEqual(changed, { path: 'ietf-interfaces:interfaces/interface=eth1/enabled', status: 'changed', left: true, right: false });
+    assert.deepEqual(summarize(diffConfig(left, right)), { added: 2, removed: 0, changed: 1, unchanged: 3 });
+});
+
+test('diff: known, guessed and positional list keys', () => {
+    const gcl = (entries) => ({ 'ieee802-dot1q-sched:interfaces': { interface: [{
+        name: 'eth0',
+        'gate-parameter-table': { 'admin-control-list': { 'gate-control-entry': entries } }
+    }] } });
+    const prefix = 'ieee802-dot1q-sched:interfaces/interface=eth0/gate-parameter-table/admin-control-list';
+    assert.deepEqual(changes(
+        gcl([{ index: 0, 'gate-states-value': 255 }, { index: 1, 'gate-states-value': 1 }]),
+        gcl([{ index: 1, 'gate-states-value': 1 }])
+    ), [
+        [`${prefix}/gate-control-entry=0/index`, 'removed'],
+        [`${prefix}/gate-control-entry=0/gate-states-value`, 'removed']
+    ]);
+
+    assert.deepEqual(listKeys('x:filtering-entry', [{ 'database-id': 1, vids: '1', address: 'a' }]), ['database-id', 'vids', 'address']);
+    assert.deepEqual(listKeys('x:meter', [{ 'meter-id': 1 }, { 'meter-id': 2 }]), ['meter-id']);
+    assert.equal(listKeys('x:entry', [{ value: 1 }, { value: 1 }]), null);
+
+    // Without keys, entries are compared in order
+    assert.deepEqual(changes({ 'x:t': { entry: [{ value: 1 }] } }, { 'x:t': { entry: [{ value: 2 }, { value: 3 }] } }), [
+        ['x:t/entry[0]/value', 'changed'],
+        ['x:t/entry[1]/value', 'added']
+    ]);
+});
+
+test('diff: leaf-lists are sets, missing subtrees are reported leaf by leaf, keys are encoded', () => {
+    assert.deepEqual(changes({ 'x:c': { tags: ['a', 'b'] } }, { 'x:c': { tags: ['b', 'a'] } }), []);
+    assert.deepEqual(changes({ 'x:c': { tags: ['a'] } }, { 'x:c': { tags: ['a', 'b'] } }), [['x:c/tags', 'changed']]);
+
+    assert.deepEqual(changes({ 'ietf-system:system': { hostname: 'left' } }, {}), [['ietf-system:system/hostname', 'removed']]);
+    assert.deepEqual(changes({}, { 'ieee802-dot1q-bridge:bridges': { bridge: [{ name: 'b r', component: [{ name: 'c,0', type: 'x' }] }] } }), [
+        ['ieee802-dot1q-bridge:bridges/bridge=b%20r/name', 'added'],
+        ['ieee802-dot1q-bridge:bridges/bridge=b%20r/component=c%2C0/name', 'added'],
+        ['ieee802-dot1q-bridge:bridges/bridge=b%20r/component=c%2C0/type', 'added']
+    ]);
+});
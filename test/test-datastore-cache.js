@@ -0,0 +1,107 @@
+/**
+ * Datastore cache: freshness, ETag revalidation and invalidation on writes
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DatastoreCache, { subtreesOf } from '../lib/datastore-cache.js';
+import DeviceManager from '../lib/device-manager.js';
+
+const INTERFACES = '/ietf-interfaces:interfaces';
+
+/**
+ * A CoAP result as requestWithMeta() resolves it
+ */
+function result(code, etag, payload = null, maxAge) {
+    return { code, codeName: String(code), options: { etag: [etag], ...(maxAge !== undefined && { maxAge }) }, payload };
+}
+
+test('subtreesOf: identifiers, instances and trees; anything else is everything', () => {
+    assert.deepEqual(subtreesOf([INTERFACES, '/ietf-system:system-state']), new Set(['ietf-interfaces:interfaces', 'ietf-system:system-state']));
+    assert.deepEqual(subtreesOf([{ path: `${INTERFACES}/interface/enabled`, keys: ['eth1'], value: false }]), new Set(['ietf-interfaces:interfaces']));
+    assert.deepEqual(subtreesOf({ 'ieee802-dot1q-bridge:bridges': {} }), new Set(['ieee802-dot1q-bridge:bridges']));
+    assert.equal(subtreesOf([{ path: 1537, keys: [], value: false }]), null, 'SIDs from the console');
+    assert.equal(subtreesOf(null), null);
+});
+
+test('cache: fresh copy, revalidation with 2.03 and Max-Age', () => {
+    const cache = new DatastoreCache();
+    assert.ok(cache.isCacheable('FETCH', '/c'));
+    assert.ok(cache.isCacheable('get', '/c?d=a'));
+    assert.equal(cache.isCacheable('IPATCH', '/c'), false);
+    assert.equal(cache.isCacheable('GET', '/.well-known/core'), false);
+
+    assert.equal(cache.lookup('GET', '/c?d=a'), null);
+    assert.equal(cache.update('GET', '/c?d=a', null, result(69, '01', { a: 1 })).cache, 'miss');
+    assert.deepEqual(cache.lookup('GET', '/c?d=a').payload, { a: 1 });
+    assert.deepEqual(cache.validators('GET', '/c?d=a'), ['01']);
+
+    // Max-Age 0: kept for its ETag only
+    cache.update('FETCH', '/c', [INTERFACES], result(69, '01', [], 0));
+    assert.equal(cache.lookup('FETCH', '/c', [INTERFACES]), null);
+    const valid = cache.update('FETCH', '/c', [INTERFACES], result(67, '01', null, 30));
+    assert.equal(valid.cache, 'revalidated');
+    assert.deepEqual(valid.payload, []);
+    assert.ok(cache.lookup('FETCH', '/c', [INTERFACES]));
+
+    // 2.03 for a copy that is gone, or for another ETag
+    assert.equal(cache.update('FETCH', '/c', ['/ietf-system:system'], result(67, '01')), null);
+    assert.equal(cache.update('GET', '/c?d=a', null, result(67, '02')), null);
+
+    assert.deepEqual(cache.getStats(), { entries: 2, hits: 2, misses: 2, revalidated: 1, invalidated: 0 });
+});
+
+test('cache: writes mark overlapping subtrees and the whole datastore stale', () => {
+    const cache = new DatastoreCache();
+    cache.update('GET', '/c?d=a', null, result(69, '01', {}));
+    cache.update('FETCH', '/c', [INTERFACES], result(69, '01', []));
+    cache.update('FETCH', '/c', ['/ieee802-dot1q-bridge:bridges'], result(69, '01', []));
+
+    cache.invalidate([{ path: `${INTERFACES}/interface/enabled`, keys: ['eth1'], value: false }]);
+    assert.equal(cache.lookup('GET', '/c?d=a'), null);
+    assert.equal(cache.lookup('FETCH', '/c', [INTERFACES]), null);
+    assert.ok(cache.lookup('FETCH', '/c', ['/ieee802-dot1q-bridge:bridges']), 'other subtree still fresh');
+    assert.deepEqual(cache.validators('FETCH', '/c', [INTERFACES]), ['01'], 'ETag kept for revalidation');
+
+    cache.invalidate();
+    assert.equal(cache.lookup('FETCH', '/c', ['/ieee802-dot1q-bridge:bridges']), null);
+    assert.equal(cache.getStats().invalidated, 3);
+});
+
+test('cache: tab reads stay off the board until a write or a refresh', async () => {
+    const manager = new DeviceManager();
+    for (const [identifier, sid] of [
+        [INTERFACES, 1505],
+        [`${INTERFACES}/interface`, 1533],
+        [`${INTERFACES}/interface/enabled`, 1537],
+        [`${INTERFACES}/interface/name`, 1540],
+        [`${INTERFACES}/interface/oper-status`, 1544],
+        [`${INTERFACES}/interface/type`, 1550]
+    ]) {
+        manager.sidRegistry.add('ietf-interfaces', { namespace: 'data', identifier, sid });
+    }
+    await manager.addSimulator({ name: 'dc0' });
+    const board = manager.simulators.get('dc0');
+    const device = manager.getDevice('dc0');
+
+    const completed = [];
+    manager.on('request-completed', event => completed.push(event.cache));
+    const enabled = (tree) => tree['ietf-interfaces:interfaces'].interface.find(i => i.name === 'eth1').enabled;
+
+    const first = await manager.fetchData('dc0', [INTERFACES]);
+    const requests = board.stats.requests;
+    assert.deepEqual(await manager.fetchData('dc0', [INTERFACES]), first);
+    assert.equal(board.stats.requests, requests, 'answered from the cache');
+
+    await manager.fetchData('dc0', [INTERFACES], { refresh: true });
+    assert.equal(board.stats.requests, requests + 1, 'refresh asks the board');
+
+    await manager.writeData('dc0', 'ietf-interfaces:interfaces/interface=eth1/enabled', !enabled(first));
+    assert.equal(enabled(await manager.fetchData('dc0', [INTERFACES])), !enabled(first), 'write invalidated the copy');
+
+    assert.deepEqual(completed, ['miss', 'hit', 'revalidated', null, 'miss']);
+    assert.equal(device.getInfo().cache.revalidated, 1);
+    manager.shutdown();
+});
@@ -0,0 +1,170 @@
+/**
+ * DeviceManager events, aliases and keepalive, with simulated boards
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DeviceManager from '../lib/device-manager.js';
+
+/**
+ * Resolve with the payload of the next event of that name
+ */
+function next(emitter, event) {
+    return new Promise(resolve => emitter.once(event, resolve));
+}
+
+test('events: device added, info updated, request completed, removed', async () => {
+    const manager = new DeviceManager();
+    const added = next(manager, 'device-added');
+    const updated = next(manager, 'device-info-updated');
+
+    await manager.addSimulator({ name: 'ev0', serial: 'EV0' });
+    assert.equal((await added).path, '/sim/ev0');
+    assert.equal((await updated).id, 'board-EV0', 'announcement identifies the board');
+
+    const completed = [];
+    manager.on('request-completed', event => completed.push(event));
+    await manager.executeRequest('ev0', 'GET', '/c?c=n');
+    await assert.rejects(manager.executeRequest('ev0', 'GET', '/missing', null, { ackTimeout: 50 }));
+
+    assert.deepEqual(completed.map(e => [e.path, e.method, e.uri, e.success, e.code]), [
+        ['/sim/ev0', 'GET', '/c?c=n', true, 69],
+        ['/sim/ev0', 'GET', '/missing', false, 132]
+    ]);
+
+    const removed = next(manager, 'device-removed');
+    manager.removeSimulator('ev0');
+    assert.deepEqual(await removed, { path: '/sim/ev0', id: 'board-EV0' });
+    manager.shutdown();
+});
+
+test('events: lost link reports disconnected, then connected', async () => {
+    const manager = new DeviceManager();
+    await manager.addSimulator({ name: 'ev1' });
+    const device = manager.getDevice('ev1');
+    device.RECONNECT_BASE_DELAY = 10;
+
+    const disconnected = next(manager, 'device-disconnected');
+    const connected = next(manager, 'device-connected');
+    device.serial.close();
+
+    assert.equal((await disconnected).reason, 'port closed');
+    assert.equal((await connected).connected, true);
+    manager.shutdown();
+});
+
+test('events: link lost while an observation is still registering', async () => {
+    const manager = new DeviceManager();
+    await manager.addSimulator({ name: 'ev2', latency: 100 });
+    const device = manager.getDevice('ev2');
+    device.RECONNECT_BASE_DELAY = 10;
+
+    const disconnected = next(manager, 'device-disconnected');
+    const connected = next(manager, 'device-connected');
+    const subscribed = device.subscribe('GET', '/c?d=a', null, () => {});
+    device.serial.close();
+
+    await assert.rejects(subscribed, /Connection lost/);
+    assert.equal((await disconnected).reason, 'port closed');
+    assert.equal((await connected).connected, true);
+    manager.shutdown();
+});
+
+test('aliases: resolvePath by path, ID and alias; tty names get none; the alias follows a new ID', async () => {
+    const manager = new DeviceManager();
+    const updated = next(manager, 'device-info-updated');
+    await manager.addSimulator({ name: 'al0', serial: 'AL0' });
+    await updated;
+    const device = manager.getDevice('al0');
+
+    manager.setAlias('board-AL0', 'left');
+    for (const ref of ['/sim/al0', 'sim/al0', 'al0', 'board-AL0', '/board-AL0', 'left']) {
+        assert.equal(manager.resolvePath(ref), '/sim/al0', ref);
+    }
+    assert.equal(manager.resolvePath('right'), null);
+    assert.equal(manager.resolvePath(''), null);
+    assert.throws(() => manager.setAlias('al0', 'bad name'), /Invalid alias/);
+
+    await manager.addSimulator({ name: 'al1', serial: 'AL1' });
+    assert.throws(() => manager.setAlias('al1', 'left'), /already used by board-AL0/);
+
+    // The USB serial number turns up later: the alias moves to the new ID
+    const moved = next(manager, 'device-info-updated');
+    device.usb = { vendorId: '04d8', productId: '00dd', serialNumber: 'X1' };
+    device.updateIdentity();
+    device.emit('info');
+    assert.deepEqual([(await moved).id, (await moved).alias], ['usb-04d8-00dd-X1', 'left']);
+    assert.deepEqual(manager.aliases, { 'usb-04d8-00dd-X1': 'left' });
+    assert.equal(manager.resolvePath('left'), '/sim/al0');
+
+    // Only the tty name identifies a serial board without serial numbers
+    device.transport = 'serial';
+    device.usb = null;
+    device.boardSerial = null;
+    device.updateIdentity();
+    assert.equal(device.id, 'tty-al0');
+    assert.throws(() => manager.setAlias('al0', 'other'), /no serial number yet/);
+    device.emit('info');
+    assert.deepEqual(manager.aliases, { 'usb-04d8-00dd-X1': 'left' }, 'not moved to the tty name');
+    assert.deepEqual(manager.setAlias('usb-04d8-00dd-X1', null), { id: 'usb-04d8-00dd-X1', alias: null },
+        'an alias without its board can still be removed');
+    manager.shutdown();
+});
+
+/**
+ * Resolve with the device info once the health of a device is in that state
+ */
+function health(manager, device, state) {
+    if (device.health.state === state) {
+        return Promise.resolve(manager.describe(device));
+    }
+    return new Promise(resolve => {
+        const listener = (info) => {
+            if (info.path === device.devicePath && info.health.state === state) {
+                manager.off('device-info-updated', listener);
+                resolve(info);
+            }
+        };
+        manager.on('device-info-updated', listener);
+    });
+}
+
+test('keepalive: pongs keep a board alive, slow ones degrade it, missed ones make it unresponsive', async () => {
+    const manager = new DeviceManager();
+    await manager.addSimulator({ name: 'hb0' });
+    const device = manager.getDevice('hb0');
+    const simulator = manager.simulators.get('hb0');
+    Object.assign(device, { PING_INTERVAL: 50, PING_TIMEOUT: 100, RTT_DEGRADED: 20, MISSED_UNRESPONSIVE: 3 });
+    device.startKeepalive();
+
+    const alive = await health(manager, device, 'alive');
+    assert.ok(alive.health.rtt <= 20, `rtt ${alive.health.rtt}ms`);
+    assert.ok(alive.health.pongsReceived >= 1 && alive.health.pingsSent >= alive.health.pongsReceived);
+    assert.equal(alive.health.missedPings, 0);
+
+    simulator.setFaults({ latency: 50 });
+    const slow = await health(manager, device, 'degraded');
+    assert.ok(slow.health.rtt > 20, `rtt ${slow.health.rtt}ms`);
+    assert.equal(slow.health.missedPings, 0, 'slow, not missing');
+
+    simulator.setFaults({ latency: 0, dropRate: 1 });
+    const silent = await health(manager, device, 'unresponsive');
+    assert.equal(silent.health.missedPings, 3);
+    assert.equal(silent.connected, true, 'missed pings do not close the link');
+
+    simulator.setFaults({ dropRate: 0 });
+    const back = await health(manager, device, 'alive');
+    assert.equal(back.health.missedPings, 0);
+    assert.ok(back.health.averageRtt !== null && back.health.lastPong);
+
+    // No pings while the link is down
+    const disconnected = next(manager, 'device-disconnected');
+    device.RECONNECT_BASE_DELAY = 60000;
+    device.serial.close();
+    await disconnected;
+    assert.equal(device.keepaliveTimer, null);
+    assert.equal(device.pendingPing, null);
+    manager.shutdown();
+});
@@ -0,0 +1,117 @@
+/**
+ * Device discovery rules, and probing a port before claiming it
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import DiscoveryRules, { globToRegExp } from '../lib/discovery.js';
+import DeviceManager from '../lib/device-manager.js';
+import BoardSimulator from '../lib/simulator.js';
+
+const MICROCHIP = { vendorId: '04d8', productId: '000a', serialNumber: 'MCHP01' };
+const FTDI = { vendorId: '0403', productId: '6001', serialNumber: 'FT12345' };
+
+test('globToRegExp: wildcards stay within one path segment', () => {
+    assert.ok(globToRegExp('/dev/ttyACM*').test('/dev/ttyACM0'));
+    assert.ok(globToRegExp('/dev/ttyUSB?').test('/dev/ttyUSB1'));
+    assert.ok(!globToRegExp('/dev/ttyUSB?').test('/dev/ttyUSB10'));
+    assert.ok(!globToRegExp('/dev/*').test('/dev/serial/by-id/x'));
+    assert.ok(!globToRegExp('/dev/tty.usb').test('/dev/ttyxusb'), 'dots are literal');
+});
+
+test('rules: defaults claim ttyACM and ttyUSB only', () => {
+    const rules = new DiscoveryRules();
+    assert.ok(rules.matchesPath('/dev/ttyACM0'));
+    assert.ok(rules.matchesPath('/dev/ttyUSB3'));
+    assert.ok(!rules.matchesPath('/dev/ttyS0'));
+    assert.ok(rules.allowsUsb(null));
+    assert.deepEqual(rules.settingsFor('/dev/ttyACM0'), { baudRate: 115200, probe: false, probeTimeout: 1000 });
+});
+
+test('rules: exclude globs and VID:PID allow-list', () => {
+    const rules = new DiscoveryRules({ exclude: ['/dev/ttyUSB*'], usb: ['04d8:*', '0424:2530'] });
+    assert.ok(!rules.matchesPath('/dev/ttyUSB0'));
+    assert.ok(rules.allowsUsb(MICROCHIP));
+    assert.ok(!rules.allowsUsb(FTDI));
+    assert.ok(!rules.allowsUsb(null), 'no USB identity fails a non-empty allow-list');
+    assert.ok(rules.allowsUsb({ vendorId: '0424', productId: '2530' }));
+});
+
+test('rules: per-device settings by path or USB identity, first match wins', () => {
+    const rules = new DiscoveryRules({
+        baudRate: 230400,
+        probe: true,
+        devices: {
+            '/dev/ttyACM1': { baudRate: 921600 },
+            '0403:6001:FT*': { baudRate: 57600, probe: false },
+            '0403:*': { baudRate: 9600 }
+        }
+    });
+
+    assert.equal(rules.settingsFor('/dev/ttyACM1', MICROCHIP).baudRate, 921600);
+    assert.equal(rules.settingsFor('/dev/ttyACM0', MICROCHIP).baudRate, 230400);
+    assert.deepEqual(rules.settingsFor('/dev/ttyUSB0', FTDI), { baudRate: 57600, probe: false, probeTimeout: 1000 });
+    assert.equal(rules.settingsFor('/dev/ttyUSB1', { ...FTDI, serialNumber: 'X' }).baudRate, 9600);
+});
+
+test('rules: invalid settings are rejected', () => {
+    assert.throws(() => new DiscoveryRules({ include: '/dev/ttyACM*' }), /list of strings/);
+    assert.throws(() => new DiscoveryRules({ usb: ['microchip'] }), /Invalid USB ID/);
+    assert.throws(() => new DiscoveryRules({ baudRate: '115200' }), /baudRate/);
+    assert.throws(() => new DiscoveryRules({ devices: { '/dev/ttyACM0': { baudRate: -1 } } }), /baudRate/);
+});
+
+test('rules: listPorts expands include globs and drops excluded ports', () => {
+    const directory = mkdtempSync(join(tmpdir(), 'discovery-'));
+    try {
+        for (const name of ['ttyACM0', 'ttyACM1', 'ttyUSB0', 'ttyS0']) {
+            writeFileSync(join(directory, name), '');
+        }
+        const rules = new DiscoveryRules({
+            include: [`${directory}/ttyACM*`, `${directory}/ttyUSB0`, `${directory}/missing`, '/nonexistent/tty*'],
+            exclude: [`${directory}/ttyACM1`]
+        });
+        assert.deepEqual(rules.listPorts(), [`${directory}/ttyACM0`, `${directory}/ttyUSB0`]);
+    } finally {
+        rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('probe: a silent port is closed and rejected until probeRetry, a board that answers is claimed', async (t) => {
+    const manager = new DeviceManager();
+    t.after(() => manager.shutdown());
+    manager.discovery = new DiscoveryRules({ probe: true, probeTimeout: 100, probeRetry: 60000 });
+
+    // Simulated ports claimed like ttys found by a scan; the quiet one loses every frame
+    const quiet = new BoardSimulator({ name: 'quiet', dropRate: 1 });
+    const board = new BoardSimulator({ name: 'board' });
+    manager.simulators.set('quiet', quiet);
+    manager.simulators.set('board', board);
+
+    const added = [];
+    manager.on('device-added', info => added.push(info.path));
+
+    await assert.rejects(manager.claimDevice('/sim/quiet'), error => error.probeFailed && /No MUP1 response within 100ms/.test(error.message));
+    assert.equal(manager.getDevice('/sim/quiet'), undefined);
+    assert.equal(quiet.port, null, 'the port is closed again');
+    const [rejected] = manager.getDiscovery().rejected;
+    assert.equal(rejected.path, '/sim/quiet');
+    assert.match(rejected.reason, /No MUP1 response/);
+    assert.ok(rejected.retryAt > Date.now() + 59000, 'probed again after probeRetry');
+
+    const claimed = await manager.claimDevice('/sim/board');
+    assert.equal(claimed.connected, true);
+    assert.deepEqual(added, ['/sim/board'], 'the silent port never showed up as a device');
+    assert.deepEqual(manager.getDiscovery().rejected.map(entry => entry.path), ['/sim/quiet']);
+
+    // Answering now: a later probe claims it and forgets the rejection
+    quiet.setFaults({ dropRate: 0 });
+    await manager.claimDevice('/sim/quiet');
+    assert.equal(manager.getDevice('/sim/quiet').isConnected(), true);
+    assert.deepEqual(manager.getDiscovery().rejected, []);
+});
@@ -0,0 +1,215 @@
+/**
+ * MUP1 framing, announcement and trace parsing tests
+ *
+ * Run: npm test
+ *
+ * The golden vectors are complete frames in the mup1cc wire format
+ * (>TYPE data <[<] checksum), including escaped payload bytes. They were
+ * produced by our own encoder and checked by hand against the framing
+ * rules, so they guard against regressions, not against misreading mup1cc.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MUP1Protocol, { MUP1Decoder } from '../lib/mup1-protocol.js';
+
+const hex = (text) => Buffer.from(text.replace(/\s+/g, ''), 'hex');
+
+const GOLDEN = [
+    {
+        name: 'ping',
+        type: 'P',
+        data: hex(''),
+        frame: Buffer.from('>P<85AF', 'latin1')
+    },
+    {
+        name: 'CoAP GET (double EOF)',
+        type: 'C',
+        data: hex('41 01 ab cd 12 bc 11'),
+        frame: hex('3e 43 41 01 ab cd 12 bc 11 3c 3c 37 34 46 35')
+    },
+    {
+        name: 'CoAP with every escaped byte',
+        type: 'C',
+        data: hex('60 45 12 34 3c 3e 5c 00 ff 01'),
+        frame: hex('3e 43 60 45 12 34 5c 3c 5c 3e 5c 5c 5c 30 5c 46 01 3c 3c 34 34 42 39')
+    },
+    {
+        name: 'announcement',
+        type: 'A',
+        data: Buffer.from('VelocitySP-v2025.06-LAN9662-ung8291 326 300 2'),
+        frame: Buffer.from('>AVelocitySP-v2025.06-LAN9662-ung8291 326 300 2<<5FC0', 'latin1')
+    }
+];
+
+const protocol = new MUP1Protocol();
+
+/**
+ * Feed chunks through a decoder and collect frames
+ */
+function decodeChunks(chunks, options) {
+    const decoder = new MUP1Decoder(options);
+    const frames = chunks.flatMap(chunk => decoder.parse(chunk));
+    return { decoder, frames };
+}
+
+for (const vector of GOLDEN) {
+    test(`encodeFrame: ${vector.name}`, () => {
+        const type = vector.type.charCodeAt(0);
+        assert.deepEqual(protocol.encodeFrame(type, vector.data), vector.frame);
+    });
+
+    test(`decoder: ${vector.name}`, () => {
+        const { decoder, frames } = decodeChunks([vector.frame]);
+        assert.equal(frames.length, 1);
+        assert.equal(frames[0].type, vector.type);
+        assert.deepEqual(frames[0].data, vector.data);
+        assert.equal(frames[0].valid, true);
+        assert.equal(decoder.stats.frames, 1);
+    });
+
+    test(`decoder, split at every byte: ${vector.name}`, () => {
+        for (let split = 1; split < vector.frame.length; split++) {
+            const { frames } = decodeChunks([vector.frame.subarray(0, split), vector.frame.subarray(split)]);
+            assert.equal(frames.length, 1, `split at ${split}`);
+            assert.deepEqual(frames[0].data, vector.data, `split at ${split}`);
+        }
+    });
+}
+
+test('decoder: one byte at a time', () => {
+    const stream = Buffer.concat(GOLDEN.map(vector => vector.frame));
+    const { frames } = decodeChunks(Array.from(stream, byte => Buffer.from([byte])));
+    assert.deepEqual(frames.map(frame => frame.type), GOLDEN.map(vector => vector.type));
+});
+
+test('decoder: escaped EOF does not end the frame', () => {
+    const { frames } = decodeChunks([GOLDEN[2].frame]);
+    assert.deepEqual(frames[0].data, GOLDEN[2].data);
+    assert.ok(frames[0].data.includes(0x3C));
+});
+
+test('decoder: several frames in one chunk, noise in between', () => {
+    const noise = Buffer.from('boot log\r\n', 'latin1');
+    const { decoder, frames } = decodeChunks([
+        Buffer.concat([noise, GOLDEN[0].frame, noise, GOLDEN[1].frame, GOLDEN[3].frame])
+    ]);
+    assert.deepEqual(frames.map(frame => frame.type), ['P', 'C', 'A']);
+    assert.equal(decoder.stats.discardedBytes, noise.length * 2);
+});
+
+test('decoder: bad checksum is dropped and counted', () => {
+    const corrupt = Buffer.from(GOLDEN[1].frame);
+    corrupt[4] ^= 0x01;
+    const { decoder, frames } = decodeChunks([corrupt, GOLDEN[0].frame]);
+    assert.deepEqual(frames.map(frame => frame.type), ['P']);
+    assert.equal(decoder.stats.badChecksum, 1);
+    assert.equal(decoder.stats.frames, 1);
+});
+
+test('decoder: bad checksum is passed on when not rejected', () => {
+    const corrupt = Buffer.from(GOLDEN[0].frame);
+    corrupt[corrupt.length - 1] = 0x30;
+    const { decoder, frames } = decodeChunks([corrupt], { rejectBadChecksum: false });
+    assert.equal(frames.length, 1);
+    assert.equal(frames[0].valid, false);
+    assert.equal(decoder.stats.badChecksum, 1);
+});
+
+test('decoder: SOF inside a frame resynchronises', () => {
+    const truncated = GOLDEN[1].frame.subarray(0, 6);
+    const { decoder, frames } = decodeChunks([truncated, GOLDEN[3].frame]);
+    assert.deepEqual(frames.map(frame => frame.type), ['A']);
+    assert.equal(decoder.stats.aborted, 1);
+});
+
+test('decoder: non-hex checksum aborts the frame', () => {
+    const { decoder, frames } = decodeChunks([Buffer.from('>P<8Z', 'latin1'), GOLDEN[0].frame]);
+    assert.deepEqual(frames.map(frame => frame.type), ['P']);
+    assert.equal(decoder.stats.aborted, 1);
+});
+
+test('decoder: oversized frames are discarded', () => {
+    const big = protocol.encodeFrame(0x43, Buffer.alloc(100, 0x41));
+    const { decoder, frames } = decodeChunks([big, GOLDEN[0].frame], { maxFrameSize: 64 });
+    assert.deepEqual(frames.map(frame => frame.type), ['P']);
+    assert.equal(decoder.stats.oversized, 1);
+});
+
+test('decoder: round trip of random payloads', () => {
+    const payloads = [];
+    for (let i = 0; i < 50; i++) {
+        const data = Buffer.alloc(i * 7);
+        for (let j = 0; j < data.length; j++) {
+            data[j] = (i * 31 + j * 17) & 0xFF;
+        }
+        payloads.push(data);
+    }
+
+    const stream = Buffer.concat(payloads.map(data => protocol.createCoapFrame(data)));
+    const chunks = [];
+    for (let offset = 0; offset < stream.length; offset += 13) {
+        chunks.push(stream.subarray(offset, offset + 13));
+    }
+
+    const { frames } = decodeChunks(chunks);
+    assert.deepEqual(frames.map(frame => frame.data), payloads);
+});
+
+test('decoder: works as a Transform stream', async () => {
+    const decoder = protocol.createDecoder();
+    const received = [];
+    decoder.on('data', frame => received.push(frame.type));
+
+    for (const vector of GOLDEN) {
+        decoder.write(vector.frame);
+    }
+    decoder.end();
+    await new Promise(resolve => decoder.on('end', resolve));
+
+    assert.deepEqual(received, GOLDEN.map(vector => vector.type));
+});
+
+test('decodeFrame: single complete frame', () => {
+    const frame = protocol.decodeFrame(GOLDEN[2].frame);
+    assert.equal(frame.type, 'C');
+    assert.deepEqual(frame.data, GOLDEN[2].data);
+    assert.equal(frame.checksum, '44B9');
+    assert.equal(frame.valid, true);
+});
+
+test('decodeFrame: rejects malformed input', () => {
+    assert.throws(() => protocol.decodeFrame(Buffer.from('>P<', 'latin1')), /too short/);
+    assert.throws(() => protocol.decodeFrame(Buffer.from('xP<85AF', 'latin1')), /start of frame/);
+    assert.throws(() => protocol.decodeFrame(Buffer.from('>CABCDEF', 'latin1')), /Incomplete/);
+});
+
+test('parseAnnouncement: firmware identifier and MUP1 parameters', () => {
+    const announcement = protocol.parseAnnouncement(GOLDEN[3].data);
+    assert.equal(announcement.product, 'VelocitySP');
+    assert.equal(announcement.firmware, '2025.06');
+    assert.equal(announcement.board, 'LAN9662');
+    assert.equal(announcement.build, 'ung8291');
+    assert.deepEqual(announcement.parameters, [326, 300, 2]);
+    assert.equal(announcement.mup1Version, '2');
+    assert.equal(announcement.serial, null);
+});
+
+test('parseAnnouncement: key=value tokens', () => {
+    const announcement = protocol.parseAnnouncement('VelocitySP-v2024.09-LAN9668 serial=00A1B2C3 mup1=1\r\n');
+    assert.equal(announcement.board, 'LAN9668');
+    assert.equal(announcement.build, null);
+    assert.equal(announcement.serial, '00A1B2C3');
+    assert.equal(announcement.mup1Version, '1');
+    assert.equal(announcement.raw, 'VelocitySP-v2024.09-LAN9668 serial=00A1B2C3 mup1=1');
+});
+
+test('parseTrace: one entry per line with level markers', () => {
+    const entries = protocol.parseTrace('[E] link down on eth1\r\nboot ok\nW: clock drift\n<dbg> tick\n\n');
+    assert.deepEqual(entries, [
+        { level: 'error', message: 'link down on eth1' },
+        { level: 'info', message: 'boot ok' },
+        { level: 'warning', message: 'clock drift' },
+        { level: 'debug', message: 'tick' }
+    ]);
+});
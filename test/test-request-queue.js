@@ -0,0 +1,108 @@
+/**
+ * Per-device request queue
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RequestQueue from '../lib/request-queue.js';
+import DeviceManager from '../lib/device-manager.js';
+
+/**
+ * A request that finishes when finish() is called, recording its start
+ */
+function manual(log, name) {
+    let finish;
+    const run = (signal) => new Promise((resolve, reject) => {
+        log.push(name);
+        finish = () => resolve(name);
+        signal.addEventListener('abort', () => reject(signal.reason));
+    });
+    return { run, finish: () => finish() };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('queue: one at a time, interactive before background, FIFO within a priority', async () => {
+    const queue = new RequestQueue({ nstart: 1 });
+    const log = [];
+    const requests = {
+        first: manual(log, 'first'),
+        poll1: manual(log, 'poll1'),
+        poll2: manual(log, 'poll2'),
+        click: manual(log, 'click')
+    };
+
+    const results = [
+        queue.enqueue(requests.first.run, { priority: 'normal' }).promise,
+        queue.enqueue(requests.poll1.run, { priority: 'background' }).promise,
+        queue.enqueue(requests.poll2.run, { priority: 'background' }).promise,
+        queue.enqueue(requests.click.run, { priority: 'interactive' }).promise
+    ];
+    await tick();
+    assert.deepEqual(log, ['first']);
+    assert.deepEqual(queue.getStats().byPriority, { interactive: 1, normal: 0, background: 2 });
+
+    for (const name of ['first', 'click', 'poll1', 'poll2']) {
+        requests[name].finish();
+        await tick();
+    }
+    assert.deepEqual(log, ['first', 'click', 'poll1', 'poll2']);
+    assert.deepEqual(await Promise.all(results), ['first', 'poll1', 'poll2', 'click']);
+    assert.equal(queue.getStats().completed, 4);
+});
+
+test('queue: cancel a queued and a running request', async () => {
+    const queue = new RequestQueue();
+    const log = [];
+    const running = manual(log, 'running');
+    const waiting = manual(log, 'waiting');
+
+    const a = queue.enqueue(running.run, { method: 'GET', uri: '/c', id: 'a' });
+    const b = queue.enqueue(waiting.run, { method: 'FETCH', uri: '/c' });
+    await tick();
+    assert.deepEqual(queue.list().map(r => [r.id, r.state, r.method]), [['a', 'running', 'GET'], [b.id, 'queued', 'FETCH']]);
+
+    assert.ok(queue.cancel(b.id));
+    await assert.rejects(b.promise, { cancelled: true });
+    assert.ok(queue.cancel('a'));
+    await assert.rejects(a.promise, { cancelled: true });
+    assert.equal(queue.cancel('a'), false);
+
+    assert.deepEqual(log, ['running'], 'cancelled request never started');
+    assert.equal(queue.getStats().cancelled, 2);
+});
+
+test('queue: full queue, unknown priority and duplicate ids are refused', async () => {
+    const queue = new RequestQueue({ maxQueued: 1 });
+    const log = [];
+    const queued = [
+        queue.enqueue(manual(log, 'a').run, { id: 'x' }).promise,
+        queue.enqueue(manual(log, 'b').run).promise
+    ];
+
+    assert.throws(() => queue.enqueue(manual(log, 'c').run), { code: 'EQUEUEFULL' });
+    assert.throws(() => queue.enqueue(manual(log, 'd').run, { priority: 'urgent' }), /Unknown priority/);
+    assert.throws(() => queue.enqueue(manual(log, 'e').run, { id: 'x' }), /already queued/);
+    queue.cancelAll('done');
+    assert.deepEqual((await Promise.allSettled(queued)).map(r => r.reason.message), ['done', 'done']);
+});
+
+test('queue: a running CoAP request is aborted on the board link', async () => {
+    const manager = new DeviceManager();
+    await manager.addSimulator({ name: 'q0', latency: 200 });
+
+    const slow = manager.executeRequest('q0', 'GET', '/c?d=a', null, { requestId: 'slow' });
+    const next = manager.executeRequest('q0', 'GET', '/c?c=n', null, { priority: 'interactive' });
+    await tick();
+
+    const { requests } = manager.getQueue('q0');
+    assert.deepEqual(requests.map(r => [r.id, r.state]), [['slow', 'running'], ['1', 'queued']]);
+
+    assert.ok(manager.cancelRequest('q0', 'slow'));
+    await assert.rejects(slow, { cancelled: true });
+    assert.ok(await next, 'the next request gets the slot');
+    assert.equal(manager.getDevice('q0').coap.pendingRequests.size, 0);
+    manager.shutdown();
+});
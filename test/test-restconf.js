@@ -0,0 +1,213 @@
+/**
+ * RESTCONF northbound: query parameters, error mapping, device selection
+ * and request bodies, served from simulated boards
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import createRestconfRouter, { applyDepth, applyFields, parseFields, restconfError } from '../lib/restconf.js';
+import DeviceManager from '../lib/device-manager.js';
+
+const INTERFACES = '/ietf-interfaces:interfaces';
+const ENABLED = (name) => `ietf-interfaces:interfaces/interface=${name}/enabled`;
+const MEDIA_TYPE = 'application/yang-data+json';
+
+test('parseFields: nested selections, paths and bad expressions', () => {
+    assert.deepEqual(parseFields('interface(name;enabled);foo/bar'), {
+        interface: { name: true, enabled: true },
+        foo: { bar: true }
+    });
+    assert.deepEqual(parseFields('a/b;a(c)'), { a: { b: true, c: true } });
+    assert.deepEqual(parseFields('a;a/b'), { a: true }, 'a selected whole absorbs a/b');
+    assert.deepEqual(parseFields('a(b(c;d/e))'), { a: { b: { c: true, d: { e: true } } } });
+
+    for (const expr of ['', 'a;', 'a//b', 'a(b', 'a)b', 'a(b))']) {
+        assert.throws(() => parseFields(expr), error => error.status === 400 && error.tag === 'invalid-value', expr);
+    }
+});
+
+test('applyFields and applyDepth: module prefixes, list entries and levels', () => {
+    const tree = {
+        'ietf-interfaces:interface': [
+            { name: 'eth0', enabled: true, statistics: { 'in-octets': 1 } },
+            { name: 'eth1', enabled: false, statistics: { 'in-octets': 2 } }
+        ]
+    };
+    assert.deepEqual(applyFields(tree, parseFields('interface(name;statistics)')), {
+        'ietf-interfaces:interface': [
+            { name: 'eth0', statistics: { 'in-octets': 1 } },
+            { name: 'eth1', statistics: { 'in-octets': 2 } }
+        ]
+    });
+
+    assert.deepEqual(applyDepth(tree, 1), {});
+    assert.deepEqual(applyDepth(tree, 2), { 'ietf-interfaces:interface': [{}, {}] }, 'entries share the level of their list');
+    assert.deepEqual(applyDepth(tree, 3), {
+        'ietf-interfaces:interface': [{ name: 'eth0', enabled: true, statistics: {} }, { name: 'eth1', enabled: false, statistics: {} }]
+    });
+    assert.deepEqual(applyDepth(tree, 4), tree);
+    assert.equal(applyDepth(true, 1), true, 'a leaf is kept');
+});
+
+test('restconfError: CoAP codes, timeouts and CORECONF error payloads', () => {
+    const coap = (code, message, extra = {}) => Object.assign(new Error(message), { code }, extra);
+    const entryOf = ({ body }) => body['ietf-restconf:errors'].error[0];
+
+    for (const [code, status, tag] of [
+        [128, 400, 'invalid-value'],
+        [132, 404, 'invalid-value'],
+        [133, 405, 'operation-not-supported'],
+        [137, 409, 'resource-denied'],
+        [140, 412, 'operation-failed'],
+        [141, 413, 'too-big'],
+        [160, 500, 'operation-failed'],
+        [163, 503, 'resource-denied']
+    ]) {
+        const result = restconfError(coap(code, 'x'));
+        assert.equal(result.status, status, `code ${code}`);
+        assert.equal(entryOf(result)['error-tag'], tag, `code ${code}`);
+    }
+
+    const notFound = restconfError(coap(132, 'No data at x'), '/ietf-interfaces:interfaces');
+    assert.deepEqual(entryOf(notFound), {
+        'error-type': 'application',
+        'error-tag': 'invalid-value',
+        'error-path': '/ietf-interfaces:interfaces',
+        'error-message': 'No data at x'
+    });
+
+    assert.equal(restconfError(new Error('Request timeout after 30000ms: GET /c')).status, 504);
+    assert.equal(restconfError(new Error('boom')).status, 500);
+    assert.equal(entryOf(restconfError(new Error('boom')))['error-type'], 'protocol');
+
+    const refined = restconfError(coap(128, '4.00 Bad Request', {
+        payload: { 'ietf-coreconf:error': { 'error-tag': 'ietf-restconf:data-missing', 'error-message': 'No such VLAN' } }
+    }));
+    assert.equal(refined.status, 400);
+    assert.equal(entryOf(refined)['error-tag'], 'data-missing');
+    assert.equal(entryOf(refined)['error-message'], 'No such VLAN');
+});
+
+/**
+ * RESTCONF server on a free port in front of simulated boards
+ */
+async function serve(names) {
+    const manager = new DeviceManager();
+    for (const [identifier, sid] of [
+        [INTERFACES, 1505],
+        [`${INTERFACES}/interface`, 1533],
+        [`${INTERFACES}/interface/description`, 1534],
+        [`${INTERFACES}/interface/enabled`, 1537],
+        [`${INTERFACES}/interface/name`, 1540],
+        [`${INTERFACES}/interface/type`, 1550]
+    ]) {
+        manager.sidRegistry.add('ietf-interfaces', { namespace: 'data', identifier, sid });
+    }
+    for (const name of names) {
+        await manager.addSimulator({ name });
+    }
+
+    const app = express();
+    app.use(createRestconfRouter(manager));
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const call = async (method, path, { body, headers = {} } = {}) => {
+        const response = await fetch(base + path, {
+            method,
+            headers: { ...(body !== undefined && { 'Content-Type': MEDIA_TYPE }), ...headers },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+
+    return {
+        manager,
+        call,
+        close: () => {
+            server.close();
+            manager.shutdown();
+        }
+    };
+}
+
+test('device selection: the only board, path segment, X-Device header', async (t) => {
+    const single = await serve(['rc0']);
+    t.after(single.close);
+
+    const only = await single.call('GET', `/restconf/data/${ENABLED('eth0')}`);
+    assert.equal(only.status, 200);
+    assert.deepEqual(only.body, { 'ietf-interfaces:enabled': true });
+
+    const { manager, call, close } = await serve(['rc1', 'rc2']);
+    t.after(close);
+
+    const ambiguous = await call('GET', `/restconf/data/${ENABLED('eth0')}`);
+    assert.equal(ambiguous.status, 400);
+    assert.equal(ambiguous.body['ietf-restconf:errors'].error[0]['error-tag'], 'missing-element');
+
+    await manager.writeData('rc2', ENABLED('eth0'), false);
+    assert.deepEqual((await call('GET', `/restconf/devices/rc1/data/${ENABLED('eth0')}`)).body, { 'ietf-interfaces:enabled': true });
+    assert.deepEqual((await call('GET', `/restconf/devices/${encodeURIComponent('/sim/rc2')}/data/${ENABLED('eth0')}`)).body,
+        { 'ietf-interfaces:enabled': false });
+    assert.deepEqual((await call('GET', `/restconf/data/${ENABLED('eth0')}`, { headers: { 'X-Device': 'rc2' } })).body,
+        { 'ietf-interfaces:enabled': false });
+
+    const unknown = await call('GET', `/restconf/devices/nope/data/${ENABLED('eth0')}`);
+    assert.equal(unknown.status, 404);
+    assert.match(unknown.body['ietf-restconf:errors'].error[0]['error-message'], /Device not found: nope/);
+
+    const missing = await call('GET', '/restconf/devices/rc1/data/ietf-interfaces:interfaces/interface=eth9/enabled');
+    assert.equal(missing.status, 404, 'CoAP 4.04 from the board');
+
+    manager.getDevice('rc2').disconnect();
+    assert.equal((await call('GET', `/restconf/data/${ENABLED('eth0')}`)).status, 200, 'rc1 is the only connected board again');
+});
+
+test('request bodies: target member, list entries and ietf-restconf:data', async (t) => {
+    const { manager, call, close } = await serve(['rc3']);
+    t.after(close);
+    const enabledOf = async (name) => manager.readData('rc3', ENABLED(name));
+
+    assert.equal((await call('PUT', `/restconf/data/${ENABLED('eth0')}`, { body: { 'ietf-interfaces:enabled': false } })).status, 204);
+    assert.equal(await enabledOf('eth0'), false);
+    assert.equal((await call('PUT', `/restconf/data/${ENABLED('eth0')}`, { body: { enabled: true } })).status, 204, 'prefix optional');
+    assert.equal(await enabledOf('eth0'), true);
+
+    const wrongMember = await call('PUT', `/restconf/data/${ENABLED('eth0')}`, { body: { 'ietf-interfaces:name': 'x' } });
+    assert.equal(wrongMember.status, 400);
+    assert.equal(wrongMember.body['ietf-restconf:errors'].error[0]['error-tag'], 'bad-element');
+    assert.equal(wrongMember.body['ietf-restconf:errors'].error[0]['error-path'], `/${ENABLED('eth0')}`);
+    assert.equal((await call('PUT', `/restconf/data/${ENABLED('eth0')}`, { body: [false] })).status, 400);
+
+    const entry = 'ietf-interfaces:interfaces/interface=eth1';
+    const twoEntries = await call('PATCH', `/restconf/data/${entry}`, {
+        body: { 'ietf-interfaces:interface': [{ name: 'eth1' }, { name: 'eth2' }] }
+    });
+    assert.equal(twoEntries.status, 400);
+    assert.match(twoEntries.body['ietf-restconf:errors'].error[0]['error-message'], /exactly one entry/);
+    assert.equal((await call('PATCH', `/restconf/data/${entry}`, {
+        body: { 'ietf-interfaces:interface': [{ name: 'eth1', description: 'uplink' }] }
+    })).status, 204);
+    assert.deepEqual((await call('GET', `/restconf/data/${entry}?fields=name;description`)).body, {
+        'ietf-interfaces:interface': [{ name: 'eth1', description: 'uplink' }]
+    });
+
+    assert.equal((await call('PATCH', '/restconf/data', {
+        body: { 'ietf-restconf:data': { 'ietf-interfaces:interfaces': { interface: [{ name: 'eth1', enabled: false }] } } }
+    })).status, 204);
+    assert.equal(await enabledOf('eth1'), false);
+    assert.equal((await call('PATCH', '/restconf/data', {
+        body: { 'ietf-interfaces:interfaces': { interface: [{ name: 'eth1', enabled: true }] } }
+    })).status, 204, 'the bare tree is accepted too');
+    assert.equal(await enabledOf('eth1'), true);
+
+    const badQuery = await call('GET', `/restconf/data/${ENABLED('eth0')}?depth=0`);
+    assert.equal(badQuery.status, 400);
+    assert.deepEqual((await call('GET', `/restconf/data/ietf-interfaces:interfaces?depth=1`)).body, { 'ietf-interfaces:interfaces': {} });
+});
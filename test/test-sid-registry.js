@@ -0,0 +1,148 @@
+/**
+ * SID registry: .sid file layouts, SID-delta conversion, data paths and
+ * yang-instances items, from the fixture files in test/fixtures/sid
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { Tag } from 'cbor-x';
+import SIDRegistry from '../lib/sid-registry.js';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/sid', import.meta.url));
+
+const registry = new SIDRegistry();
+registry.loadDirectory(FIXTURES);
+
+// An interface by name and the same interface as SID deltas below /ietf-interfaces:interfaces (1505)
+const NAMED = {
+    'ietf-interfaces:interfaces': {
+        interface: [{
+            name: 'eth0',
+            type: 'iana-if-type:ethernetCsmacd',
+            enabled: true,
+            'ieee802-dot1q-bridge:bridge-port': { 'bridge-name': 'br0', pvid: 10 }
+        }]
+    }
+};
+const SID_KEYED = new Map([[1505, new Map([[28, [new Map([
+    [7, 'eth0'],
+    [17, 1880],
+    [4, true],
+    [467, new Map([[1, 'br0'], [4, 10]])]
+])]]])]]);
+
+test('loadFile: RFC 9595 and draft layouts', () => {
+    assert.deepEqual(registry.getModules().map(({ name, revision, items }) => [name, revision, items]), [
+        ['iana-if-type', '2017-01-19', 3],
+        ['ieee802-dot1q-bridge', '2022-10-29', 3],
+        ['ietf-interfaces', '2018-02-20', 8]
+    ]);
+    assert.equal(registry.size, 14);
+
+    assert.equal(registry.getSid('/ietf-interfaces:interfaces/interface/enabled'), 1537, 'uint64 strings become numbers');
+    assert.deepEqual(registry.getItem(1550), {
+        namespace: 'data',
+        identifier: '/ietf-interfaces:interfaces/interface/type',
+        module: 'ietf-interfaces',
+        type: 'identityref'
+    });
+    assert.equal(registry.identities.get('iana-if-type:ethernetCsmacd'), 1880, 'identities get their module prefix');
+    assert.equal(registry.identities.get('ietf-interfaces:interface-type'), 1502);
+
+    assert.throws(() => new SIDRegistry().loadFile(fileURLToPath(new URL('../package.json', import.meta.url))), /Not a SID file/);
+    assert.equal(new SIDRegistry().loadDirectory(`${FIXTURES}/missing`), 0);
+});
+
+test('toSid and fromSid: deltas, module changes and identityrefs round trip', () => {
+    assert.deepEqual(registry.toSid(NAMED), SID_KEYED);
+    assert.deepEqual(registry.fromSid(SID_KEYED), NAMED);
+
+    // Redundant prefixes and keys that already are deltas
+    assert.deepEqual(registry.toSid({
+        'ietf-interfaces:interfaces': {
+            'ietf-interfaces:interface': [{ 'ietf-interfaces:name': 'eth0', 17: 1880, enabled: true, 467: { 1: 'br0', pvid: 10 } }]
+        }
+    }), SID_KEYED);
+
+    assert.throws(() => registry.toSid({ 'ietf-interfaces:interfaces': { mtu: 1500 } }),
+        /no SID\): \/ietf-interfaces:interfaces\/mtu/);
+    assert.throws(() => registry.toSid({ 'ietf-interfaces:interfaces': { 'ieee802-dot1q-bridge:pvid': 1 } }), /no SID/,
+        'a prefix of another module is not redundant');
+});
+
+test('fromSid: absolute SIDs (tag 47), unknown SIDs and identities', () => {
+    const absolute = new Map([[1505, new Map([
+        [new Tag(1533, 47), [new Map([[7, 'eth1'], [new Tag(2004, 47), 20]])]]
+    ])]]);
+    assert.deepEqual(registry.fromSid(absolute), {
+        'ietf-interfaces:interfaces': { interface: [{ name: 'eth1', pvid: 20 }] }
+    });
+
+    // Unknown SIDs keep their number, deltas below them still add up
+    assert.deepEqual(registry.fromSid(new Map([[9999, new Map([[1, 'x']])]])), { 9999: { 10000: 'x' } });
+
+    // An identity SID that is not loaded stays a number; an unknown name stays a name
+    const typeOf = (type) => registry.fromSid(new Map([[1550, type]]));
+    assert.deepEqual(typeOf(1881), { type: 'iana-if-type:ieee8023adLag' });
+    assert.deepEqual(typeOf(1999), { type: 1999 });
+    assert.deepEqual(registry.toSid({ type: 'iana-if-type:other' }, '/ietf-interfaces:interfaces/interface', 1533),
+        new Map([[17, 'iana-if-type:other']]));
+});
+
+test('parsePath: list keys, percent-encoding and redundant prefixes', () => {
+    assert.deepEqual(registry.parsePath('ietf-interfaces:interfaces/interface=eth0/enabled'), {
+        path: '/ietf-interfaces:interfaces/interface/enabled',
+        keys: ['eth0'],
+        sid: 1537,
+        listEntry: false
+    });
+    assert.deepEqual(registry.parsePath('/ietf-interfaces:interfaces/ietf-interfaces:interface=eth%2F1'), {
+        path: '/ietf-interfaces:interfaces/interface',
+        keys: ['eth/1'],
+        sid: 1533,
+        listEntry: true
+    });
+    assert.deepEqual(registry.parsePath('ietf-interfaces:interfaces/interface=a,b%2Cc/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-bridge:pvid'), {
+        path: '/ietf-interfaces:interfaces/interface/ieee802-dot1q-bridge:bridge-port/pvid',
+        keys: ['a', 'b,c'],
+        sid: 2004,
+        listEntry: false
+    });
+    assert.equal(registry.qualifiedName('/ietf-interfaces:interfaces/interface/ieee802-dot1q-bridge:bridge-port/pvid'),
+        'ieee802-dot1q-bridge:pvid');
+
+    assert.throws(() => registry.parsePath('/'), /Empty data path/);
+    assert.throws(() => registry.parsePath('interfaces/interface'), /module-qualified/);
+    assert.throws(() => registry.parsePath('ietf-interfaces:interfaces/interface=eth0/mtu'), /no SID/);
+});
+
+test('encodeInstance and decodeInstances: list entries, leaves and deletes', () => {
+    const entry = registry.encodeInstance({
+        path: '/ietf-interfaces:interfaces/interface',
+        keys: ['eth0'],
+        value: { enabled: false, type: 'iana-if-type:ethernetCsmacd' }
+    });
+    assert.deepEqual(entry, new Map([[[1533, 'eth0'], new Map([[4, false], [17, 1880]])]]));
+    assert.deepEqual(registry.decodeInstances(entry), [{
+        path: '/ietf-interfaces:interfaces/interface',
+        sid: 1533,
+        keys: ['eth0'],
+        value: { enabled: false, type: 'iana-if-type:ethernetCsmacd' }
+    }]);
+
+    const leaf = registry.encodeInstance({ path: '/ietf-interfaces:interfaces/interface/type', keys: ['eth0'], value: 'iana-if-type:ieee8023adLag' });
+    assert.deepEqual(leaf, new Map([[[1550, 'eth0'], 1881]]));
+    assert.equal(registry.decodeInstances(leaf)[0].value, 'iana-if-type:ieee8023adLag');
+
+    assert.deepEqual(registry.encodeInstance({ ...registry.parsePath('ietf-interfaces:interfaces/interface=eth1'), value: null }),
+        new Map([[[1533, 'eth1'], null]]));
+    assert.deepEqual(registry.encodeInstance({ path: 1505, value: NAMED['ietf-interfaces:interfaces'] }),
+        new Map([[1505, SID_KEYED.get(1505)]]));
+    assert.throws(() => registry.encodeInstance({ path: '/ietf-interfaces:interfaces/mtu', value: 1 }), /no SID/);
+
+    assert.deepEqual(registry.decodeInstances(new Map([[4242, 'x']])), [{ path: 4242, sid: 4242, keys: [], value: 'x' }]);
+    assert.deepEqual(registry.instancesToTree(registry.decodeInstances(registry.treeToInstances(NAMED)[0])), NAMED);
+});
@@ -0,0 +1,175 @@
+/**
+ * CoAP / CORECONF client against the simulated board
+ *
+ * Run: npm test
+ *
+ * Each test opens its own BoardSimulator through a SimulatorPort, the same
+ * way DeviceConnection does, with a small SID registry for ietf-interfaces.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MUP1Protocol from '../lib/mup1-protocol.js';
+import CoAPClient from '../lib/coap-client.js';
+import SIDRegistry from '../lib/sid-registry.js';
+import BoardSimulator from '../lib/simulator.js';
+
+const protocol = new MUP1Protocol();
+
+const registry = new SIDRegistry();
+for (const [identifier, sid] of [
+    ['/ietf-interfaces:interfaces', 1505],
+    ['/ietf-interfaces:interfaces/interface', 1533],
+    ['/ietf-interfaces:interfaces/interface/enabled', 1537],
+    ['/ietf-interfaces:interfaces/interface/name', 1540],
+    ['/ietf-interfaces:interfaces/interface/oper-status', 1544],
+    ['/ietf-interfaces:interfaces/interface/type', 1550]
+]) {
+    registry.add('ietf-interfaces', { namespace: 'data', identifier, sid });
+}
+
+const ENABLED = { path: '/ietf-interfaces:interfaces/interface/enabled', keys: ['eth1'] };
+const FAST = { ackTimeout: 20, timeout: 1000 };
+
+/**
+ * Open a simulator and a CoAP client on it
+ */
+async function connect(options = {}) {
+    const board = new BoardSimulator({ sidRegistry: registry, ...options });
+    const port = board.createPort();
+    await new Promise((resolve, reject) => port.open(err => err ? reject(err) : resolve()));
+
+    const client = new CoAPClient(protocol, port, registry);
+    const decoder = protocol.createDecoder();
+    const frames = [];
+    decoder.on('data', (frame) => {
+        frames.push(frame);
+        client.handleFrame(frame);
+    });
+    port.pipe(decoder);
+
+    const close = () => new Promise(resolve => port.close(resolve));
+    return { board, port, client, decoder, frames, close };
+}
+
+const tick = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('simulator: announcement on open, pong for ping', async () => {
+    const { port, frames, close } = await connect({ name: 'a', serial: 'SN42' });
+    port.write(protocol.createPing());
+    await tick();
+
+    const announcement = frames.find(frame => frame.type === 'A');
+    assert.equal(protocol.parseAnnouncement(announcement.data).serial, 'SN42');
+    assert.ok(frames.some(frame => frame.type === 'p'));
+    await close();
+});
+
+test('simulator: GET /c returns the seeded datastore block-wise', async () => {
+    const { client, board, close } = await connect();
+    const result = await client.requestWithMeta('GET', '/c?d=a', null, FAST);
+
+    assert.equal(result.code, 69);
+    assert.equal(result.options.contentFormat, 260);
+    assert.deepEqual(result.payload['ietf-interfaces:interfaces'].interface.map(i => i.name), ['eth0', 'eth1']);
+    assert.equal(result.payload['ieee802-dot1q-bridge:bridges'].bridge[0].name, 'br0');
+    assert.ok(result.payload['ieee802-dot1q-sched:interfaces'].interface[0]['gate-parameter-table']);
+    assert.ok(board.stats.requests > 1, 'larger than one block');
+    await close();
+});
+
+test('simulator: c=c and c=n split configuration and state', async () => {
+    const { client, close } = await connect();
+    const config = await client.request('GET', '/c?c=c', null, FAST);
+    const state = await client.request('GET', '/c?c=n', null, FAST);
+
+    assert.equal(config['ietf-system:system-state'], undefined);
+    assert.equal(config['ietf-interfaces:interfaces'].interface[0]['oper-status'], undefined);
+    assert.equal(state['ietf-interfaces:interfaces'].interface[0].name, 'eth0');
+    assert.equal(state['ietf-interfaces:interfaces'].interface[0]['oper-status'], 'up');
+    assert.equal(state['ietf-interfaces:interfaces'].interface[0].enabled, undefined);
+    await close();
+});
+
+test('simulator: iPATCH merges and deletes, FETCH reads back', async () => {
+    const { client, close } = await connect();
+
+    await client.request('IPATCH', '/c', [{ ...ENABLED, value: false }], FAST);
+    let instances = await client.request('FETCH', '/c', [ENABLED], FAST);
+    assert.deepEqual(instances.map(i => [i.path, i.keys, i.value]), [[ENABLED.path, ['eth1'], false]]);
+
+    const entry = { path: '/ietf-interfaces:interfaces/interface', keys: ['eth9'] };
+    await client.request('IPATCH', '/c', [{ ...entry, value: { type: 'iana-if-type:ethernetCsmacd', enabled: true } }], FAST);
+    instances = await client.request('FETCH', '/c', [entry], FAST);
+    assert.deepEqual(instances[0].value, { name: 'eth9', type: 'iana-if-type:ethernetCsmacd', enabled: true });
+
+    await client.request('IPATCH', '/c', [{ ...entry, value: null }], FAST);
+    instances = await client.request('FETCH', '/c', [entry], FAST);
+    assert.equal(instances, null, 'absent instance left out');
+    await close();
+});
+
+test('simulator: PUT replaces configuration, DELETE clears it, state stays', async () => {
+    const { client, close } = await connect();
+
+    await client.request('PUT', '/c', { 'ietf-interfaces:interfaces': { interface: [{ name: 'eth0', enabled: false }] } }, FAST);
+    let data = await client.request('GET', '/c', null, FAST);
+    assert.equal(data['ieee802-dot1q-bridge:bridges'], undefined);
+    assert.deepEqual(data['ietf-interfaces:interfaces'].interface.map(i => [i.name, i.enabled]), [['eth0', false], ['eth1', undefined]]);
+    assert.equal(data['ietf-interfaces:interfaces'].interface[0]['oper-status'], 'up');
+
+    const deleted = await client.requestWithMeta('DELETE', '/c', null, FAST);
+    assert.equal(deleted.code, 66);
+    data = await client.request('GET', '/c?c=c', null, FAST);
+    assert.equal(data['ietf-system:system'], undefined);
+    await close();
+});
+
+test('simulator: Observe notifies after a change', async () => {
+    const { client, close } = await connect();
+    const observation = await client.observe('FETCH', '/c', [ENABLED], FAST);
+    const values = [];
+    observation.on('notification', result => values.push(result.payload[0].value));
+
+    await tick();
+    await client.request('IPATCH', '/c', [{ ...ENABLED, value: false }], FAST);
+    await tick(50);
+
+    assert.deepEqual(values, [true, false]);
+    await observation.cancel();
+    await close();
+});
+
+test('simulator: errors map to CoAP response codes', async () => {
+    const { client, close } = await connect();
+
+    await assert.rejects(client.request('GET', '/x', null, FAST), { code: 132 });
+    await assert.rejects(client.request('POST', '/c', Buffer.from([0xA0]), FAST), { code: 133 });
+    await assert.rejects(client.request('FETCH', '/c', [9999], FAST), { code: 132 });
+    await close();
+});
+
+test('simulator: dropped frames are recovered by retransmission', async () => {
+    const { client, board, close } = await connect({ dropRate: 0.5 });
+    let drops = 2;
+    board.chance = (rate) => rate > 0 && drops-- > 0;
+
+    const result = await client.requestWithMeta('FETCH', '/c', [ENABLED], FAST);
+    assert.equal(result.payload[0].value, true);
+    assert.equal(board.stats.dropped, 2);
+    await close();
+});
+
+test('simulator: corrupted frames fail the checksum', async () => {
+    const { port, decoder, frames, board, close } = await connect({ corruptRate: 1 });
+    await tick();
+    const before = frames.length;
+
+    port.write(protocol.createPing());
+    await tick();
+
+    assert.equal(frames.length, before);
+    assert.ok(board.stats.corrupted >= 1);
+    assert.ok(decoder.stats.badChecksum + decoder.stats.aborted >= 1);
+    await close();
+});
@@ -0,0 +1,88 @@
+/**
+ * Configuration snapshots: file formats, the store and restore to a simulated board
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import SnapshotStore, { encodeSnapshot, decodeSnapshot, validateConfig } from '../lib/snapshot-store.js';
+import DeviceManager from '../lib/device-manager.js';
+
+const CONFIG = {
+    'ietf-interfaces:interfaces': { interface: [{ name: 'eth0', enabled: true }] },
+    'ieee802-dot1q-bridge:bridges': { bridge: [{ name: 'br0' }] }
+};
+
+test('snapshot files: JSON, YAML and CBOR round trip, bare trees', () => {
+    const snapshot = { id: 'x', name: 'lab', createdAt: '2025-10-16T14:22:33.000Z', data: CONFIG };
+
+    for (const format of ['json', 'yaml', 'cbor']) {
+        const file = encodeSnapshot(snapshot, format);
+        assert.deepEqual(decodeSnapshot(Buffer.from(file.body), format), snapshot, format);
+        assert.deepEqual(decodeSnapshot(Buffer.from(file.body)), snapshot, `${format} without a format`);
+    }
+    assert.deepEqual(decodeSnapshot(CONFIG), { data: CONFIG });
+    assert.throws(() => encodeSnapshot(snapshot, 'xml'), /Unknown snapshot format/);
+
+    assert.throws(() => validateConfig([]), /datastore tree/);
+    assert.throws(() => validateConfig({}), /empty/);
+    assert.throws(() => validateConfig({ interfaces: {} }), /module-qualified/);
+});
+
+test('snapshot store: create, list, import, reload and remove', () => {
+    const directory = mkdtempSync(join(tmpdir(), 'snapshots-'));
+    try {
+        const store = new SnapshotStore({ directory });
+        const first = store.create(CONFIG, { device: { id: 'board-SN1', path: '/sim/a', model: 'LAN9662', extra: 1 } });
+        assert.match(first.id, /^\d{8}T\d{6}-[0-9a-f]{6}$/);
+        assert.deepEqual(first.subtrees, Object.keys(CONFIG));
+        assert.deepEqual(first.device, { id: 'board-SN1', path: '/sim/a', alias: null, model: 'LAN9662', firmware: null, serialNumber: null });
+        assert.equal(first.name.startsWith('board-SN1 '), true);
+
+        const uploaded = store.import({ name: 'old', createdAt: '2020-01-01T00:00:00Z', data: CONFIG });
+        assert.ok(uploaded.uploadedAt);
+        assert.deepEqual(store.list().map(s => s.id), [first.id, uploaded.id], 'newest first');
+        assert.deepEqual(store.get(first.id).data, CONFIG);
+
+        const reloaded = new SnapshotStore({ directory });
+        assert.equal(reloaded.list().length, 2);
+        assert.ok(reloaded.remove(uploaded.id));
+        assert.equal(reloaded.remove(uploaded.id), false);
+        assert.equal(reloaded.get(uploaded.id), null);
+        assert.equal(new SnapshotStore({ directory }).list().length, 1);
+    } finally {
+        rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('restore: merge per subtree and replace put a simulated board back', async () => {
+    const manager = new DeviceManager();
+    await manager.addSimulator({ name: 'snap0' });
+
+    const saved = await manager.readConfig('snap0');
+    assert.ok(saved['ietf-interfaces:interfaces'], 'configuration read');
+    const enabled = (tree) => tree['ietf-interfaces:interfaces'].interface[0].enabled;
+    const name = saved['ietf-interfaces:interfaces'].interface[0].name;
+
+    const change = { 'ietf-interfaces:interfaces': { interface: [{ name, enabled: !enabled(saved) }] } };
+    await manager.executeRequest('snap0', 'IPATCH', '/c', change);
+    assert.equal(enabled(await manager.readConfig('snap0')), !enabled(saved));
+
+    const results = await manager.restoreConfig('snap0', saved, { subtrees: ['ietf-interfaces:interfaces'] });
+    assert.deepEqual(results.map(r => [r.subtree, r.success, r.code]), [['ietf-interfaces:interfaces', true, 68]]);
+    assert.equal(enabled(await manager.readConfig('snap0')), enabled(saved));
+
+    await manager.executeRequest('snap0', 'IPATCH', '/c', change);
+    const replaced = await manager.restoreConfig('snap0', saved, { mode: 'replace' });
+    assert.deepEqual(replaced.map(r => r.subtree), Object.keys(saved));
+    assert.ok(replaced.every(r => r.success));
+    assert.deepEqual(await manager.readConfig('snap0'), saved);
+
+    await assert.rejects(manager.restoreConfig('snap0', saved, { subtrees: ['ietf-system:system-state'] }), /Not in the configuration/);
+    await assert.rejects(manager.restoreConfig('snap0', saved, { mode: 'replace', subtrees: ['ietf-interfaces:interfaces'] }), /whole configuration/);
+    manager.shutdown();
+});
@@ -0,0 +1,77 @@
+/**
+ * MUP1 trace: the ring buffer that stores it and the filters of /trace,
+ * with 'T' frames from a simulated board
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RingBuffer from '../lib/ring-buffer.js';
+import DeviceManager from '../lib/device-manager.js';
+
+test('RingBuffer: oldest first, overwrites the oldest when full, counts what it dropped', () => {
+    const buffer = new RingBuffer(3);
+    assert.deepEqual(buffer.toArray(), []);
+
+    [1, 2].forEach(item => buffer.push(item));
+    assert.deepEqual([buffer.toArray(), buffer.size, buffer.dropped], [[1, 2], 2, 0]);
+
+    [3, 4, 5, 6, 7].forEach(item => buffer.push(item));
+    assert.deepEqual([buffer.toArray(), buffer.size, buffer.dropped], [[5, 6, 7], 3, 4]);
+
+    buffer.clear();
+    assert.deepEqual([buffer.toArray(), buffer.size], [[], 0]);
+    buffer.push(8);
+    assert.deepEqual(buffer.toArray(), [8]);
+    assert.equal(buffer.dropped, 4, 'clear() keeps the count');
+});
+
+test('trace: levels, since, search and limit over the stored entries; live filter', async (t) => {
+    const manager = new DeviceManager();
+    t.after(() => manager.shutdown());
+    await manager.addSimulator({ name: 'tr0' });
+    const device = manager.getDevice('tr0');
+    const simulator = manager.simulators.get('tr0');
+
+    // Room for five entries, so the first of the six below is overwritten
+    device.traces = new RingBuffer(5);
+    const live = [];
+    manager.subscribeTrace('tr0', entry => live.push(entry), { level: 'warning' });
+    const received = new Promise(resolve => {
+        let count = 0;
+        device.subscribeTrace(() => ++count === 6 && resolve());
+    });
+
+    simulator.trace('debug', 'phy: link training');
+    simulator.trace('info', 'eth0: Link UP 1000 Mbps');
+    simulator.trace('warning', 'eth1: CRC errors');
+    simulator.send('T', Buffer.from('[E] eth1: Link DOWN\r\n<D> irq 42\n'));
+    simulator.trace('info', 'eth1: link up 100 Mbps');
+    await received;
+
+    const { entries, total, dropped } = manager.getTrace('tr0');
+    assert.equal(total, 5);
+    assert.ok(dropped >= 1);
+    assert.deepEqual(entries.map(e => [e.level, e.message]), [
+        ['info', 'eth0: Link UP 1000 Mbps'],
+        ['warning', 'eth1: CRC errors'],
+        ['error', 'eth1: Link DOWN'],
+        ['debug', 'irq 42'],
+        ['info', 'eth1: link up 100 Mbps']
+    ]);
+    assert.ok(entries.every((entry, i) => i === 0 || entry.id === entries[i - 1].id + 1), 'ids increase');
+
+    const messagesOf = (filter) => manager.getTrace('/sim/tr0', filter).entries.map(e => e.message);
+    assert.deepEqual(messagesOf({ level: 'warning' }), ['eth1: CRC errors', 'eth1: Link DOWN'], 'warning and worse');
+    assert.deepEqual(messagesOf({ level: 'error' }), ['eth1: Link DOWN']);
+    assert.deepEqual(messagesOf({ search: 'LINK UP' }), ['eth0: Link UP 1000 Mbps', 'eth1: link up 100 Mbps'], 'any case');
+    assert.deepEqual(messagesOf({ since: entries[2].id }), ['irq 42', 'eth1: link up 100 Mbps']);
+    assert.deepEqual(messagesOf({ limit: 2 }), ['irq 42', 'eth1: link up 100 Mbps'], 'the newest');
+    assert.deepEqual(messagesOf({ level: 'info', search: 'eth1', limit: 2 }), ['eth1: Link DOWN', 'eth1: link up 100 Mbps']);
+    assert.deepEqual(live.map(e => e.message), ['eth1: CRC errors', 'eth1: Link DOWN']);
+
+    manager.clearTrace('tr0');
+    assert.deepEqual(manager.getTrace('tr0').entries, []);
+    assert.throws(() => manager.getTrace('nope'), /Device not found/);
+});
@@ -0,0 +1,73 @@
+/**
+ * TCP serial bridge transport
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'net';
+import { parseEndpoint, formatEndpoint, TcpPort } from '../lib/transport.js';
+
+/**
+ * Start a TCP server on a free port
+ */
+async function listen(onConnection) {
+    const server = createServer(onConnection);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return server;
+}
+
+function open(port) {
+    return new Promise((resolve, reject) => port.open(err => err ? reject(err) : resolve()));
+}
+
+test('parseEndpoint: host:port, tcp:// and IPv6', () => {
+    assert.deepEqual(parseEndpoint('lab-pc2:4001'), { host: 'lab-pc2', port: 4001 });
+    assert.deepEqual(parseEndpoint(' tcp://10.0.0.5:2000/ '), { host: '10.0.0.5', port: 2000 });
+    assert.deepEqual(parseEndpoint('[fe80::1]:4001'), { host: 'fe80::1', port: 4001 });
+    assert.equal(formatEndpoint('fe80::1', 4001), '[fe80::1]:4001');
+    assert.throws(() => parseEndpoint('lab-pc2'), /host:port/);
+    assert.throws(() => parseEndpoint('lab-pc2:70000'), /Invalid TCP port/);
+
+    for (const endpoint of ["a');alert(1)//:4001", 'a"b:4001', 'host_name:4001', '-lab:4001', 'a..b:4001', '[fe80::1\'):4001', '[lab-pc2]:4001']) {
+        assert.throws(() => parseEndpoint(endpoint), /Invalid (host|endpoint)/, endpoint);
+    }
+});
+
+test('TcpPort: bytes in both directions, close when the bridge goes away', async () => {
+    let remote = null;
+    const server = await listen(socket => {
+        remote = socket;
+        socket.on('data', data => socket.write(Buffer.concat([Buffer.from('echo:'), data])));
+    });
+
+    const port = new TcpPort({ host: '127.0.0.1', port: server.address().port });
+    await open(port);
+    assert.ok(port.isOpen);
+    assert.equal(port.path, `/tcp/127.0.0.1:${server.address().port}`);
+
+    const received = new Promise(resolve => port.once('data', resolve));
+    port.write(Buffer.from('>P<<8553'));
+    assert.equal((await received).toString(), 'echo:>P<<8553');
+
+    const closed = new Promise(resolve => port.once('close', resolve));
+    remote.destroy();
+    await closed;
+    assert.equal(port.isOpen, false);
+
+    await new Promise(resolve => server.close(resolve));
+});
+
+test('TcpPort: refused connection fails open(), close() ends the socket', async () => {
+    const server = await listen(() => {});
+    const address = server.address().port;
+
+    const port = new TcpPort({ host: '127.0.0.1', port: address });
+    await open(port);
+    await new Promise((resolve, reject) => port.close(err => err ? reject(err) : resolve()));
+    assert.equal(port.isOpen, false);
+
+    await new Promise(resolve => server.close(resolve));
+    await assert.rejects(open(new TcpPort({ host: '127.0.0.1', port: address })), { code: 'ECONNREFUSED' });
+});